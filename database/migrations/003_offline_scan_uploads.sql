@@ -0,0 +1,10 @@
+-- ========================================
+-- MIGRATION 003: UPLOAD DES SCANS OFFLINE
+-- ========================================
+-- Les appareils génèrent l'uid de chaque scan offline : l'unicité de
+-- scan_logs.uid rend les renvois de lots idempotents (ON CONFLICT (uid))
+-- Version IDEMPOTENTE
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scan_logs_uid ON scan_logs(uid);
+
+COMMENT ON COLUMN scan_logs.uid IS 'Identifiant unique du scan (généré par l''appareil pour les scans offline)';
@@ -0,0 +1,17 @@
+-- ========================================
+-- MIGRATION 004: SCANS EN MODE DÉGRADÉ
+-- ========================================
+-- Quand event-planner-core est injoignable, les tickets sont validés sur le
+-- cache offline : le scan est marqué dégradé jusqu'à sa confirmation par le core
+-- Version IDEMPOTENTE
+
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS degraded BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS core_confirmation VARCHAR(20)
+    CHECK (core_confirmation IN ('pending', 'confirmed', 'rejected'));
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS core_confirmed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_degraded_pending
+    ON scan_logs(scanned_at) WHERE degraded AND core_confirmation = 'pending';
+
+COMMENT ON COLUMN scan_logs.degraded IS 'Ticket validé sur le cache offline (event-planner-core injoignable)';
+COMMENT ON COLUMN scan_logs.core_confirmation IS 'Confirmation différée par event-planner-core : pending | confirmed | rejected';
@@ -0,0 +1,29 @@
+-- ========================================
+-- MIGRATION 005: SORTIES ET RÉ-ENTRÉES
+-- ========================================
+-- Les scans portent un sens de passage (entrée / sortie) ; le cache des tickets
+-- scannés suit la présence du porteur pour autoriser les ré-entrées
+-- Version IDEMPOTENTE
+
+-- Sens de passage des scans
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS direction VARCHAR(10) NOT NULL DEFAULT 'entry'
+    CHECK (direction IN ('entry', 'exit'));
+
+-- Nouveau résultat : ré-entrée après une sortie
+ALTER TABLE scan_logs DROP CONSTRAINT IF EXISTS scan_logs_result_check;
+ALTER TABLE scan_logs ADD CONSTRAINT scan_logs_result_check
+    CHECK (result IN ('valid', 'invalid', 'already_used', 'expired', 'fraud_detected', 'reentry'));
+
+-- État de présence par ticket
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS presence VARCHAR(10) NOT NULL DEFAULT 'outside'
+    CHECK (presence IN ('inside', 'outside'));
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS entry_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS exit_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS last_entry_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS last_exit_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_scanned_tickets_cache_presence ON scanned_tickets_cache(presence);
+
+COMMENT ON COLUMN scan_logs.direction IS 'Sens de passage : entry | exit';
+COMMENT ON COLUMN scanned_tickets_cache.presence IS 'Porteur actuellement à l''intérieur (inside) ou à l''extérieur (outside)';
+COMMENT ON COLUMN scanned_tickets_cache.entry_count IS 'Nombre d''admissions (première entrée et ré-entrées)';
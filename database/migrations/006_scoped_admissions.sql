@@ -0,0 +1,17 @@
+-- ========================================
+-- MIGRATION 006: ADMISSIONS PAR JOUR / PAR SÉANCE
+-- ========================================
+-- Les tickets multi-jours ou par séance sont admis une fois par créneau
+-- (ex : day:2026-07-10, session:ws-1) au lieu d'une seule fois
+-- Version IDEMPOTENTE
+
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS admission_key VARCHAR(120);
+
+-- Créneau des compteurs d'entrées / sorties et de la présence du cache
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS admission_key VARCHAR(120);
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_ticket_admission ON scan_logs(ticket_id, admission_key)
+    WHERE admission_key IS NOT NULL;
+
+COMMENT ON COLUMN scan_logs.admission_key IS 'Créneau d''admission (day:YYYY-MM-DD ou session:<id>), NULL pour une admission unique';
+COMMENT ON COLUMN scanned_tickets_cache.admission_key IS 'Créneau auquel se rapportent presence, entry_count et exit_count';
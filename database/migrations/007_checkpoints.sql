@@ -0,0 +1,37 @@
+-- ========================================
+-- MIGRATION 007: POINTS DE CONTRÔLE ET ZONES
+-- ========================================
+-- Points de contrôle par événement (VIP, backstage, presse) avec types de
+-- tickets et zones autorisés ; les scans sont rattachés à leur point de contrôle
+-- Version IDEMPOTENTE
+
+CREATE TABLE IF NOT EXISTS checkpoints (
+    id BIGSERIAL PRIMARY KEY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    event_id BIGINT NOT NULL,
+    code VARCHAR(100) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    zone VARCHAR(100),
+    allowed_ticket_types JSONB,
+    allowed_zones JSONB,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by BIGINT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_checkpoints_event_code ON checkpoints(event_id, code) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_checkpoints_event_id ON checkpoints(event_id) WHERE deleted_at IS NULL;
+
+-- Point de contrôle du scan (sans clé étrangère : les scans refusés pour un
+-- point de contrôle inconnu sont aussi journalisés)
+ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS checkpoint_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_checkpoint_id ON scan_logs(checkpoint_id, scanned_at)
+    WHERE checkpoint_id IS NOT NULL;
+
+COMMENT ON COLUMN checkpoints.allowed_ticket_types IS 'Types de tickets admis (NULL : tous)';
+COMMENT ON COLUMN checkpoints.allowed_zones IS 'Zones de ticket admises (NULL : toutes)';
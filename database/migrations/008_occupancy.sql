@@ -0,0 +1,29 @@
+-- ========================================
+-- MIGRATION 008: OCCUPATION EN DIRECT
+-- ========================================
+-- Le cache des tickets scannés rattache chaque porteur à son événement et à
+-- la zone de sa dernière entrée ; des jauges limitent l'occupation par
+-- événement et par zone
+-- Version IDEMPOTENTE
+
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS event_id BIGINT;
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS zone VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_scanned_tickets_cache_occupancy ON scanned_tickets_cache(event_id, zone)
+    WHERE presence = 'inside';
+
+-- Jauges par événement (zone NULL : tout le site) et par zone
+CREATE TABLE IF NOT EXISTS occupancy_limits (
+    id BIGSERIAL PRIMARY KEY,
+    event_id BIGINT NOT NULL,
+    zone VARCHAR(100),
+    capacity INTEGER NOT NULL CHECK (capacity >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_by BIGINT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_occupancy_limits_event_zone ON occupancy_limits(event_id, (COALESCE(zone, '')));
+
+COMMENT ON COLUMN scanned_tickets_cache.zone IS 'Zone du point de contrôle de la dernière entrée';
+COMMENT ON TABLE occupancy_limits IS 'Jauges d''occupation par événement (zone NULL) et par zone';
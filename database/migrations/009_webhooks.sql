@@ -0,0 +1,48 @@
+-- ========================================
+-- MIGRATION 009: WEBHOOKS SORTANTS
+-- ========================================
+-- Abonnements webhook par événement (scans, fraudes, fin de session) et
+-- journal des livraisons signées ; les livraisons épuisées restent en
+-- liste des lettres mortes (status = 'dead')
+-- Version IDEMPOTENTE
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    event_id BIGINT NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    event_types JSONB NOT NULL,
+    description VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_event_id ON webhook_subscriptions(event_id) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid() UNIQUE,
+    subscription_id BIGINT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_dead ON webhook_deliveries(created_at DESC) WHERE status = 'dead';
+
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'Secret HMAC-SHA256 de signature des livraisons';
+COMMENT ON COLUMN webhook_deliveries.status IS 'pending | delivered | failed (nouvel essai prévu) | dead (essais épuisés)';
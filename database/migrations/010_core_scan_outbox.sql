@@ -0,0 +1,34 @@
+-- ========================================
+-- MIGRATION 010: OUTBOX DE SYNCHRONISATION VERS EVENT-PLANNER-CORE
+-- ========================================
+-- Chaque scan admis à transmettre au core est écrit dans l'outbox dans la
+-- même transaction que son log : un relais le livre ensuite avec nouveaux
+-- essais et clé d'idempotence (uid du log), jusqu'à livraison ou abandon
+-- Version IDEMPOTENTE
+
+CREATE TABLE IF NOT EXISTS core_scan_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    scan_log_id BIGINT NOT NULL REFERENCES scan_logs(id) ON DELETE CASCADE,
+    idempotency_key UUID NOT NULL UNIQUE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_core_scan_outbox_due
+    ON core_scan_outbox(next_attempt_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_core_scan_outbox_failed
+    ON core_scan_outbox(updated_at) WHERE status = 'failed';
+CREATE INDEX IF NOT EXISTS idx_core_scan_outbox_scan_log_id ON core_scan_outbox(scan_log_id);
+
+COMMENT ON TABLE core_scan_outbox IS 'Scans à transmettre à event-planner-core (outbox transactionnelle)';
+COMMENT ON COLUMN core_scan_outbox.idempotency_key IS 'Uid du log de scan, envoyé en en-tête Idempotency-Key';
+COMMENT ON COLUMN core_scan_outbox.status IS 'pending | processing (réservé par un relais jusqu''à locked_until) | delivered | failed (abandonné)';
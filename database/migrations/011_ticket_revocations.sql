@@ -0,0 +1,31 @@
+-- ========================================
+-- MIGRATION 011: RÉVOCATION DE TICKETS
+-- ========================================
+-- Tickets dont le QR code reste cryptographiquement valide mais ne doit plus
+-- être admis (remboursé, transféré, déclaré volé), identifiés par ID de
+-- ticket ou par nonce de QR code ; poussés par event-planner-core et
+-- ticket-generator, vérifiés à chaque validation et inclus dans les bundles offline
+-- Version IDEMPOTENTE
+
+CREATE TABLE IF NOT EXISTS ticket_revocations (
+    id BIGSERIAL PRIMARY KEY,
+    event_id BIGINT NOT NULL,
+    revocation_type VARCHAR(20) NOT NULL
+        CHECK (revocation_type IN ('ticket', 'nonce')),
+    revocation_key VARCHAR(255) NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    note VARCHAR(500),
+    source VARCHAR(100),
+    revoked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (event_id, revocation_type, revocation_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_revocations_event_updated
+    ON ticket_revocations(event_id, updated_at);
+
+COMMENT ON TABLE ticket_revocations IS 'Tickets et QR codes révoqués, refusés avec TICKET_REVOKED';
+COMMENT ON COLUMN ticket_revocations.revocation_type IS 'ticket (ID du ticket) | nonce (nonce / jti du QR code)';
+COMMENT ON COLUMN ticket_revocations.reason IS 'refunded | transferred | stolen | cancelled | other';
+COMMENT ON COLUMN ticket_revocations.source IS 'Service à l''origine de la révocation (event-planner-core, ticket-generator)';
@@ -0,0 +1,12 @@
+-- ========================================
+-- MIGRATION 012: ZONES IMBRIQUÉES
+-- ========================================
+-- Un point de contrôle intérieur (VIP, backstage, presse) ouvre sa zone depuis
+-- une zone parente du site : le porteur passe d'une zone à l'autre sans
+-- ressortir du site. Le cache des tickets scannés garde la zone courante.
+-- Version IDEMPOTENTE
+
+ALTER TABLE checkpoints ADD COLUMN IF NOT EXISTS parent_zone VARCHAR(100);
+
+COMMENT ON COLUMN checkpoints.parent_zone IS 'Zone depuis laquelle on accède à la zone du point de contrôle (NULL : point de contrôle en bordure du site)';
+COMMENT ON COLUMN scanned_tickets_cache.zone IS 'Zone où se trouve le porteur (dernière entrée ou changement de zone)';
@@ -0,0 +1,12 @@
+-- ========================================
+-- MIGRATION 013: FENCING DE LA PRÉSENCE
+-- ========================================
+-- Chaque passage admis écrit le jeton de fencing du verrou de scan qui l'a
+-- validé ; la présence n'est mise à jour que par un jeton au moins égal au
+-- dernier enregistré. Un scan dont le verrou a expiré puis a été repris ne
+-- peut plus écraser le passage du scan suivant.
+-- Version IDEMPOTENTE
+
+ALTER TABLE scanned_tickets_cache ADD COLUMN IF NOT EXISTS fencing_token BIGINT;
+
+COMMENT ON COLUMN scanned_tickets_cache.fencing_token IS 'Jeton de fencing du verrou de scan du dernier passage admis';
@@ -0,0 +1,212 @@
+const checkpointsService = require('../../core/checkpoints/checkpoints.service');
+const {
+  successResponse,
+  createdResponse,
+  errorResponse,
+  checkpointResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service des points de contrôle
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForCheckpointError(code) {
+  switch (code) {
+    case 'CHECKPOINT_NOT_FOUND':
+      return 404;
+    case 'CHECKPOINT_CODE_EXISTS':
+      return 409;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur pour les points de contrôle par événement
+ * Responsabilité : Interface API de configuration des points de contrôle et de leurs statistiques
+ */
+class CheckpointsController {
+  /**
+   * Liste les points de contrôle d'un événement
+   */
+  async listEventCheckpoints(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await checkpointsService.listCheckpoints(eventId, {
+        includeInactive: req.query.includeInactive
+      });
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Points de contrôle récupérés', {
+          eventId,
+          checkpoints: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list checkpoints', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des points de contrôle', null, 'CHECKPOINTS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère un point de contrôle
+   */
+  async getCheckpoint(req, res) {
+    try {
+      const result = await checkpointsService.getCheckpoint(req.params.checkpointId);
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Point de contrôle récupéré', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get checkpoint', {
+        error: error.message,
+        checkpointId: req.params.checkpointId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération du point de contrôle', null, 'CHECKPOINTS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Crée un point de contrôle pour un événement
+   */
+  async createCheckpoint(req, res) {
+    try {
+      const result = await checkpointsService.createCheckpoint(req.body);
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Point de contrôle créé', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to create checkpoint', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la création du point de contrôle', null, 'CHECKPOINT_CREATION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Met à jour un point de contrôle
+   */
+  async updateCheckpoint(req, res) {
+    try {
+      const result = await checkpointsService.updateCheckpoint(req.params.checkpointId, req.body);
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Point de contrôle mis à jour', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to update checkpoint', {
+        error: error.message,
+        checkpointId: req.params.checkpointId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la mise à jour du point de contrôle', null, 'CHECKPOINT_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Supprime un point de contrôle
+   */
+  async deleteCheckpoint(req, res) {
+    try {
+      const result = await checkpointsService.deleteCheckpoint(req.params.checkpointId);
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Point de contrôle supprimé', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to delete checkpoint', {
+        error: error.message,
+        checkpointId: req.params.checkpointId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la suppression du point de contrôle', null, 'CHECKPOINT_DELETION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Statistiques de scan d'un point de contrôle
+   */
+  async getCheckpointStats(req, res) {
+    try {
+      const { checkpointId } = req.params;
+      const { startDate, endDate } = req.query;
+
+      const result = await checkpointsService.getCheckpointStats(checkpointId, { startDate, endDate });
+
+      if (!result.success) {
+        return res.status(statusForCheckpointError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        checkpointResponse(result.data, {
+          period: { startDate: startDate || null, endDate: endDate || null }
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to get checkpoint stats', {
+        error: error.message,
+        checkpointId: req.params.checkpointId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des statistiques du point de contrôle', null, 'CHECKPOINT_STATS_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new CheckpointsController();
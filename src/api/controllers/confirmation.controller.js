@@ -236,7 +236,7 @@ async function recordFraudAttempt(ticketId, validationResult, scanMetadata) {
     await client.query(fraudQuery, [
       scanLogId,
       validationResult.fraud_flags.type || 'UNKNOWN',
-      validationResult.fraud_flags.severity || 'medium',
+      String(validationResult.fraud_flags.severity || 'medium').toLowerCase(),
       JSON.stringify(validationResult.fraud_flags.details || {}),
       scanMetadata?.ip_address || null,
       scanMetadata?.user_agent || null,
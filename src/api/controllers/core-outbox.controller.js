@@ -0,0 +1,118 @@
+const coreScanOutboxService = require('../../core/outbox/core-scan-outbox.service');
+const {
+  successResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service de l'outbox
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForOutboxError(code) {
+  switch (code) {
+    case 'CORE_OUTBOX_ENTRY_NOT_FOUND':
+      return 404;
+    case 'CORE_OUTBOX_UNAVAILABLE':
+      return 503;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur de l'outbox de synchronisation vers event-planner-core
+ * Responsabilité : Suivi des livraisons en attente ou abandonnées et remise en attente
+ */
+class CoreOutboxController {
+  /**
+   * État de la synchronisation (entrées par statut et retard)
+   */
+  async getStatus(req, res) {
+    try {
+      const result = await coreScanOutboxService.getStatus();
+
+      if (!result.success) {
+        return res.status(statusForOutboxError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('État de la synchronisation vers le core', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get core outbox status', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de l\'état de la synchronisation', null, 'CORE_OUTBOX_STATUS_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Liste les entrées de l'outbox (filtre par statut)
+   */
+  async listEntries(req, res) {
+    try {
+      const result = await coreScanOutboxService.listEntries({
+        status: req.query.status,
+        limit: req.query.limit
+      });
+
+      if (!result.success) {
+        return res.status(statusForOutboxError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Entrées de l\'outbox récupérées', {
+          entries: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list core outbox entries', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des entrées de l\'outbox', null, 'CORE_OUTBOX_LIST_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Remet en attente une entrée abandonnée
+   */
+  async retryEntry(req, res) {
+    try {
+      const result = await coreScanOutboxService.retryEntry(req.params.entryId);
+
+      if (!result.success) {
+        return res.status(statusForOutboxError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(202).json(
+        successResponse('Entrée remise en attente de synchronisation', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to retry core outbox entry', {
+        error: error.message,
+        entryId: req.params.entryId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la remise en attente de l\'entrée', null, 'CORE_OUTBOX_RETRY_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new CoreOutboxController();
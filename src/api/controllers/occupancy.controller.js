@@ -0,0 +1,116 @@
+const occupancyService = require('../../core/occupancy/occupancy.service');
+const {
+  successResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service d'occupation
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForOccupancyError(code) {
+  switch (code) {
+    case 'CAPACITY_NOT_FOUND':
+      return 404;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur pour l'occupation en direct
+ * Responsabilité : Interface API de l'occupation par événement / zone et des jauges
+ */
+class OccupancyController {
+  /**
+   * Occupation en direct d'un événement
+   */
+  async getEventOccupancy(req, res) {
+    try {
+      const result = await occupancyService.getOccupancy(req.params.eventId);
+
+      if (!result.success) {
+        return res.status(statusForOccupancyError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Occupation récupérée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get event occupancy', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de l\'occupation', null, 'OCCUPANCY_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Définit la jauge d'un événement ou d'une zone
+   */
+  async setCapacity(req, res) {
+    try {
+      const result = await occupancyService.setCapacity({
+        eventId: req.params.eventId,
+        zone: req.body.zone,
+        capacity: req.body.capacity
+      });
+
+      if (!result.success) {
+        return res.status(statusForOccupancyError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Jauge enregistrée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to set occupancy limit', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de l\'enregistrement de la jauge', null, 'CAPACITY_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Supprime la jauge d'un événement ou d'une zone
+   */
+  async removeCapacity(req, res) {
+    try {
+      const result = await occupancyService.removeCapacity(req.params.eventId, req.query.zone);
+
+      if (!result.success) {
+        return res.status(statusForOccupancyError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Jauge supprimée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to delete occupancy limit', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la suppression de la jauge', null, 'CAPACITY_DELETION_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new OccupancyController();
@@ -0,0 +1,120 @@
+const ticketRevocationsService = require('../../core/revocations/ticket-revocations.service');
+const {
+  successResponse,
+  createdResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service des révocations
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForRevocationError(code) {
+  switch (code) {
+    case 'REVOCATIONS_UNAVAILABLE':
+    case 'REVOCATION_FAILED':
+      return 503;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur des révocations de tickets
+ * Responsabilité : Réception des révocations poussées par les services internes et consultation
+ */
+class RevocationsController {
+  /**
+   * Révoque un ticket ou un QR code
+   */
+  async revoke(req, res) {
+    try {
+      const result = await ticketRevocationsService.revoke(req.body);
+
+      if (!result.success) {
+        return res.status(statusForRevocationError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Ticket révoqué', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to revoke ticket', {
+        error: error.message,
+        eventId: req.body.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la révocation du ticket', null, 'REVOCATION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Révoque un lot de tickets / QR codes
+   */
+  async revokeMany(req, res) {
+    try {
+      const result = await ticketRevocationsService.revokeMany(req.body.revocations, req.body.source);
+
+      if (!result.success) {
+        return res.status(statusForRevocationError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Tickets révoqués', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to revoke tickets in bulk', {
+        error: error.message,
+        count: req.body.revocations.length
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la révocation des tickets', null, 'REVOCATION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Liste les révocations d'un événement
+   */
+  async listEventRevocations(req, res) {
+    try {
+      const result = await ticketRevocationsService.listRevocations(req.params.eventId, {
+        since: req.query.since,
+        limit: req.query.limit
+      });
+
+      if (!result.success) {
+        return res.status(statusForRevocationError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Révocations récupérées', {
+          revocations: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list ticket revocations', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des révocations', null, 'REVOCATIONS_LIST_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new RevocationsController();
@@ -0,0 +1,261 @@
+const scanOperatorsService = require('../../core/operators/scan-operators.service');
+const {
+  successResponse,
+  createdResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service des opérateurs
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForOperatorError(code) {
+  switch (code) {
+    case 'OPERATOR_NOT_FOUND':
+      return 404;
+    case 'ACCESS_CODE_IN_USE':
+      return 409;
+    case 'INVALID_ACCESS_CODE':
+      return 401;
+    case 'OPERATOR_EVENT_MISMATCH':
+      return 403;
+    case 'OPERATOR_AUTH_NOT_CONFIGURED':
+      return 503;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur pour les opérateurs de scan
+ * Responsabilité : Enrôlement (inter-services) et connexion des opérateurs
+ */
+class ScanOperatorsController {
+  /**
+   * Connecte un opérateur avec son code d'accès et retourne un jeton signé
+   */
+  async login(req, res) {
+    try {
+      const { accessCode, deviceId, eventId } = req.body;
+
+      const result = await scanOperatorsService.login(accessCode, { deviceId, eventId });
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Opérateur connecté', {
+          token: result.token,
+          tokenType: 'Bearer',
+          expiresAt: result.expiresAt,
+          operator: result.operator
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to log in scan operator', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la connexion de l\'opérateur', null, 'OPERATOR_LOGIN_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Retourne l'opérateur authentifié par son jeton
+   */
+  async getCurrentOperator(req, res) {
+    if (!req.operator) {
+      return res.status(401).json(
+        errorResponse('Jeton opérateur requis', null, 'OPERATOR_TOKEN_REQUIRED')
+      );
+    }
+
+    return res.status(200).json(
+      successResponse('Opérateur authentifié', req.operator)
+    );
+  }
+
+  /**
+   * Enrôle un opérateur de scan
+   */
+  async enrollOperator(req, res) {
+    try {
+      const result = await scanOperatorsService.enrollOperator(req.body);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Opérateur de scan enrôlé', {
+          ...result.operator,
+          accessCode: result.accessCode
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to enroll scan operator', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de l\'enrôlement de l\'opérateur', null, 'OPERATOR_ENROLLMENT_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Liste les opérateurs de scan
+   */
+  async listOperators(req, res) {
+    try {
+      const result = await scanOperatorsService.listOperators(req.query);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Opérateurs de scan récupérés', {
+          operators: result.operators,
+          count: result.operators.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list scan operators', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des opérateurs', null, 'OPERATORS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère un opérateur de scan
+   */
+  async getOperator(req, res) {
+    try {
+      const result = await scanOperatorsService.getOperator(req.params.operatorId);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Opérateur de scan récupéré', result.operator)
+      );
+    } catch (error) {
+      logger.error('Failed to get scan operator', {
+        error: error.message,
+        operatorId: req.params.operatorId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de l\'opérateur', null, 'OPERATORS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Met à jour les permissions ou l'état d'un opérateur
+   */
+  async updateOperator(req, res) {
+    try {
+      const result = await scanOperatorsService.updateOperator(req.params.operatorId, req.body);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Opérateur de scan mis à jour', result.operator)
+      );
+    } catch (error) {
+      logger.error('Failed to update scan operator', {
+        error: error.message,
+        operatorId: req.params.operatorId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la mise à jour de l\'opérateur', null, 'OPERATOR_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Régénère le code d'accès d'un opérateur
+   */
+  async regenerateAccessCode(req, res) {
+    try {
+      const result = await scanOperatorsService.regenerateAccessCode(req.params.operatorId);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Code d\'accès régénéré', {
+          ...result.operator,
+          accessCode: result.accessCode
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to regenerate scan operator access code', {
+        error: error.message,
+        operatorId: req.params.operatorId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la régénération du code d\'accès', null, 'OPERATOR_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Révoque un opérateur de scan
+   */
+  async deleteOperator(req, res) {
+    try {
+      const result = await scanOperatorsService.deleteOperator(req.params.operatorId);
+
+      if (!result.success) {
+        return res.status(statusForOperatorError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Opérateur de scan révoqué', { id: req.params.operatorId })
+      );
+    } catch (error) {
+      logger.error('Failed to delete scan operator', {
+        error: error.message,
+        operatorId: req.params.operatorId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la révocation de l\'opérateur', null, 'OPERATOR_DELETION_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new ScanOperatorsController();
@@ -0,0 +1,108 @@
+const scanEventBus = require('../../core/events/scan-event-bus');
+const { errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+const HEARTBEAT_INTERVAL = parseInt(process.env.SCAN_STREAM_HEARTBEAT_MS) || 15000; // 15s
+const MAX_SUBSCRIBERS = parseInt(process.env.SCAN_STREAM_MAX_SUBSCRIBERS) || 100;
+const RECONNECT_DELAY = 5000; // 5s, délai de reconnexion conseillé au client
+
+/**
+ * Découpe un paramètre de requête séparé par des virgules
+ * @param {string|undefined} value - Valeur brute (ex : "1,2")
+ * @returns {Array<string>|undefined} Valeurs
+ */
+function splitList(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Formate un événement au format Server-Sent Events
+ * @param {Object} event - Événement publié
+ * @returns {string} Trame SSE
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Contrôleur du flux temps réel des scans
+ * Responsabilité : Diffusion Server-Sent Events des validations, fraudes et sessions d'un événement
+ */
+class ScanStreamController {
+  /**
+   * Ouvre un flux SSE des scans d'un événement
+   * Filtres : checkpointId, result, types (listes séparées par des virgules)
+   */
+  async streamEventScans(req, res) {
+    const { eventId } = req.params;
+
+    if (req.operator && req.operator.eventId &&
+        String(req.operator.eventId) !== String(eventId)) {
+      return res.status(403).json(
+        errorResponse('Opérateur non autorisé pour cet événement', null, 'OPERATOR_EVENT_MISMATCH')
+      );
+    }
+
+    if (scanEventBus.getSubscriberCount() >= MAX_SUBSCRIBERS) {
+      return res.status(503).json(
+        errorResponse('Nombre maximal de flux atteint, réessayer plus tard', null, 'SCAN_STREAM_LIMIT_REACHED')
+      );
+    }
+
+    const filters = {
+      eventId,
+      checkpointIds: splitList(req.query.checkpointId),
+      results: splitList(req.query.result),
+      types: splitList(req.query.types)
+    };
+
+    // no-transform : la compression ne doit pas retenir les trames
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    // Reprise après reconnexion : événements manqués encore en mémoire
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+    if (!isNaN(lastEventId)) {
+      for (const event of scanEventBus.getEventsSince(lastEventId, filters)) {
+        res.write(formatEvent(event));
+      }
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    const unsubscribe = scanEventBus.subscribe(
+      filters,
+      event => res.write(formatEvent(event)),
+      { onClose: () => res.end() }
+    );
+
+    logger.info('Scan stream opened', {
+      eventId,
+      operatorId: req.operator ? req.operator.id : undefined,
+      subscribers: scanEventBus.getSubscriberCount()
+    });
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+
+      logger.info('Scan stream closed', {
+        eventId,
+        operatorId: req.operator ? req.operator.id : undefined
+      });
+    });
+  }
+}
+
+module.exports = new ScanStreamController();
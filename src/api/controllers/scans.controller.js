@@ -1,8 +1,12 @@
 const validationService = require('../../core/validation/validation.service');
 const scanService = require('../../core/scan/scan.service');
 const offlineService = require('../../core/offline/offline.service');
+const offlineBundleService = require('../../core/offline/offline-bundle.service');
+const scanOperatorsService = require('../../core/operators/scan-operators.service');
+const ticketRevocationsService = require('../../core/revocations/ticket-revocations.service');
 const { 
   successResponse, 
+  createdResponse,
   validationResponse,
   scanResponse,
   statsResponse,
@@ -12,6 +16,36 @@ const {
 } = require('../../utils/response');
 const logger = require('../../utils/logger');
 
+/**
+ * Construit le contexte de scan en attribuant le scan à l'opérateur authentifié
+ * @param {Object} req - Requête Express
+ * @param {Object} scanContext - Contexte de scan fourni par l'appareil
+ * @returns {Object} Contexte de scan enrichi
+ */
+function buildScanContext(req, scanContext) {
+  const context = {
+    ...scanContext,
+    timestamp: new Date().toISOString()
+  };
+
+  if (req.operator) {
+    context.operatorId = req.operator.id;
+    context.operatorEventId = req.operator.eventId || null;
+  }
+
+  return context;
+}
+
+/**
+ * Identifiant de ticket enregistrable dans scan_logs.ticket_id (BIGINT)
+ * Un QR code forgé ou malformé peut porter un identifiant quelconque
+ * @param {*} ticketId - Identifiant décodé du QR code
+ * @returns {string|number|null} Identifiant numérique ou null
+ */
+function toScanLogTicketId(ticketId) {
+  return /^\d{1,18}$/.test(String(ticketId)) ? ticketId : null;
+}
+
 /**
  * Contrôleur pour la validation de tickets
  * Responsabilité : Interface API pour la validation de tickets uniquement
@@ -32,34 +66,45 @@ class ScansController {
         );
       }
 
+      // Le forçage des règles d'admission est réservé aux opérateurs habilités
+      if (scanContext.override &&
+          !scanOperatorsService.hasPermission(req.operator, scanOperatorsService.PERMISSIONS.CAN_OVERRIDE)) {
+        return res.status(403).json(
+          errorResponse('Forçage non autorisé pour cet opérateur', null, 'OVERRIDE_NOT_PERMITTED')
+        );
+      }
+
       logger.scan('Starting ticket validation', {
         hasScanContext: !!scanContext,
         scanLocation: scanContext.location,
-        deviceId: scanContext.deviceId
+        deviceId: scanContext.deviceId,
+        operatorId: req.operator ? req.operator.id : undefined
       });
 
+      const context = buildScanContext(req, scanContext);
+
       // Utiliser le service de validation orchestré
-      const validationResult = await validationService.validateTicket(
-        qrCode,
-        {
-          ...scanContext,
-          timestamp: new Date().toISOString()
-        }
-      );
+      const validationResult = await validationService.validateTicket(qrCode, context);
 
       if (!validationResult.success) {
-        // Enregistrer la tentative de scan échouée
+        // Enregistrer la tentative de scan échouée, avec le ticket décodé s'il est connu :
+        // les indicateurs de fraude (QR rejoué, ticket révoqué...) alimentent fraud_attempts
         if (validationResult.validationId) {
+          const ticket = validationResult.ticket || {};
+          const ticketId = toScanLogTicketId(ticket.id);
+
           await scanService.recordScan({
             validationId: validationResult.validationId,
-            sessionId: null,
-            ticketId: 'UNKNOWN',
-            eventId: 'UNKNOWN',
+            sessionId: scanContext.sessionId || null,
+            ticketId,
+            // Identifiant non numérique : conservé (tronqué) dans les détails du log
+            rawTicketId: ticket.id && ticketId === null ? String(ticket.id).slice(0, 255) : null,
+            eventId: ticket.eventId || null,
             result: 'invalid',
-            scanContext,
+            scanContext: context,
             timestamp: new Date().toISOString(),
             validationTime: validationResult.validationTime,
-            fraudFlags: null
+            fraudFlags: validationResult.fraudFlags || null
           }).catch(err => {
             logger.error('Failed to record failed scan', {
               error: err.message,
@@ -69,31 +114,17 @@ class ScansController {
         }
 
         return res.status(400).json(
-          ticketValidationErrorResponse(validationResult.error, validationResult.code)
+          ticketValidationErrorResponse(
+            validationResult.error,
+            validationResult.code,
+            validationResult.failedRule
+              ? { failedRule: validationResult.failedRule }
+              : (validationResult.occupancy ? { occupancy: validationResult.occupancy } : null)
+          )
         );
       }
 
-      // Enregistrer le scan réussi
-      await scanService.recordScan({
-        validationId: validationResult.validationId,
-        sessionId: null,
-        ticketId: validationResult.ticket.id,
-        eventId: validationResult.ticket.eventId,
-        result: 'valid',
-        scanContext,
-        timestamp: new Date().toISOString(),
-        validationTime: validationResult.validationTime,
-        qrMetadata: validationResult.metadata?.qrValidation,
-        businessValidation: validationResult.metadata?.businessValidation,
-        fraudFlags: null
-      }).catch(err => {
-        logger.error('Failed to record successful scan', {
-          error: err.message,
-          validationId: validationResult.validationId,
-          ticketId: validationResult.ticket.id
-        });
-      });
-
+      // Le scan réussi est enregistré par le service de validation
       return res.status(200).json(
         validationResponse(validationResult)
       );
@@ -124,10 +155,7 @@ class ScansController {
 
       const validationResult = await offlineService.validateTicketOffline(
         ticketId,
-        {
-          ...scanContext,
-          timestamp: new Date().toISOString()
-        }
+        buildScanContext(req, scanContext)
       );
 
       if (!validationResult.success) {
@@ -151,6 +179,349 @@ class ScansController {
     }
   }
 
+  /**
+   * Reçoit le lot de scans effectués hors ligne par un appareil
+   * Chaque scan est enregistré dans scan_logs ; un renvoi du même lot est dédupliqué
+   */
+  async uploadOfflineBatch(req, res) {
+    try {
+      const batchResult = await scanService.recordOfflineBatch(
+        req.body,
+        buildScanContext(req, {})
+      );
+
+      const { summary } = batchResult;
+
+      return res.status(200).json(
+        successResponse(
+          summary.failed > 0
+            ? 'Lot de scans offline partiellement enregistré'
+            : 'Lot de scans offline enregistré',
+          batchResult
+        )
+      );
+    } catch (error) {
+      logger.error('Failed to upload offline scan batch', {
+        error: error.message,
+        deviceId: req.body.deviceId,
+        batchId: req.body.batchId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de l\'enregistrement du lot de scans offline', null, 'OFFLINE_BATCH_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Synchronise les scans offline en attente et renvoie le rapport de conflits par appareil
+   */
+  async syncOfflineData(req, res) {
+    try {
+      const syncResult = await offlineService.syncOfflineData();
+
+      if (syncResult.error) {
+        return res.status(syncResult.code === 'SYNC_IN_PROGRESS' ? 409 : 500).json(
+          errorResponse(syncResult.error, null, syncResult.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse(
+          syncResult.conflicts.total > 0
+            ? 'Synchronisation terminée avec des doubles entrées'
+            : 'Synchronisation terminée',
+          syncResult
+        )
+      );
+    } catch (error) {
+      logger.error('Failed to sync offline data', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la synchronisation offline', null, 'OFFLINE_SYNC_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Démarre le préchargement du manifeste des tickets d'un événement
+   * Répond immédiatement avec le job (202), la progression est consultable ensuite
+   */
+  async startManifestPreload(req, res) {
+    try {
+      const { eventId, pageSize } = req.body;
+
+      if (req.operator && req.operator.eventId && String(req.operator.eventId) !== String(eventId)) {
+        return res.status(403).json(
+          errorResponse('Opérateur non autorisé pour cet événement', null, 'OPERATOR_EVENT_MISMATCH')
+        );
+      }
+
+      const preloadResult = offlineService.startManifestPreload(eventId, {
+        pageSize,
+        requestedBy: req.operator ? req.operator.id : null
+      });
+
+      return res.status(202).json(
+        successResponse(
+          preloadResult.alreadyRunning
+            ? 'Préchargement du manifeste déjà en cours'
+            : 'Préchargement du manifeste démarré',
+          preloadResult.job
+        )
+      );
+    } catch (error) {
+      logger.error('Failed to start manifest preload', {
+        error: error.message,
+        eventId: req.body.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec du démarrage du préchargement', null, 'MANIFEST_PRELOAD_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère la progression d'un préchargement de manifeste
+   */
+  async getManifestPreloadJob(req, res) {
+    const job = offlineService.getPreloadJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json(
+        errorResponse('Job de préchargement non trouvé', null, 'PRELOAD_JOB_NOT_FOUND')
+      );
+    }
+
+    return res.status(200).json(
+      successResponse('Job de préchargement récupéré', {
+        ...job,
+        manifest: offlineService.getManifestInfo(job.eventId)
+      })
+    );
+  }
+
+  /**
+   * Exporte le bundle offline signé d'un événement (complet ou incrémental)
+   */
+  async getOfflineBundle(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { sinceVersion, hashIds } = req.query;
+
+      if (req.operator && req.operator.eventId && String(req.operator.eventId) !== String(eventId)) {
+        return res.status(403).json(
+          errorResponse('Opérateur non autorisé pour cet événement', null, 'OPERATOR_EVENT_MISMATCH')
+        );
+      }
+
+      await ticketRevocationsService.refreshOfflineRevocations(eventId);
+
+      const bundleResult = offlineBundleService.buildBundle(eventId, { sinceVersion, hashIds });
+
+      if (!bundleResult.success) {
+        return res.status(503).json(
+          errorResponse(bundleResult.error, null, bundleResult.code)
+        );
+      }
+
+      if (bundleResult.summary.type === 'full' && bundleResult.summary.ticketCount === 0) {
+        return res.status(404).json(
+          errorResponse('Aucun ticket en cache pour cet événement, lancer un préchargement', null, 'OFFLINE_BUNDLE_EMPTY')
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Bundle offline généré', bundleResult.bundle, bundleResult.summary)
+      );
+    } catch (error) {
+      logger.error('Failed to build offline bundle', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la génération du bundle offline', null, 'OFFLINE_BUNDLE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Informations de vérification des bundles offline pour le provisionnement des terminaux
+   */
+  async getOfflineBundleKey(req, res) {
+    return res.status(200).json(
+      successResponse('Clé de vérification des bundles offline', offlineBundleService.getVerificationKey())
+    );
+  }
+
+  /**
+   * Démarre une session de scan pour un poste de contrôle
+   */
+  async startScanSession(req, res) {
+    try {
+      const { location, deviceInfo } = req.body;
+      let { operatorId, eventId } = req.body;
+
+      // Une session ouverte par un opérateur authentifié lui est rattachée
+      if (req.operator) {
+        if (req.operator.eventId && eventId && String(eventId) !== String(req.operator.eventId)) {
+          return res.status(403).json(
+            errorResponse('Opérateur non autorisé pour cet événement', null, 'OPERATOR_EVENT_MISMATCH')
+          );
+        }
+
+        operatorId = req.operator.id;
+        eventId = eventId || req.operator.eventId;
+      }
+
+      const sessionResult = await scanService.startScanSession({
+        operatorId,
+        eventId,
+        location,
+        deviceInfo
+      });
+
+      if (!sessionResult.success) {
+        return res.status(400).json(
+          errorResponse(sessionResult.error, null, sessionResult.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Session de scan démarrée', sessionResult.session)
+      );
+    } catch (error) {
+      logger.error('Failed to start scan session', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec du démarrage de la session de scan', null, 'SESSION_START_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Termine une session de scan
+   */
+  async endScanSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      // Un opérateur rattaché à un événement ne gère que les sessions de cet événement
+      const sessionResult = await scanService.endScanSession(sessionId, {
+        operatorEventId: req.operator ? req.operator.eventId : null
+      });
+
+      if (!sessionResult.success) {
+        const status = sessionResult.code === 'SESSION_NOT_FOUND' ? 404
+          : sessionResult.code === 'SESSION_EVENT_MISMATCH' ? 403
+          : sessionResult.code === 'SESSION_ALREADY_ENDED' ? 409
+          : 400;
+
+        return res.status(status).json(
+          errorResponse(sessionResult.error, null, sessionResult.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Session de scan terminée', sessionResult.session)
+      );
+    } catch (error) {
+      logger.error('Failed to end scan session', {
+        error: error.message,
+        sessionId: req.params.sessionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la fin de la session de scan', null, 'SESSION_END_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère les sessions de scan actives
+   */
+  async getActiveScanSessions(req, res) {
+    try {
+      const filters = { ...req.query };
+
+      // Un opérateur rattaché à un événement ne voit que les sessions de cet événement
+      if (req.operator && req.operator.eventId) {
+        if (filters.eventId && String(filters.eventId) !== String(req.operator.eventId)) {
+          return res.status(403).json(
+            errorResponse('Opérateur non autorisé pour cet événement', null, 'OPERATOR_EVENT_MISMATCH')
+          );
+        }
+
+        filters.eventId = req.operator.eventId;
+      }
+
+      const sessionsResult = await scanService.getActiveScanSessions(filters);
+
+      if (!sessionsResult.success) {
+        return res.status(400).json(
+          errorResponse(sessionsResult.error, null, sessionsResult.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Sessions de scan actives récupérées', {
+          sessions: sessionsResult.sessions,
+          count: sessionsResult.sessions.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to get active scan sessions', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des sessions actives', null, 'ACTIVE_SESSIONS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère une session de scan avec ses compteurs
+   */
+  async getScanSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const sessionResult = await scanService.getScanSession(sessionId, {
+        operatorEventId: req.operator ? req.operator.eventId : null
+      });
+
+      if (!sessionResult.success) {
+        const status = sessionResult.code === 'SESSION_NOT_FOUND' ? 404
+          : sessionResult.code === 'SESSION_EVENT_MISMATCH' ? 403
+          : 400;
+
+        return res.status(status).json(
+          errorResponse(sessionResult.error, null, sessionResult.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Session de scan récupérée', sessionResult.session)
+      );
+    } catch (error) {
+      logger.error('Failed to get scan session', {
+        error: error.message,
+        sessionId: req.params.sessionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de la session de scan', null, 'SESSION_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
   /**
    * Récupère l'historique des scans d'un ticket
    */
@@ -301,17 +672,19 @@ class ScansController {
    */
   async getStats(req, res) {
     try {
-      const [validationStats, scanStats, offlineStats] = await Promise.all([
+      const [validationStats, scanStats, offlineStats, recordingMetrics] = await Promise.all([
         validationService.getStats(),
         scanService.getStats(),
-        offlineService.getStats()
+        offlineService.getStats(),
+        validationService.getScanRecordingMetrics()
       ]);
 
       return res.status(200).json(
         successResponse('Statistiques du service de validation', {
           validation: validationStats,
           scan: scanStats,
-          offline: offlineStats
+          offline: offlineStats,
+          recording: recordingMetrics.success ? recordingMetrics.data : null
         })
       );
     } catch (error) {
@@ -324,6 +697,92 @@ class ScansController {
       );
     }
   }
+
+  /**
+   * Métriques de la file d'enregistrement des scans
+   */
+  async getScanRecordingMetrics(req, res) {
+    try {
+      const result = await validationService.getScanRecordingMetrics();
+
+      if (!result.success) {
+        return res.status(503).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Métriques de la file d\'enregistrement', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get scan recording metrics', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des métriques', null, 'SCAN_RECORD_METRICS_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Liste les scans dont l'enregistrement a été abandonné
+   */
+  async listFailedScanRecords(req, res) {
+    try {
+      const result = await validationService.getFailedScanRecords(req.query.limit);
+
+      if (!result.success) {
+        return res.status(503).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Enregistrements en échec récupérés', {
+          jobs: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list failed scan records', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des enregistrements en échec', null, 'SCAN_RECORD_FAILED_LIST_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Remet en file l'enregistrement d'un scan abandonné
+   */
+  async retryFailedScanRecord(req, res) {
+    try {
+      const result = await validationService.retryFailedScanRecord(req.params.jobId);
+
+      if (!result.success) {
+        const status = result.code === 'SCAN_RECORD_JOB_NOT_FOUND' ? 404 : 503;
+        return res.status(status).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(202).json(
+        successResponse('Enregistrement remis en file', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to retry scan record', {
+        error: error.message,
+        jobId: req.params.jobId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la remise en file de l\'enregistrement', null, 'SCAN_RECORD_RETRY_FAILED')
+      );
+    }
+  }
 }
 
 module.exports = new ScansController();
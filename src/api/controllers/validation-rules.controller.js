@@ -0,0 +1,179 @@
+const validationRulesService = require('../../core/rules/validation-rules.service');
+const {
+  successResponse,
+  createdResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service de règles
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForRuleError(code) {
+  switch (code) {
+    case 'RULE_NOT_FOUND':
+      return 404;
+    case 'UNSUPPORTED_RULE_TYPE':
+    case 'INVALID_RULE_PARAMETERS':
+      return 400;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur pour les règles de validation par événement
+ * Responsabilité : Interface API de configuration des règles d'admission
+ */
+class ValidationRulesController {
+  /**
+   * Liste les règles d'un événement
+   */
+  async listEventRules(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await validationRulesService.listRules(eventId, {
+        includeInactive: req.query.includeInactive
+      });
+
+      if (!result.success) {
+        return res.status(statusForRuleError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Règles de validation récupérées', {
+          eventId,
+          rules: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list validation rules', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des règles de validation', null, 'RULES_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Récupère une règle
+   */
+  async getRule(req, res) {
+    try {
+      const result = await validationRulesService.getRule(req.params.ruleId);
+
+      if (!result.success) {
+        return res.status(statusForRuleError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Règle de validation récupérée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get validation rule', {
+        error: error.message,
+        ruleId: req.params.ruleId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de la règle de validation', null, 'RULES_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Crée une règle pour un événement
+   */
+  async createRule(req, res) {
+    try {
+      const result = await validationRulesService.createRule(req.body);
+
+      if (!result.success) {
+        return res.status(statusForRuleError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Règle de validation créée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to create validation rule', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la création de la règle de validation', null, 'RULE_CREATION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Met à jour une règle
+   */
+  async updateRule(req, res) {
+    try {
+      const result = await validationRulesService.updateRule(req.params.ruleId, req.body);
+
+      if (!result.success) {
+        return res.status(statusForRuleError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Règle de validation mise à jour', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to update validation rule', {
+        error: error.message,
+        ruleId: req.params.ruleId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la mise à jour de la règle de validation', null, 'RULE_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Supprime une règle
+   */
+  async deleteRule(req, res) {
+    try {
+      const result = await validationRulesService.deleteRule(req.params.ruleId);
+
+      if (!result.success) {
+        return res.status(statusForRuleError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Règle de validation supprimée', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to delete validation rule', {
+        error: error.message,
+        ruleId: req.params.ruleId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la suppression de la règle de validation', null, 'RULE_DELETION_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new ValidationRulesController();
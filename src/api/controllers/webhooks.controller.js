@@ -0,0 +1,278 @@
+const webhooksService = require('../../core/webhooks/webhooks.service');
+const {
+  successResponse,
+  createdResponse,
+  errorResponse
+} = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Détermine le statut HTTP d'un échec du service des webhooks
+ * @param {string} code - Code d'erreur du service
+ * @returns {number} Statut HTTP
+ */
+function statusForWebhookError(code) {
+  switch (code) {
+    case 'WEBHOOK_NOT_FOUND':
+    case 'WEBHOOK_DELIVERY_NOT_FOUND':
+      return 404;
+    case 'WEBHOOK_ALREADY_DELIVERED':
+      return 409;
+    case 'WEBHOOKS_DISABLED':
+      return 503;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Contrôleur pour les webhooks sortants
+ * Responsabilité : Interface API des abonnements, du journal des livraisons et des lettres mortes
+ */
+class WebhooksController {
+  /**
+   * Liste les abonnements webhook d'un événement
+   */
+  async listEventSubscriptions(req, res) {
+    try {
+      const { eventId } = req.params;
+      const result = await webhooksService.listSubscriptions(eventId);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Abonnements webhook récupérés', {
+          eventId,
+          subscriptions: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list webhook subscriptions', {
+        error: error.message,
+        eventId: req.params.eventId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des abonnements webhook', null, 'WEBHOOKS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Crée un abonnement webhook
+   * NOTE : Le secret de signature n'est renvoyé qu'une seule fois
+   */
+  async createSubscription(req, res) {
+    try {
+      const result = await webhooksService.createSubscription(req.body);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(201).json(
+        createdResponse('Abonnement webhook créé', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to create webhook subscription', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la création de l\'abonnement webhook', null, 'WEBHOOK_CREATION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Détail d'un abonnement webhook
+   */
+  async getSubscription(req, res) {
+    try {
+      const result = await webhooksService.getSubscription(req.params.subscriptionId);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Abonnement webhook récupéré', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to get webhook subscription', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération de l\'abonnement webhook', null, 'WEBHOOKS_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Met à jour un abonnement webhook
+   */
+  async updateSubscription(req, res) {
+    try {
+      const result = await webhooksService.updateSubscription(req.params.subscriptionId, req.body);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Abonnement webhook mis à jour', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to update webhook subscription', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la mise à jour de l\'abonnement webhook', null, 'WEBHOOK_UPDATE_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Supprime un abonnement webhook
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const result = await webhooksService.deleteSubscription(req.params.subscriptionId);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Abonnement webhook supprimé', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to delete webhook subscription', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la suppression de l\'abonnement webhook', null, 'WEBHOOK_DELETION_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Journal des livraisons d'un abonnement
+   */
+  async listSubscriptionDeliveries(req, res) {
+    try {
+      const { subscriptionId } = req.params;
+      const result = await webhooksService.listDeliveries({
+        subscriptionId,
+        status: req.query.status,
+        limit: req.query.limit
+      });
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Livraisons webhook récupérées', {
+          subscriptionId,
+          deliveries: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list webhook deliveries', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des livraisons webhook', null, 'WEBHOOK_DELIVERIES_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Lettres mortes : livraisons abandonnées après épuisement des essais
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const result = await webhooksService.listDeliveries({
+        eventId: req.query.eventId,
+        status: webhooksService.DELIVERY_STATUSES.DEAD,
+        limit: req.query.limit
+      });
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(200).json(
+        successResponse('Lettres mortes récupérées', {
+          deliveries: result.data,
+          count: result.data.length
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to list webhook dead letters', {
+        error: error.message
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la récupération des lettres mortes', null, 'WEBHOOK_DELIVERIES_RETRIEVAL_FAILED')
+      );
+    }
+  }
+
+  /**
+   * Remet en file une livraison en échec ou en lettre morte
+   */
+  async replayDelivery(req, res) {
+    try {
+      const result = await webhooksService.replayDelivery(req.params.deliveryId);
+
+      if (!result.success) {
+        return res.status(statusForWebhookError(result.code)).json(
+          errorResponse(result.error, null, result.code)
+        );
+      }
+
+      return res.status(202).json(
+        successResponse('Livraison webhook remise en file', result.data)
+      );
+    } catch (error) {
+      logger.error('Failed to replay webhook delivery', {
+        error: error.message,
+        deliveryId: req.params.deliveryId
+      });
+
+      return res.status(500).json(
+        errorResponse('Échec de la remise en file de la livraison', null, 'WEBHOOK_REPLAY_FAILED')
+      );
+    }
+  }
+}
+
+module.exports = new WebhooksController();
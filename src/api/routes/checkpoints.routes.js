@@ -0,0 +1,91 @@
+const express = require('express');
+const Joi = require('joi');
+const checkpointsController = require('../controllers/checkpoints.controller');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+const accessListSchema = Joi.array().items(Joi.string().max(100)).min(1).allow(null);
+
+/**
+ * 🚧 ROUTES DE CONFIGURATION DES POINTS DE CONTRÔLE
+ * Points de contrôle par événement (VIP, backstage, presse) et statistiques de scan
+ * NOTE : Configuration réservée aux services internes (X-API-Key)
+ */
+
+router.use(OperatorAuthMiddleware.requireServiceToken());
+
+// GET /api/checkpoints/event/:eventId - Points de contrôle d'un événement
+router.get('/event/:eventId',
+  ValidationMiddleware.validateParams({
+    eventId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    includeInactive: Joi.boolean().default(false)
+  }),
+  checkpointsController.listEventCheckpoints
+);
+
+// POST /api/checkpoints - Créer un point de contrôle
+router.post('/',
+  ValidationMiddleware.validate({
+    eventId: Joi.number().integer().positive().required(),
+    code: Joi.string().max(100).required(),
+    name: Joi.string().max(255).required(),
+    zone: Joi.string().max(100).optional(),
+    // Point de contrôle intérieur : zone d'où l'on accède à la zone du point de contrôle
+    parentZone: Joi.string().max(100).optional(),
+    allowedTicketTypes: accessListSchema.optional(),
+    allowedZones: accessListSchema.optional(),
+    isActive: Joi.boolean().default(true)
+  }),
+  checkpointsController.createCheckpoint
+);
+
+// GET /api/checkpoints/:checkpointId/stats - Statistiques de scan d'un point de contrôle
+router.get('/:checkpointId/stats',
+  ValidationMiddleware.validateParams({
+    checkpointId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+  }),
+  checkpointsController.getCheckpointStats
+);
+
+// GET /api/checkpoints/:checkpointId - Détail d'un point de contrôle
+router.get('/:checkpointId',
+  ValidationMiddleware.validateParams({
+    checkpointId: Joi.number().integer().positive().required()
+  }),
+  checkpointsController.getCheckpoint
+);
+
+// PUT /api/checkpoints/:checkpointId - Mettre à jour un point de contrôle
+// NOTE : null sur une liste autorisée retire la restriction
+router.put('/:checkpointId',
+  ValidationMiddleware.validateParams({
+    checkpointId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validate({
+    name: Joi.string().max(255).optional(),
+    zone: Joi.string().max(100).allow(null).optional(),
+    parentZone: Joi.string().max(100).allow(null).optional(),
+    allowedTicketTypes: accessListSchema.optional(),
+    allowedZones: accessListSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+  checkpointsController.updateCheckpoint
+);
+
+// DELETE /api/checkpoints/:checkpointId - Supprimer un point de contrôle
+router.delete('/:checkpointId',
+  ValidationMiddleware.validateParams({
+    checkpointId: Joi.number().integer().positive().required()
+  }),
+  checkpointsController.deleteCheckpoint
+);
+
+module.exports = router;
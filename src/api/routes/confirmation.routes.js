@@ -29,7 +29,7 @@ const confirmationController = require('../controllers/confirmation.controller')
  *     "block_reason": null,
  *     "fraud_flags": {
  *       "type": "CONCURRENT_SCAN_ATTEMPT",
- *       "severity": "MEDIUM",
+ *       "severity": "medium",
  *       "details": {}
  *     }
  *   },
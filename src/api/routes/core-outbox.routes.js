@@ -0,0 +1,40 @@
+const express = require('express');
+const Joi = require('joi');
+const coreOutboxController = require('../controllers/core-outbox.controller');
+const coreScanOutboxService = require('../../core/outbox/core-scan-outbox.service');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+/**
+ * 📤 ROUTES DE L'OUTBOX DE SYNCHRONISATION VERS EVENT-PLANNER-CORE
+ * Suivi des scans en attente de livraison ou abandonnés
+ * NOTE : Administration réservée aux services internes (X-API-Key)
+ */
+
+router.use(OperatorAuthMiddleware.requireServiceToken());
+
+// GET /api/core-outbox/status - Entrées par statut et retard de synchronisation
+router.get('/status',
+  coreOutboxController.getStatus
+);
+
+// GET /api/core-outbox/entries - Entrées de l'outbox (pending, processing, delivered, failed)
+router.get('/entries',
+  ValidationMiddleware.validateQuery({
+    status: Joi.string().valid(...Object.values(coreScanOutboxService.OUTBOX_STATUSES)).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }),
+  coreOutboxController.listEntries
+);
+
+// POST /api/core-outbox/entries/:entryId/retry - Remettre en attente une entrée abandonnée
+router.post('/entries/:entryId/retry',
+  ValidationMiddleware.validateParams({
+    entryId: Joi.number().integer().positive().required()
+  }),
+  coreOutboxController.retryEntry
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const Joi = require('joi');
+const occupancyController = require('../controllers/occupancy.controller');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+const { PERMISSIONS } = require('../../core/operators/scan-operators.service');
+
+const router = express.Router();
+
+const eventIdParams = {
+  eventId: Joi.number().integer().positive().required()
+};
+
+/**
+ * 👥 ROUTES D'OCCUPATION EN DIRECT
+ * Porteurs présents par événement et par zone, jauges d'occupation
+ */
+
+// GET /api/occupancy/event/:eventId - Occupation en direct (site et zones)
+// NOTE : Consultation par le personnel de sécurité, permission can_view_stats
+router.get('/event/:eventId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
+  ValidationMiddleware.validateParams(eventIdParams),
+  occupancyController.getEventOccupancy
+);
+
+// PUT /api/occupancy/event/:eventId/capacity - Définir la jauge du site ou d'une zone
+// NOTE : Configuration réservée aux services internes (X-API-Key)
+router.put('/event/:eventId/capacity',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams(eventIdParams),
+  ValidationMiddleware.validate({
+    zone: Joi.string().max(100).optional(),
+    // NOTE : sans zone, la jauge s'applique à tout le site
+    capacity: Joi.number().integer().min(0).required()
+  }),
+  occupancyController.setCapacity
+);
+
+// DELETE /api/occupancy/event/:eventId/capacity - Supprimer la jauge du site ou d'une zone
+router.delete('/event/:eventId/capacity',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams(eventIdParams),
+  ValidationMiddleware.validateQuery({
+    zone: Joi.string().max(100).optional()
+  }),
+  occupancyController.removeCapacity
+);
+
+module.exports = router;
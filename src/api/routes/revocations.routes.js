@@ -0,0 +1,60 @@
+const express = require('express');
+const Joi = require('joi');
+const revocationsController = require('../controllers/revocations.controller');
+const ticketRevocationsService = require('../../core/revocations/ticket-revocations.service');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+// Une révocation porte sur un ID de ticket ou sur un nonce de QR code, pas les deux
+const revocationSchema = {
+  eventId: Joi.number().integer().positive().required(),
+  ticketId: Joi.alternatives().try(Joi.string().max(255), Joi.number().integer().positive()).optional(),
+  nonce: Joi.string().max(255).when('ticketId', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
+  reason: Joi.string().valid(...Object.values(ticketRevocationsService.REVOCATION_REASONS)).required(),
+  note: Joi.string().max(500).optional(),
+  source: Joi.string().max(100).optional(),
+  revokedAt: Joi.date().iso().optional()
+};
+
+/**
+ * 🚫 ROUTES DES RÉVOCATIONS DE TICKETS
+ * Tickets remboursés, transférés ou déclarés volés, refusés avec TICKET_REVOKED
+ * NOTE : Alimentées par event-planner-core et ticket-generator (X-API-Key)
+ */
+
+router.use(OperatorAuthMiddleware.requireServiceToken());
+
+// POST /api/revocations - Révoquer un ticket (ticketId) ou un QR code (nonce)
+router.post('/',
+  ValidationMiddleware.validate(revocationSchema),
+  revocationsController.revoke
+);
+
+// POST /api/revocations/bulk - Révoquer un lot (appliqué entièrement ou pas du tout)
+router.post('/bulk',
+  ValidationMiddleware.validate({
+    revocations: Joi.array().items(Joi.object(revocationSchema)).min(1).max(1000).required(),
+    source: Joi.string().max(100).optional()
+  }),
+  revocationsController.revokeMany
+);
+
+// GET /api/revocations/event/:eventId - Révocations d'un événement (since : mises à jour postérieures)
+router.get('/event/:eventId',
+  ValidationMiddleware.validateParams({
+    eventId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    since: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(5000).default(1000)
+  }),
+  revocationsController.listEventRevocations
+);
+
+module.exports = router;
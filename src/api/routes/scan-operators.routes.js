@@ -0,0 +1,100 @@
+const express = require('express');
+const Joi = require('joi');
+const scanOperatorsController = require('../controllers/scan-operators.controller');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+const permissionsSchema = Joi.object({
+  can_scan: Joi.boolean().optional(),
+  can_override: Joi.boolean().optional(),
+  can_view_stats: Joi.boolean().optional()
+});
+
+/**
+ * 👷 ROUTES DES OPÉRATEURS DE SCAN
+ * Connexion par code d'accès (appareils) et enrôlement (inter-services, X-API-Key)
+ */
+
+// POST /api/operators/login - Connexion d'un opérateur par code d'accès
+router.post('/login',
+  ValidationMiddleware.validate({
+    accessCode: Joi.string().min(4).max(64).required(),
+    deviceId: Joi.string().max(255).optional(),
+    eventId: Joi.number().integer().positive().optional()
+  }),
+  scanOperatorsController.login
+);
+
+// GET /api/operators/me - Opérateur authentifié par son jeton
+router.get('/me',
+  OperatorAuthMiddleware.authenticate(),
+  scanOperatorsController.getCurrentOperator
+);
+
+// POST /api/operators - Enrôler un opérateur
+// NOTE : Le code d'accès en clair n'est retourné qu'à la création
+router.post('/',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validate({
+    userId: Joi.number().integer().positive().required(),
+    eventId: Joi.number().integer().positive().optional(),
+    accessCode: Joi.string().min(6).max(64).optional(),
+    permissions: permissionsSchema.optional()
+  }),
+  scanOperatorsController.enrollOperator
+);
+
+// GET /api/operators - Lister les opérateurs
+router.get('/',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateQuery({
+    eventId: Joi.number().integer().positive().optional(),
+    includeInactive: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+  scanOperatorsController.listOperators
+);
+
+// GET /api/operators/:operatorId - Détail d'un opérateur
+router.get('/:operatorId',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams({
+    operatorId: Joi.number().integer().positive().required()
+  }),
+  scanOperatorsController.getOperator
+);
+
+// PATCH /api/operators/:operatorId - Modifier les permissions ou l'état
+router.patch('/:operatorId',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams({
+    operatorId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validate({
+    permissions: permissionsSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+  scanOperatorsController.updateOperator
+);
+
+// POST /api/operators/:operatorId/access-code - Régénérer le code d'accès
+router.post('/:operatorId/access-code',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams({
+    operatorId: Joi.number().integer().positive().required()
+  }),
+  scanOperatorsController.regenerateAccessCode
+);
+
+// DELETE /api/operators/:operatorId - Révoquer un opérateur
+router.delete('/:operatorId',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams({
+    operatorId: Joi.number().integer().positive().required()
+  }),
+  scanOperatorsController.deleteOperator
+);
+
+module.exports = router;
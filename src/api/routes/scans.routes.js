@@ -1,18 +1,29 @@
 const express = require('express');
 const Joi = require('joi');
 const scansController = require('../controllers/scans.controller');
+const scanStreamController = require('../controllers/scan-stream.controller');
 const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+const IdempotencyMiddleware = require('../../middleware/idempotency.middleware');
+const { PERMISSIONS } = require('../../core/operators/scan-operators.service');
 
 const router = express.Router();
 
+// Filtres du flux temps réel : listes séparées par des virgules
+const STREAM_RESULTS = /^(valid|reentry|invalid)(,(valid|reentry|invalid))*$/;
+const STREAM_TYPES = /^(validation|fraud|session\.started|session\.ended)(,(validation|fraud|session\.started|session\.ended))*$/;
+
 /**
  * 📸 ROUTES TECHNIQUES POUR LA VALIDATION DE TICKETS
  * Ce service fait de la validation technique de QR codes sans logique métier
  */
 
 // POST /api/scans/validate - Valider un ticket en temps réel
-// NOTE : Service technique - pas d'authentification utilisateur requise
+// NOTE : Authentification par jeton opérateur (Authorization: Bearer), permission can_scan
+// NOTE : Un renvoi avec la même clé d'idempotence rejoue la première réponse
 router.post('/validate',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
   ValidationMiddleware.validate({
     qrCode: Joi.string().required(),
     scanContext: Joi.object({
@@ -21,16 +32,31 @@ router.post('/validate',
       operatorId: Joi.alternatives().try(
         Joi.number().integer().positive(),
         Joi.string()
-      ).optional()
+      ).optional(),
       // NOTE : operatorId est un identifiant technique, pas un utilisateur métier
+      sessionId: Joi.number().integer().positive().optional(),
+      // NOTE : sessionId rattache le scan à la session du poste de contrôle
+      checkpointId: Joi.number().integer().positive().optional(),
+      // NOTE : checkpointId restreint l'accès aux types de tickets / zones du point de contrôle
+      eventId: Joi.number().integer().positive().optional(),
+      // NOTE : eventId est l'événement scanné (audience des tickets JWT) ; celui de l'opérateur prévaut
+      direction: Joi.string().valid('entry', 'exit').default('entry'),
+      // NOTE : direction exit enregistre une sortie (ré-entrée possible selon MAX_REENTRIES)
+      override: Joi.boolean().optional(),
+      // NOTE : override ignore les règles d'admission (permission can_override)
+      requestId: Joi.string().max(255).optional()
+      // NOTE : requestId sert de clé d'idempotence à défaut d'en-tête Idempotency-Key
     }).optional()
   }),
+  IdempotencyMiddleware.replay(),
   scansController.validateTicket
 );
 
 // POST /api/scans/validate-offline - Valider un ticket en mode offline
 // NOTE : Service technique - validation sans connexion réseau
 router.post('/validate-offline',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
   ValidationMiddleware.validate({
     ticketId: Joi.alternatives().try(
       Joi.number().integer().positive(),
@@ -43,12 +69,144 @@ router.post('/validate-offline',
         Joi.number().integer().positive(),
         Joi.string()
       ).optional(),
-      offlineMode: Joi.boolean().default(true)
+      offlineMode: Joi.boolean().default(true),
+      requestId: Joi.string().max(255).optional()
     }).optional()
   }),
+  IdempotencyMiddleware.replay(),
   scansController.validateTicketOffline
 );
 
+// POST /api/scans/offline/batch - Remonter les scans effectués hors ligne par un appareil
+// NOTE : Idempotent - eventUid généré par l'appareil, un renvoi du lot est dédupliqué
+router.post('/offline/batch',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validate({
+    deviceId: Joi.string().max(255).required(),
+    batchId: Joi.string().guid().optional(),
+    sessionId: Joi.number().integer().positive().optional(),
+    clockOffsetMs: Joi.number().integer().default(0),
+    events: Joi.array().items(Joi.object({
+      eventUid: Joi.string().guid().required(),
+      ticketId: Joi.alternatives().try(
+        Joi.number().integer().positive(),
+        Joi.string().pattern(/^\d+$/)
+      ).required(),
+      eventId: Joi.number().integer().positive().optional(),
+      scannedAt: Joi.date().iso().required(),
+      result: Joi.string().valid('valid', 'invalid', 'already_used', 'expired', 'fraud_detected', 'reentry').default('valid'),
+      direction: Joi.string().valid('entry', 'exit').default('entry'),
+      admissionKey: Joi.string().max(120).optional(),
+      checkpointId: Joi.number().integer().positive().optional(),
+      location: Joi.string().max(255).optional(),
+      metadata: Joi.object().optional()
+    })).min(1).max(parseInt(process.env.OFFLINE_BATCH_MAX_SIZE) || 500).required()
+  }),
+  scansController.uploadOfflineBatch
+);
+
+// POST /api/scans/offline/sync - Synchroniser les scans offline en attente
+// NOTE : Réconcilie les admissions multi-appareils et renvoie les doubles entrées par appareil
+router.post('/offline/sync',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  scansController.syncOfflineData
+);
+
+// POST /api/scans/offline/preload - Précharger le manifeste des tickets d'un événement
+// NOTE : Job asynchrone (202), à lancer avant l'ouverture des portes
+router.post('/offline/preload',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validate({
+    eventId: Joi.number().integer().positive().required(),
+    pageSize: Joi.number().integer().min(50).max(5000).optional()
+  }),
+  scansController.startManifestPreload
+);
+
+// GET /api/scans/offline/preload/:jobId - Progression d'un préchargement
+router.get('/offline/preload/:jobId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validateParams({
+    jobId: Joi.string().guid().required()
+  }),
+  scansController.getManifestPreloadJob
+);
+
+// GET /api/scans/offline/bundle/key - Clé de vérification des bundles offline
+// NOTE : Déclarée avant /offline/bundle/:eventId
+router.get('/offline/bundle/key',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  scansController.getOfflineBundleKey
+);
+
+// GET /api/scans/offline/bundle/:eventId - Bundle offline signé pour les terminaux
+// NOTE : sinceVersion > 0 renvoie uniquement les changements postérieurs (bundle incrémental)
+router.get('/offline/bundle/:eventId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validateParams({
+    eventId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    sinceVersion: Joi.number().integer().min(0).default(0),
+    hashIds: Joi.boolean().default(true)
+  }),
+  scansController.getOfflineBundle
+);
+
+// POST /api/scans/sessions - Démarrer une session de scan (poste de contrôle)
+router.post('/sessions',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validate({
+    operatorId: Joi.number().integer().positive().optional(),
+    eventId: Joi.number().integer().positive().optional(),
+    location: Joi.string().max(255).required(),
+    deviceInfo: Joi.object({
+      deviceId: Joi.string().required()
+    }).unknown(true).required()
+  }),
+  scansController.startScanSession
+);
+
+// GET /api/scans/sessions/active - Sessions de scan en cours
+router.get('/sessions/active',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
+  ValidationMiddleware.validateQuery({
+    eventId: Joi.number().integer().positive().optional(),
+    operatorId: Joi.number().integer().positive().optional(),
+    location: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+  scansController.getActiveScanSessions
+);
+
+// GET /api/scans/sessions/:sessionId - Détail d'une session avec ses compteurs
+router.get('/sessions/:sessionId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
+  ValidationMiddleware.validateParams({
+    sessionId: Joi.number().integer().positive().required()
+  }),
+  scansController.getScanSession
+);
+
+// PATCH /api/scans/sessions/:sessionId/end - Terminer une session de scan
+router.patch('/sessions/:sessionId/end',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_SCAN),
+  ValidationMiddleware.validateParams({
+    sessionId: Joi.number().integer().positive().required()
+  }),
+  scansController.endScanSession
+);
+
 // GET /api/scans/history/ticket/:ticketId - Historique technique des scans
 // NOTE : Lecture seule des données techniques de scan
 router.get('/history/ticket/:ticketId',
@@ -80,6 +238,8 @@ router.get('/ticket/:ticketId/logs',
 // GET /api/scans/stats/event/:eventId - Statistiques techniques de scan
 // NOTE : Données techniques uniquement, pas d'analytics métier
 router.get('/stats/event/:eventId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
   ValidationMiddleware.validateParams({
     eventId: Joi.alternatives().try(
       Joi.number().integer().positive(),
@@ -93,6 +253,53 @@ router.get('/stats/event/:eventId',
   scansController.getEventScanStats
 );
 
+// GET /api/scans/stream/event/:eventId - Flux temps réel des scans (Server-Sent Events)
+// NOTE : Validations, fraudes et sessions de l'événement ; reprise via l'en-tête Last-Event-ID
+router.get('/stream/event/:eventId',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
+  ValidationMiddleware.validateParams({
+    eventId: Joi.alternatives().try(
+      Joi.number().integer().positive(),
+      Joi.string()
+    ).required()
+  }),
+  ValidationMiddleware.validateQuery({
+    checkpointId: Joi.string().pattern(/^\d+(,\d+)*$/).optional(),
+    result: Joi.string().pattern(STREAM_RESULTS).optional(),
+    types: Joi.string().pattern(STREAM_TYPES).optional(),
+    lastEventId: Joi.number().integer().min(0).optional()
+  }),
+  scanStreamController.streamEventScans
+);
+
+// GET /api/scans/recording/metrics - Métriques de la file d'enregistrement des scans
+// NOTE : Endpoint interne (X-API-Key) ; lagMs est l'âge du plus ancien scan en attente
+router.get('/recording/metrics',
+  OperatorAuthMiddleware.requireServiceToken(),
+  scansController.getScanRecordingMetrics
+);
+
+// GET /api/scans/recording/failed - Scans dont l'enregistrement a été abandonné
+// NOTE : Endpoint interne (X-API-Key)
+router.get('/recording/failed',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateQuery({
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }),
+  scansController.listFailedScanRecords
+);
+
+// POST /api/scans/recording/failed/:jobId/retry - Remettre en file un enregistrement abandonné
+// NOTE : Endpoint interne (X-API-Key)
+router.post('/recording/failed/:jobId/retry',
+  OperatorAuthMiddleware.requireServiceToken(),
+  ValidationMiddleware.validateParams({
+    jobId: Joi.string().max(100).required()
+  }),
+  scansController.retryFailedScanRecord
+);
+
 // GET /api/scans/health - Santé du service de validation
 // NOTE : Endpoint technique de monitoring
 router.get('/health',
@@ -102,6 +309,8 @@ router.get('/health',
 // GET /api/scans/stats - Statistiques générales du service
 // NOTE : Métriques techniques du service
 router.get('/stats',
+  OperatorAuthMiddleware.authenticate(),
+  OperatorAuthMiddleware.requirePermission(PERMISSIONS.CAN_VIEW_STATS),
   scansController.getStats
 );
 
@@ -0,0 +1,73 @@
+const express = require('express');
+const Joi = require('joi');
+const validationRulesController = require('../controllers/validation-rules.controller');
+const validationRulesService = require('../../core/rules/validation-rules.service');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+const ruleTypes = Object.values(validationRulesService.RULE_TYPES);
+
+/**
+ * 📏 ROUTES DE CONFIGURATION DES RÈGLES DE VALIDATION
+ * Règles d'admission par événement évaluées lors de chaque scan
+ * NOTE : Configuration réservée aux services internes (X-API-Key)
+ */
+
+router.use(OperatorAuthMiddleware.requireServiceToken());
+
+// GET /api/rules/event/:eventId - Règles d'un événement
+router.get('/event/:eventId',
+  ValidationMiddleware.validateParams({
+    eventId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    includeInactive: Joi.boolean().default(false)
+  }),
+  validationRulesController.listEventRules
+);
+
+// POST /api/rules - Créer une règle
+// NOTE : Les paramètres sont validés selon le type de règle par le service
+router.post('/',
+  ValidationMiddleware.validate({
+    eventId: Joi.number().integer().positive().required(),
+    ruleType: Joi.string().valid(...ruleTypes).required(),
+    parameters: Joi.object().required(),
+    priority: Joi.number().integer().default(0),
+    isActive: Joi.boolean().default(true)
+  }),
+  validationRulesController.createRule
+);
+
+// GET /api/rules/:ruleId - Détail d'une règle
+router.get('/:ruleId',
+  ValidationMiddleware.validateParams({
+    ruleId: Joi.number().integer().positive().required()
+  }),
+  validationRulesController.getRule
+);
+
+// PUT /api/rules/:ruleId - Mettre à jour une règle
+router.put('/:ruleId',
+  ValidationMiddleware.validateParams({
+    ruleId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validate({
+    parameters: Joi.object().optional(),
+    priority: Joi.number().integer().optional(),
+    isActive: Joi.boolean().optional()
+  }),
+  validationRulesController.updateRule
+);
+
+// DELETE /api/rules/:ruleId - Supprimer une règle
+router.delete('/:ruleId',
+  ValidationMiddleware.validateParams({
+    ruleId: Joi.number().integer().positive().required()
+  }),
+  validationRulesController.deleteRule
+);
+
+module.exports = router;
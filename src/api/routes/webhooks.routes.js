@@ -0,0 +1,103 @@
+const express = require('express');
+const Joi = require('joi');
+const webhooksController = require('../controllers/webhooks.controller');
+const webhooksService = require('../../core/webhooks/webhooks.service');
+const ValidationMiddleware = require('../../middleware/validation.middleware');
+const OperatorAuthMiddleware = require('../../middleware/operator-auth.middleware');
+
+const router = express.Router();
+
+const eventTypesSchema = Joi.array()
+  .items(Joi.string().valid(...Object.values(webhooksService.WEBHOOK_EVENTS)))
+  .min(1)
+  .unique();
+
+const urlSchema = Joi.string().uri({ scheme: ['https', 'http'] }).max(2048);
+
+/**
+ * 🪝 ROUTES DES WEBHOOKS SORTANTS
+ * Abonnements par événement, journal des livraisons et lettres mortes
+ * NOTE : Configuration réservée aux services internes (X-API-Key)
+ */
+
+router.use(OperatorAuthMiddleware.requireServiceToken());
+
+// GET /api/webhooks/event/:eventId - Abonnements d'un événement
+router.get('/event/:eventId',
+  ValidationMiddleware.validateParams({
+    eventId: Joi.number().integer().positive().required()
+  }),
+  webhooksController.listEventSubscriptions
+);
+
+// POST /api/webhooks - Créer un abonnement (secret de signature renvoyé une seule fois)
+router.post('/',
+  ValidationMiddleware.validate({
+    eventId: Joi.number().integer().positive().required(),
+    url: urlSchema.required(),
+    eventTypes: eventTypesSchema.required(),
+    description: Joi.string().max(255).optional()
+  }),
+  webhooksController.createSubscription
+);
+
+// GET /api/webhooks/dead-letters - Livraisons abandonnées après épuisement des essais
+router.get('/dead-letters',
+  ValidationMiddleware.validateQuery({
+    eventId: Joi.number().integer().positive().optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }),
+  webhooksController.listDeadLetters
+);
+
+// POST /api/webhooks/deliveries/:deliveryId/replay - Remettre une livraison en file
+router.post('/deliveries/:deliveryId/replay',
+  ValidationMiddleware.validateParams({
+    deliveryId: Joi.number().integer().positive().required()
+  }),
+  webhooksController.replayDelivery
+);
+
+// GET /api/webhooks/:subscriptionId/deliveries - Journal des livraisons d'un abonnement
+router.get('/:subscriptionId/deliveries',
+  ValidationMiddleware.validateParams({
+    subscriptionId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validateQuery({
+    status: Joi.string().valid(...Object.values(webhooksService.DELIVERY_STATUSES)).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }),
+  webhooksController.listSubscriptionDeliveries
+);
+
+// GET /api/webhooks/:subscriptionId - Détail d'un abonnement
+router.get('/:subscriptionId',
+  ValidationMiddleware.validateParams({
+    subscriptionId: Joi.number().integer().positive().required()
+  }),
+  webhooksController.getSubscription
+);
+
+// PUT /api/webhooks/:subscriptionId - Mettre à jour un abonnement
+router.put('/:subscriptionId',
+  ValidationMiddleware.validateParams({
+    subscriptionId: Joi.number().integer().positive().required()
+  }),
+  ValidationMiddleware.validate({
+    url: urlSchema.optional(),
+    eventTypes: eventTypesSchema.optional(),
+    description: Joi.string().max(255).optional(),
+    isActive: Joi.boolean().optional()
+  }),
+  webhooksController.updateSubscription
+);
+
+// DELETE /api/webhooks/:subscriptionId - Supprimer un abonnement
+router.delete('/:subscriptionId',
+  ValidationMiddleware.validateParams({
+    subscriptionId: Joi.number().integer().positive().required()
+  }),
+  webhooksController.deleteSubscription
+);
+
+module.exports = router;
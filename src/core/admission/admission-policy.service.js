@@ -0,0 +1,259 @@
+const Joi = require('joi');
+const eventCoreClient = require('../clients/event-core.client');
+const logger = require('../../utils/logger');
+
+/**
+ * Portée d'une admission
+ * - once    : une seule admission pour toute la durée de validité du ticket
+ * - daily   : une admission par jour (événements multi-jours)
+ * - session : une admission par séance (atelier, projection)
+ */
+const SCOPES = {
+  ONCE: 'once',
+  DAILY: 'daily',
+  SESSION: 'session'
+};
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Politique d'admission portée par le QR code (champ signé `admission`)
+ * ou par les données de l'événement (event-planner-core)
+ */
+const POLICY_SCHEMA = Joi.object({
+  scope: Joi.string().valid(...Object.values(SCOPES)).required(),
+  timezone: Joi.string().max(64).default('UTC'),
+  // Jours autorisés (portée daily), au format YYYY-MM-DD dans le fuseau de l'événement
+  days: Joi.array().items(Joi.string().pattern(DAY)).min(1).optional(),
+  sessions: Joi.array().items(Joi.object({
+    id: Joi.alternatives().try(Joi.string().max(100), Joi.number().integer()).required(),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required()
+  })).min(1).when('scope', { is: SCOPES.SESSION, then: Joi.required() })
+}).unknown(true);
+
+/**
+ * Service des créneaux d'admission
+ * Détermine le créneau (jour ou séance) d'un scan : les admissions sont
+ * comptées par (ticket, créneau) au lieu d'une seule fois pour toujours.
+ */
+class AdmissionPolicyService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.ADMISSION_POLICY_CACHE_TTL) || 300000; // 5min
+    this.retryDelay = 30000; // 30s avant de réinterroger un service core en échec
+
+    // Politiques d'admission par événement (null si l'événement n'en définit pas)
+    this.eventPolicies = new Map();
+  }
+
+  /**
+   * Valide et normalise une politique d'admission
+   * @param {Object} policy - Politique brute
+   * @returns {Object} Résultat de la validation
+   */
+  validatePolicy(policy) {
+    const { error, value } = POLICY_SCHEMA.validate(policy, { abortEarly: false });
+
+    if (error) {
+      return {
+        valid: false,
+        error: error.details.map(detail => detail.message).join(', '),
+        code: 'INVALID_ADMISSION_POLICY'
+      };
+    }
+
+    return { valid: true, policy: value };
+  }
+
+  /**
+   * Détermine le créneau d'admission d'un scan
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @param {Object} options - now, useEventData (interroger event-planner-core)
+   * @returns {Promise<Object>} { allowed, scope, key } ou { allowed: false, error, code }
+   */
+  async resolveAdmission(ticketData, options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const policy = await this.getPolicy(ticketData, options);
+
+    return this.resolveSlot(policy, now);
+  }
+
+  /**
+   * Politique applicable : QR code, puis données de l'événement, sinon admission unique
+   * @param {Object} ticketData - Données du ticket
+   * @param {Object} options - useEventData
+   * @returns {Promise<Object>} Politique normalisée
+   */
+  async getPolicy(ticketData, options = {}) {
+    const rawPolicy = ticketData.admission ||
+      (options.useEventData ? await this.getEventPolicy(ticketData.eventId) : null);
+
+    if (!rawPolicy) {
+      return { scope: SCOPES.ONCE };
+    }
+
+    const validation = this.validatePolicy(rawPolicy);
+
+    if (!validation.valid) {
+      logger.error('Invalid admission policy, using single admission', {
+        ticketId: ticketData.ticketId,
+        eventId: ticketData.eventId,
+        error: validation.error
+      });
+      return { scope: SCOPES.ONCE };
+    }
+
+    return validation.policy;
+  }
+
+  /**
+   * Créneau d'admission pour une politique donnée
+   * @param {Object} policy - Politique normalisée
+   * @param {Date} now - Date du scan
+   * @returns {Object} Créneau ou refus
+   */
+  resolveSlot(policy, now) {
+    if (policy.scope === SCOPES.DAILY) {
+      const day = this.getDay(now, policy.timezone);
+
+      if (policy.days && !policy.days.includes(day)) {
+        return {
+          allowed: false,
+          error: 'Ticket non valable ce jour',
+          code: 'TICKET_NOT_VALID_TODAY'
+        };
+      }
+
+      return { allowed: true, scope: SCOPES.DAILY, key: `day:${day}` };
+    }
+
+    if (policy.scope === SCOPES.SESSION) {
+      const session = policy.sessions.find(candidate =>
+        now >= new Date(candidate.startsAt) && now <= new Date(candidate.endsAt)
+      );
+
+      if (!session) {
+        return {
+          allowed: false,
+          error: 'Aucune séance en cours pour ce ticket',
+          code: 'NO_ACTIVE_SESSION'
+        };
+      }
+
+      return { allowed: true, scope: SCOPES.SESSION, key: `session:${session.id}` };
+    }
+
+    return { allowed: true, scope: SCOPES.ONCE, key: null };
+  }
+
+  /**
+   * Politique d'admission définie par l'événement (avec cache)
+   * Service core injoignable : la dernière politique connue est conservée
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Object|null>} Politique brute ou null
+   */
+  async getEventPolicy(eventId) {
+    const cacheKey = String(eventId);
+    const cached = this.eventPolicies.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.policy;
+    }
+
+    const result = await eventCoreClient.validateEvent(eventId);
+
+    if (!result.success) {
+      logger.warn('Event admission policy unavailable', {
+        eventId,
+        code: result.code
+      });
+      // Conserver la dernière politique connue et réessayer après retryDelay
+      const policy = cached ? cached.policy : null;
+      this.eventPolicies.set(cacheKey, { policy, loadedAt: Date.now() - this.cacheTtl + this.retryDelay });
+      return policy;
+    }
+
+    const event = result.data && result.data.data ? result.data.data : result.data;
+    const policy = (event && event.admission) || null;
+
+    this.eventPolicies.set(cacheKey, { policy, loadedAt: Date.now() });
+    return policy;
+  }
+
+  /**
+   * Jour calendaire (YYYY-MM-DD) d'une date dans un fuseau horaire
+   * @param {Date} date - Date de référence
+   * @param {string} timezone - Fuseau IANA
+   * @returns {string} Jour
+   */
+  getDay(date, timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).formatToParts(date);
+
+    const value = type => parts.find(part => part.type === type).value;
+    return `${value('year')}-${value('month')}-${value('day')}`;
+  }
+
+  /**
+   * Ramène l'état d'un ticket au créneau courant
+   * Les entrées et la présence d'un créneau précédent (ex : la veille) ne comptent pas
+   * @param {Object} ticketStatus - État du ticket (ScanService.checkTicketStatus)
+   * @param {Object} admission - Créneau courant
+   * @returns {Object} État du ticket pour le créneau
+   */
+  scopeTicketStatus(ticketStatus, admission) {
+    if (!admission.key || ticketStatus.admissionKey === admission.key) {
+      return ticketStatus;
+    }
+
+    return {
+      ...ticketStatus,
+      presence: 'outside',
+      isInside: false,
+      entryCount: 0,
+      exitCount: 0,
+      reentryCount: 0,
+      admissionKey: admission.key
+    };
+  }
+
+  /**
+   * Code de refus d'une nouvelle admission dans le même créneau
+   * @param {Object} admission - Créneau courant
+   * @returns {Object|null} Refus, ou null pour une admission unique
+   */
+  getAlreadyUsedRejection(admission) {
+    if (admission.scope === SCOPES.DAILY) {
+      return {
+        error: 'Ticket déjà utilisé aujourd\'hui',
+        code: 'ALREADY_USED_TODAY'
+      };
+    }
+
+    if (admission.scope === SCOPES.SESSION) {
+      return {
+        error: 'Ticket déjà utilisé pour cette séance',
+        code: 'ALREADY_USED_THIS_SESSION'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Invalide le cache des politiques d'un événement
+   * @param {string|number} eventId - ID de l'événement
+   */
+  invalidateCache(eventId) {
+    this.eventPolicies.delete(String(eventId));
+  }
+}
+
+const service = new AdmissionPolicyService();
+service.SCOPES = SCOPES;
+
+module.exports = service;
@@ -0,0 +1,373 @@
+const checkpointsRepository = require('../database/checkpoints.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Service des points de contrôle par événement
+ * Un point de contrôle (entrée VIP, backstage, presse) restreint l'accès à
+ * certains types de tickets et/ou certaines zones de ticket.
+ */
+class CheckpointsService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.CHECKPOINTS_CACHE_TTL) || 30000; // 30s
+
+    // Cache des points de contrôle par ID
+    this.checkpointsCache = new Map();
+  }
+
+  /**
+   * Vérifie qu'un ticket peut passer par un point de contrôle
+   * @param {string|number} checkpointId - ID du point de contrôle (scanContext.checkpointId)
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @returns {Promise<Object>} { allowed, checkpoint } ou { allowed: false, error, code }
+   */
+  async checkAccess(checkpointId, ticketData) {
+    let checkpoint;
+    try {
+      checkpoint = await this.getCheckpointForScan(checkpointId);
+    } catch (error) {
+      // Un point de contrôle restreint ne doit pas s'ouvrir faute de configuration
+      logger.error('Checkpoint configuration unavailable', {
+        checkpointId,
+        error: error.message
+      });
+
+      return {
+        allowed: false,
+        error: 'Configuration du point de contrôle indisponible',
+        code: 'CHECKPOINT_UNAVAILABLE'
+      };
+    }
+
+    if (!checkpoint || String(checkpoint.eventId) !== String(ticketData.eventId)) {
+      return {
+        allowed: false,
+        error: 'Point de contrôle non trouvé pour cet événement',
+        code: 'CHECKPOINT_NOT_FOUND'
+      };
+    }
+
+    if (!checkpoint.isActive) {
+      return {
+        allowed: false,
+        error: 'Point de contrôle inactif',
+        code: 'CHECKPOINT_INACTIVE',
+        checkpoint
+      };
+    }
+
+    if (!this.isTicketAllowed(checkpoint, ticketData)) {
+      logger.checkpoint('Ticket refused at checkpoint', {
+        checkpointId: checkpoint.id,
+        code: checkpoint.code,
+        ticketId: ticketData.ticketId,
+        ticketType: ticketData.ticketType
+      });
+
+      return {
+        allowed: false,
+        error: `Accès non autorisé au point de contrôle ${checkpoint.name}`,
+        code: 'ZONE_NOT_ALLOWED',
+        checkpoint
+      };
+    }
+
+    return { allowed: true, checkpoint };
+  }
+
+  /**
+   * Un ticket est admis si son type ou l'une de ses zones est autorisé
+   * Un point de contrôle sans liste autorisée est ouvert à tous les tickets
+   * @param {Object} checkpoint - Point de contrôle
+   * @param {Object} ticketData - Données du ticket (ticketType, zones)
+   * @returns {boolean} Ticket admis
+   */
+  isTicketAllowed(checkpoint, ticketData) {
+    const allowedTypes = this.normalizeList(checkpoint.allowedTicketTypes);
+    const allowedZones = this.normalizeList(checkpoint.allowedZones);
+
+    if (allowedTypes.length === 0 && allowedZones.length === 0) {
+      return true;
+    }
+
+    const ticketType = String(ticketData.ticketType || '').toLowerCase();
+    if (allowedTypes.includes(ticketType)) {
+      return true;
+    }
+
+    const ticketZones = this.normalizeList(ticketData.zones);
+    return ticketZones.some(zone => allowedZones.includes(zone));
+  }
+
+  /**
+   * Normalise une liste de types ou de zones (comparaison insensible à la casse)
+   * @param {Array|null} values - Valeurs brutes
+   * @returns {Array<string>} Valeurs normalisées
+   */
+  normalizeList(values) {
+    if (!Array.isArray(values)) {
+      return [];
+    }
+
+    return values.map(value => String(value).toLowerCase());
+  }
+
+  /**
+   * Récupère un point de contrôle pour un scan (avec cache)
+   * En cas d'erreur, le point de contrôle en cache expiré est réutilisé
+   * @param {string|number} checkpointId - ID du point de contrôle
+   * @returns {Promise<Object|null>} Point de contrôle ou null
+   */
+  async getCheckpointForScan(checkpointId) {
+    const cacheKey = String(checkpointId);
+    const cached = this.checkpointsCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.checkpoint;
+    }
+
+    try {
+      const checkpoint = await checkpointsRepository.getCheckpointById(checkpointId);
+      this.checkpointsCache.set(cacheKey, { checkpoint, loadedAt: Date.now() });
+      return checkpoint;
+    } catch (error) {
+      if (cached) {
+        logger.warn('Using stale checkpoint cache', { checkpointId });
+        return cached.checkpoint;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invalide le cache d'un point de contrôle
+   * @param {string|number} checkpointId - ID du point de contrôle
+   */
+  invalidateCache(checkpointId) {
+    this.checkpointsCache.delete(String(checkpointId));
+  }
+
+  /**
+   * Liste les points de contrôle d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - Options (includeInactive)
+   * @returns {Promise<Object>} Points de contrôle de l'événement
+   */
+  async listCheckpoints(eventId, options = {}) {
+    try {
+      const checkpoints = await checkpointsRepository.listCheckpoints(eventId, options);
+
+      return {
+        success: true,
+        data: checkpoints
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CHECKPOINTS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Récupère un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @returns {Promise<Object>} Point de contrôle
+   */
+  async getCheckpoint(checkpointId) {
+    try {
+      const checkpoint = await checkpointsRepository.getCheckpointById(checkpointId);
+
+      if (!checkpoint) {
+        return {
+          success: false,
+          error: 'Point de contrôle non trouvé',
+          code: 'CHECKPOINT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: checkpoint
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CHECKPOINTS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Crée un point de contrôle
+   * @param {Object} checkpointData - Données du point de contrôle
+   * @returns {Promise<Object>} Point de contrôle créé
+   */
+  async createCheckpoint(checkpointData) {
+    try {
+      const checkpoint = await checkpointsRepository.createCheckpoint(checkpointData);
+
+      logger.checkpoint('Checkpoint created', {
+        checkpointId: checkpoint.id,
+        eventId: checkpoint.eventId,
+        code: checkpoint.code
+      });
+
+      return {
+        success: true,
+        data: checkpoint
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code === 'CHECKPOINT_CODE_EXISTS' ? error.code : 'CHECKPOINT_CREATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Met à jour un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} updates - Champs à mettre à jour
+   * @returns {Promise<Object>} Point de contrôle mis à jour
+   */
+  async updateCheckpoint(checkpointId, updates) {
+    try {
+      const checkpoint = await checkpointsRepository.updateCheckpoint(checkpointId, updates);
+
+      if (!checkpoint) {
+        return {
+          success: false,
+          error: 'Point de contrôle non trouvé',
+          code: 'CHECKPOINT_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(checkpointId);
+
+      return {
+        success: true,
+        data: checkpoint
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CHECKPOINT_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Supprime un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object>} Résultat de la suppression
+   */
+  async deleteCheckpoint(checkpointId, deleteData = {}) {
+    try {
+      const deleted = await checkpointsRepository.deleteCheckpoint(checkpointId, deleteData);
+
+      if (!deleted) {
+        return {
+          success: false,
+          error: 'Point de contrôle non trouvé',
+          code: 'CHECKPOINT_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(checkpointId);
+
+      return {
+        success: true,
+        data: deleted
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CHECKPOINT_DELETION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Statistiques de scan d'un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} filters - startDate, endDate
+   * @returns {Promise<Object>} Point de contrôle et statistiques
+   */
+  async getCheckpointStats(checkpointId, filters = {}) {
+    try {
+      const checkpoint = await checkpointsRepository.getCheckpointById(checkpointId);
+
+      if (!checkpoint) {
+        return {
+          success: false,
+          error: 'Point de contrôle non trouvé',
+          code: 'CHECKPOINT_NOT_FOUND'
+        };
+      }
+
+      const rows = await checkpointsRepository.getCheckpointScanStats(checkpointId, filters);
+
+      return {
+        success: true,
+        data: {
+          checkpoint,
+          stats: this.aggregateScanStats(rows)
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CHECKPOINT_STATS_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Agrège les comptages par (résultat, sens de passage)
+   * @param {Array} rows - Lignes de CheckpointsRepository.getCheckpointScanStats
+   * @returns {Object} Statistiques du point de contrôle
+   */
+  aggregateScanStats(rows) {
+    const stats = {
+      totalScans: 0,
+      admitted: 0,
+      rejected: 0,
+      exits: 0,
+      byResult: {},
+      firstScanAt: null,
+      lastScanAt: null
+    };
+
+    for (const row of rows) {
+      const scans = Number(row.scans) || 0;
+      stats.totalScans += scans;
+      stats.byResult[row.result] = (stats.byResult[row.result] || 0) + scans;
+
+      if (row.direction === 'exit' && row.result === 'valid') {
+        stats.exits += scans;
+      } else if (row.result === 'valid' || row.result === 'reentry') {
+        stats.admitted += scans;
+      } else {
+        stats.rejected += scans;
+      }
+
+      if (row.first_scan_at && (!stats.firstScanAt || new Date(row.first_scan_at) < new Date(stats.firstScanAt))) {
+        stats.firstScanAt = row.first_scan_at;
+      }
+      if (row.last_scan_at && (!stats.lastScanAt || new Date(row.last_scan_at) > new Date(stats.lastScanAt))) {
+        stats.lastScanAt = row.last_scan_at;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new CheckpointsService();
@@ -19,7 +19,9 @@ class EventCoreClient {
       errorThresholdPercentage: 50,
       resetTimeout: 30000, // 30s
       rollingCountTimeout: 60000, // 1min
-      rollingCountBuckets: 10
+      rollingCountBuckets: 10,
+      // Un refus métier (4xx, ex : ticket déjà utilisé) n'indique pas une panne du service
+      errorFilter: error => !!error.response && error.response.status < 500
     };
 
     // Créer le client HTTP
@@ -73,12 +75,19 @@ class EventCoreClient {
       this.circuitBreakerOptions
     );
 
+    // Circuit breaker pour le manifeste des tickets (préchargement offline)
+    this.ticketManifestBreaker = new CircuitBreaker(
+      this.getTicketManifestRequest.bind(this),
+      this.circuitBreakerOptions
+    );
+
     // Configurer les événements du circuit breaker
     Object.values([
       this.validateTicketBreaker,
       this.validateEventBreaker,
       this.checkTicketStatusBreaker,
-      this.recordScanBreaker
+      this.recordScanBreaker,
+      this.ticketManifestBreaker
     ]).forEach(breaker => {
       breaker.on('open', () => {
         logger.warn('Circuit breaker opened for EventCore client');
@@ -187,7 +196,9 @@ async validateTicket(ticketData, scanContext) {
         deviceId: scanContext.deviceId,
         timestamp: scanContext.timestamp || new Date().toISOString(),
         operatorId: scanContext.operatorId,
-        checkpointId: scanContext.checkpointId
+        checkpointId: scanContext.checkpointId,
+        // Créneau d'admission (tickets multi-jours / par séance)
+        admissionKey: scanContext.admissionKey || null
       },
       validationMetadata: {
         qrVersion: ticketData.version,
@@ -199,6 +210,21 @@ async validateTicket(ticketData, scanContext) {
     // CORRIGÉ : Appel aux routes INTERNES d'Event-Planner-Core
     const result = await this.validateTicketBreaker.fire(payload);
 
+    // Refus métier renvoyé avec un statut HTTP 2xx
+    if (result.data && result.data.success === false) {
+      logger.core('Ticket rejected by EventCore', {
+        ticketId: ticketData.ticketId,
+        code: this.extractCoreErrorCode(result.data)
+      });
+
+      return {
+        success: false,
+        error: this.extractCoreErrorMessage(result.data) || 'Ticket refusé par le service core',
+        code: this.extractCoreErrorCode(result.data) || 'VALIDATION_ERROR',
+        details: result.data
+      };
+    }
+
     logger.core('Ticket validation successful via INTERNAL route', {
       ticketId: ticketData.ticketId,
       result: result.data?.success,
@@ -210,6 +236,7 @@ async validateTicket(ticketData, scanContext) {
       success: true,
       data: result.data?.data || result.data, // Gérer les deux formats de réponse possibles
       metadata: {
+        source: 'event_core',
         responseTime: result.responseTime,
         requestId: result.requestId,
         validationType: 'INTERNAL_BUSINESS_VALIDATION'
@@ -226,10 +253,12 @@ async validateTicket(ticketData, scanContext) {
       // Gérer les erreurs selon le type
       if (error.response) {
         // Erreur HTTP du service
+        // Le code métier du service core (ex : TICKET_ALREADY_USED) prime sur le statut HTTP
         return {
           success: false,
-          error: 'Erreur de validation du ticket',
-          code: this.mapHttpErrorToValidationCode(error.response.status),
+          error: this.extractCoreErrorMessage(error.response.data) || 'Erreur de validation du ticket',
+          code: this.extractCoreErrorCode(error.response.data) ||
+            this.mapHttpErrorToValidationCode(error.response.status),
           details: error.response.data,
           httpStatus: error.response.status
         };
@@ -345,16 +374,17 @@ async validateTicket(ticketData, scanContext) {
   /**
    * Enregistre un scan via event-planner-core
    * @param {Object} scanData - Données du scan à enregistrer
+   * @param {Object} options - idempotencyKey (un renvoi avec la même clé n'est appliqué qu'une fois)
    * @returns {Promise<Object>} Résultat de l'enregistrement
    */
-  async recordScan(scanData) {
+  async recordScan(scanData, options = {}) {
     try {
       logger.core('Recording scan via EventCore', {
         ticketId: scanData.ticketId,
         scanResult: scanData.result
       });
 
-      const result = await this.recordScanBreaker.fire(scanData);
+      const result = await this.recordScanBreaker.fire(scanData, options);
 
       return {
         success: true,
@@ -376,11 +406,84 @@ async validateTicket(ticketData, scanContext) {
         success: false,
         error: 'Erreur d\'enregistrement du scan (non bloquant)',
         code: 'SCAN_RECORDING_FAILED',
+        statusCode: error.response ? error.response.status : null,
+        details: error.message,
         nonBlocking: true
       };
     }
   }
 
+  /**
+   * Récupère une page du manifeste des tickets d'un événement
+   * @param {string} eventId - ID de l'événement
+   * @param {Object} options - page, pageSize, manifestVersion (version figée des pages suivantes)
+   * @returns {Promise<Object>} Tickets de la page, pagination et version du manifeste
+   */
+  async getEventTicketManifest(eventId, options = {}) {
+    try {
+      const params = {
+        page: options.page || 1,
+        pageSize: options.pageSize || 500
+      };
+
+      if (options.manifestVersion) {
+        params.manifestVersion = options.manifestVersion;
+      }
+
+      const result = await this.ticketManifestBreaker.fire(eventId, params);
+      const body = result.data?.data || result.data || {};
+      const tickets = body.tickets || [];
+      const pagination = body.pagination || {};
+
+      return {
+        success: true,
+        data: {
+          tickets,
+          manifestVersion: body.manifestVersion || null,
+          eventEndsAt: body.eventEndsAt || null,
+          page: pagination.page || params.page,
+          pageSize: pagination.pageSize || params.pageSize,
+          totalItems: pagination.totalItems !== undefined ? pagination.totalItems : null,
+          totalPages: pagination.totalPages !== undefined ? pagination.totalPages : null,
+          hasMore: pagination.hasMore !== undefined
+            ? pagination.hasMore
+            : (pagination.totalPages ? params.page < pagination.totalPages : tickets.length === params.pageSize)
+        },
+        metadata: {
+          responseTime: result.responseTime,
+          requestId: result.requestId
+        }
+      };
+    } catch (error) {
+      logger.error('Ticket manifest retrieval failed via EventCore', {
+        eventId,
+        page: options.page,
+        error: error.message
+      });
+
+      if (error.response) {
+        return {
+          success: false,
+          error: 'Erreur de récupération du manifeste des tickets',
+          code: this.mapHttpErrorToValidationCode(error.response.status),
+          details: error.response.data
+        };
+      } else if (error.code === 'EOPENBREAKER') {
+        return {
+          success: false,
+          error: 'Service core indisponible',
+          code: 'CORE_SERVICE_UNAVAILABLE'
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Erreur de communication avec le service core',
+          code: 'CORE_COMMUNICATION_ERROR'
+        };
+      }
+    }
+  }
+
   /**
    * Implémentation de la requête de validation de ticket
    * @param {Object} payload - Données de la requête
@@ -447,13 +550,15 @@ async validateTicket(ticketData, scanContext) {
   /**
    * Implémentation de la requête d'enregistrement de scan
    * @param {Object} scanData - Données du scan
+   * @param {Object} options - idempotencyKey
    * @returns {Promise<Object>} Réponse du service
    */
-  async recordScanRequest(scanData) {
+  async recordScanRequest(scanData, options = {}) {
     const startTime = Date.now();
     
     try {
-      const response = await this.httpClient.post('/api/internal/scans/validate', scanData);
+      const headers = options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {};
+      const response = await this.httpClient.post('/api/internal/scans/validate', scanData, { headers });
       
       return {
         data: response.data,
@@ -465,6 +570,26 @@ async validateTicket(ticketData, scanContext) {
     }
   }
 
+  /**
+   * Implémentation de la requête de manifeste des tickets
+   * @param {string} eventId - ID de l'événement
+   * @param {Object} params - Paramètres de pagination
+   * @returns {Promise<Object>} Réponse du service
+   */
+  async getTicketManifestRequest(eventId, params) {
+    const startTime = Date.now();
+
+    const response = await this.httpClient.get(`/api/internal/events/${eventId}/tickets/manifest`, {
+      params
+    });
+
+    return {
+      data: response.data,
+      responseTime: Date.now() - startTime,
+      requestId: response.config.headers['X-Request-ID']
+    };
+  }
+
   /**
    * Mappe les codes d'erreur HTTP vers les codes de validation
    * @param {number} httpStatus - Code d'erreur HTTP
@@ -488,6 +613,37 @@ async validateTicket(ticketData, scanContext) {
     return errorMapping[httpStatus] || 'UNKNOWN_ERROR';
   }
 
+  /**
+   * Extrait le code d'erreur métier d'une réponse du service core
+   * Formats acceptés : { code } ou { error: { code } }
+   * @param {Object} body - Corps de la réponse
+   * @returns {string|null} Code d'erreur
+   */
+  extractCoreErrorCode(body) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    return body.code || (body.error && typeof body.error === 'object' ? body.error.code : null) || null;
+  }
+
+  /**
+   * Extrait le message d'erreur d'une réponse du service core
+   * @param {Object} body - Corps de la réponse
+   * @returns {string|null} Message d'erreur
+   */
+  extractCoreErrorMessage(body) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    if (typeof body.error === 'string') {
+      return body.error;
+    }
+
+    return (body.error && body.error.message) || body.message || null;
+  }
+
   /**
    * Vérifie l'état de santé du client et du service distant
    * @returns {Promise<Object>} État de santé
@@ -517,6 +673,11 @@ async validateTicket(ticketData, scanContext) {
           state: this.recordScanBreaker.stats?.state,
           failures: this.recordScanBreaker.stats?.failures,
           successes: this.recordScanBreaker.stats?.successes
+        },
+        ticketManifest: {
+          state: this.ticketManifestBreaker.stats?.state,
+          failures: this.ticketManifestBreaker.stats?.failures,
+          successes: this.ticketManifestBreaker.stats?.successes
         }
       };
 
@@ -561,6 +722,18 @@ async validateTicket(ticketData, scanContext) {
     }
   }
 
+  /**
+   * État du circuit breaker de validation des tickets
+   * @returns {string} closed | open | halfOpen
+   */
+  getValidationCircuitState() {
+    if (this.validateTicketBreaker.opened) {
+      return 'open';
+    }
+
+    return this.validateTicketBreaker.halfOpen ? 'halfOpen' : 'closed';
+  }
+
   /**
    * Retourne les statistiques du client
    * @returns {Object} Statistiques
@@ -576,7 +749,8 @@ async validateTicket(ticketData, scanContext) {
         validateTicket: this.validateTicketBreaker.stats,
         validateEvent: this.validateEventBreaker.stats,
         checkTicketStatus: this.checkTicketStatusBreaker.stats,
-        recordScan: this.recordScanBreaker.stats
+        recordScan: this.recordScanBreaker.stats,
+        ticketManifest: this.ticketManifestBreaker.stats
       }
     };
   }
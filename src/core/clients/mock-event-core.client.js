@@ -0,0 +1,66 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Double de test du client event-planner-core
+ * Utilisé en mode de validation `mock` (développement local sans service core) :
+ * tout ticket dont le QR code est valide est déclaré VALIDATED.
+ * NE JAMAIS utiliser en production (refusé par ValidationService).
+ */
+class MockEventCoreClient {
+  /**
+   * Simule la validation métier d'un ticket
+   * Même format de réponse que EventCoreClient.validateTicket
+   * @param {Object} ticketData - Données du ticket validées par QR decoder
+   * @param {Object} scanContext - Contexte du scan
+   * @returns {Promise<Object>} Résultat de la validation simulée
+   */
+  async validateTicket(ticketData, scanContext = {}) {
+    const startTime = Date.now();
+    const validatedAt = new Date().toISOString();
+
+    logger.validation('Mock business validation (VALIDATION_MODE=mock)', {
+      ticketId: ticketData.ticketId,
+      eventId: ticketData.eventId,
+      deviceId: scanContext.deviceId
+    });
+
+    return {
+      success: true,
+      data: {
+        ticket: {
+          id: ticketData.ticketId,
+          eventId: ticketData.eventId,
+          ticketType: ticketData.ticketType,
+          status: 'VALIDATED',
+          isValid: true,
+          validated_at: validatedAt
+        },
+        event: {
+          id: ticketData.eventId,
+          name: 'Mock Event',
+          status: 'ACTIVE',
+          allowScanning: true
+        }
+      },
+      metadata: {
+        source: 'mock',
+        validationType: 'MOCK_BUSINESS_VALIDATION',
+        responseTime: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * État de santé du double de test
+   * @returns {Promise<Object>} État de santé
+   */
+  async healthCheck() {
+    return {
+      success: true,
+      healthy: true,
+      mock: true
+    };
+  }
+}
+
+module.exports = new MockEventCoreClient();
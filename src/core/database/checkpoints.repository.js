@@ -0,0 +1,289 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+const CHECKPOINT_COLUMNS = `
+  id, uid, event_id, code, name, zone, parent_zone, allowed_ticket_types, allowed_zones,
+  is_active, created_at, updated_at
+`;
+
+/**
+ * Repository pour les points de contrôle par événement
+ * Responsabilité : Persistance de la table checkpoints et statistiques de scan par point de contrôle
+ */
+class CheckpointsRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en point de contrôle
+   * @param {Object} row - Ligne de la table checkpoints
+   * @returns {Object} Point de contrôle formaté
+   */
+  mapCheckpoint(row) {
+    return {
+      id: row.id,
+      uid: row.uid,
+      eventId: row.event_id,
+      code: row.code,
+      name: row.name,
+      zone: row.zone,
+      parentZone: row.parent_zone || null,
+      allowedTicketTypes: row.allowed_ticket_types || null,
+      allowedZones: row.allowed_zones || null,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Liste les points de contrôle d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - Options de filtrage
+   * @returns {Promise<Array>} Points de contrôle
+   */
+  async listCheckpoints(eventId, options = {}) {
+    try {
+      let query = `
+        SELECT ${CHECKPOINT_COLUMNS}
+        FROM checkpoints
+        WHERE event_id = $1 AND deleted_at IS NULL
+      `;
+
+      if (!options.includeInactive) {
+        query += ' AND is_active = true';
+      }
+
+      query += ' ORDER BY code ASC';
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows.map(row => this.mapCheckpoint(row));
+    } catch (error) {
+      logger.error('Failed to list checkpoints', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des points de contrôle');
+    }
+  }
+
+  /**
+   * Récupère un point de contrôle par son ID
+   * @param {number} checkpointId - ID du point de contrôle
+   * @returns {Promise<Object|null>} Point de contrôle ou null
+   */
+  async getCheckpointById(checkpointId) {
+    try {
+      const query = `
+        SELECT ${CHECKPOINT_COLUMNS}
+        FROM checkpoints
+        WHERE id = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [checkpointId]);
+
+      return result.rows.length > 0 ? this.mapCheckpoint(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get checkpoint', {
+        error: error.message,
+        checkpointId
+      });
+      throw new Error('Échec de la récupération du point de contrôle');
+    }
+  }
+
+  /**
+   * Crée un point de contrôle
+   * @param {Object} checkpointData - Données du point de contrôle
+   * @returns {Promise<Object>} Point de contrôle créé
+   */
+  async createCheckpoint(checkpointData) {
+    try {
+      const query = `
+        INSERT INTO checkpoints (
+          uid, event_id, code, name, zone, allowed_ticket_types, allowed_zones, is_active, created_by,
+          parent_zone
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9
+        ) RETURNING ${CHECKPOINT_COLUMNS}
+      `;
+
+      const values = [
+        checkpointData.eventId,
+        checkpointData.code,
+        checkpointData.name,
+        checkpointData.zone || null,
+        checkpointData.allowedTicketTypes ? JSON.stringify(checkpointData.allowedTicketTypes) : null,
+        checkpointData.allowedZones ? JSON.stringify(checkpointData.allowedZones) : null,
+        checkpointData.isActive !== false,
+        checkpointData.createdBy,
+        checkpointData.parentZone || null
+      ];
+
+      const result = await this.pool.query(query, values);
+      const checkpoint = this.mapCheckpoint(result.rows[0]);
+
+      logger.database('Checkpoint created', {
+        checkpointId: checkpoint.id,
+        eventId: checkpoint.eventId,
+        code: checkpoint.code
+      });
+
+      return checkpoint;
+    } catch (error) {
+      logger.error('Failed to create checkpoint', {
+        error: error.message,
+        eventId: checkpointData.eventId,
+        code: checkpointData.code
+      });
+
+      // Violation de l'unicité (event_id, code)
+      if (error.code === '23505') {
+        const duplicate = new Error('Code de point de contrôle déjà utilisé pour cet événement');
+        duplicate.code = 'CHECKPOINT_CODE_EXISTS';
+        throw duplicate;
+      }
+
+      throw new Error('Échec de la création du point de contrôle');
+    }
+  }
+
+  /**
+   * Met à jour un point de contrôle
+   * Les listes autorisées sont remplacées si elles sont fournies (null : aucune restriction)
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} updates - Champs à mettre à jour
+   * @returns {Promise<Object|null>} Point de contrôle mis à jour ou null
+   */
+  async updateCheckpoint(checkpointId, updates) {
+    try {
+      const query = `
+        UPDATE checkpoints
+        SET name = COALESCE($2, name),
+            zone = CASE WHEN $3 THEN $4 ELSE zone END,
+            allowed_ticket_types = CASE WHEN $5 THEN $6::jsonb ELSE allowed_ticket_types END,
+            allowed_zones = CASE WHEN $7 THEN $8::jsonb ELSE allowed_zones END,
+            is_active = COALESCE($9, is_active),
+            updated_by = $10,
+            parent_zone = CASE WHEN $11 THEN $12 ELSE parent_zone END,
+            updated_at = NOW()
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING ${CHECKPOINT_COLUMNS}
+      `;
+
+      const values = [
+        checkpointId,
+        updates.name !== undefined ? updates.name : null,
+        updates.zone !== undefined,
+        updates.zone || null,
+        updates.allowedTicketTypes !== undefined,
+        updates.allowedTicketTypes ? JSON.stringify(updates.allowedTicketTypes) : null,
+        updates.allowedZones !== undefined,
+        updates.allowedZones ? JSON.stringify(updates.allowedZones) : null,
+        updates.isActive !== undefined ? updates.isActive : null,
+        updates.updatedBy,
+        updates.parentZone !== undefined,
+        updates.parentZone || null
+      ];
+
+      const result = await this.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.database('Checkpoint updated', { checkpointId });
+
+      return this.mapCheckpoint(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to update checkpoint', {
+        error: error.message,
+        checkpointId
+      });
+      throw new Error('Échec de la mise à jour du point de contrôle');
+    }
+  }
+
+  /**
+   * Supprime (soft delete) un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object|null>} Point de contrôle supprimé ou null
+   */
+  async deleteCheckpoint(checkpointId, deleteData = {}) {
+    try {
+      const query = `
+        UPDATE checkpoints
+        SET deleted_at = NOW(), deleted_by = $2, is_active = false
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id, event_id
+      `;
+
+      const result = await this.pool.query(query, [checkpointId, deleteData.deletedBy]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.database('Checkpoint deleted', { checkpointId });
+
+      return {
+        id: result.rows[0].id,
+        eventId: result.rows[0].event_id
+      };
+    } catch (error) {
+      logger.error('Failed to delete checkpoint', {
+        error: error.message,
+        checkpointId
+      });
+      throw new Error('Échec de la suppression du point de contrôle');
+    }
+  }
+
+  /**
+   * Statistiques de scan d'un point de contrôle
+   * @param {number} checkpointId - ID du point de contrôle
+   * @param {Object} filters - startDate, endDate
+   * @returns {Promise<Array>} Comptages par résultat et sens de passage
+   */
+  async getCheckpointScanStats(checkpointId, filters = {}) {
+    try {
+      let query = `
+        SELECT result, direction,
+               COUNT(*)::int AS scans,
+               MIN(scanned_at) AS first_scan_at,
+               MAX(scanned_at) AS last_scan_at
+        FROM scan_logs
+        WHERE checkpoint_id = $1
+      `;
+      const values = [checkpointId];
+
+      if (filters.startDate) {
+        values.push(filters.startDate);
+        query += ` AND scanned_at >= $${values.length}`;
+      }
+
+      if (filters.endDate) {
+        values.push(filters.endDate);
+        query += ` AND scanned_at <= $${values.length}`;
+      }
+
+      query += ' GROUP BY result, direction';
+
+      const result = await this.pool.query(query, values);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get checkpoint scan stats', {
+        error: error.message,
+        checkpointId
+      });
+      throw new Error('Échec de la récupération des statistiques du point de contrôle');
+    }
+  }
+}
+
+module.exports = new CheckpointsRepository();
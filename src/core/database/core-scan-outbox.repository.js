@@ -0,0 +1,220 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+const ENTRY_COLUMNS = `
+  id, scan_log_id, idempotency_key, payload, status, attempts, next_attempt_at,
+  locked_until, last_status_code, last_error, created_at, updated_at, delivered_at
+`;
+
+/**
+ * Repository de l'outbox de synchronisation vers event-planner-core
+ * Responsabilité : Réservation, suivi et consultation des entrées de core_scan_outbox
+ * NOTE : Les entrées sont créées par ScanRepository.createScanLog, dans la
+ * transaction du log de scan
+ */
+class CoreScanOutboxRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en entrée d'outbox
+   * @param {Object} row - Ligne de la table core_scan_outbox
+   * @returns {Object} Entrée formatée
+   */
+  mapEntry(row) {
+    return {
+      id: row.id,
+      scanLogId: row.scan_log_id,
+      idempotencyKey: row.idempotency_key,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lockedUntil: row.locked_until,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+
+  /**
+   * Réserve les entrées à livrer (dues, ou réservées par un relais arrêté)
+   * SKIP LOCKED : plusieurs instances peuvent relayer sans se marcher dessus
+   * @param {number} limit - Nombre maximal d'entrées
+   * @param {number} lockMs - Durée de la réservation
+   * @returns {Promise<Array>} Entrées réservées
+   */
+  async claimDueEntries(limit, lockMs) {
+    try {
+      const query = `
+        UPDATE core_scan_outbox
+        SET status = 'processing',
+            locked_until = NOW() + ($2::int * INTERVAL '1 millisecond'),
+            updated_at = NOW()
+        WHERE id IN (
+          SELECT id
+          FROM core_scan_outbox
+          WHERE (status = 'pending' AND next_attempt_at <= NOW())
+             OR (status = 'processing' AND locked_until < NOW())
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING ${ENTRY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [limit, lockMs]);
+
+      return result.rows.map(row => this.mapEntry(row));
+    } catch (error) {
+      logger.error('Failed to claim core outbox entries', {
+        error: error.message
+      });
+      throw new Error('Échec de la réservation des entrées de l\'outbox');
+    }
+  }
+
+  /**
+   * Enregistre le résultat d'une tentative de livraison
+   * @param {number} entryId - ID de l'entrée
+   * @param {Object} attempt - status (pending | delivered | failed), statusCode, error, nextAttemptAt
+   * @returns {Promise<Object|null>} Entrée mise à jour
+   */
+  async recordAttempt(entryId, attempt) {
+    try {
+      const query = `
+        UPDATE core_scan_outbox
+        SET status = $2,
+            attempts = attempts + 1,
+            last_status_code = $3,
+            last_error = $4,
+            next_attempt_at = COALESCE($5, next_attempt_at),
+            locked_until = NULL,
+            delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${ENTRY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        entryId,
+        attempt.status,
+        attempt.statusCode || null,
+        attempt.error || null,
+        attempt.nextAttemptAt || null
+      ]);
+
+      return result.rows.length > 0 ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to record core outbox attempt', {
+        error: error.message,
+        entryId
+      });
+      throw new Error('Échec de l\'enregistrement de la tentative de synchronisation');
+    }
+  }
+
+  /**
+   * Remet une entrée abandonnée en attente de livraison immédiate
+   * @param {number} entryId - ID de l'entrée
+   * @returns {Promise<Object|null>} Entrée remise en attente, ou null si absente ou non abandonnée
+   */
+  async requeueEntry(entryId) {
+    try {
+      const query = `
+        UPDATE core_scan_outbox
+        SET status = 'pending',
+            attempts = 0,
+            next_attempt_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1 AND status = 'failed'
+        RETURNING ${ENTRY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [entryId]);
+
+      return result.rows.length > 0 ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to requeue core outbox entry', {
+        error: error.message,
+        entryId
+      });
+      throw new Error('Échec de la remise en attente de l\'entrée de l\'outbox');
+    }
+  }
+
+  /**
+   * Liste les entrées de l'outbox, des plus récentes aux plus anciennes
+   * @param {Object} filters - status, limit
+   * @returns {Promise<Array>} Entrées
+   */
+  async listEntries(filters = {}) {
+    try {
+      const values = [];
+      let query = `
+        SELECT ${ENTRY_COLUMNS}
+        FROM core_scan_outbox
+      `;
+
+      if (filters.status) {
+        values.push(filters.status);
+        query += ` WHERE status = $${values.length}`;
+      }
+
+      values.push(filters.limit || 50);
+      query += ` ORDER BY created_at DESC LIMIT $${values.length}`;
+
+      const result = await this.pool.query(query, values);
+
+      return result.rows.map(row => this.mapEntry(row));
+    } catch (error) {
+      logger.error('Failed to list core outbox entries', {
+        error: error.message,
+        status: filters.status
+      });
+      throw new Error('Échec de la récupération des entrées de l\'outbox');
+    }
+  }
+
+  /**
+   * Nombre d'entrées par statut et ancienneté de la plus ancienne entrée non livrée
+   * @returns {Promise<Object>} { counts, oldestPendingAt }
+   */
+  async getStatusCounts() {
+    try {
+      const query = `
+        SELECT status,
+               COUNT(*) AS count,
+               MIN(created_at) AS oldest_created_at
+        FROM core_scan_outbox
+        GROUP BY status
+      `;
+
+      const result = await this.pool.query(query);
+
+      const counts = { pending: 0, processing: 0, delivered: 0, failed: 0 };
+      let oldestPendingAt = null;
+
+      for (const row of result.rows) {
+        counts[row.status] = parseInt(row.count);
+        if ((row.status === 'pending' || row.status === 'processing') &&
+            (!oldestPendingAt || row.oldest_created_at < oldestPendingAt)) {
+          oldestPendingAt = row.oldest_created_at;
+        }
+      }
+
+      return { counts, oldestPendingAt };
+    } catch (error) {
+      logger.error('Failed to count core outbox entries', {
+        error: error.message
+      });
+      throw new Error('Échec du comptage des entrées de l\'outbox');
+    }
+  }
+}
+
+module.exports = new CoreScanOutboxRepository();
@@ -0,0 +1,219 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Repository pour l'occupation en direct des événements
+ * Responsabilité : Comptage des porteurs présents (scanned_tickets_cache) et jauges (occupancy_limits)
+ */
+class OccupancyRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Nombre de porteurs présents par zone pour un événement
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Lignes { zone, inside }
+   */
+  async getInsideByZone(eventId) {
+    try {
+      const query = `
+        SELECT zone, COUNT(*)::int AS inside
+        FROM scanned_tickets_cache
+        WHERE event_id = $1 AND presence = 'inside'
+        GROUP BY zone
+      `;
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get occupancy by zone', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération de l\'occupation');
+    }
+  }
+
+  /**
+   * Nombre de porteurs présents dans un événement ou une zone
+   * Avec un créneau d'admission, seuls les porteurs entrés dans ce créneau sont
+   * comptés (une présence d'un jour précédent jamais ressortie est ignorée)
+   * @param {number} eventId - ID de l'événement
+   * @param {string|null} zone - Zone (null : tout le site)
+   * @param {Object} options - Options
+   * @param {string|null} options.admissionKey - Créneau d'admission courant (undefined : tous)
+   * @param {Object} db - Client d'une transaction en cours (pool par défaut)
+   * @returns {Promise<number>} Porteurs présents
+   */
+  async countInside(eventId, zone = null, options = {}, db = this.pool) {
+    try {
+      let query = `
+        SELECT COUNT(*)::int AS inside
+        FROM scanned_tickets_cache
+        WHERE event_id = $1 AND presence = 'inside'
+      `;
+      const values = [eventId];
+
+      if (zone) {
+        values.push(zone);
+        query += ` AND zone = $${values.length}`;
+      }
+
+      if (options.admissionKey !== undefined) {
+        values.push(options.admissionKey);
+        query += ` AND admission_key IS NOT DISTINCT FROM $${values.length}`;
+      }
+
+      const result = await db.query(query, values);
+
+      return result.rows[0].inside;
+    } catch (error) {
+      logger.error('Failed to count occupancy', {
+        error: error.message,
+        eventId,
+        zone
+      });
+      throw new Error('Échec du comptage de l\'occupation');
+    }
+  }
+
+  /**
+   * Réserve une place sous les jauges, dans la transaction qui enregistre l'entrée
+   * Les entrées d'un même événement sont sérialisées (verrou consultatif libéré
+   * au COMMIT) : deux entrées simultanées ne peuvent pas dépasser une jauge.
+   * @param {Object} reservation - eventId, admissionKey, limits [{ zone, capacity }]
+   * @param {Object} client - Client de la transaction en cours
+   * @returns {Promise<void>}
+   * @throws {Error} code CAPACITY_REACHED (avec occupancy) si une jauge est atteinte
+   */
+  async reserveCapacity(reservation, client) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`occupancy:${reservation.eventId}`]);
+
+    for (const limit of reservation.limits) {
+      const inside = await this.countInside(
+        reservation.eventId,
+        limit.zone,
+        { admissionKey: reservation.admissionKey || null },
+        client
+      );
+
+      if (inside >= limit.capacity) {
+        const error = new Error(limit.zone
+          ? `Jauge atteinte pour la zone ${limit.zone} (${limit.capacity})`
+          : `Jauge atteinte pour l'événement (${limit.capacity})`);
+        error.code = 'CAPACITY_REACHED';
+        error.occupancy = { zone: limit.zone, capacity: limit.capacity, inside };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Jauges configurées pour un événement
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Jauges { zone, capacity }
+   */
+  async listCapacities(eventId) {
+    try {
+      const query = `
+        SELECT zone, capacity, updated_at
+        FROM occupancy_limits
+        WHERE event_id = $1
+        ORDER BY zone NULLS FIRST
+      `;
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows.map(row => ({
+        zone: row.zone,
+        capacity: row.capacity,
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      logger.error('Failed to list occupancy limits', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des jauges');
+    }
+  }
+
+  /**
+   * Définit la jauge d'un événement ou d'une zone
+   * @param {Object} limitData - eventId, zone (null : tout le site), capacity, updatedBy
+   * @returns {Promise<Object>} Jauge enregistrée
+   */
+  async upsertCapacity(limitData) {
+    try {
+      const query = `
+        INSERT INTO occupancy_limits (event_id, zone, capacity, updated_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (event_id, (COALESCE(zone, '')))
+        DO UPDATE SET
+          capacity = EXCLUDED.capacity,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+        RETURNING event_id, zone, capacity, updated_at
+      `;
+
+      const result = await this.pool.query(query, [
+        limitData.eventId,
+        limitData.zone || null,
+        limitData.capacity,
+        limitData.updatedBy
+      ]);
+      const row = result.rows[0];
+
+      logger.database('Occupancy limit updated', {
+        eventId: limitData.eventId,
+        zone: row.zone,
+        capacity: row.capacity
+      });
+
+      return {
+        eventId: row.event_id,
+        zone: row.zone,
+        capacity: row.capacity,
+        updatedAt: row.updated_at
+      };
+    } catch (error) {
+      logger.error('Failed to update occupancy limit', {
+        error: error.message,
+        eventId: limitData.eventId,
+        zone: limitData.zone
+      });
+      throw new Error('Échec de l\'enregistrement de la jauge');
+    }
+  }
+
+  /**
+   * Supprime la jauge d'un événement ou d'une zone
+   * @param {number} eventId - ID de l'événement
+   * @param {string|null} zone - Zone (null : tout le site)
+   * @returns {Promise<boolean>} true si une jauge a été supprimée
+   */
+  async deleteCapacity(eventId, zone = null) {
+    try {
+      const query = `
+        DELETE FROM occupancy_limits
+        WHERE event_id = $1 AND COALESCE(zone, '') = COALESCE($2, '')
+      `;
+
+      const result = await this.pool.query(query, [eventId, zone || null]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to delete occupancy limit', {
+        error: error.message,
+        eventId,
+        zone
+      });
+      throw new Error('Échec de la suppression de la jauge');
+    }
+  }
+}
+
+module.exports = new OccupancyRepository();
@@ -0,0 +1,274 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+const OPERATOR_COLUMNS = `
+  id, uid, user_id, event_id, permissions, is_active, last_login_at,
+  created_at, updated_at
+`;
+
+/**
+ * Repository pour les opérateurs de scan
+ * Responsabilité : Persistance de la table scan_operators
+ * NOTE : access_code contient uniquement l'empreinte du code d'accès
+ */
+class ScanOperatorsRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en opérateur (sans le code d'accès)
+   * @param {Object} row - Ligne de la table scan_operators
+   * @returns {Object} Opérateur formaté
+   */
+  mapOperator(row) {
+    return {
+      id: row.id,
+      uid: row.uid,
+      userId: row.user_id,
+      eventId: row.event_id,
+      permissions: row.permissions || {},
+      isActive: row.is_active,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Crée un opérateur de scan
+   * @param {Object} operatorData - Données de l'opérateur
+   * @returns {Promise<Object>} Opérateur créé
+   */
+  async createOperator(operatorData) {
+    try {
+      const query = `
+        INSERT INTO scan_operators (
+          uid, user_id, event_id, access_code, permissions, is_active, created_by
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, true, $5
+        ) RETURNING ${OPERATOR_COLUMNS}
+      `;
+
+      const values = [
+        operatorData.userId,
+        operatorData.eventId || null,
+        operatorData.accessCodeHash,
+        JSON.stringify(operatorData.permissions || {}),
+        operatorData.createdBy
+      ];
+
+      const result = await this.pool.query(query, values);
+      const operator = this.mapOperator(result.rows[0]);
+
+      logger.database('Scan operator created', {
+        operatorId: operator.id,
+        userId: operator.userId,
+        eventId: operator.eventId
+      });
+
+      return operator;
+    } catch (error) {
+      logger.error('Failed to create scan operator', {
+        error: error.message,
+        userId: operatorData.userId
+      });
+
+      // Violation de l'unicité du code d'accès
+      if (error.code === '23505') {
+        const conflict = new Error('Code d\'accès déjà utilisé');
+        conflict.code = 'ACCESS_CODE_IN_USE';
+        throw conflict;
+      }
+
+      throw new Error('Échec de la création de l\'opérateur de scan');
+    }
+  }
+
+  /**
+   * Récupère un opérateur par son ID
+   * @param {number} operatorId - ID de l'opérateur
+   * @returns {Promise<Object|null>} Opérateur ou null
+   */
+  async getOperatorById(operatorId) {
+    try {
+      const query = `
+        SELECT ${OPERATOR_COLUMNS}
+        FROM scan_operators
+        WHERE id = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [operatorId]);
+
+      return result.rows.length > 0 ? this.mapOperator(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get scan operator', {
+        error: error.message,
+        operatorId
+      });
+      throw new Error('Échec de la récupération de l\'opérateur de scan');
+    }
+  }
+
+  /**
+   * Récupère un opérateur par l'empreinte de son code d'accès
+   * @param {string} accessCodeHash - Empreinte du code d'accès
+   * @returns {Promise<Object|null>} Opérateur ou null
+   */
+  async getOperatorByAccessCodeHash(accessCodeHash) {
+    try {
+      const query = `
+        SELECT ${OPERATOR_COLUMNS}
+        FROM scan_operators
+        WHERE access_code = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [accessCodeHash]);
+
+      return result.rows.length > 0 ? this.mapOperator(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get scan operator by access code', {
+        error: error.message
+      });
+      throw new Error('Échec de la récupération de l\'opérateur de scan');
+    }
+  }
+
+  /**
+   * Liste les opérateurs de scan
+   * @param {Object} filters - Filtres (eventId, includeInactive, limit)
+   * @returns {Promise<Array>} Opérateurs
+   */
+  async listOperators(filters = {}) {
+    try {
+      let query = `
+        SELECT ${OPERATOR_COLUMNS}
+        FROM scan_operators
+        WHERE deleted_at IS NULL
+      `;
+      const values = [];
+      let paramIndex = 1;
+
+      if (filters.eventId) {
+        query += ` AND event_id = $${paramIndex++}`;
+        values.push(filters.eventId);
+      }
+
+      if (!filters.includeInactive) {
+        query += ' AND is_active = true';
+      }
+
+      query += ` ORDER BY created_at DESC LIMIT $${paramIndex}`;
+      values.push(filters.limit || 100);
+
+      const result = await this.pool.query(query, values);
+
+      return result.rows.map(row => this.mapOperator(row));
+    } catch (error) {
+      logger.error('Failed to list scan operators', {
+        error: error.message,
+        filters
+      });
+      throw new Error('Échec de la récupération des opérateurs de scan');
+    }
+  }
+
+  /**
+   * Met à jour un opérateur de scan
+   * @param {number} operatorId - ID de l'opérateur
+   * @param {Object} updates - Champs à mettre à jour
+   * @returns {Promise<Object|null>} Opérateur mis à jour ou null
+   */
+  async updateOperator(operatorId, updates) {
+    try {
+      const query = `
+        UPDATE scan_operators
+        SET permissions = COALESCE($2, permissions),
+            is_active = COALESCE($3, is_active),
+            access_code = COALESCE($4, access_code),
+            updated_by = $5,
+            updated_at = NOW()
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING ${OPERATOR_COLUMNS}
+      `;
+
+      const values = [
+        operatorId,
+        updates.permissions !== undefined ? JSON.stringify(updates.permissions) : null,
+        updates.isActive !== undefined ? updates.isActive : null,
+        updates.accessCodeHash || null,
+        updates.updatedBy
+      ];
+
+      const result = await this.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.database('Scan operator updated', { operatorId });
+
+      return this.mapOperator(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to update scan operator', {
+        error: error.message,
+        operatorId
+      });
+      throw new Error('Échec de la mise à jour de l\'opérateur de scan');
+    }
+  }
+
+  /**
+   * Enregistre la date de dernière connexion d'un opérateur
+   * @param {number} operatorId - ID de l'opérateur
+   * @returns {Promise<void>}
+   */
+  async recordLogin(operatorId) {
+    try {
+      await this.pool.query(
+        'UPDATE scan_operators SET last_login_at = NOW() WHERE id = $1',
+        [operatorId]
+      );
+    } catch (error) {
+      // Non bloquant : la connexion reste valide
+      logger.error('Failed to record scan operator login', {
+        error: error.message,
+        operatorId
+      });
+    }
+  }
+
+  /**
+   * Supprime (soft delete) un opérateur de scan
+   * @param {number} operatorId - ID de l'opérateur
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<boolean>} true si l'opérateur a été supprimé
+   */
+  async deleteOperator(operatorId, deleteData = {}) {
+    try {
+      const query = `
+        UPDATE scan_operators
+        SET deleted_at = NOW(), deleted_by = $2, is_active = false
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id
+      `;
+
+      const result = await this.pool.query(query, [operatorId, deleteData.deletedBy]);
+
+      if (result.rows.length > 0) {
+        logger.database('Scan operator deleted', { operatorId });
+      }
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to delete scan operator', {
+        error: error.message,
+        operatorId
+      });
+      throw new Error('Échec de la suppression de l\'opérateur de scan');
+    }
+  }
+}
+
+module.exports = new ScanOperatorsRepository();
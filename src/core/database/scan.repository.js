@@ -107,20 +107,115 @@ class ScanRepository {
     }
   }
 
+  /**
+   * Récupère une session de scan par son ID
+   * @param {number} sessionId - ID de la session
+   * @returns {Promise<Object|null>} Session ou null si inexistante
+   */
+  async getScanSessionById(sessionId) {
+    try {
+      const query = `
+        SELECT id, uid, scan_operator_id, event_id, location, device_info,
+               started_at, ended_at
+        FROM scan_sessions
+        WHERE id = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [sessionId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const row = result.rows[0];
+
+      return {
+        id: row.id,
+        uid: row.uid,
+        operatorId: row.scan_operator_id,
+        eventId: row.event_id,
+        location: row.location,
+        deviceInfo: row.device_info,
+        startedAt: row.started_at,
+        endedAt: row.ended_at
+      };
+    } catch (error) {
+      logger.error('Failed to get scan session', {
+        error: error.message,
+        sessionId
+      });
+      throw new Error('Échec de la récupération de la session de scan');
+    }
+  }
+
+  /**
+   * Calcule les compteurs de scans d'une session
+   * @param {number} sessionId - ID de la session
+   * @returns {Promise<Object>} Compteurs par résultat
+   */
+  async getScanSessionCounters(sessionId) {
+    try {
+      const query = `
+        SELECT
+          COUNT(*) as total_scans,
+          COUNT(DISTINCT ticket_id) as unique_tickets,
+          COUNT(CASE WHEN result = 'valid' THEN 1 END) as valid_scans,
+          COUNT(CASE WHEN result = 'invalid' THEN 1 END) as invalid_scans,
+          COUNT(CASE WHEN result = 'already_used' THEN 1 END) as already_used_scans,
+          COUNT(CASE WHEN result = 'expired' THEN 1 END) as expired_scans,
+          COUNT(CASE WHEN result = 'fraud_detected' THEN 1 END) as fraud_scans,
+          MIN(scanned_at) as first_scan_at,
+          MAX(scanned_at) as last_scan_at
+        FROM scan_logs
+        WHERE scan_session_id = $1
+      `;
+
+      const result = await this.pool.query(query, [sessionId]);
+      const row = result.rows[0];
+
+      return {
+        totalScans: parseInt(row.total_scans || 0),
+        uniqueTickets: parseInt(row.unique_tickets || 0),
+        validScans: parseInt(row.valid_scans || 0),
+        invalidScans: parseInt(row.invalid_scans || 0),
+        alreadyUsedScans: parseInt(row.already_used_scans || 0),
+        expiredScans: parseInt(row.expired_scans || 0),
+        fraudScans: parseInt(row.fraud_scans || 0),
+        firstScanAt: row.first_scan_at,
+        lastScanAt: row.last_scan_at
+      };
+    } catch (error) {
+      logger.error('Failed to get scan session counters', {
+        error: error.message,
+        sessionId
+      });
+      throw new Error('Échec du calcul des compteurs de la session de scan');
+    }
+  }
+
   /**
    * Enregistre un log de scan
+   * Un uid fourni par l'appareil rend l'insertion idempotente : un renvoi
+   * retourne le log existant marqué `duplicate`
+   * Avec scanLogData.ticketCache, le cache des tickets scannés (présence) est mis
+   * à jour dans la même transaction, sauf pour un renvoi, après presenceGuard
+   * (réservation sous les jauges) qui peut annuler la transaction
    * @param {Object} scanLogData - Données du log de scan
-   * @returns {Promise<Object>} Log de scan créé
+   * @returns {Promise<Object>} Log de scan créé (avec ticketCache) ou existant
    */
   async createScanLog(scanLogData) {
     try {
       const query = `
         INSERT INTO scan_logs (
           uid, scan_session_id, scanned_at, result, location, device_id,
-          ticket_id, ticket_data, validation_details, fraud_flags, created_by
+          ticket_id, ticket_data, validation_details, fraud_flags, created_by,
+          degraded, core_confirmation, direction, admission_key, checkpoint_id
         ) VALUES (
-          gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
-        ) RETURNING id, uid, scanned_at, result, ticket_id
+          COALESCE($11::uuid, gen_random_uuid()), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+          $12, CASE WHEN $12 THEN 'pending' END, $13, $14, $15
+        )
+        ON CONFLICT (uid) DO NOTHING
+        RETURNING id, uid, scanned_at, result, ticket_id, direction, admission_key
       `;
 
       const values = [
@@ -133,11 +228,39 @@ class ScanRepository {
         JSON.stringify(scanLogData.ticketData || {}),
         JSON.stringify(scanLogData.validationDetails || {}),
         JSON.stringify(scanLogData.fraudFlags || {}),
-        scanLogData.createdBy
+        scanLogData.createdBy,
+        scanLogData.uid || null,
+        !!scanLogData.degraded,
+        scanLogData.direction || 'entry',
+        scanLogData.admissionKey || null,
+        scanLogData.checkpointId || null
       ];
 
-      const result = await this.pool.query(query, values);
-      const scanLog = result.rows[0];
+      const result = scanLogData.coreOutboxPayload || scanLogData.ticketCache
+        ? await this.insertScanLogWithOutbox(
+          query,
+          values,
+          scanLogData.coreOutboxPayload,
+          scanLogData.ticketCache,
+          scanLogData.presenceGuard
+        )
+        : await this.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        const existing = await this.getScanLogByUid(scanLogData.uid);
+
+        logger.database('Duplicate scan log ignored', {
+          scanLogId: existing ? existing.id : null,
+          uid: scanLogData.uid,
+          ticketId: scanLogData.ticketId
+        });
+
+        return { ...existing, duplicate: true };
+      }
+
+      const scanLog = result.ticketCache
+        ? { ...result.rows[0], ticketCache: result.ticketCache }
+        : result.rows[0];
 
       logger.database('Scan log created', {
         scanLogId: scanLog.id,
@@ -152,10 +275,117 @@ class ScanRepository {
         error: error.message,
         ticketId: scanLogData.ticketId
       });
+
+      // Refus de presenceGuard (jauge atteinte) ou du fencing : rien n'a été enregistré
+      if (error.code === 'CAPACITY_REACHED' || error.code === 'SCAN_LOCK_EXPIRED') {
+        throw error;
+      }
       throw new Error('Échec de l\'enregistrement du log de scan');
     }
   }
 
+  /**
+   * Insère un log de scan et son entrée d'outbox vers event-planner-core
+   * dans la même transaction (aucun scan admis sans synchronisation prévue)
+   * @param {string} query - Requête d'insertion du log
+   * @param {Array} values - Valeurs de la requête
+   * @param {Object|null} payload - Données à transmettre au core
+   * @param {Object|null} ticketCache - Présence à écrire (updateScannedTicketCache)
+   * @param {Function|null} presenceGuard - Contrôle exécuté avant la présence (client) => Promise
+   * @returns {Promise<Object>} Résultat de l'insertion du log (et ticketCache mis à jour)
+   */
+  async insertScanLogWithOutbox(query, values, payload, ticketCache = null, presenceGuard = null) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(query, values);
+
+      // Log déjà présent (renvoi) : son entrée d'outbox et sa présence existent déjà
+      if (result.rows.length > 0 && payload) {
+        const scanLog = result.rows[0];
+        await client.query(`
+          INSERT INTO core_scan_outbox (scan_log_id, idempotency_key, payload)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (idempotency_key) DO NOTHING
+        `, [scanLog.id, scanLog.uid, JSON.stringify({ ...payload, scanId: scanLog.uid })]);
+      }
+
+      if (result.rows.length > 0 && ticketCache) {
+        if (presenceGuard) {
+          await presenceGuard(client);
+        }
+        result.ticketCache = await this.updateScannedTicketCache(ticketCache, client);
+      }
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Enregistre la confirmation différée d'un scan dégradé par event-planner-core
+   * @param {string} uid - UUID du log de scan
+   * @param {string} confirmation - confirmed | rejected
+   * @returns {Promise<Object|null>} Log mis à jour ou null si inexistant
+   */
+  async updateCoreConfirmation(uid, confirmation) {
+    try {
+      const query = `
+        UPDATE scan_logs
+        SET core_confirmation = $2, core_confirmed_at = NOW()
+        WHERE uid = $1 AND degraded = true
+        RETURNING id, uid, ticket_id, core_confirmation
+      `;
+
+      const result = await this.pool.query(query, [uid, confirmation]);
+
+      logger.database('Degraded scan confirmation updated', {
+        uid,
+        confirmation,
+        updated: result.rows.length
+      });
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to update degraded scan confirmation', {
+        error: error.message,
+        uid
+      });
+      throw new Error('Échec de la mise à jour de la confirmation du scan');
+    }
+  }
+
+  /**
+   * Récupère un log de scan par son uid
+   * @param {string} uid - UUID du log (généré par l'appareil pour les scans offline)
+   * @returns {Promise<Object|null>} Log de scan ou null si inexistant
+   */
+  async getScanLogByUid(uid) {
+    try {
+      const query = `
+        SELECT id, uid, scanned_at, result, ticket_id
+        FROM scan_logs
+        WHERE uid = $1
+      `;
+
+      const result = await this.pool.query(query, [uid]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get scan log by uid', {
+        error: error.message,
+        uid
+      });
+      throw new Error('Échec de la récupération du log de scan');
+    }
+  }
+
   /**
    * Alias pour createScanLog - utilisé par le service de scan
    * @param {Object} scanData - Données du scan
@@ -167,15 +397,27 @@ class ScanRepository {
 
   /**
    * Met à jour le cache des tickets scannés
+   * Avec cacheData.fencingToken, la ligne n'est mise à jour que si ce jeton est au moins
+   * égal au dernier enregistré : un scan dont le verrou a été repris est refusé
    * @param {Object} cacheData - Données du cache
+   * @param {Object} db - Client d'une transaction en cours (pool par défaut)
    * @returns {Promise<Object>} Cache mis à jour
+   * @throws {Error} code SCAN_LOCK_EXPIRED si le jeton de fencing est périmé
    */
-  async updateScannedTicketCache(cacheData) {
+  async updateScannedTicketCache(cacheData, db = this.pool) {
     try {
       const query = `
         INSERT INTO scanned_tickets_cache (
-          ticket_id, first_scan_at, last_scan_at, scan_count, scan_locations, is_blocked, block_reason
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ticket_id, first_scan_at, last_scan_at, scan_count, scan_locations, is_blocked, block_reason,
+          presence, entry_count, exit_count, last_entry_at, last_exit_at, admission_key,
+          event_id, zone, fencing_token
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7,
+          COALESCE($8, 'outside'), $9, $10,
+          CASE WHEN $9 > 0 THEN $3::timestamptz END,
+          CASE WHEN $10 > 0 THEN $3::timestamptz END,
+          $11, $13, $14, $15
+        )
         ON CONFLICT (ticket_id) 
         DO UPDATE SET
           last_scan_at = EXCLUDED.last_scan_at,
@@ -183,8 +425,31 @@ class ScanRepository {
           scan_locations = EXCLUDED.scan_locations,
           is_blocked = EXCLUDED.is_blocked,
           block_reason = EXCLUDED.block_reason,
+          presence = COALESCE($8, scanned_tickets_cache.presence),
+          -- Nouveau créneau d'admission (ex : jour suivant) : compteurs remis à zéro
+          entry_count = CASE
+            WHEN $12 AND scanned_tickets_cache.admission_key IS DISTINCT FROM EXCLUDED.admission_key
+            THEN EXCLUDED.entry_count
+            ELSE scanned_tickets_cache.entry_count + EXCLUDED.entry_count
+          END,
+          exit_count = CASE
+            WHEN $12 AND scanned_tickets_cache.admission_key IS DISTINCT FROM EXCLUDED.admission_key
+            THEN EXCLUDED.exit_count
+            ELSE scanned_tickets_cache.exit_count + EXCLUDED.exit_count
+          END,
+          admission_key = CASE WHEN $12 THEN EXCLUDED.admission_key ELSE scanned_tickets_cache.admission_key END,
+          event_id = COALESCE(EXCLUDED.event_id, scanned_tickets_cache.event_id),
+          -- Zone courante du porteur : dernière entrée ou changement de zone (occupation par zone)
+          zone = CASE WHEN $12 THEN EXCLUDED.zone ELSE scanned_tickets_cache.zone END,
+          last_entry_at = COALESCE(EXCLUDED.last_entry_at, scanned_tickets_cache.last_entry_at),
+          last_exit_at = COALESCE(EXCLUDED.last_exit_at, scanned_tickets_cache.last_exit_at),
+          fencing_token = COALESCE(EXCLUDED.fencing_token, scanned_tickets_cache.fencing_token),
           updated_at = NOW()
-        RETURNING ticket_id, scan_count, is_blocked, block_reason
+        -- Fencing : un passage validé sous un verrou repris depuis n'écrase pas le suivant
+        WHERE EXCLUDED.fencing_token IS NULL
+          OR scanned_tickets_cache.fencing_token IS NULL
+          OR scanned_tickets_cache.fencing_token <= EXCLUDED.fencing_token
+        RETURNING ticket_id, scan_count, is_blocked, block_reason, presence, entry_count, exit_count, admission_key, zone
       `;
 
       const values = [
@@ -194,10 +459,32 @@ class ScanRepository {
         cacheData.scanCount || 1,
         JSON.stringify(cacheData.scanLocations || []),
         cacheData.isBlocked || false,
-        cacheData.blockReason || null
+        cacheData.blockReason || null,
+        // Présence inchangée (null) pour les scans refusés et les blocages
+        cacheData.presence || null,
+        cacheData.entryCount || 0,
+        cacheData.exitCount || 0,
+        cacheData.admissionKey || null,
+        // Seul un passage accepté peut ouvrir un nouveau créneau
+        !!cacheData.presence,
+        cacheData.eventId || null,
+        cacheData.zone || null,
+        cacheData.fencingToken || null
       ];
 
-      const result = await this.pool.query(query, values);
+      const result = await db.query(query, values);
+
+      if (result.rows.length === 0) {
+        logger.security('Stale fencing token refused', {
+          ticketId: cacheData.ticketId,
+          fencingToken: cacheData.fencingToken
+        });
+
+        const error = new Error('Délai de validation dépassé, scanner à nouveau');
+        error.code = 'SCAN_LOCK_EXPIRED';
+        throw error;
+      }
+
       const cache = result.rows[0];
 
       logger.database('Scanned ticket cache updated', {
@@ -208,6 +495,10 @@ class ScanRepository {
 
       return cache;
     } catch (error) {
+      if (error.code === 'SCAN_LOCK_EXPIRED') {
+        throw error;
+      }
+
       logger.error('Failed to update scanned ticket cache', {
         error: error.message,
         ticketId: cacheData.ticketId
@@ -216,6 +507,29 @@ class ScanRepository {
     }
   }
 
+  /**
+   * Met à jour le cache des tickets scannés après un contrôle, dans une transaction
+   * @param {Object} cacheData - Données du cache
+   * @param {Function} presenceGuard - Contrôle (client) => Promise, lève une erreur pour annuler
+   * @returns {Promise<Object>} Cache mis à jour
+   */
+  async updateScannedTicketCacheWithGuard(cacheData, presenceGuard) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await presenceGuard(client);
+      const cache = await this.updateScannedTicketCache(cacheData, client);
+      await client.query('COMMIT');
+      return cache;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Vérifie si un ticket est bloqué dans le cache
    * @param {number} ticketId - ID du ticket
@@ -225,7 +539,8 @@ class ScanRepository {
     try {
       const query = `
         SELECT ticket_id, first_scan_at, last_scan_at, scan_count, 
-               scan_locations, is_blocked, block_reason
+               scan_locations, is_blocked, block_reason,
+               presence, entry_count, exit_count, last_entry_at, last_exit_at, admission_key, zone
         FROM scanned_tickets_cache
         WHERE ticket_id = $1
       `;
@@ -243,7 +558,14 @@ class ScanRepository {
         scanCount: result.rows[0].scan_count,
         scanLocations: result.rows[0].scan_locations,
         isBlocked: result.rows[0].is_blocked,
-        blockReason: result.rows[0].block_reason
+        blockReason: result.rows[0].block_reason,
+        presence: result.rows[0].presence,
+        entryCount: result.rows[0].entry_count,
+        exitCount: result.rows[0].exit_count,
+        lastEntryAt: result.rows[0].last_entry_at,
+        lastExitAt: result.rows[0].last_exit_at,
+        admissionKey: result.rows[0].admission_key,
+        zone: result.rows[0].zone
       };
     } catch (error) {
       logger.error('Failed to get ticket cache', {
@@ -272,7 +594,7 @@ class ScanRepository {
       const values = [
         fraudData.scanLogId,
         fraudData.fraudType,
-        fraudData.severity || 'medium',
+        String(fraudData.severity || 'medium').toLowerCase(),
         JSON.stringify(fraudData.details || {}),
         fraudData.ipAddress,
         fraudData.userAgent,
@@ -450,12 +772,17 @@ class ScanRepository {
       let query = `
         SELECT id, uid, started_at, scan_operator_id, event_id, location, device_info
         FROM scan_sessions
-        WHERE ended_at IS NULL
+        WHERE ended_at IS NULL AND deleted_at IS NULL
       `;
 
       const values = [];
       let paramIndex = 1;
 
+      if (filters.eventId) {
+        query += ` AND event_id = $${paramIndex++}`;
+        values.push(filters.eventId);
+      }
+
       if (filters.operatorId) {
         query += ` AND scan_operator_id = $${paramIndex++}`;
         values.push(filters.operatorId);
@@ -0,0 +1,130 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+const REVOCATION_COLUMNS = `
+  id, event_id, revocation_type, revocation_key, reason, note, source,
+  revoked_at, created_at, updated_at
+`;
+
+/**
+ * Repository des révocations de tickets
+ * Responsabilité : Persistance et consultation de ticket_revocations
+ */
+class TicketRevocationsRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en révocation
+   * @param {Object} row - Ligne de la table ticket_revocations
+   * @returns {Object} Révocation formatée
+   */
+  mapRevocation(row) {
+    return {
+      id: row.id,
+      eventId: row.event_id,
+      type: row.revocation_type,
+      key: row.revocation_key,
+      reason: row.reason,
+      note: row.note,
+      source: row.source,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Enregistre des révocations (une révocation existante est mise à jour)
+   * Un seul INSERT multi-lignes : le lot est appliqué entièrement ou pas du tout
+   * @param {Array} revocations - { eventId, type, key, reason, note, source, revokedAt }
+   * @returns {Promise<Array>} Révocations enregistrées
+   */
+  async upsertRevocations(revocations) {
+    try {
+      const values = [];
+      const rows = revocations.map(revocation => {
+        values.push(
+          revocation.eventId,
+          revocation.type,
+          revocation.key,
+          revocation.reason,
+          revocation.note || null,
+          revocation.source || null,
+          revocation.revokedAt || new Date()
+        );
+        const offset = values.length - 7;
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+      });
+
+      const query = `
+        INSERT INTO ticket_revocations (
+          event_id, revocation_type, revocation_key, reason, note, source, revoked_at
+        ) VALUES ${rows.join(', ')}
+        ON CONFLICT (event_id, revocation_type, revocation_key) DO UPDATE
+        SET reason = EXCLUDED.reason,
+            note = EXCLUDED.note,
+            source = EXCLUDED.source,
+            updated_at = NOW()
+        RETURNING ${REVOCATION_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, values);
+
+      logger.database('Ticket revocations recorded', {
+        count: result.rows.length
+      });
+
+      return result.rows.map(row => this.mapRevocation(row));
+    } catch (error) {
+      logger.error('Failed to record ticket revocations', {
+        error: error.message,
+        count: revocations.length
+      });
+      throw new Error('Échec de l\'enregistrement des révocations');
+    }
+  }
+
+  /**
+   * Révocations d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} filters - since (mises à jour postérieures), limit
+   * @returns {Promise<Array>} Révocations, des plus anciennes aux plus récentes
+   */
+  async listByEvent(eventId, filters = {}) {
+    try {
+      const values = [eventId];
+      let query = `
+        SELECT ${REVOCATION_COLUMNS}
+        FROM ticket_revocations
+        WHERE event_id = $1
+      `;
+
+      if (filters.since) {
+        values.push(filters.since);
+        query += ` AND updated_at > $${values.length}`;
+      }
+
+      query += ' ORDER BY updated_at ASC';
+
+      if (filters.limit) {
+        values.push(filters.limit);
+        query += ` LIMIT $${values.length}`;
+      }
+
+      const result = await this.pool.query(query, values);
+
+      return result.rows.map(row => this.mapRevocation(row));
+    } catch (error) {
+      logger.error('Failed to list ticket revocations', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des révocations');
+    }
+  }
+}
+
+module.exports = new TicketRevocationsRepository();
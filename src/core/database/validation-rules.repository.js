@@ -0,0 +1,229 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Repository pour les règles de validation par événement
+ * Responsabilité : Persistance de la table validation_rules
+ */
+class ValidationRulesRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en règle
+   * @param {Object} row - Ligne de la table validation_rules
+   * @returns {Object} Règle formatée
+   */
+  mapRule(row) {
+    return {
+      id: row.id,
+      uid: row.uid,
+      eventId: row.event_id,
+      ruleType: row.rule_type,
+      parameters: row.parameters || {},
+      isActive: row.is_active,
+      priority: row.priority,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Récupère les règles actives d'un événement, par priorité décroissante
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Règles actives
+   */
+  async getActiveRulesForEvent(eventId) {
+    return this.listRules(eventId, { includeInactive: false });
+  }
+
+  /**
+   * Liste les règles d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - Options de filtrage
+   * @returns {Promise<Array>} Règles
+   */
+  async listRules(eventId, options = {}) {
+    try {
+      let query = `
+        SELECT id, uid, event_id, rule_type, parameters, is_active, priority,
+               created_at, updated_at
+        FROM validation_rules
+        WHERE event_id = $1 AND deleted_at IS NULL
+      `;
+
+      if (!options.includeInactive) {
+        query += ' AND is_active = true';
+      }
+
+      query += ' ORDER BY priority DESC, id ASC';
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows.map(row => this.mapRule(row));
+    } catch (error) {
+      logger.error('Failed to list validation rules', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des règles de validation');
+    }
+  }
+
+  /**
+   * Récupère une règle par son ID
+   * @param {number} ruleId - ID de la règle
+   * @returns {Promise<Object|null>} Règle ou null
+   */
+  async getRuleById(ruleId) {
+    try {
+      const query = `
+        SELECT id, uid, event_id, rule_type, parameters, is_active, priority,
+               created_at, updated_at
+        FROM validation_rules
+        WHERE id = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [ruleId]);
+
+      return result.rows.length > 0 ? this.mapRule(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get validation rule', {
+        error: error.message,
+        ruleId
+      });
+      throw new Error('Échec de la récupération de la règle de validation');
+    }
+  }
+
+  /**
+   * Crée une règle de validation
+   * @param {Object} ruleData - Données de la règle
+   * @returns {Promise<Object>} Règle créée
+   */
+  async createRule(ruleData) {
+    try {
+      const query = `
+        INSERT INTO validation_rules (
+          uid, event_id, rule_type, parameters, is_active, priority, created_by
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, $6
+        ) RETURNING id, uid, event_id, rule_type, parameters, is_active, priority,
+                    created_at, updated_at
+      `;
+
+      const values = [
+        ruleData.eventId,
+        ruleData.ruleType,
+        JSON.stringify(ruleData.parameters || {}),
+        ruleData.isActive !== false,
+        ruleData.priority || 0,
+        ruleData.createdBy
+      ];
+
+      const result = await this.pool.query(query, values);
+      const rule = this.mapRule(result.rows[0]);
+
+      logger.database('Validation rule created', {
+        ruleId: rule.id,
+        eventId: rule.eventId,
+        ruleType: rule.ruleType
+      });
+
+      return rule;
+    } catch (error) {
+      logger.error('Failed to create validation rule', {
+        error: error.message,
+        eventId: ruleData.eventId,
+        ruleType: ruleData.ruleType
+      });
+      throw new Error('Échec de la création de la règle de validation');
+    }
+  }
+
+  /**
+   * Met à jour une règle de validation
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} updates - Champs à mettre à jour
+   * @returns {Promise<Object|null>} Règle mise à jour ou null
+   */
+  async updateRule(ruleId, updates) {
+    try {
+      const query = `
+        UPDATE validation_rules
+        SET parameters = COALESCE($2, parameters),
+            is_active = COALESCE($3, is_active),
+            priority = COALESCE($4, priority),
+            updated_by = $5,
+            updated_at = NOW()
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id, uid, event_id, rule_type, parameters, is_active, priority,
+                  created_at, updated_at
+      `;
+
+      const values = [
+        ruleId,
+        updates.parameters !== undefined ? JSON.stringify(updates.parameters) : null,
+        updates.isActive !== undefined ? updates.isActive : null,
+        updates.priority !== undefined ? updates.priority : null,
+        updates.updatedBy
+      ];
+
+      const result = await this.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.database('Validation rule updated', { ruleId });
+
+      return this.mapRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to update validation rule', {
+        error: error.message,
+        ruleId
+      });
+      throw new Error('Échec de la mise à jour de la règle de validation');
+    }
+  }
+
+  /**
+   * Supprime (soft delete) une règle de validation
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object|null>} Règle supprimée ou null
+   */
+  async deleteRule(ruleId, deleteData = {}) {
+    try {
+      const query = `
+        UPDATE validation_rules
+        SET deleted_at = NOW(), deleted_by = $2, is_active = false
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id, event_id
+      `;
+
+      const result = await this.pool.query(query, [ruleId, deleteData.deletedBy]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.database('Validation rule deleted', { ruleId });
+
+      return {
+        id: result.rows[0].id,
+        eventId: result.rows[0].event_id
+      };
+    } catch (error) {
+      logger.error('Failed to delete validation rule', {
+        error: error.message,
+        ruleId
+      });
+      throw new Error('Échec de la suppression de la règle de validation');
+    }
+  }
+}
+
+module.exports = new ValidationRulesRepository();
@@ -0,0 +1,426 @@
+const scanRepository = require('./scan.repository');
+const logger = require('../../utils/logger');
+
+const SUBSCRIPTION_COLUMNS = `
+  id, uid, event_id, url, event_types, description, is_active, created_at, updated_at
+`;
+
+const DELIVERY_COLUMNS = `
+  id, uid, subscription_id, event_type, payload, status, attempts,
+  last_status_code, last_error, created_at, updated_at, delivered_at
+`;
+
+/**
+ * Repository pour les webhooks sortants
+ * Responsabilité : Persistance des abonnements (webhook_subscriptions) et du journal des livraisons (webhook_deliveries)
+ */
+class WebhooksRepository {
+  constructor() {
+    // Partage le pool de connexions du repository des scans
+    this.pool = scanRepository.pool;
+  }
+
+  /**
+   * Convertit une ligne SQL en abonnement (sans le secret)
+   * @param {Object} row - Ligne de la table webhook_subscriptions
+   * @returns {Object} Abonnement formaté
+   */
+  mapSubscription(row) {
+    return {
+      id: row.id,
+      uid: row.uid,
+      eventId: row.event_id,
+      url: row.url,
+      eventTypes: row.event_types || [],
+      description: row.description,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Convertit une ligne SQL en livraison
+   * @param {Object} row - Ligne de la table webhook_deliveries
+   * @returns {Object} Livraison formatée
+   */
+  mapDelivery(row) {
+    return {
+      id: row.id,
+      uid: row.uid,
+      subscriptionId: row.subscription_id,
+      eventType: row.event_type,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+
+  /**
+   * Liste les abonnements d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Abonnements
+   */
+  async listSubscriptions(eventId) {
+    try {
+      const query = `
+        SELECT ${SUBSCRIPTION_COLUMNS}
+        FROM webhook_subscriptions
+        WHERE event_id = $1 AND deleted_at IS NULL
+        ORDER BY created_at ASC
+      `;
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows.map(row => this.mapSubscription(row));
+    } catch (error) {
+      logger.error('Failed to list webhook subscriptions', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des abonnements webhook');
+    }
+  }
+
+  /**
+   * Abonnements actifs d'un événement, avec leur secret de signature
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Abonnements actifs
+   */
+  async getActiveSubscriptionsForEvent(eventId) {
+    try {
+      const query = `
+        SELECT ${SUBSCRIPTION_COLUMNS}, secret
+        FROM webhook_subscriptions
+        WHERE event_id = $1 AND is_active = true AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [eventId]);
+
+      return result.rows.map(row => ({ ...this.mapSubscription(row), secret: row.secret }));
+    } catch (error) {
+      logger.error('Failed to get active webhook subscriptions', {
+        error: error.message,
+        eventId
+      });
+      throw new Error('Échec de la récupération des abonnements webhook');
+    }
+  }
+
+  /**
+   * Récupère un abonnement par son ID
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @param {Object} options - includeSecret
+   * @returns {Promise<Object|null>} Abonnement ou null
+   */
+  async getSubscriptionById(subscriptionId, options = {}) {
+    try {
+      const query = `
+        SELECT ${SUBSCRIPTION_COLUMNS}, secret
+        FROM webhook_subscriptions
+        WHERE id = $1 AND deleted_at IS NULL
+      `;
+
+      const result = await this.pool.query(query, [subscriptionId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const subscription = this.mapSubscription(result.rows[0]);
+      return options.includeSecret ? { ...subscription, secret: result.rows[0].secret } : subscription;
+    } catch (error) {
+      logger.error('Failed to get webhook subscription', {
+        error: error.message,
+        subscriptionId
+      });
+      throw new Error('Échec de la récupération de l\'abonnement webhook');
+    }
+  }
+
+  /**
+   * Crée un abonnement webhook
+   * @param {Object} subscriptionData - eventId, url, secret, eventTypes, description, createdBy
+   * @returns {Promise<Object>} Abonnement créé
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      const query = `
+        INSERT INTO webhook_subscriptions (
+          uid, event_id, url, secret, event_types, description, is_active, created_by
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7
+        ) RETURNING ${SUBSCRIPTION_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        subscriptionData.eventId,
+        subscriptionData.url,
+        subscriptionData.secret,
+        JSON.stringify(subscriptionData.eventTypes),
+        subscriptionData.description || null,
+        subscriptionData.isActive !== false,
+        subscriptionData.createdBy
+      ]);
+      const subscription = this.mapSubscription(result.rows[0]);
+
+      logger.database('Webhook subscription created', {
+        subscriptionId: subscription.id,
+        eventId: subscription.eventId
+      });
+
+      return subscription;
+    } catch (error) {
+      logger.error('Failed to create webhook subscription', {
+        error: error.message,
+        eventId: subscriptionData.eventId
+      });
+      throw new Error('Échec de la création de l\'abonnement webhook');
+    }
+  }
+
+  /**
+   * Met à jour un abonnement webhook
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @param {Object} updates - url, eventTypes, description, isActive, updatedBy
+   * @returns {Promise<Object|null>} Abonnement mis à jour ou null
+   */
+  async updateSubscription(subscriptionId, updates) {
+    try {
+      const query = `
+        UPDATE webhook_subscriptions
+        SET url = COALESCE($2, url),
+            event_types = COALESCE($3::jsonb, event_types),
+            description = COALESCE($4, description),
+            is_active = COALESCE($5, is_active),
+            updated_by = $6,
+            updated_at = NOW()
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING ${SUBSCRIPTION_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        subscriptionId,
+        updates.url || null,
+        updates.eventTypes ? JSON.stringify(updates.eventTypes) : null,
+        updates.description !== undefined ? updates.description : null,
+        updates.isActive !== undefined ? updates.isActive : null,
+        updates.updatedBy
+      ]);
+
+      return result.rows.length > 0 ? this.mapSubscription(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to update webhook subscription', {
+        error: error.message,
+        subscriptionId
+      });
+      throw new Error('Échec de la mise à jour de l\'abonnement webhook');
+    }
+  }
+
+  /**
+   * Supprime (soft delete) un abonnement webhook
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object|null>} Abonnement supprimé ou null
+   */
+  async deleteSubscription(subscriptionId, deleteData = {}) {
+    try {
+      const query = `
+        UPDATE webhook_subscriptions
+        SET deleted_at = NOW(), deleted_by = $2, is_active = false
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id, event_id
+      `;
+
+      const result = await this.pool.query(query, [subscriptionId, deleteData.deletedBy]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return {
+        id: result.rows[0].id,
+        eventId: result.rows[0].event_id
+      };
+    } catch (error) {
+      logger.error('Failed to delete webhook subscription', {
+        error: error.message,
+        subscriptionId
+      });
+      throw new Error('Échec de la suppression de l\'abonnement webhook');
+    }
+  }
+
+  /**
+   * Enregistre une livraison à effectuer
+   * @param {Object} deliveryData - subscriptionId, eventType, payload
+   * @returns {Promise<Object>} Livraison créée
+   */
+  async createDelivery(deliveryData) {
+    try {
+      const query = `
+        INSERT INTO webhook_deliveries (uid, subscription_id, event_type, payload)
+        VALUES (gen_random_uuid(), $1, $2, $3)
+        RETURNING ${DELIVERY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        deliveryData.subscriptionId,
+        deliveryData.eventType,
+        JSON.stringify(deliveryData.payload)
+      ]);
+
+      return this.mapDelivery(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to create webhook delivery', {
+        error: error.message,
+        subscriptionId: deliveryData.subscriptionId
+      });
+      throw new Error('Échec de l\'enregistrement de la livraison webhook');
+    }
+  }
+
+  /**
+   * Récupère une livraison par son ID
+   * @param {number} deliveryId - ID de la livraison
+   * @returns {Promise<Object|null>} Livraison ou null
+   */
+  async getDeliveryById(deliveryId) {
+    try {
+      const query = `
+        SELECT ${DELIVERY_COLUMNS}
+        FROM webhook_deliveries
+        WHERE id = $1
+      `;
+
+      const result = await this.pool.query(query, [deliveryId]);
+
+      return result.rows.length > 0 ? this.mapDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to get webhook delivery', {
+        error: error.message,
+        deliveryId
+      });
+      throw new Error('Échec de la récupération de la livraison webhook');
+    }
+  }
+
+  /**
+   * Enregistre le résultat d'une tentative de livraison
+   * @param {number} deliveryId - ID de la livraison
+   * @param {Object} attempt - status, statusCode, error
+   * @returns {Promise<Object|null>} Livraison mise à jour
+   */
+  async recordAttempt(deliveryId, attempt) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = $2,
+            attempts = attempts + 1,
+            last_status_code = $3,
+            last_error = $4,
+            delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${DELIVERY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        deliveryId,
+        attempt.status,
+        attempt.statusCode || null,
+        attempt.error || null
+      ]);
+
+      return result.rows.length > 0 ? this.mapDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to record webhook delivery attempt', {
+        error: error.message,
+        deliveryId
+      });
+      throw new Error('Échec de l\'enregistrement de la tentative de livraison');
+    }
+  }
+
+  /**
+   * Change le statut d'une livraison sans compter de tentative
+   * @param {number} deliveryId - ID de la livraison
+   * @param {string} status - Nouveau statut
+   * @returns {Promise<Object|null>} Livraison mise à jour
+   */
+  async updateDeliveryStatus(deliveryId, status) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${DELIVERY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [deliveryId, status]);
+
+      return result.rows.length > 0 ? this.mapDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to update webhook delivery status', {
+        error: error.message,
+        deliveryId
+      });
+      throw new Error('Échec de la mise à jour de la livraison webhook');
+    }
+  }
+
+  /**
+   * Journal des livraisons
+   * @param {Object} filters - subscriptionId, eventId, status, limit
+   * @returns {Promise<Array>} Livraisons, des plus récentes aux plus anciennes
+   */
+  async listDeliveries(filters = {}) {
+    try {
+      let query = `
+        SELECT d.id, d.uid, d.subscription_id, d.event_type, d.payload, d.status, d.attempts,
+               d.last_status_code, d.last_error, d.created_at, d.updated_at, d.delivered_at,
+               s.event_id
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE 1 = 1
+      `;
+      const values = [];
+
+      if (filters.subscriptionId) {
+        values.push(filters.subscriptionId);
+        query += ` AND d.subscription_id = $${values.length}`;
+      }
+
+      if (filters.eventId) {
+        values.push(filters.eventId);
+        query += ` AND s.event_id = $${values.length}`;
+      }
+
+      if (filters.status) {
+        values.push(filters.status);
+        query += ` AND d.status = $${values.length}`;
+      }
+
+      values.push(filters.limit || 50);
+      query += ` ORDER BY d.created_at DESC LIMIT $${values.length}`;
+
+      const result = await this.pool.query(query, values);
+
+      return result.rows.map(row => ({ ...this.mapDelivery(row), eventId: row.event_id }));
+    } catch (error) {
+      logger.error('Failed to list webhook deliveries', {
+        error: error.message,
+        subscriptionId: filters.subscriptionId
+      });
+      throw new Error('Échec de la récupération du journal des livraisons');
+    }
+  }
+}
+
+module.exports = new WebhooksRepository();
@@ -0,0 +1,186 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Types d'événements diffusés aux superviseurs
+ */
+const EVENT_TYPES = {
+  VALIDATION: 'validation',
+  FRAUD: 'fraud',
+  SESSION_STARTED: 'session.started',
+  SESSION_ENDED: 'session.ended'
+};
+
+/**
+ * Bus des événements de scan en temps réel
+ * Reçoit les résultats de validation, fraudes et sessions publiés par
+ * ValidationService et ScanService, et les transmet aux abonnés (flux SSE).
+ * NOTE : Diffusion locale à l'instance ; les derniers événements sont
+ * conservés pour la reprise d'un flux (Last-Event-ID).
+ */
+class ScanEventBus {
+  constructor() {
+    this.bufferSize = parseInt(process.env.SCAN_STREAM_BUFFER_SIZE) || 200;
+    this.sequence = 0;
+
+    // Derniers événements publiés (reprise après reconnexion)
+    this.recentEvents = [];
+
+    // Abonnements actifs : { filters, listener, onClose }
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Publie un événement de scan
+   * Une erreur d'un abonné n'interrompt jamais le scan qui a publié l'événement
+   * @param {string} type - Type d'événement (EVENT_TYPES)
+   * @param {Object} payload - Données (eventId, checkpointId, result, ...)
+   * @returns {Object} Événement publié
+   */
+  publish(type, payload = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      eventId: payload.eventId !== undefined && payload.eventId !== null ? String(payload.eventId) : null,
+      checkpointId: payload.checkpointId !== undefined && payload.checkpointId !== null ? String(payload.checkpointId) : null,
+      result: payload.result || null,
+      timestamp: new Date().toISOString(),
+      data: payload
+    };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > this.bufferSize) {
+      this.recentEvents.shift();
+    }
+
+    for (const subscription of this.subscriptions) {
+      if (!this.matches(event, subscription.filters)) {
+        continue;
+      }
+
+      try {
+        subscription.listener(event);
+      } catch (error) {
+        logger.error('Scan event subscriber failed', {
+          type,
+          error: error.message
+        });
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Abonne un écouteur aux événements correspondant aux filtres
+   * @param {Object} filters - eventId, types, checkpointIds, results
+   * @param {Function} listener - Appelé pour chaque événement
+   * @param {Object} options - onClose (fermeture du bus)
+   * @returns {Function} Désabonnement
+   */
+  subscribe(filters, listener, options = {}) {
+    const subscription = {
+      filters: this.normalizeFilters(filters),
+      listener,
+      onClose: options.onClose
+    };
+
+    this.subscriptions.add(subscription);
+
+    return () => {
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  /**
+   * Événements publiés après un identifiant (reprise d'un flux)
+   * @param {number} lastEventId - Dernier identifiant reçu
+   * @param {Object} filters - Filtres de l'abonnement
+   * @returns {Array} Événements manqués
+   */
+  getEventsSince(lastEventId, filters) {
+    const normalized = this.normalizeFilters(filters);
+
+    return this.recentEvents.filter(event =>
+      event.id > lastEventId && this.matches(event, normalized)
+    );
+  }
+
+  /**
+   * Un événement correspond-il aux filtres d'un abonnement ?
+   * Point de contrôle et résultat ne filtrent que les validations et les fraudes
+   * @param {Object} event - Événement publié
+   * @param {Object} filters - Filtres normalisés
+   * @returns {boolean} true si l'événement doit être transmis
+   */
+  matches(event, filters) {
+    if (filters.eventId && event.eventId !== filters.eventId) {
+      return false;
+    }
+
+    if (filters.types && !filters.types.includes(event.type)) {
+      return false;
+    }
+
+    if (event.type !== EVENT_TYPES.VALIDATION && event.type !== EVENT_TYPES.FRAUD) {
+      return true;
+    }
+
+    if (filters.checkpointIds && !filters.checkpointIds.includes(event.checkpointId)) {
+      return false;
+    }
+
+    if (filters.results && !filters.results.includes(event.result)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Normalise les filtres (identifiants en chaînes, listes vides ignorées)
+   * @param {Object} filters - Filtres bruts
+   * @returns {Object} Filtres normalisés
+   */
+  normalizeFilters(filters = {}) {
+    const list = values => {
+      if (values === undefined || values === null) {
+        return null;
+      }
+      const items = (Array.isArray(values) ? values : [values]).map(String);
+      return items.length > 0 ? items : null;
+    };
+
+    return {
+      eventId: filters.eventId !== undefined && filters.eventId !== null ? String(filters.eventId) : null,
+      types: list(filters.types),
+      checkpointIds: list(filters.checkpointIds),
+      results: list(filters.results)
+    };
+  }
+
+  /**
+   * Nombre d'abonnés actifs
+   * @returns {number} Abonnés
+   */
+  getSubscriberCount() {
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Ferme tous les abonnements (arrêt du serveur)
+   */
+  closeAll() {
+    for (const subscription of this.subscriptions) {
+      if (typeof subscription.onClose === 'function') {
+        subscription.onClose();
+      }
+    }
+
+    this.subscriptions.clear();
+  }
+}
+
+const scanEventBus = new ScanEventBus();
+scanEventBus.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = scanEventBus;
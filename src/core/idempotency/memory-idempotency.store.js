@@ -0,0 +1,129 @@
+/**
+ * Stockage en mémoire des clés d'idempotence
+ * Implémentation par défaut de l'interface de stockage utilisée par IdempotencyMiddleware :
+ * - reserve(key, fingerprint, ttlMs) : réserve la clé ou renvoie l'enregistrement existant
+ * - complete(key, response, ttlMs)   : mémorise la première réponse
+ * - release(key)                     : libère une clé dont le traitement a échoué
+ *
+ * NOTE : Limité à une instance du service ; un stockage partagé (Redis) peut être
+ * injecté via IdempotencyMiddleware.setStore() avec la même interface.
+ */
+class MemoryIdempotencyStore {
+  /**
+   * @param {Object} options - Options du stockage
+   * @param {number} options.maxEntries - Nombre maximum de clés conservées
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.records = new Map();
+  }
+
+  /**
+   * Récupère un enregistrement non expiré
+   * @param {string} key - Clé d'idempotence
+   * @returns {Object|null} Enregistrement ou null
+   */
+  getRecord(key) {
+    const record = this.records.get(key);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Réserve une clé pour un traitement en cours
+   * @param {string} key - Clé d'idempotence
+   * @param {string} fingerprint - Empreinte de la requête
+   * @param {number} ttlMs - Durée de la réservation
+   * @returns {Promise<Object>} { reserved: true } ou { reserved: false, record }
+   */
+  async reserve(key, fingerprint, ttlMs) {
+    const existing = this.getRecord(key);
+
+    if (existing) {
+      return { reserved: false, record: existing };
+    }
+
+    this.prune();
+    this.records.set(key, {
+      state: 'pending',
+      fingerprint,
+      response: null,
+      expiresAt: Date.now() + ttlMs
+    });
+
+    return { reserved: true };
+  }
+
+  /**
+   * Mémorise la réponse associée à une clé réservée
+   * @param {string} key - Clé d'idempotence
+   * @param {Object} response - Réponse ({ statusCode, body })
+   * @param {number} ttlMs - Durée de conservation de la réponse
+   * @returns {Promise<void>}
+   */
+  async complete(key, response, ttlMs) {
+    const record = this.records.get(key);
+
+    if (!record) {
+      return;
+    }
+
+    record.state = 'completed';
+    record.response = response;
+    record.expiresAt = Date.now() + ttlMs;
+  }
+
+  /**
+   * Libère une clé (le prochain essai sera traité normalement)
+   * @param {string} key - Clé d'idempotence
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Supprime les clés expirées puis les plus anciennes au-delà de la limite
+   */
+  prune() {
+    if (this.records.size < this.maxEntries) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+
+    // Ordre d'insertion : les premières clés sont les plus anciennes
+    const overflow = this.records.size - this.maxEntries + 1;
+    if (overflow > 0) {
+      Array.from(this.records.keys()).slice(0, overflow).forEach(key => this.records.delete(key));
+    }
+  }
+
+  /**
+   * Statistiques du stockage
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      type: 'memory',
+      entries: this.records.size,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+module.exports = MemoryIdempotencyStore;
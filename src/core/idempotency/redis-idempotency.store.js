@@ -0,0 +1,120 @@
+const RedisStore = require('../redis/redis-store');
+
+// Réservation atomique : enregistrement existant retourné si la clé est déjà prise
+const RESERVE_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return false
+end
+return redis.call('GET', KEYS[1])
+`;
+
+// Réponse mémorisée uniquement si la réservation existe encore
+const COMPLETE_SCRIPT = `
+return redis.call('SET', KEYS[1], ARGV[1], 'XX', 'PX', ARGV[2])
+`;
+
+/**
+ * Stockage des clés d'idempotence partagé via Redis (plusieurs instances du service)
+ * Même interface que MemoryIdempotencyStore ; l'expiration des clés est laissée à Redis.
+ */
+class RedisIdempotencyStore extends RedisStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.client - Client Redis existant (sinon créé depuis la configuration)
+   * @param {string} options.url - URL Redis (prioritaire sur REDIS_HOST/REDIS_PORT)
+   * @param {string} options.prefix - Préfixe des clés
+   * @param {number} options.timeout - Délai maximal de connexion et de chaque commande (ms)
+   * @param {string} options.name - Nom du stockage (journaux)
+   */
+  constructor(options = {}) {
+    super({
+      client: options.client,
+      url: options.url,
+      prefix: options.prefix || 'scan-validation:idempotency',
+      timeout: options.timeout,
+      name: options.name || 'Idempotency'
+    });
+  }
+
+  /**
+   * Réserve une clé pour un traitement en cours
+   * @param {string} key - Clé d'idempotence
+   * @param {string} fingerprint - Empreinte de la requête
+   * @param {number} ttlMs - Durée de la réservation
+   * @returns {Promise<Object>} { reserved: true } ou { reserved: false, record }
+   */
+  async reserve(key, fingerprint, ttlMs) {
+    await this.ensureConnected();
+
+    const record = {
+      state: 'pending',
+      fingerprint,
+      response: null,
+      expiresAt: Date.now() + ttlMs
+    };
+
+    const existing = await this.withTimeout(this.client.eval(RESERVE_SCRIPT, {
+      keys: [this.redisKey(key)],
+      arguments: [JSON.stringify(record), String(ttlMs)]
+    }), 'reserve');
+
+    if (!existing) {
+      return { reserved: true };
+    }
+
+    return { reserved: false, record: JSON.parse(existing) };
+  }
+
+  /**
+   * Mémorise la réponse associée à une clé réservée
+   * @param {string} key - Clé d'idempotence
+   * @param {Object} response - Réponse ({ statusCode, body })
+   * @param {number} ttlMs - Durée de conservation de la réponse
+   * @returns {Promise<void>}
+   */
+  async complete(key, response, ttlMs) {
+    await this.ensureConnected();
+
+    const redisKey = this.redisKey(key);
+    const existing = await this.withTimeout(this.client.get(redisKey), 'complete');
+    if (!existing) {
+      return;
+    }
+
+    const record = {
+      ...JSON.parse(existing),
+      state: 'completed',
+      response,
+      expiresAt: Date.now() + ttlMs
+    };
+
+    await this.withTimeout(this.client.eval(COMPLETE_SCRIPT, {
+      keys: [redisKey],
+      arguments: [JSON.stringify(record), String(ttlMs)]
+    }), 'complete');
+  }
+
+  /**
+   * Libère une clé (le prochain essai sera traité normalement)
+   * @param {string} key - Clé d'idempotence
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    await this.ensureConnected();
+    await this.withTimeout(this.client.del(this.redisKey(key)), 'release');
+  }
+
+  /**
+   * Statistiques du stockage
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      type: 'redis',
+      connected: this.client.isReady,
+      prefix: this.prefix
+    };
+  }
+}
+
+module.exports = RedisIdempotencyStore;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * Verrous de scan en mémoire (une seule instance du service)
+ * Implémentation par défaut de l'interface utilisée par ValidationService :
+ * - acquire(key, ttlMs)  : { acquired: true, lock } ou { acquired: false, remainingMs }
+ * - isCurrent(lock)      : le verrou est-il toujours détenu (jeton de fencing inchangé) ?
+ * - release(lock)        : libère le verrou s'il est toujours détenu
+ */
+class MemoryScanLockStore {
+  constructor() {
+    this.locks = new Map();
+    // Jetons de fencing au moins égaux à l'horloge (µs) : ils restent croissants après un
+    // redémarrage, le dernier jeton d'un ticket étant conservé en base (scanned_tickets_cache)
+    this.fencingCounter = 0;
+  }
+
+  /**
+   * Acquiert le verrou d'un ticket
+   * @param {string} key - Clé du verrou
+   * @param {number} ttlMs - Durée de vie du verrou
+   * @returns {Promise<Object>} Résultat de l'acquisition
+   */
+  async acquire(key, ttlMs) {
+    const now = Date.now();
+    const held = this.locks.get(key);
+
+    if (held && held.expiresAt > now) {
+      return { acquired: false, remainingMs: held.expiresAt - now };
+    }
+
+    const lock = {
+      key,
+      token: crypto.randomUUID(),
+      fencingToken: this.nextFencingToken()
+    };
+
+    this.locks.set(key, { ...lock, expiresAt: now + ttlMs });
+    return { acquired: true, lock };
+  }
+
+  /**
+   * Jeton de fencing suivant
+   * @returns {number} Jeton strictement croissant
+   */
+  nextFencingToken() {
+    this.fencingCounter = Math.max(this.fencingCounter + 1, Date.now() * 1000);
+    return this.fencingCounter;
+  }
+
+  /**
+   * Vérifie que le verrou n'a pas expiré ni été repris par un autre scan
+   * @param {Object} lock - Verrou obtenu par acquire
+   * @returns {Promise<boolean>} true si le verrou est toujours détenu
+   */
+  async isCurrent(lock) {
+    const held = this.locks.get(lock.key);
+    return !!held && held.expiresAt > Date.now() && held.fencingToken === lock.fencingToken;
+  }
+
+  /**
+   * Libère le verrou s'il est toujours détenu
+   * @param {Object} lock - Verrou obtenu par acquire
+   * @returns {Promise<boolean>} true si le verrou a été libéré
+   */
+  async release(lock) {
+    const held = this.locks.get(lock.key);
+
+    if (!held || held.token !== lock.token) {
+      return false;
+    }
+
+    this.locks.delete(lock.key);
+    return true;
+  }
+
+  /**
+   * Statistiques du stockage
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    const now = Date.now();
+    for (const [key, held] of this.locks.entries()) {
+      if (held.expiresAt <= now) {
+        this.locks.delete(key);
+      }
+    }
+
+    return {
+      backend: 'memory',
+      activeLocks: this.locks.size
+    };
+  }
+}
+
+module.exports = MemoryScanLockStore;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const RedisStore = require('../redis/redis-store');
+
+// Acquisition atomique : jeton de fencing croissant partagé par toutes les instances
+// Compteur perdu ou en retard : reprise à partir de l'horloge (µs, ARGV[3])
+const ACQUIRE_SCRIPT = `
+local fencing = redis.call('INCR', KEYS[2])
+if fencing < tonumber(ARGV[3]) then
+  fencing = tonumber(ARGV[3])
+  redis.call('SET', KEYS[2], ARGV[3])
+end
+if redis.call('SET', KEYS[1], ARGV[1] .. ':' .. fencing, 'NX', 'PX', ARGV[2]) then
+  return {1, fencing}
+end
+return {0, redis.call('PTTL', KEYS[1])}
+`;
+
+// Libération uniquement par le détenteur du verrou
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Verrous de scan partagés via Redis (plusieurs instances du service)
+ * Même interface que MemoryScanLockStore. Chaque verrou porte un jeton de fencing
+ * croissant : un scan dont le verrou a expiré puis a été repris par une autre
+ * instance est détecté par isCurrent() avant l'admission, puis par la base qui
+ * refuse une présence écrite avec un jeton plus ancien que le dernier enregistré.
+ */
+class RedisScanLockStore extends RedisStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.client - Client Redis existant (sinon créé depuis la configuration)
+   * @param {string} options.url - URL Redis (prioritaire sur REDIS_HOST/REDIS_PORT)
+   * @param {string} options.prefix - Préfixe des clés
+   * @param {number} options.timeout - Délai maximal de connexion et de chaque commande (ms)
+   */
+  constructor(options = {}) {
+    super({
+      client: options.client,
+      url: options.url,
+      prefix: options.prefix || process.env.SCAN_LOCK_PREFIX || 'scan-validation:lock',
+      timeout: options.timeout || parseInt(process.env.SCAN_LOCK_REDIS_TIMEOUT) || 2000,
+      name: 'Scan lock'
+    });
+    this.fencingKey = `${this.prefix}:fencing`;
+  }
+
+  /**
+   * Acquiert le verrou d'un ticket
+   * @param {string} key - Clé du verrou
+   * @param {number} ttlMs - Durée de vie du verrou
+   * @returns {Promise<Object>} Résultat de l'acquisition
+   */
+  async acquire(key, ttlMs) {
+    await this.ensureConnected();
+
+    const token = crypto.randomUUID();
+    const [acquired, value] = await this.withTimeout(this.client.eval(ACQUIRE_SCRIPT, {
+      keys: [this.redisKey(key), this.fencingKey],
+      arguments: [token, String(ttlMs), String(Date.now() * 1000)]
+    }), 'acquire');
+
+    if (Number(acquired) !== 1) {
+      return { acquired: false, remainingMs: Math.max(Number(value), 0) };
+    }
+
+    return {
+      acquired: true,
+      lock: { key, token, fencingToken: Number(value) }
+    };
+  }
+
+  /**
+   * Vérifie que le verrou n'a pas expiré ni été repris par une autre instance
+   * @param {Object} lock - Verrou obtenu par acquire
+   * @returns {Promise<boolean>} true si le verrou est toujours détenu
+   */
+  async isCurrent(lock) {
+    await this.ensureConnected();
+
+    const value = await this.withTimeout(this.client.get(this.redisKey(lock.key)), 'isCurrent');
+    return value === `${lock.token}:${lock.fencingToken}`;
+  }
+
+  /**
+   * Libère le verrou s'il est toujours détenu
+   * @param {Object} lock - Verrou obtenu par acquire
+   * @returns {Promise<boolean>} true si le verrou a été libéré
+   */
+  async release(lock) {
+    await this.ensureConnected();
+
+    const deleted = await this.withTimeout(this.client.eval(RELEASE_SCRIPT, {
+      keys: [this.redisKey(lock.key)],
+      arguments: [`${lock.token}:${lock.fencingToken}`]
+    }), 'release');
+
+    return Number(deleted) === 1;
+  }
+
+  /**
+   * Statistiques du stockage
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      backend: 'redis',
+      connected: this.client.isReady,
+      prefix: this.prefix
+    };
+  }
+}
+
+module.exports = RedisScanLockStore;
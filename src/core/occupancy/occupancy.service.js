@@ -0,0 +1,269 @@
+const occupancyRepository = require('../database/occupancy.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Service d'occupation en direct
+ * Compte les porteurs présents par événement et par zone (présence suivie par
+ * les entrées / sorties) et applique les jauges configurées.
+ */
+class OccupancyService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.OCCUPANCY_LIMITS_CACHE_TTL) || 30000; // 30s
+    // Refuser les entrées si les jauges ne peuvent pas être vérifiées (sinon acceptées)
+    this.failClosed = process.env.OCCUPANCY_FAIL_CLOSED === 'true';
+
+    // Cache des jauges par événement
+    this.capacitiesCache = new Map();
+  }
+
+  /**
+   * Vérifie qu'une entrée ne dépasse ni la jauge du site ni celle de la zone
+   * Premier refus rapide : la place est réservée à l'enregistrement de l'entrée
+   * (reservation, OccupancyRepository.reserveCapacity), seul contrôle atomique.
+   * Base indisponible : l'entrée est acceptée, ou refusée avec OCCUPANCY_FAIL_CLOSED
+   * @param {string|number} eventId - ID de l'événement
+   * @param {string|null} zone - Zone du point de contrôle d'entrée
+   * @param {Object} options - Options
+   * @param {boolean} options.zoneOnly - Porteur déjà sur le site : seule la jauge de la zone s'applique
+   * @param {string|null} options.admissionKey - Créneau d'admission de l'entrée
+   * @returns {Promise<Object>} { allowed, reservation } ou { allowed: false, error, code, occupancy }
+   */
+  async checkCapacity(eventId, zone = null, options = {}) {
+    // Les jauges sont indexées par ID numérique d'événement
+    if (!this.isNumericEventId(eventId)) {
+      return { allowed: true };
+    }
+
+    try {
+      const capacities = await this.getCapacities(eventId);
+      const limits = capacities.filter(limit =>
+        (limit.zone === null && !options.zoneOnly) || (zone && limit.zone === zone));
+
+      if (limits.length === 0) {
+        return { allowed: true };
+      }
+
+      const admissionKey = options.admissionKey || null;
+      for (const limit of limits) {
+        const inside = await occupancyRepository.countInside(eventId, limit.zone, { admissionKey });
+
+        if (inside >= limit.capacity) {
+          logger.validation('Entry refused, capacity reached', {
+            eventId,
+            zone: limit.zone,
+            capacity: limit.capacity,
+            inside
+          });
+
+          return {
+            allowed: false,
+            error: limit.zone
+              ? `Jauge atteinte pour la zone ${limit.zone} (${limit.capacity})`
+              : `Jauge atteinte pour l'événement (${limit.capacity})`,
+            code: 'CAPACITY_REACHED',
+            occupancy: {
+              zone: limit.zone,
+              capacity: limit.capacity,
+              inside
+            }
+          };
+        }
+      }
+
+      return {
+        allowed: true,
+        reservation: {
+          eventId,
+          admissionKey,
+          limits: limits.map(limit => ({ zone: limit.zone, capacity: limit.capacity }))
+        }
+      };
+    } catch (error) {
+      logger.error('Occupancy check unavailable', {
+        eventId,
+        zone,
+        error: error.message,
+        failClosed: this.failClosed
+      });
+
+      if (this.failClosed) {
+        return {
+          allowed: false,
+          error: 'Occupation indisponible, jauges non vérifiables',
+          code: 'OCCUPANCY_UNAVAILABLE'
+        };
+      }
+
+      return { allowed: true, degraded: true };
+    }
+  }
+
+  /**
+   * Occupation en direct d'un événement, par zone, avec les jauges
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Object>} Occupation de l'événement
+   */
+  async getOccupancy(eventId) {
+    try {
+      const [rows, capacities] = await Promise.all([
+        occupancyRepository.getInsideByZone(eventId),
+        occupancyRepository.listCapacities(eventId)
+      ]);
+
+      const zones = new Map();
+      let inside = 0;
+
+      for (const row of rows) {
+        inside += row.inside;
+        if (row.zone) {
+          zones.set(row.zone, { zone: row.zone, inside: row.inside, capacity: null });
+        }
+      }
+
+      let capacity = null;
+      for (const limit of capacities) {
+        if (limit.zone === null) {
+          capacity = limit.capacity;
+        } else {
+          const entry = zones.get(limit.zone) || { zone: limit.zone, inside: 0 };
+          zones.set(limit.zone, { ...entry, capacity: limit.capacity });
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          eventId,
+          ...this.formatGauge(inside, capacity),
+          zones: [...zones.values()]
+            .sort((a, b) => a.zone.localeCompare(b.zone))
+            .map(entry => ({ zone: entry.zone, ...this.formatGauge(entry.inside, entry.capacity) })),
+          measuredAt: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OCCUPANCY_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Formate une occupation et sa jauge
+   * @param {number} inside - Porteurs présents
+   * @param {number|null} capacity - Jauge (null : illimitée)
+   * @returns {Object} { inside, capacity, available, full }
+   */
+  formatGauge(inside, capacity) {
+    return {
+      inside,
+      capacity,
+      available: capacity === null ? null : Math.max(capacity - inside, 0),
+      full: capacity !== null && inside >= capacity
+    };
+  }
+
+  /**
+   * Jauges d'un événement (avec cache)
+   * En cas d'erreur, les jauges en cache expirées sont réutilisées
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Jauges { zone, capacity }
+   */
+  async getCapacities(eventId) {
+    const cacheKey = String(eventId);
+    const cached = this.capacitiesCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.capacities;
+    }
+
+    try {
+      const capacities = await occupancyRepository.listCapacities(eventId);
+      this.capacitiesCache.set(cacheKey, { capacities, loadedAt: Date.now() });
+      return capacities;
+    } catch (error) {
+      if (cached) {
+        logger.warn('Using stale occupancy limits cache', { eventId });
+        return cached.capacities;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Définit la jauge d'un événement (zone absente) ou d'une zone
+   * @param {Object} limitData - eventId, zone, capacity, updatedBy
+   * @returns {Promise<Object>} Jauge enregistrée
+   */
+  async setCapacity(limitData) {
+    try {
+      const limit = await occupancyRepository.upsertCapacity(limitData);
+
+      this.invalidateCache(limitData.eventId);
+
+      return {
+        success: true,
+        data: limit
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CAPACITY_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Supprime la jauge d'un événement ou d'une zone
+   * @param {number} eventId - ID de l'événement
+   * @param {string|null} zone - Zone (null : tout le site)
+   * @returns {Promise<Object>} Résultat de la suppression
+   */
+  async removeCapacity(eventId, zone = null) {
+    try {
+      const deleted = await occupancyRepository.deleteCapacity(eventId, zone);
+
+      if (!deleted) {
+        return {
+          success: false,
+          error: 'Jauge non trouvée',
+          code: 'CAPACITY_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(eventId);
+
+      return {
+        success: true,
+        data: { eventId, zone: zone || null }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CAPACITY_DELETION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Invalide le cache des jauges d'un événement
+   * @param {string|number} eventId - ID de l'événement
+   */
+  invalidateCache(eventId) {
+    this.capacitiesCache.delete(String(eventId));
+  }
+
+  /**
+   * @param {*} eventId - ID d'événement
+   * @returns {boolean} true si l'ID est numérique
+   */
+  isNumericEventId(eventId) {
+    return eventId !== undefined && eventId !== null && /^\d+$/.test(String(eventId));
+  }
+}
+
+module.exports = new OccupancyService();
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const offlineService = require('./offline.service');
+const logger = require('../../utils/logger');
+
+const BUNDLE_FORMAT = 'scan-offline-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+const SIGNING_ALGORITHMS = {
+  HS256: 'HS256',
+  RS256: 'RS256'
+};
+
+/**
+ * Encode un buffer ou une chaîne en base64url
+ * @param {Buffer|string} value - Valeur à encoder
+ * @returns {string} Valeur encodée
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Service des bundles offline pour les terminaux de contrôle
+ * Exporte les tickets d'un événement sous forme compacte et signée, afin que
+ * les terminaux valident sans joindre ce service. Les bundles incrémentaux ne
+ * contiennent que les changements postérieurs à une version donnée.
+ *
+ * Format : { payload: base64url(JSON), signature: base64url, algorithm, keyId }
+ * La signature porte sur la chaîne `payload` telle que transmise.
+ */
+class OfflineBundleService {
+  constructor() {
+    this.algorithm = (process.env.OFFLINE_BUNDLE_SIGNING_ALGORITHM || SIGNING_ALGORITHMS.HS256).toUpperCase();
+    this.keyId = process.env.OFFLINE_BUNDLE_KEY_ID || 'default';
+    this.bundleTtl = parseInt(process.env.OFFLINE_BUNDLE_TTL) || 24 * 60 * 60 * 1000; // 24h
+    this.hashLength = parseInt(process.env.OFFLINE_BUNDLE_HASH_LENGTH) || 16; // octets
+    this.idSalt = process.env.OFFLINE_BUNDLE_ID_SALT || 'scan-offline-bundle';
+
+    this.hmacSecret = null;
+    this.privateKey = null;
+    this.publicKey = null;
+
+    if (this.algorithm === SIGNING_ALGORITHMS.RS256) {
+      this.loadRsaKeys();
+    } else {
+      this.algorithm = SIGNING_ALGORITHMS.HS256;
+      this.hmacSecret = process.env.OFFLINE_BUNDLE_HMAC_SECRET;
+      if (!this.hmacSecret && process.env.NODE_ENV !== 'production') {
+        // Secret éphémère : les terminaux doivent être reprovisionnés au redémarrage
+        this.hmacSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('OFFLINE_BUNDLE_HMAC_SECRET not set, using an ephemeral secret');
+      }
+    }
+  }
+
+  /**
+   * Charge la paire de clés RSA (PEM, sauts de ligne échappés acceptés)
+   */
+  loadRsaKeys() {
+    const privatePem = process.env.OFFLINE_BUNDLE_PRIVATE_KEY;
+    if (!privatePem) {
+      logger.error('OFFLINE_BUNDLE_PRIVATE_KEY not set, offline bundles cannot be signed');
+      return;
+    }
+
+    try {
+      this.privateKey = crypto.createPrivateKey(privatePem.replace(/\\n/g, '\n'));
+      this.publicKey = process.env.OFFLINE_BUNDLE_PUBLIC_KEY
+        ? crypto.createPublicKey(process.env.OFFLINE_BUNDLE_PUBLIC_KEY.replace(/\\n/g, '\n'))
+        : crypto.createPublicKey(this.privateKey);
+    } catch (error) {
+      this.privateKey = null;
+      this.publicKey = null;
+      logger.error('Invalid offline bundle RSA key', {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Indique si le service dispose d'une clé de signature
+   * @returns {boolean} Clé disponible
+   */
+  isConfigured() {
+    return this.algorithm === SIGNING_ALGORITHMS.RS256 ? !!this.privateKey : !!this.hmacSecret;
+  }
+
+  /**
+   * Sel des empreintes de tickets d'un événement (stable entre bundles complets et incrémentaux)
+   * @param {string} eventId - ID de l'événement
+   * @returns {string} Sel hexadécimal
+   */
+  getIdSalt(eventId) {
+    return crypto.createHash('sha256')
+      .update(`${this.idSalt}:${eventId}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Empreinte d'un ID de ticket, recalculable par le terminal à partir du QR code
+   * sha256(sel + ':' + ticketId), tronquée à hashLength octets
+   * @param {string} ticketId - ID du ticket
+   * @param {string} salt - Sel de l'événement
+   * @returns {string} Empreinte hexadécimale
+   */
+  hashTicketId(ticketId, salt) {
+    return crypto.createHash('sha256')
+      .update(`${salt}:${ticketId}`)
+      .digest('hex')
+      .slice(0, this.hashLength * 2);
+  }
+
+  /**
+   * Construit un bundle offline signé pour un événement
+   * @param {string|number} eventId - ID de l'événement
+   * @param {Object} options - Options
+   * @param {number} options.sinceVersion - Version déjà détenue par le terminal (0 = bundle complet)
+   * @param {boolean} options.hashIds - Remplacer les IDs de tickets par leur empreinte
+   * @returns {Object} Bundle signé ou erreur
+   */
+  buildBundle(eventId, options = {}) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        error: 'Signature des bundles offline non configurée',
+        code: 'OFFLINE_BUNDLE_NOT_CONFIGURED'
+      };
+    }
+
+    const normalizedEventId = String(eventId);
+    const currentVersion = offlineService.changeVersion;
+    let sinceVersion = parseInt(options.sinceVersion) || 0;
+    const hashIds = options.hashIds !== false;
+
+    // Version inconnue du service (cache réinitialisé) : repartir d'un bundle complet
+    if (sinceVersion > currentVersion) {
+      sinceVersion = 0;
+    }
+
+    const salt = this.getIdSalt(normalizedEventId);
+    const identify = ticketId => (hashIds
+      ? { h: this.hashTicketId(ticketId, salt) }
+      : { id: ticketId });
+
+    const tickets = [];
+    for (const [ticketId, entry] of offlineService.offlineData.entries()) {
+      const ticketData = entry.ticketData || {};
+      if (String(ticketData.eventId) !== normalizedEventId || (entry.version || 0) <= sinceVersion) {
+        continue;
+      }
+
+      tickets.push({
+        ...identify(ticketId),
+        s: entry.status,
+        t: ticketData.type || 'standard',
+        nb: ticketData.validFrom || null,
+        na: entry.expiresAt || null,
+        v: entry.version || 0
+      });
+    }
+
+    // Les suppressions ne concernent que les terminaux déjà provisionnés
+    const removed = [];
+    if (sinceVersion > 0) {
+      for (const [ticketId, tombstone] of offlineService.tombstones.entries()) {
+        if (String(tombstone.eventId) === normalizedEventId && tombstone.version > sinceVersion) {
+          removed.push({ ...identify(ticketId), v: tombstone.version });
+        }
+      }
+    }
+
+    // Révocations (tickets remboursés, transférés, volés) : y compris pour les tickets hors cache
+    const revoked = [];
+    for (const revocation of offlineService.revocations.values()) {
+      if (revocation.eventId !== normalizedEventId || (revocation.version || 0) <= sinceVersion) {
+        continue;
+      }
+
+      const identity = revocation.type === 'nonce'
+        ? (hashIds ? { nh: this.hashTicketId(revocation.key, salt) } : { n: revocation.key })
+        : identify(revocation.key);
+
+      revoked.push({ ...identity, r: revocation.reason, v: revocation.version });
+    }
+
+    const manifest = offlineService.getManifestInfo(normalizedEventId);
+    const now = Date.now();
+
+    const payload = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      type: sinceVersion > 0 ? 'delta' : 'full',
+      eventId: normalizedEventId,
+      bundleVersion: currentVersion,
+      sinceVersion,
+      manifestVersion: manifest ? manifest.manifestVersion : null,
+      generatedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.bundleTtl).toISOString(),
+      idHash: hashIds
+        ? { algorithm: 'sha256', salt, length: this.hashLength }
+        : null,
+      tickets,
+      removed,
+      revoked
+    };
+
+    const bundle = this.sign(payload);
+
+    logger.offline('Offline bundle generated', {
+      eventId: normalizedEventId,
+      type: payload.type,
+      bundleVersion: currentVersion,
+      sinceVersion,
+      tickets: tickets.length,
+      removed: removed.length,
+      revoked: revoked.length,
+      bytes: bundle.payload.length
+    });
+
+    return {
+      success: true,
+      bundle,
+      summary: {
+        type: payload.type,
+        bundleVersion: currentVersion,
+        sinceVersion,
+        ticketCount: tickets.length,
+        removedCount: removed.length,
+        revokedCount: revoked.length,
+        expiresAt: payload.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Signe un contenu de bundle
+   * @param {Object} payload - Contenu du bundle
+   * @returns {Object} Enveloppe signée
+   */
+  sign(payload) {
+    const encodedPayload = base64url(JSON.stringify(payload));
+
+    const signature = this.algorithm === SIGNING_ALGORITHMS.RS256
+      ? crypto.sign('sha256', Buffer.from(encodedPayload), this.privateKey)
+      : crypto.createHmac('sha256', this.hmacSecret).update(encodedPayload).digest();
+
+    return {
+      algorithm: this.algorithm,
+      keyId: this.keyId,
+      payload: encodedPayload,
+      signature: base64url(signature)
+    };
+  }
+
+  /**
+   * Vérifie un bundle signé (même contrôle que celui effectué par les terminaux)
+   * @param {Object} bundle - Enveloppe signée
+   * @returns {Object} Contenu décodé ou erreur
+   */
+  verifyBundle(bundle) {
+    if (!bundle || typeof bundle.payload !== 'string' || typeof bundle.signature !== 'string') {
+      return {
+        valid: false,
+        error: 'Bundle offline mal formé',
+        code: 'OFFLINE_BUNDLE_MALFORMED'
+      };
+    }
+
+    if (bundle.algorithm !== this.algorithm || bundle.keyId !== this.keyId) {
+      return {
+        valid: false,
+        error: 'Clé de signature du bundle inconnue',
+        code: 'OFFLINE_BUNDLE_UNKNOWN_KEY'
+      };
+    }
+
+    const signature = Buffer.from(bundle.signature, 'base64url');
+    let valid;
+
+    if (this.algorithm === SIGNING_ALGORITHMS.RS256) {
+      valid = crypto.verify('sha256', Buffer.from(bundle.payload), this.publicKey, signature);
+    } else {
+      const expected = crypto.createHmac('sha256', this.hmacSecret).update(bundle.payload).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (!valid) {
+      return {
+        valid: false,
+        error: 'Signature du bundle invalide',
+        code: 'OFFLINE_BUNDLE_SIGNATURE_INVALID'
+      };
+    }
+
+    return {
+      valid: true,
+      payload: JSON.parse(Buffer.from(bundle.payload, 'base64url').toString('utf8'))
+    };
+  }
+
+  /**
+   * Informations de vérification à provisionner sur les terminaux
+   * NOTE : En HS256 le secret partagé est distribué hors bande, jamais via l'API
+   * @returns {Object} Algorithme, identifiant et clé publique éventuelle
+   */
+  getVerificationKey() {
+    return {
+      algorithm: this.algorithm,
+      keyId: this.keyId,
+      publicKey: this.publicKey
+        ? this.publicKey.export({ type: 'spki', format: 'pem' })
+        : null
+    };
+  }
+}
+
+const service = new OfflineBundleService();
+service.SIGNING_ALGORITHMS = SIGNING_ALGORITHMS;
+
+module.exports = service;
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Calcule l'empreinte SHA-256 d'une valeur sérialisée
+ * @param {string} payload - Contenu sérialisé
+ * @returns {string} Empreinte hexadécimale
+ */
+function checksum(payload) {
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Stockage local durable pour le mode offline
+ * Instantané (snapshot) + journal en ajout seul, chaque enregistrement étant vérifié par somme de contrôle.
+ *
+ * Fichiers :
+ * - <path>          : dernier instantané complet
+ * - <path>.bak      : instantané précédent (secours si l'instantané courant est corrompu)
+ * - <path>.journal  : opérations postérieures à l'instantané, une ligne JSON par opération
+ * - <path>.journal.prev : opérations entre l'instantané précédent et le courant, conservées
+ *   pour rejouer depuis <path>.bak si l'instantané courant est corrompu
+ */
+class OfflineStore {
+  /**
+   * @param {Object} options - Options du stockage
+   * @param {string} options.path - Chemin du fichier d'instantané
+   * @param {boolean} options.fsync - Forcer l'écriture disque après chaque opération
+   */
+  constructor(options = {}) {
+    this.snapshotPath = path.resolve(options.path || './data/offline.db');
+    this.backupPath = `${this.snapshotPath}.bak`;
+    this.journalPath = `${this.snapshotPath}.journal`;
+    this.previousJournalPath = `${this.journalPath}.prev`;
+    this.fsync = options.fsync !== false;
+
+    this.seq = 0;
+    this.journalHandle = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Ouvre le stockage : charge l'instantané puis rejoue le journal
+   * @returns {Promise<Object>} Collections restaurées et statistiques de chargement
+   */
+  async open() {
+    await fs.promises.mkdir(path.dirname(this.snapshotPath), { recursive: true });
+
+    const collections = new Map();
+    const stats = {
+      snapshotEntries: 0,
+      replayedEntries: 0,
+      corruptedEntries: 0,
+      lostEntries: 0,
+      snapshotSource: null
+    };
+
+    const snapshot = await this.readSnapshot(this.snapshotPath)
+      || await this.readSnapshot(this.backupPath);
+
+    if (snapshot) {
+      this.seq = snapshot.seq;
+      stats.snapshotSource = snapshot.source;
+
+      if (snapshot.source === path.basename(this.backupPath)) {
+        logger.error('Offline snapshot restored from backup', {
+          path: this.backupPath,
+          seq: snapshot.seq
+        });
+      }
+
+      Object.entries(snapshot.collections).forEach(([name, entries]) => {
+        collections.set(name, new Map(entries));
+        stats.snapshotEntries += entries.length;
+      });
+    }
+
+    await this.replayJournal(collections, stats);
+
+    this.journalHandle = await fs.promises.open(this.journalPath, 'a');
+
+    // Terminer une ligne tronquée pour ne pas corrompre la suivante
+    if (stats.truncatedTail) {
+      await this.journalHandle.write('\n');
+    }
+    delete stats.truncatedTail;
+
+    logger.offline('Offline store opened', {
+      path: this.snapshotPath,
+      seq: this.seq,
+      ...stats
+    });
+
+    return { collections, stats };
+  }
+
+  /**
+   * Lit et vérifie un fichier d'instantané
+   * @param {string} filePath - Chemin de l'instantané
+   * @returns {Promise<Object|null>} Instantané valide ou null
+   */
+  async readSnapshot(filePath) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const { checksum: expected, ...content } = JSON.parse(raw);
+
+      if (content.version !== SNAPSHOT_VERSION || expected !== checksum(JSON.stringify(content))) {
+        throw new Error('Somme de contrôle invalide');
+      }
+
+      return { ...content, source: path.basename(filePath) };
+    } catch (error) {
+      logger.error('Corrupted offline snapshot ignored', {
+        path: filePath,
+        error: error.message
+      });
+
+      // Conserver le fichier corrompu pour analyse
+      await fs.promises.rename(filePath, `${filePath}.corrupt-${Date.now()}`).catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Rejoue les opérations journalisées postérieures à l'instantané chargé
+   * (journal du précédent instantané puis journal courant)
+   * Une ligne incomplète (arrêt brutal pendant l'écriture) ou altérée est ignorée
+   * @param {Map} collections - Collections à mettre à jour
+   * @param {Object} stats - Statistiques de chargement
+   */
+  async replayJournal(collections, stats) {
+    const previous = await this.readJournal(this.previousJournalPath);
+    const current = await this.readJournal(this.journalPath);
+
+    stats.truncatedTail = !!current && current.length > 0 && !current.endsWith('\n');
+
+    const lines = [previous, current]
+      .filter(Boolean)
+      .flatMap(raw => raw.split('\n').filter(line => line.length > 0));
+
+    for (const line of lines) {
+      let record;
+      try {
+        const { checksum: expected, ...content } = JSON.parse(line);
+        if (expected !== checksum(JSON.stringify(content))) {
+          throw new Error('Somme de contrôle invalide');
+        }
+        record = content;
+      } catch (error) {
+        stats.corruptedEntries++;
+        continue;
+      }
+
+      // Déjà inclus dans l'instantané
+      if (record.seq <= this.seq) {
+        continue;
+      }
+
+      // Opérations manquantes entre l'instantané et le journal (journaux perdus)
+      if (record.seq > this.seq + 1) {
+        stats.lostEntries += record.seq - this.seq - 1;
+        logger.error('Offline journal gap, operations lost', {
+          path: this.journalPath,
+          fromSeq: this.seq + 1,
+          toSeq: record.seq - 1
+        });
+      }
+
+      if (!collections.has(record.collection)) {
+        collections.set(record.collection, new Map());
+      }
+
+      const collection = collections.get(record.collection);
+      if (record.op === 'set') {
+        collection.set(record.key, record.value);
+      } else if (record.op === 'delete') {
+        collection.delete(record.key);
+      }
+
+      this.seq = record.seq;
+      stats.replayedEntries++;
+    }
+
+    if (stats.corruptedEntries > 0) {
+      logger.warn('Corrupted offline journal entries skipped', {
+        path: this.journalPath,
+        corruptedEntries: stats.corruptedEntries
+      });
+    }
+  }
+
+  /**
+   * Lit un fichier de journal
+   * @param {string} filePath - Chemin du journal
+   * @returns {Promise<string|null>} Contenu ou null si absent
+   */
+  async readJournal(filePath) {
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Enregistre une valeur dans une collection
+   * @param {string} collection - Nom de la collection
+   * @param {string|number} key - Clé
+   * @param {*} value - Valeur sérialisable en JSON
+   * @returns {Promise<void>}
+   */
+  async set(collection, key, value) {
+    return this.append({ op: 'set', collection, key, value });
+  }
+
+  /**
+   * Enregistre plusieurs valeurs d'une collection en une seule écriture disque
+   * @param {string} collection - Nom de la collection
+   * @param {Array<Array>} entries - Paires [clé, valeur]
+   * @returns {Promise<void>}
+   */
+  async setMany(collection, entries) {
+    return this.appendMany(entries.map(([key, value]) => ({ op: 'set', collection, key, value })));
+  }
+
+  /**
+   * Supprime une clé d'une collection
+   * @param {string} collection - Nom de la collection
+   * @param {string|number} key - Clé
+   * @returns {Promise<void>}
+   */
+  async delete(collection, key) {
+    return this.append({ op: 'delete', collection, key });
+  }
+
+  /**
+   * Ajoute une opération au journal (écritures sérialisées)
+   * @param {Object} operation - Opération à journaliser
+   * @returns {Promise<void>}
+   */
+  append(operation) {
+    return this.appendMany([operation]);
+  }
+
+  /**
+   * Ajoute plusieurs opérations au journal avec une seule synchronisation disque
+   * @param {Array<Object>} operations - Opérations à journaliser
+   * @returns {Promise<void>}
+   */
+  appendMany(operations) {
+    const write = this.writeQueue.then(async () => {
+      if (!this.journalHandle) {
+        throw new Error('Stockage offline non ouvert');
+      }
+
+      let seq = this.seq;
+      const lines = operations.map(operation => {
+        const content = { seq: ++seq, ...operation };
+        return JSON.stringify({ ...content, checksum: checksum(JSON.stringify(content)) });
+      });
+
+      await this.journalHandle.write(`${lines.join('\n')}\n`);
+      if (this.fsync) {
+        await this.journalHandle.sync();
+      }
+
+      this.seq = seq;
+    });
+
+    // Une écriture en échec ne bloque pas les suivantes
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Écrit un instantané complet puis démarre un nouveau journal
+   * L'écriture passe par un fichier temporaire renommé atomiquement ; le journal
+   * clos devient <path>.journal.prev tant que l'instantané précédent sert de secours
+   * @param {Object} collections - Collections à sauvegarder ({ nom: Map })
+   * @returns {Promise<Object>} Informations sur l'instantané
+   */
+  snapshot(collections) {
+    const write = this.writeQueue.then(async () => {
+      const content = {
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        seq: this.seq,
+        collections: {}
+      };
+
+      let entries = 0;
+      Object.entries(collections).forEach(([name, map]) => {
+        content.collections[name] = Array.from(map.entries());
+        entries += map.size;
+      });
+
+      const serialized = JSON.stringify({ ...content, checksum: checksum(JSON.stringify(content)) });
+      const tmpPath = `${this.snapshotPath}.tmp`;
+
+      const handle = await fs.promises.open(tmpPath, 'w');
+      try {
+        await handle.write(serialized);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      await fs.promises.copyFile(this.snapshotPath, this.backupPath).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+      await fs.promises.rename(tmpPath, this.snapshotPath);
+
+      // Les opérations journalisées sont désormais incluses dans l'instantané, mais
+      // restent nécessaires pour rejouer depuis <path>.bak : le journal est conservé
+      if (this.journalHandle) {
+        await this.journalHandle.close();
+        try {
+          await fs.promises.rename(this.journalPath, this.previousJournalPath);
+        } finally {
+          this.journalHandle = await fs.promises.open(this.journalPath, 'a');
+        }
+      }
+
+      return {
+        seq: content.seq,
+        entries,
+        createdAt: content.createdAt,
+        bytes: Buffer.byteLength(serialized)
+      };
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Ferme le journal
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writeQueue;
+
+    if (this.journalHandle) {
+      await this.journalHandle.close();
+      this.journalHandle = null;
+    }
+  }
+}
+
+module.exports = OfflineStore;
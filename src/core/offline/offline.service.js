@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const OfflineStore = require('./offline-store');
+const eventCoreClient = require('../clients/event-core.client');
+const scanRepository = require('../database/scan.repository');
 const logger = require('../../utils/logger');
 
 /**
@@ -15,6 +18,176 @@ class OfflineService {
     this.pendingSync = new Map(); // Données en attente de synchronisation
     this.lastSyncTime = null;
     this.syncInProgress = false;
+
+    // Stockage local durable (instantané + journal) pour survivre aux redémarrages
+    this.persistenceEnabled = process.env.OFFLINE_PERSISTENCE_ENABLED !== 'false';
+    this.store = new OfflineStore({
+      path: process.env.OFFLINE_DB_PATH || './data/offline.db',
+      fsync: process.env.OFFLINE_JOURNAL_FSYNC !== 'false'
+    });
+    this.storeReady = false;
+    this.lastBackupTime = null;
+
+    // Préchargement des manifestes de tickets par événement
+    this.manifestPageSize = parseInt(process.env.OFFLINE_MANIFEST_PAGE_SIZE) || 500;
+    this.maxPreloadJobs = parseInt(process.env.OFFLINE_MAX_PRELOAD_JOBS) || 50;
+    this.preloadJobs = new Map();
+    this.manifests = new Map(); // Version du dernier manifeste chargé par événement
+
+    // Versionnement des entrées pour les bundles offline incrémentaux
+    this.changeVersion = 0;
+    this.tombstones = new Map(); // Tickets retirés du cache (suppression propagée aux appareils)
+
+    // Première admission connue par ticket (réconciliation des scans multi-appareils)
+    this.admissions = new Map();
+
+    // Révocations connues ('<type>:<clé>'), versionnées pour les bundles offline
+    this.revocations = new Map();
+  }
+
+  /**
+   * Attribue la prochaine version de modification à une entrée du cache
+   * @param {Object} entry - Entrée offline (modifiée en place)
+   * @returns {Object} Entrée versionnée
+   */
+  markEntryChanged(entry) {
+    this.changeVersion++;
+    entry.version = this.changeVersion;
+    return entry;
+  }
+
+  /**
+   * Retire un ticket du cache en conservant une pierre tombale versionnée
+   * @param {string} ticketId - ID du ticket
+   * @param {string} reason - Raison du retrait
+   * @returns {Promise<void>}
+   */
+  async removeTicketEntry(ticketId, reason) {
+    const entry = this.offlineData.get(ticketId);
+    if (!entry) {
+      return;
+    }
+
+    const tombstone = this.markEntryChanged({
+      ticketId,
+      eventId: entry.ticketData ? String(entry.ticketData.eventId) : entry.eventId,
+      reason,
+      removedAt: new Date().toISOString()
+    });
+
+    this.offlineData.delete(ticketId);
+    this.tombstones.set(ticketId, tombstone);
+
+    await this.persist('offlineData', ticketId);
+    await this.persist('tombstones', ticketId, tombstone);
+  }
+
+  /**
+   * Reporte des révocations dans les données offline
+   * Les tickets en cache passent au statut revoked ; les révocations sont
+   * versionnées pour être transmises aux terminaux dans les bundles
+   * @param {Array} revocations - Révocations (eventId, type, key, reason, revokedAt, updatedAt)
+   * @returns {Promise<number>} Nombre de révocations nouvelles ou modifiées
+   */
+  async applyRevocations(revocations) {
+    const changed = [];
+
+    for (const revocation of revocations) {
+      const revocationKey = `${revocation.type}:${revocation.key}`;
+      const updatedAt = new Date(revocation.updatedAt || revocation.revokedAt || Date.now()).toISOString();
+      const known = this.revocations.get(revocationKey);
+
+      if (known && known.updatedAt === updatedAt) {
+        continue;
+      }
+
+      const entry = this.markEntryChanged({
+        eventId: String(revocation.eventId),
+        type: revocation.type,
+        key: String(revocation.key),
+        reason: revocation.reason,
+        revokedAt: revocation.revokedAt ? new Date(revocation.revokedAt).toISOString() : updatedAt,
+        updatedAt
+      });
+      this.revocations.set(revocationKey, entry);
+      changed.push([revocationKey, entry]);
+
+      const ticketEntry = revocation.type === 'ticket' ? this.offlineData.get(String(revocation.key)) : null;
+      if (ticketEntry && ticketEntry.status !== 'revoked') {
+        ticketEntry.status = 'revoked';
+        this.markEntryChanged(ticketEntry);
+        await this.persist('offlineData', ticketEntry.ticketId, ticketEntry);
+      }
+    }
+
+    await this.persistMany('revocations', changed);
+
+    if (changed.length > 0) {
+      logger.offline('Revocations applied to offline data', {
+        count: changed.length
+      });
+    }
+
+    return changed.length;
+  }
+
+  /**
+   * Indique si un ticket est révoqué d'après les données offline
+   * @param {string} ticketId - ID du ticket
+   * @returns {Object|null} Révocation ou null
+   */
+  getTicketRevocation(ticketId) {
+    return this.revocations.get(`ticket:${ticketId}`) || null;
+  }
+
+  /**
+   * Journalise une écriture dans le stockage local
+   * Une erreur d'écriture est journalisée sans bloquer la validation
+   * @param {string} collection - Collection (offlineData, pendingSync, meta)
+   * @param {string|number} key - Clé
+   * @param {*} value - Valeur (undefined pour une suppression)
+   * @returns {Promise<void>}
+   */
+  async persist(collection, key, value) {
+    if (!this.storeReady) {
+      return;
+    }
+
+    try {
+      if (value === undefined) {
+        await this.store.delete(collection, key);
+      } else {
+        await this.store.set(collection, key, value);
+      }
+    } catch (error) {
+      logger.error('Failed to persist offline data', {
+        error: error.message,
+        collection,
+        key
+      });
+    }
+  }
+
+  /**
+   * Journalise un lot d'écritures dans le stockage local
+   * @param {string} collection - Collection
+   * @param {Array<Array>} entries - Paires [clé, valeur]
+   * @returns {Promise<void>}
+   */
+  async persistMany(collection, entries) {
+    if (!this.storeReady || entries.length === 0) {
+      return;
+    }
+
+    try {
+      await this.store.setMany(collection, entries);
+    } catch (error) {
+      logger.error('Failed to persist offline data batch', {
+        error: error.message,
+        collection,
+        count: entries.length
+      });
+    }
   }
 
   /**
@@ -51,7 +224,8 @@ class OfflineService {
    */
   async storeTicketData(ticketData, validationData = {}) {
     try {
-      const ticketId = ticketData.id;
+      // Les clés du cache sont toujours des chaînes (IDs numériques ou textuels)
+      const ticketId = String(ticketData.id);
       const offlineEntry = {
         ticketId,
         ticketData,
@@ -60,11 +234,14 @@ class OfflineService {
         expiresAt: ticketData.expiresAt,
         lastValidated: new Date().toISOString(),
         validationCount: 0,
-        status: 'active'
+        status: this.getTicketRevocation(ticketId) ? 'revoked' : 'active'
       };
 
       // Stocker en cache
-      this.offlineData.set(ticketId, offlineEntry);
+      this.offlineData.set(ticketId, this.markEntryChanged(offlineEntry));
+      if (this.tombstones.delete(ticketId)) {
+        await this.persist('tombstones', ticketId);
+      }
       
       // Ajouter à la file de synchronisation
       this.pendingSync.set(ticketId, {
@@ -73,6 +250,9 @@ class OfflineService {
         timestamp: new Date().toISOString()
       });
 
+      await this.persist('offlineData', ticketId, offlineEntry);
+      await this.persist('pendingSync', ticketId, this.pendingSync.get(ticketId));
+
       logger.offline('Ticket data stored for offline validation', {
         ticketId,
         eventId: ticketData.eventId,
@@ -98,6 +278,132 @@ class OfflineService {
     }
   }
 
+  /**
+   * Vérifie un ticket dans le cache offline sans enregistrer de scan
+   * @param {string} ticketId - ID du ticket
+   * @returns {Object} Résultat de la vérification (avec l'entrée du cache)
+   */
+  checkTicketOffline(ticketId) {
+    // Les clés du cache sont toujours des chaînes (IDs numériques ou textuels)
+    ticketId = String(ticketId);
+
+    // Ticket révoqué (remboursé, transféré, déclaré volé), en cache ou non
+    const revocation = this.getTicketRevocation(ticketId);
+    if (revocation) {
+      return {
+        success: false,
+        error: `Ticket révoqué (${revocation.reason})`,
+        code: 'TICKET_REVOKED'
+      };
+    }
+
+    // Vérifier si les données existent en cache
+    const offlineEntry = this.offlineData.get(ticketId);
+
+    if (!offlineEntry) {
+      return {
+        success: false,
+        error: 'Ticket non trouvé en cache offline',
+        code: 'TICKET_NOT_FOUND_OFFLINE'
+      };
+    }
+
+    // Vérifier l'expiration
+    if (this.isTicketExpired(offlineEntry)) {
+      return {
+        success: false,
+        error: 'Ticket expiré',
+        code: 'TICKET_EXPIRED_OFFLINE'
+      };
+    }
+
+    // Vérifier le statut
+    if (offlineEntry.status !== 'active') {
+      return {
+        success: false,
+        error: `Ticket statut: ${offlineEntry.status}`,
+        code: 'TICKET_INACTIVE_OFFLINE'
+      };
+    }
+
+    // Vérifier le nombre maximum de scans
+    if ((offlineEntry.validationCount || 0) >= 5) {
+      return {
+        success: false,
+        error: 'Nombre maximum de scans atteint',
+        code: 'MAX_SCANS_EXCEEDED_OFFLINE'
+      };
+    }
+
+    return { success: true, entry: offlineEntry };
+  }
+
+  /**
+   * Enregistre un scan offline d'un ticket et le met en file de synchronisation
+   * @param {string} ticketId - ID du ticket
+   * @param {Object} scanContext - Contexte du scan (degraded : validation de repli à confirmer par le core)
+   * @param {string} scanId - ID du scan (uid du log de scan d'un scan dégradé)
+   * @returns {Promise<Object>} Informations du scan et nombre de validations du ticket
+   */
+  async recordOfflineScan(ticketId, scanContext = {}, scanId = crypto.randomUUID()) {
+    ticketId = String(ticketId);
+    const offlineEntry = this.offlineData.get(ticketId);
+
+    const scanInfo = {
+      scanId,
+      timestamp: new Date().toISOString(),
+      location: scanContext.location,
+      deviceId: scanContext.deviceId,
+      operatorId: scanContext.operatorId || null,
+      offline: true
+    };
+
+    // Ajouter à l'historique des scans (l'entrée a pu être retirée depuis la vérification)
+    if (offlineEntry) {
+      if (!offlineEntry.scanHistory) {
+        offlineEntry.scanHistory = [];
+      }
+      offlineEntry.scanHistory.push(scanInfo);
+      offlineEntry.lastValidated = scanInfo.timestamp;
+      offlineEntry.validationCount = (offlineEntry.validationCount || 0) + 1;
+
+      this.offlineData.set(ticketId, offlineEntry);
+      await this.persist('offlineData', ticketId, offlineEntry);
+    }
+
+    // Ajouter à la file de synchronisation (une entrée par scan pour la réconciliation)
+    const syncKey = `validate:${scanInfo.scanId}`;
+    this.pendingSync.set(syncKey, {
+      action: 'validate',
+      data: {
+        ticketId,
+        eventId: offlineEntry && offlineEntry.ticketData
+          ? offlineEntry.ticketData.eventId
+          : scanContext.eventId || null,
+        scanInfo,
+        validationCount: offlineEntry ? offlineEntry.validationCount : null,
+        // Validation de repli (service core injoignable) à confirmer par le core
+        degraded: !!scanContext.degraded
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    await this.persist('pendingSync', syncKey, this.pendingSync.get(syncKey));
+
+    logger.offline('Offline scan recorded', {
+      ticketId,
+      scanId: scanInfo.scanId,
+      validationCount: offlineEntry ? offlineEntry.validationCount : null,
+      degraded: !!scanContext.degraded,
+      scanLocation: scanContext.location
+    });
+
+    return {
+      scanInfo,
+      validationCount: offlineEntry ? offlineEntry.validationCount : null
+    };
+  }
+
   /**
    * Valide un ticket en mode offline
    * @param {string} ticketId - ID du ticket
@@ -106,11 +412,13 @@ class OfflineService {
    */
   async validateTicketOffline(ticketId, scanContext = {}) {
     try {
-      // Vérifier si les données existent en cache
-      const offlineEntry = this.offlineData.get(ticketId);
-      
-      if (!offlineEntry) {
-        if (process.env.NODE_ENV === 'development') {
+      // Les clés du cache sont toujours des chaînes (IDs numériques ou textuels)
+      ticketId = String(ticketId);
+
+      const check = this.checkTicketOffline(ticketId);
+
+      if (!check.success) {
+        if (check.code === 'TICKET_NOT_FOUND_OFFLINE' && process.env.NODE_ENV === 'development') {
           const now = new Date().toISOString();
           const mockEntry = {
             ticketId,
@@ -120,7 +428,8 @@ class OfflineService {
             validationCount: 0,
             scanHistory: []
           };
-          this.offlineData.set(ticketId, mockEntry);
+          this.offlineData.set(ticketId, this.markEntryChanged(mockEntry));
+          await this.persist('offlineData', ticketId, mockEntry);
 
           return {
             success: true,
@@ -139,74 +448,15 @@ class OfflineService {
             }
           };
         }
-        return {
-          success: false,
-          error: 'Ticket non trouvé en cache offline',
-          code: 'TICKET_NOT_FOUND_OFFLINE'
-        };
-      }
-
-      // Vérifier l'expiration
-      if (this.isTicketExpired(offlineEntry)) {
-        return {
-          success: false,
-          error: 'Ticket expiré',
-          code: 'TICKET_EXPIRED_OFFLINE'
-        };
-      }
-
-      // Vérifier le statut
-      if (offlineEntry.status !== 'active') {
-        return {
-          success: false,
-          error: `Ticket statut: ${offlineEntry.status}`,
-          code: 'TICKET_INACTIVE_OFFLINE'
-        };
-      }
-
-      // Mettre à jour les informations de scan
-      const scanInfo = {
-        scanId: crypto.randomUUID(),
-        timestamp: new Date().toISOString(),
-        location: scanContext.location,
-        deviceId: scanContext.deviceId,
-        offline: true
-      };
-
-      // Ajouter à l'historique des scans
-      if (!offlineEntry.scanHistory) {
-        offlineEntry.scanHistory = [];
+        return check;
       }
-      offlineEntry.scanHistory.push(scanInfo);
-      offlineEntry.lastValidated = scanInfo.timestamp;
-      offlineEntry.validationCount++;
 
-      // Vérifier le nombre maximum de scans
-      if (offlineEntry.validationCount > 5) {
-        return {
-          success: false,
-          error: 'Nombre maximum de scans atteint',
-          code: 'MAX_SCANS_EXCEEDED_OFFLINE'
-        };
-      }
-
-      // Mettre à jour le cache
-      this.offlineData.set(ticketId, offlineEntry);
-
-      // Ajouter à la file de synchronisation
-      this.pendingSync.set(ticketId, {
-        action: 'validate',
-        data: {
-          ticketId,
-          scanInfo,
-          validationCount: offlineEntry.validationCount
-        },
-        timestamp: new Date().toISOString()
-      });
+      const offlineEntry = check.entry;
+      const { scanInfo, validationCount } = await this.recordOfflineScan(ticketId, scanContext);
 
       logger.offline('Ticket validated offline successfully', {
         ticketId,
-        validationCount: offlineEntry.validationCount,
+        validationCount,
         scanLocation: scanContext.location
       });
 
@@ -219,7 +469,7 @@ class OfflineService {
           status: 'valid',
           scannedAt: scanInfo.timestamp,
           offline: true,
-          validationCount: offlineEntry.validationCount
+          validationCount
         },
         scanInfo
       };
@@ -237,6 +487,265 @@ class OfflineService {
     }
   }
 
+  /**
+   * Démarre le préchargement du manifeste des tickets d'un événement
+   * Le job s'exécute en arrière-plan ; sa progression est consultable via getPreloadJob
+   * @param {string|number} eventId - ID de l'événement
+   * @param {Object} options - pageSize, requestedBy
+   * @returns {Object} Job de préchargement
+   */
+  startManifestPreload(eventId, options = {}) {
+    const eventKey = String(eventId);
+
+    // Un seul préchargement à la fois par événement
+    for (const job of this.preloadJobs.values()) {
+      if (job.eventId === eventKey && job.status === 'running') {
+        return {
+          success: true,
+          alreadyRunning: true,
+          job: this.formatPreloadJob(job)
+        };
+      }
+    }
+
+    const job = {
+      jobId: crypto.randomUUID(),
+      eventId: eventKey,
+      status: 'running',
+      pageSize: options.pageSize || this.manifestPageSize,
+      requestedBy: options.requestedBy || null,
+      manifestVersion: null,
+      pagesFetched: 0,
+      totalPages: null,
+      ticketsStored: 0,
+      totalTickets: null,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+      code: null
+    };
+
+    this.preloadJobs.set(job.jobId, job);
+    this.pruneFinishedPreloadJobs();
+
+    logger.offline('Ticket manifest preload started', {
+      jobId: job.jobId,
+      eventId: eventKey,
+      pageSize: job.pageSize
+    });
+
+    this.runManifestPreload(job).catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      job.code = 'MANIFEST_PRELOAD_FAILED';
+      job.completedAt = new Date().toISOString();
+
+      logger.error('Ticket manifest preload crashed', {
+        jobId: job.jobId,
+        eventId: eventKey,
+        error: error.message
+      });
+    });
+
+    return {
+      success: true,
+      alreadyRunning: false,
+      job: this.formatPreloadJob(job)
+    };
+  }
+
+  /**
+   * Exécute le préchargement page par page
+   * La version du manifeste lue sur la première page est imposée aux pages suivantes
+   * @param {Object} job - Job de préchargement (mis à jour en place)
+   * @returns {Promise<void>}
+   */
+  async runManifestPreload(job) {
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const result = await eventCoreClient.getEventTicketManifest(job.eventId, {
+        page,
+        pageSize: job.pageSize,
+        manifestVersion: job.manifestVersion
+      });
+
+      if (!result.success) {
+        job.status = 'failed';
+        job.error = result.error;
+        job.code = result.code;
+        job.completedAt = new Date().toISOString();
+
+        logger.error('Ticket manifest preload failed', {
+          jobId: job.jobId,
+          eventId: job.eventId,
+          page,
+          code: result.code
+        });
+        return;
+      }
+
+      const manifestPage = result.data;
+
+      if (page === 1) {
+        job.manifestVersion = manifestPage.manifestVersion;
+      } else if (manifestPage.manifestVersion && manifestPage.manifestVersion !== job.manifestVersion) {
+        job.status = 'failed';
+        job.error = 'Le manifeste a changé pendant le préchargement';
+        job.code = 'MANIFEST_VERSION_CHANGED';
+        job.completedAt = new Date().toISOString();
+        return;
+      }
+
+      job.totalPages = manifestPage.totalPages;
+      job.totalTickets = manifestPage.totalItems;
+
+      const entries = manifestPage.tickets.map(ticket =>
+        this.storeManifestTicket(ticket, job, manifestPage.eventEndsAt)
+      );
+      await this.persistMany('offlineData', entries);
+      job.ticketsStored += entries.length;
+
+      job.pagesFetched = page;
+      hasMore = manifestPage.hasMore && manifestPage.tickets.length > 0;
+      page++;
+    }
+
+    // Les tickets absents du nouveau manifeste ne doivent plus être acceptés
+    for (const [ticketId, entry] of Array.from(this.offlineData.entries())) {
+      if (entry.source === 'manifest' &&
+          entry.ticketData.eventId === job.eventId &&
+          entry.manifestVersion !== job.manifestVersion) {
+        await this.removeTicketEntry(ticketId, 'removed_from_manifest');
+        job.ticketsRemoved = (job.ticketsRemoved || 0) + 1;
+      }
+    }
+
+    const manifest = {
+      eventId: job.eventId,
+      manifestVersion: job.manifestVersion,
+      ticketCount: job.ticketsStored,
+      loadedAt: new Date().toISOString()
+    };
+    this.manifests.set(job.eventId, manifest);
+    await this.persist('manifests', job.eventId, manifest);
+
+    job.status = 'completed';
+    job.totalTickets = job.totalTickets !== null ? job.totalTickets : job.ticketsStored;
+    job.completedAt = manifest.loadedAt;
+
+    // Compacter le journal après un chargement massif
+    await this.backupOfflineData();
+
+    logger.offline('Ticket manifest preload completed', {
+      jobId: job.jobId,
+      eventId: job.eventId,
+      manifestVersion: job.manifestVersion,
+      ticketsStored: job.ticketsStored,
+      pagesFetched: job.pagesFetched
+    });
+  }
+
+  /**
+   * Stocke un ticket du manifeste dans le cache offline
+   * Les compteurs et l'historique de scans d'une entrée existante sont conservés
+   * @param {Object} ticket - Ticket du manifeste
+   * @param {Object} job - Job de préchargement
+   * @param {string} eventEndsAt - Fin de l'événement (expiration par défaut)
+   * @returns {Array} Paire [clé, entrée] à persister
+   */
+  storeManifestTicket(ticket, job, eventEndsAt) {
+    const ticketId = String(ticket.id || ticket.ticketId);
+    const existing = this.offlineData.get(ticketId);
+    const status = String(ticket.status || 'active').toLowerCase();
+
+    const offlineEntry = {
+      ...(existing || {}),
+      ticketId,
+      ticketData: {
+        id: ticketId,
+        eventId: job.eventId,
+        type: ticket.ticketType || ticket.type || 'standard',
+        validFrom: ticket.validFrom || null,
+        expiresAt: ticket.expiresAt || eventEndsAt || null
+      },
+      storedAt: new Date().toISOString(),
+      expiresAt: ticket.expiresAt || eventEndsAt || new Date(Date.now() + this.cacheTTL).toISOString(),
+      validationCount: existing ? existing.validationCount : 0,
+      status: this.getTicketRevocation(ticketId)
+        ? 'revoked'
+        : (['active', 'valid', 'paid', 'confirmed'].includes(status) ? 'active' : status),
+      source: 'manifest',
+      manifestVersion: job.manifestVersion
+    };
+
+    // Ne versionner que les changements visibles dans les bundles offline
+    const changed = !existing ||
+      existing.status !== offlineEntry.status ||
+      existing.expiresAt !== offlineEntry.expiresAt ||
+      !existing.ticketData ||
+      existing.ticketData.type !== offlineEntry.ticketData.type ||
+      existing.ticketData.validFrom !== offlineEntry.ticketData.validFrom;
+
+    this.offlineData.set(ticketId, changed ? this.markEntryChanged(offlineEntry) : offlineEntry);
+    this.tombstones.delete(ticketId);
+    return [ticketId, offlineEntry];
+  }
+
+  /**
+   * Formate un job de préchargement pour l'API
+   * @param {Object} job - Job de préchargement
+   * @returns {Object} Job avec progression
+   */
+  formatPreloadJob(job) {
+    let progress = null;
+    if (job.status === 'completed') {
+      progress = 100;
+    } else if (job.totalTickets) {
+      progress = Math.min(99, Math.floor(job.ticketsStored / job.totalTickets * 100));
+    }
+
+    return { ...job, progress };
+  }
+
+  /**
+   * Récupère un job de préchargement
+   * @param {string} jobId - ID du job
+   * @returns {Object|null} Job ou null
+   */
+  getPreloadJob(jobId) {
+    const job = this.preloadJobs.get(jobId);
+    return job ? this.formatPreloadJob(job) : null;
+  }
+
+  /**
+   * Récupère la version du dernier manifeste chargé pour un événement
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Object|null} Informations sur le manifeste
+   */
+  getManifestInfo(eventId) {
+    return this.manifests.get(String(eventId)) || null;
+  }
+
+  /**
+   * Supprime les jobs terminés les plus anciens au-delà de la limite
+   */
+  pruneFinishedPreloadJobs() {
+    if (this.preloadJobs.size <= this.maxPreloadJobs) {
+      return;
+    }
+
+    for (const [jobId, job] of this.preloadJobs.entries()) {
+      if (job.status !== 'running') {
+        this.preloadJobs.delete(jobId);
+      }
+      if (this.preloadJobs.size <= this.maxPreloadJobs) {
+        break;
+      }
+    }
+  }
+
   /**
    * Synchronise les données offline avec le serveur
    * @returns {Promise<Object>} Résultat de la synchronisation
@@ -261,21 +770,41 @@ class OfflineService {
       let successCount = 0;
       let errorCount = 0;
 
-      for (const [ticketId, syncItem] of batch) {
+      // Réconcilier les admissions du lot avant de les pousser
+      const reconciliation = await this.reconcileValidations(batch);
+      const conflictsByKey = new Map();
+
+      for (const conflict of reconciliation.conflicts) {
+        if (conflict.syncKey) {
+          conflictsByKey.set(conflict.syncKey, conflict);
+        } else {
+          // Scan déjà synchronisé devancé par une admission plus ancienne
+          await this.recordDoubleEntry(conflict).catch(() => {});
+        }
+      }
+
+      for (const [syncKey, syncItem] of batch) {
         try {
+          const conflict = conflictsByKey.get(syncKey);
+          if (conflict) {
+            // Le scan reste en attente tant que la fraude n'est pas enregistrée
+            await this.recordDoubleEntry(conflict);
+          }
+
           const result = await this.processSyncItem(syncItem);
           
           if (result.success) {
             successCount++;
             // Retirer de la file de synchronisation
-            this.pendingSync.delete(ticketId);
+            this.pendingSync.delete(syncKey);
+            await this.persist('pendingSync', syncKey);
           } else {
             errorCount++;
           }
         } catch (error) {
           logger.error('Failed to process sync item', {
             error: error.message,
-            ticketId,
+            syncKey,
             action: syncItem.action
           });
           errorCount++;
@@ -283,12 +812,14 @@ class OfflineService {
       }
 
       this.lastSyncTime = new Date().toISOString();
+      await this.persist('meta', 'lastSyncTime', this.lastSyncTime);
       const syncDuration = Date.now() - syncStartTime;
 
       logger.offline('Offline sync completed', {
         totalItems: batch.length,
         successCount,
         errorCount,
+        conflictCount: reconciliation.conflicts.length,
         syncDuration,
         pendingItems: this.pendingSync.size
       });
@@ -300,7 +831,11 @@ class OfflineService {
         synced: successCount,
         failed: errorCount,
         pending: this.pendingSync.size,
-        syncDuration
+        syncDuration,
+        conflicts: {
+          total: reconciliation.conflicts.length,
+          devices: reconciliation.devices
+        }
       };
     } catch (error) {
       logger.error('Failed to sync offline data', {
@@ -317,6 +852,211 @@ class OfflineService {
     }
   }
 
+  /**
+   * Réconcilie les validations offline d'un lot de synchronisation
+   * Les scans sont fusionnés par ticket et horodatage : la plus ancienne admission
+   * est retenue, toute admission ultérieure sur un autre appareil est une double entrée.
+   * @param {Array<Array>} batch - Paires [clé de synchronisation, élément]
+   * @returns {Promise<Object>} Conflits détectés et rapport par appareil
+   */
+  async reconcileValidations(batch) {
+    const scansByTicket = new Map();
+    const devices = new Map();
+
+    const deviceReport = deviceId => {
+      const key = deviceId || 'unknown';
+      if (!devices.has(key)) {
+        devices.set(key, { deviceId: key, scans: 0, conflicts: [] });
+      }
+      return devices.get(key);
+    };
+
+    for (const [syncKey, syncItem] of batch) {
+      if (syncItem.action !== 'validate' || !syncItem.data || !syncItem.data.scanInfo) {
+        continue;
+      }
+
+      const { ticketId, eventId, scanInfo } = syncItem.data;
+      const scan = {
+        syncKey,
+        ticketId: String(ticketId),
+        eventId: eventId || null,
+        scanId: scanInfo.scanId,
+        deviceId: scanInfo.deviceId || null,
+        operatorId: scanInfo.operatorId || null,
+        location: scanInfo.location || null,
+        scannedAt: scanInfo.timestamp
+      };
+
+      deviceReport(scan.deviceId).scans++;
+
+      if (!scansByTicket.has(scan.ticketId)) {
+        scansByTicket.set(scan.ticketId, []);
+      }
+      scansByTicket.get(scan.ticketId).push(scan);
+    }
+
+    const compareScans = (a, b) =>
+      (new Date(a.scannedAt).getTime() - new Date(b.scannedAt).getTime()) ||
+      String(a.scanId).localeCompare(String(b.scanId));
+
+    const conflicts = [];
+
+    for (const [ticketId, scans] of scansByTicket.entries()) {
+      scans.sort(compareScans);
+
+      let admission = this.admissions.get(ticketId);
+      let changed = false;
+
+      for (const scan of scans) {
+        if (!admission) {
+          admission = { ticketId, eventId: scan.eventId, first: this.formatAdmission(scan), conflictScanIds: [] };
+          changed = true;
+          continue;
+        }
+
+        if (admission.first.scanId === scan.scanId || admission.conflictScanIds.includes(scan.scanId)) {
+          continue;
+        }
+
+        if (compareScans(scan, admission.first) < 0) {
+          // Admission plus ancienne synchronisée en retard : elle devient la première
+          const previous = admission.first;
+          admission.first = this.formatAdmission(scan);
+          changed = true;
+
+          if (previous.deviceId !== scan.deviceId) {
+            conflicts.push({ ticketId, eventId: admission.eventId, scan: previous, firstAdmission: admission.first });
+          }
+          continue;
+        }
+
+        if (scan.deviceId !== admission.first.deviceId) {
+          conflicts.push({
+            ticketId,
+            eventId: admission.eventId,
+            syncKey: scan.syncKey,
+            scan: this.formatAdmission(scan),
+            firstAdmission: admission.first
+          });
+        }
+      }
+
+      this.admissions.set(ticketId, admission);
+      if (changed) {
+        await this.persist('admissions', ticketId, admission);
+      }
+    }
+
+    for (const conflict of conflicts) {
+      deviceReport(conflict.scan.deviceId).conflicts.push({
+        ticketId: conflict.ticketId,
+        scanId: conflict.scan.scanId,
+        scannedAt: conflict.scan.scannedAt,
+        location: conflict.scan.location,
+        firstAdmission: conflict.firstAdmission
+      });
+    }
+
+    if (conflicts.length > 0) {
+      logger.fraud('Offline double entries detected during sync', {
+        conflictCount: conflicts.length,
+        tickets: Array.from(new Set(conflicts.map(conflict => conflict.ticketId)))
+      });
+    }
+
+    return {
+      conflicts,
+      devices: Array.from(devices.values())
+    };
+  }
+
+  /**
+   * Ajoute un scan remonté par un appareil à la file de synchronisation
+   * pour qu'il participe à la réconciliation des admissions
+   * @param {Object} scan - Scan de l'appareil (scanId, ticketId, eventId, deviceId, operatorId, location, scannedAt)
+   * @returns {Promise<void>}
+   */
+  async queueDeviceScan(scan) {
+    const syncKey = `validate:${scan.scanId}`;
+    if (this.pendingSync.has(syncKey)) {
+      return;
+    }
+
+    this.pendingSync.set(syncKey, {
+      action: 'validate',
+      data: {
+        ticketId: String(scan.ticketId),
+        eventId: scan.eventId ? String(scan.eventId) : null,
+        scanInfo: {
+          scanId: scan.scanId,
+          timestamp: scan.scannedAt,
+          location: scan.location,
+          deviceId: scan.deviceId,
+          operatorId: scan.operatorId || null,
+          offline: true
+        },
+        source: 'device_upload'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    await this.persist('pendingSync', syncKey, this.pendingSync.get(syncKey));
+  }
+
+  /**
+   * Formate une admission pour la réconciliation et les rapports
+   * @param {Object} scan - Scan offline
+   * @returns {Object} Admission
+   */
+  formatAdmission(scan) {
+    return {
+      scanId: scan.scanId,
+      deviceId: scan.deviceId,
+      operatorId: scan.operatorId,
+      location: scan.location,
+      scannedAt: scan.scannedAt
+    };
+  }
+
+  /**
+   * Enregistre une double entrée offline comme tentative de fraude
+   * @param {Object} conflict - Conflit détecté par la réconciliation
+   * @returns {Promise<void>}
+   */
+  async recordDoubleEntry(conflict) {
+    try {
+      await scanRepository.createFraudAttempt({
+        scanLogId: null,
+        fraudType: 'OFFLINE_DOUBLE_ENTRY',
+        severity: 'high',
+        details: {
+          ticketId: conflict.ticketId,
+          eventId: conflict.eventId,
+          scan: conflict.scan,
+          firstAdmission: conflict.firstAdmission
+        },
+        ipAddress: null,
+        userAgent: null,
+        blocked: false,
+        createdBy: conflict.scan.operatorId
+      });
+
+      const admission = this.admissions.get(conflict.ticketId);
+      if (admission && !admission.conflictScanIds.includes(conflict.scan.scanId)) {
+        admission.conflictScanIds.push(conflict.scan.scanId);
+        await this.persist('admissions', conflict.ticketId, admission);
+      }
+    } catch (error) {
+      logger.error('Failed to record offline double entry', {
+        error: error.message,
+        ticketId: conflict.ticketId,
+        scanId: conflict.scan.scanId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Traite un élément de synchronisation
    * @param {Object} syncItem - Élément à synchroniser
@@ -370,6 +1110,10 @@ class OfflineService {
    * @returns {Promise<Object>} Résultat
    */
   async syncValidateAction(data) {
+    if (data.degraded) {
+      return this.confirmDegradedScan(data);
+    }
+
     // Placeholder pour synchronisation avec le serveur
     logger.offline('Syncing validate action', {
       ticketId: data.ticketId,
@@ -383,6 +1127,68 @@ class OfflineService {
     };
   }
 
+  /**
+   * Confirme auprès du service core un scan validé en mode dégradé
+   * Le scan reste en file tant que le service core est injoignable ; un refus
+   * du core (ex : ticket déjà utilisé ailleurs) est tracé sur le log de scan.
+   * @param {Object} data - Données du scan dégradé
+   * @returns {Promise<Object>} Résultat
+   */
+  async confirmDegradedScan(data) {
+    const { scanInfo } = data;
+    const coreValidation = await eventCoreClient.validateTicket(
+      { ticketId: data.ticketId, eventId: data.eventId },
+      {
+        location: scanInfo.location,
+        deviceId: scanInfo.deviceId,
+        timestamp: scanInfo.timestamp,
+        operatorId: scanInfo.operatorId
+      }
+    );
+
+    if (!coreValidation.success &&
+        ['CORE_SERVICE_UNAVAILABLE', 'CORE_COMMUNICATION_ERROR'].includes(coreValidation.code)) {
+      return {
+        success: false,
+        error: coreValidation.error,
+        code: coreValidation.code
+      };
+    }
+
+    const confirmation = coreValidation.success ? 'confirmed' : 'rejected';
+    await scanRepository.updateCoreConfirmation(scanInfo.scanId, confirmation);
+
+    if (!coreValidation.success) {
+      logger.security('Degraded scan rejected by event core', {
+        scanId: scanInfo.scanId,
+        ticketId: data.ticketId,
+        deviceId: scanInfo.deviceId,
+        code: coreValidation.code
+      });
+    }
+
+    return {
+      success: true,
+      action: 'validate',
+      ticketId: data.ticketId,
+      confirmation
+    };
+  }
+
+  /**
+   * Nombre de scans dégradés en attente de confirmation par le service core
+   * @returns {number} Scans en attente
+   */
+  countPendingDegradedScans() {
+    let count = 0;
+    for (const syncItem of this.pendingSync.values()) {
+      if (syncItem.action === 'validate' && syncItem.data.degraded) {
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * Synchronise l'action de mise à jour
    * @param {Object} data - Données à synchroniser
@@ -403,19 +1209,58 @@ class OfflineService {
 
   /**
    * Charge les données offline depuis le stockage local
+   * Restaure le dernier instantané vérifié puis rejoue le journal
    * @returns {Promise<Object>} Résultat du chargement
    */
   async loadOfflineData() {
     try {
-      // Placeholder pour charger depuis le stockage local
-      // Dans une implémentation complète, cela chargerait depuis Redis ou un fichier
-      
-      logger.offline('Loading offline data from local storage');
-      
+      if (!this.persistenceEnabled) {
+        logger.offline('Offline persistence disabled, starting with empty cache');
+
+        return {
+          success: true,
+          loaded: 0,
+          persistent: false
+        };
+      }
+
+      const { collections, stats } = await this.store.open();
+      this.storeReady = true;
+
+      this.offlineData = collections.get('offlineData') || new Map();
+      this.pendingSync = collections.get('pendingSync') || new Map();
+
+      this.manifests = collections.get('manifests') || new Map();
+      this.tombstones = collections.get('tombstones') || new Map();
+      this.admissions = collections.get('admissions') || new Map();
+      this.revocations = collections.get('revocations') || new Map();
+
+      // Un ticket présent en cache prime sur une ancienne pierre tombale
+      for (const ticketId of this.offlineData.keys()) {
+        this.tombstones.delete(ticketId);
+      }
+
+      // Reprendre la numérotation des versions après la plus récente modification
+      this.changeVersion = 0;
+      for (const item of [...this.offlineData.values(), ...this.tombstones.values(), ...this.revocations.values()]) {
+        this.changeVersion = Math.max(this.changeVersion, item.version || 0);
+      }
+
+      const meta = collections.get('meta') || new Map();
+      this.lastSyncTime = meta.get('lastSyncTime') || null;
+
+      logger.offline('Offline data loaded from local storage', {
+        offlineDataSize: this.offlineData.size,
+        pendingSyncSize: this.pendingSync.size,
+        ...stats
+      });
+
       return {
         success: true,
-        loaded: 0,
-        message: 'Offline data loaded (placeholder)'
+        loaded: this.offlineData.size,
+        pending: this.pendingSync.size,
+        persistent: true,
+        ...stats
       };
     } catch (error) {
       logger.error('Failed to load offline data', {
@@ -432,27 +1277,42 @@ class OfflineService {
 
   /**
    * Sauvegarde les données offline
+   * Écrit un instantané complet vérifié et compacte le journal
    * @returns {Promise<Object>} Résultat de la sauvegarde
    */
   async backupOfflineData() {
     try {
-      const backupData = {
-        timestamp: new Date().toISOString(),
-        offlineData: Array.from(this.offlineData.entries()),
-        pendingSync: Array.from(this.pendingSync.entries()),
-        lastSyncTime: this.lastSyncTime
-      };
+      if (!this.storeReady) {
+        return {
+          success: false,
+          error: 'Stockage offline non initialisé',
+          code: 'OFFLINE_STORE_NOT_READY'
+        };
+      }
+
+      const snapshot = await this.store.snapshot({
+        offlineData: this.offlineData,
+        pendingSync: this.pendingSync,
+        manifests: this.manifests,
+        tombstones: this.tombstones,
+        admissions: this.admissions,
+        meta: new Map([['lastSyncTime', this.lastSyncTime]])
+      });
 
-      // Placeholder pour sauvegarder dans un fichier ou Redis
-      logger.offline('Creating offline data backup', {
+      this.lastBackupTime = snapshot.createdAt;
+
+      logger.offline('Offline data backup written', {
         offlineDataSize: this.offlineData.size,
-        pendingSyncSize: this.pendingSync.size
+        pendingSyncSize: this.pendingSync.size,
+        seq: snapshot.seq,
+        bytes: snapshot.bytes
       });
 
       return {
         success: true,
-        backupSize: backupData.offlineData.length,
-        timestamp: backupData.timestamp
+        backupSize: this.offlineData.size,
+        pendingSize: this.pendingSync.size,
+        timestamp: snapshot.createdAt
       };
     } catch (error) {
       logger.error('Failed to backup offline data', {
@@ -467,6 +1327,20 @@ class OfflineService {
     }
   }
 
+  /**
+   * Sauvegarde l'état et ferme le stockage local (arrêt du service)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (!this.storeReady) {
+      return;
+    }
+
+    await this.backupOfflineData();
+    await this.store.close();
+    this.storeReady = false;
+  }
+
   /**
    * Nettoie les données expirées
    * @returns {Promise<Object>} Résultat du nettoyage
@@ -478,8 +1352,12 @@ class OfflineService {
 
       for (const [ticketId, entry] of this.offlineData.entries()) {
         if (this.isTicketExpired(entry)) {
-          this.offlineData.delete(ticketId);
+          await this.removeTicketEntry(ticketId, 'expired');
           this.pendingSync.delete(ticketId);
+          await this.persist('pendingSync', ticketId);
+          if (this.admissions.delete(ticketId)) {
+            await this.persist('admissions', ticketId);
+          }
           cleanedCount++;
         }
       }
@@ -558,13 +1436,23 @@ class OfflineService {
     return {
       cache: {
         size: this.offlineData.size,
-        ttl: this.cacheTTL
+        ttl: this.cacheTTL,
+        version: this.changeVersion,
+        tombstones: this.tombstones.size,
+        revocations: this.revocations.size
       },
+      manifests: Array.from(this.manifests.values()),
       sync: {
         pending: this.pendingSync.size,
+        pendingDegraded: this.countPendingDegradedScans(),
         lastSyncTime: this.lastSyncTime,
         inProgress: this.syncInProgress
       },
+      storage: {
+        persistent: this.storeReady,
+        path: this.persistenceEnabled ? this.store.snapshotPath : null,
+        lastBackupTime: this.lastBackupTime
+      },
       config: {
         syncInterval: this.syncInterval,
         batchSize: this.batchSize,
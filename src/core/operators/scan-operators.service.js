@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const scanOperatorsRepository = require('../database/scan-operators.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Permissions d'un opérateur de scan
+ */
+const PERMISSIONS = {
+  CAN_SCAN: 'can_scan',
+  CAN_OVERRIDE: 'can_override',
+  CAN_VIEW_STATS: 'can_view_stats'
+};
+
+const DEFAULT_PERMISSIONS = {
+  [PERMISSIONS.CAN_SCAN]: true,
+  [PERMISSIONS.CAN_OVERRIDE]: false,
+  [PERMISSIONS.CAN_VIEW_STATS]: false
+};
+
+// Alphabet sans caractères ambigus (0/O, 1/I) pour la saisie sur les appareils
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Service de gestion et d'authentification des opérateurs de scan
+ * Enrôlement, connexion par code d'accès et jetons signés de courte durée
+ */
+class ScanOperatorsService {
+  constructor() {
+    this.tokenTtl = process.env.OPERATOR_TOKEN_TTL || '1h';
+    this.accessCodeLength = parseInt(process.env.OPERATOR_ACCESS_CODE_LENGTH) || 8;
+    this.accessCodePepper = process.env.OPERATOR_ACCESS_CODE_PEPPER || '';
+    this.statusCacheTtl = parseInt(process.env.OPERATOR_STATUS_CACHE_TTL) || 30000; // 30s
+
+    this.jwtSecret = process.env.OPERATOR_JWT_SECRET;
+    if (!this.jwtSecret && process.env.NODE_ENV !== 'production') {
+      // Secret éphémère : les jetons sont invalidés au redémarrage
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('OPERATOR_JWT_SECRET not set, using an ephemeral secret');
+    }
+
+    // Cache de l'état des opérateurs (désactivation prise en compte rapidement)
+    this.operatorStatusCache = new Map();
+  }
+
+  /**
+   * Calcule l'empreinte d'un code d'accès
+   * @param {string} accessCode - Code d'accès en clair
+   * @returns {string} Empreinte HMAC-SHA256
+   */
+  hashAccessCode(accessCode) {
+    return crypto
+      .createHmac('sha256', this.accessCodePepper)
+      .update(String(accessCode).trim().toUpperCase())
+      .digest('hex');
+  }
+
+  /**
+   * Génère un code d'accès aléatoire
+   * @returns {string} Code d'accès en clair
+   */
+  generateAccessCode() {
+    let code = '';
+    for (let i = 0; i < this.accessCodeLength; i++) {
+      code += ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Normalise les permissions d'un opérateur
+   * @param {Object} permissions - Permissions fournies
+   * @returns {Object} Permissions complètes
+   */
+  normalizePermissions(permissions = {}) {
+    const normalized = { ...DEFAULT_PERMISSIONS };
+
+    Object.values(PERMISSIONS).forEach(permission => {
+      if (typeof permissions[permission] === 'boolean') {
+        normalized[permission] = permissions[permission];
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Enrôle un opérateur de scan
+   * Le code d'accès en clair n'est retourné qu'une seule fois
+   * @param {Object} operatorData - userId, eventId, permissions, accessCode optionnel
+   * @returns {Promise<Object>} Opérateur créé et son code d'accès
+   */
+  async enrollOperator(operatorData) {
+    try {
+      const accessCode = operatorData.accessCode || this.generateAccessCode();
+
+      const operator = await scanOperatorsRepository.createOperator({
+        userId: operatorData.userId,
+        eventId: operatorData.eventId,
+        accessCodeHash: this.hashAccessCode(accessCode),
+        permissions: this.normalizePermissions(operatorData.permissions),
+        createdBy: operatorData.createdBy
+      });
+
+      logger.audit('Scan operator enrolled', {
+        operatorId: operator.id,
+        userId: operator.userId,
+        eventId: operator.eventId
+      });
+
+      return {
+        success: true,
+        operator,
+        accessCode
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code === 'ACCESS_CODE_IN_USE' ? error.code : 'OPERATOR_ENROLLMENT_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Connecte un opérateur avec son code d'accès
+   * @param {string} accessCode - Code d'accès
+   * @param {Object} loginContext - deviceId, eventId demandés
+   * @returns {Promise<Object>} Jeton signé et opérateur
+   */
+  async login(accessCode, loginContext = {}) {
+    if (!this.jwtSecret) {
+      return {
+        success: false,
+        error: 'Authentification des opérateurs non configurée',
+        code: 'OPERATOR_AUTH_NOT_CONFIGURED'
+      };
+    }
+
+    try {
+      const operator = await scanOperatorsRepository.getOperatorByAccessCodeHash(
+        this.hashAccessCode(accessCode)
+      );
+
+      if (!operator || !operator.isActive) {
+        logger.security('Scan operator login rejected', {
+          reason: operator ? 'inactive' : 'unknown_access_code',
+          deviceId: loginContext.deviceId
+        });
+
+        return {
+          success: false,
+          error: 'Code d\'accès invalide',
+          code: 'INVALID_ACCESS_CODE'
+        };
+      }
+
+      if (loginContext.eventId && operator.eventId &&
+          String(loginContext.eventId) !== String(operator.eventId)) {
+        return {
+          success: false,
+          error: 'Opérateur non autorisé pour cet événement',
+          code: 'OPERATOR_EVENT_MISMATCH'
+        };
+      }
+
+      const permissions = this.normalizePermissions(operator.permissions);
+      const token = jwt.sign(
+        {
+          eventId: operator.eventId,
+          userId: operator.userId,
+          deviceId: loginContext.deviceId || null,
+          permissions
+        },
+        this.jwtSecret,
+        {
+          subject: String(operator.id),
+          audience: 'scan-operator',
+          expiresIn: this.tokenTtl
+        }
+      );
+
+      await scanOperatorsRepository.recordLogin(operator.id);
+
+      logger.auth('Scan operator logged in', {
+        operatorId: operator.id,
+        eventId: operator.eventId,
+        deviceId: loginContext.deviceId
+      });
+
+      return {
+        success: true,
+        token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+        operator: { ...operator, permissions }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATOR_LOGIN_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Vérifie un jeton d'opérateur et l'état actuel de l'opérateur
+   * @param {string} token - Jeton signé
+   * @returns {Promise<Object>} Opérateur authentifié ou erreur
+   */
+  async verifyToken(token) {
+    if (!this.jwtSecret) {
+      return {
+        valid: false,
+        error: 'Authentification des opérateurs non configurée',
+        code: 'OPERATOR_AUTH_NOT_CONFIGURED'
+      };
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtSecret, { audience: 'scan-operator' });
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.name === 'TokenExpiredError' ? 'Jeton opérateur expiré' : 'Jeton opérateur invalide',
+        code: error.name === 'TokenExpiredError' ? 'OPERATOR_TOKEN_EXPIRED' : 'INVALID_OPERATOR_TOKEN'
+      };
+    }
+
+    try {
+      const isActive = await this.isOperatorActive(claims.sub);
+      if (!isActive) {
+        return {
+          valid: false,
+          error: 'Opérateur désactivé',
+          code: 'OPERATOR_INACTIVE'
+        };
+      }
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message,
+        code: 'OPERATOR_CHECK_FAILED'
+      };
+    }
+
+    return {
+      valid: true,
+      operator: {
+        id: parseInt(claims.sub),
+        userId: claims.userId,
+        eventId: claims.eventId,
+        deviceId: claims.deviceId,
+        permissions: claims.permissions || {}
+      }
+    };
+  }
+
+  /**
+   * Vérifie qu'un opérateur est toujours actif (avec cache)
+   * @param {number|string} operatorId - ID de l'opérateur
+   * @returns {Promise<boolean>} true si l'opérateur est actif
+   */
+  async isOperatorActive(operatorId) {
+    const cacheKey = String(operatorId);
+    const cached = this.operatorStatusCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.checkedAt < this.statusCacheTtl) {
+      return cached.isActive;
+    }
+
+    const operator = await scanOperatorsRepository.getOperatorById(operatorId);
+    const isActive = !!(operator && operator.isActive);
+
+    this.operatorStatusCache.set(cacheKey, { isActive, checkedAt: Date.now() });
+
+    return isActive;
+  }
+
+  /**
+   * Indique si un opérateur authentifié dispose d'une permission
+   * @param {Object} operator - Opérateur authentifié
+   * @param {string} permission - Permission demandée
+   * @returns {boolean} true si la permission est accordée
+   */
+  hasPermission(operator, permission) {
+    return !!(operator && operator.permissions && operator.permissions[permission] === true);
+  }
+
+  /**
+   * Liste les opérateurs
+   * @param {Object} filters - Filtres
+   * @returns {Promise<Object>} Opérateurs
+   */
+  async listOperators(filters = {}) {
+    try {
+      const operators = await scanOperatorsRepository.listOperators(filters);
+
+      return {
+        success: true,
+        operators
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATORS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Récupère un opérateur
+   * @param {number} operatorId - ID de l'opérateur
+   * @returns {Promise<Object>} Opérateur
+   */
+  async getOperator(operatorId) {
+    try {
+      const operator = await scanOperatorsRepository.getOperatorById(operatorId);
+
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Opérateur de scan non trouvé',
+          code: 'OPERATOR_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        operator
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATORS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Met à jour les permissions ou l'état d'un opérateur
+   * @param {number} operatorId - ID de l'opérateur
+   * @param {Object} updates - permissions, isActive
+   * @returns {Promise<Object>} Opérateur mis à jour
+   */
+  async updateOperator(operatorId, updates) {
+    try {
+      const operator = await scanOperatorsRepository.updateOperator(operatorId, {
+        permissions: updates.permissions !== undefined
+          ? this.normalizePermissions(updates.permissions)
+          : undefined,
+        isActive: updates.isActive,
+        updatedBy: updates.updatedBy
+      });
+
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Opérateur de scan non trouvé',
+          code: 'OPERATOR_NOT_FOUND'
+        };
+      }
+
+      this.operatorStatusCache.delete(String(operatorId));
+
+      logger.audit('Scan operator updated', {
+        operatorId,
+        isActive: operator.isActive,
+        permissions: operator.permissions
+      });
+
+      return {
+        success: true,
+        operator
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATOR_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Régénère le code d'accès d'un opérateur
+   * @param {number} operatorId - ID de l'opérateur
+   * @returns {Promise<Object>} Nouveau code d'accès
+   */
+  async regenerateAccessCode(operatorId) {
+    try {
+      const accessCode = this.generateAccessCode();
+      const operator = await scanOperatorsRepository.updateOperator(operatorId, {
+        accessCodeHash: this.hashAccessCode(accessCode)
+      });
+
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Opérateur de scan non trouvé',
+          code: 'OPERATOR_NOT_FOUND'
+        };
+      }
+
+      logger.audit('Scan operator access code regenerated', { operatorId });
+
+      return {
+        success: true,
+        operator,
+        accessCode
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATOR_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Révoque un opérateur
+   * @param {number} operatorId - ID de l'opérateur
+   * @returns {Promise<Object>} Résultat de la suppression
+   */
+  async deleteOperator(operatorId) {
+    try {
+      const deleted = await scanOperatorsRepository.deleteOperator(operatorId);
+
+      if (!deleted) {
+        return {
+          success: false,
+          error: 'Opérateur de scan non trouvé',
+          code: 'OPERATOR_NOT_FOUND'
+        };
+      }
+
+      this.operatorStatusCache.delete(String(operatorId));
+
+      logger.audit('Scan operator deleted', { operatorId });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'OPERATOR_DELETION_FAILED'
+      };
+    }
+  }
+}
+
+const scanOperatorsService = new ScanOperatorsService();
+scanOperatorsService.PERMISSIONS = PERMISSIONS;
+
+module.exports = scanOperatorsService;
@@ -0,0 +1,260 @@
+const coreScanOutboxRepository = require('../database/core-scan-outbox.repository');
+const eventCoreClient = require('../clients/event-core.client');
+const logger = require('../../utils/logger');
+
+/**
+ * Statuts d'une entrée de l'outbox
+ * - pending    : à livrer (à partir de next_attempt_at)
+ * - processing : réservée par un relais
+ * - delivered  : acceptée par event-planner-core
+ * - failed     : abandonnée (refus du core ou essais épuisés)
+ */
+const OUTBOX_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Refus du core qui ne justifient pas de nouvel essai (hors délai et limitation de débit)
+const RETRYABLE_CLIENT_ERRORS = [408, 409, 423, 429];
+
+/**
+ * Relais de l'outbox vers event-planner-core
+ * Livre les scans admis écrits dans core_scan_outbox avec la clé d'idempotence
+ * du log, et reprogramme les échecs avec un délai exponentiel : le statut des
+ * tickets dans le core finit par refléter l'historique des scans.
+ */
+class CoreScanOutboxService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.CORE_OUTBOX_POLL_MS) || 5000; // 5s
+    this.batchSize = parseInt(process.env.CORE_OUTBOX_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.CORE_OUTBOX_MAX_ATTEMPTS) || 12;
+    this.backoffDelay = parseInt(process.env.CORE_OUTBOX_BACKOFF_MS) || 5000; // 5s, doublé à chaque essai
+    this.maxBackoffDelay = parseInt(process.env.CORE_OUTBOX_MAX_BACKOFF_MS) || 3600000; // 1h
+    this.lockDuration = parseInt(process.env.CORE_OUTBOX_LOCK_MS) || 60000; // 1min
+
+    this.timer = null;
+    this.relaying = false;
+  }
+
+  /**
+   * Démarre le relais périodique
+   */
+  start() {
+    if (this.timer || this.pollInterval <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.relayBatch().catch(error => {
+        logger.error('Core outbox relay failed', {
+          error: error.message
+        });
+      });
+    }, this.pollInterval);
+
+    logger.info('Core outbox relay started', {
+      interval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Arrête le relais (les entrées non livrées restent en base)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Livre un lot d'entrées dues
+   * @returns {Promise<Object>} { claimed, delivered }
+   */
+  async relayBatch() {
+    // Un lot à la fois par instance : un core lent ne doit pas empiler les relais
+    if (this.relaying) {
+      return { claimed: 0, delivered: 0 };
+    }
+
+    this.relaying = true;
+
+    try {
+      const entries = await coreScanOutboxRepository.claimDueEntries(this.batchSize, this.lockDuration);
+      let delivered = 0;
+
+      for (const entry of entries) {
+        if (await this.deliverEntry(entry)) {
+          delivered++;
+        }
+      }
+
+      if (entries.length > 0) {
+        logger.core('Core outbox batch relayed', {
+          claimed: entries.length,
+          delivered
+        });
+      }
+
+      return { claimed: entries.length, delivered };
+    } finally {
+      this.relaying = false;
+    }
+  }
+
+  /**
+   * Livre une entrée à event-planner-core et enregistre le résultat
+   * @param {Object} entry - Entrée réservée
+   * @returns {Promise<boolean>} true si l'entrée est livrée
+   */
+  async deliverEntry(entry) {
+    const result = await eventCoreClient.recordScan(entry.payload, {
+      idempotencyKey: entry.idempotencyKey
+    });
+
+    if (result.success) {
+      await coreScanOutboxRepository.recordAttempt(entry.id, {
+        status: OUTBOX_STATUSES.DELIVERED,
+        statusCode: 200
+      });
+      return true;
+    }
+
+    const attempts = entry.attempts + 1;
+    const retryable = this.isRetryable(result.statusCode);
+    const abandoned = !retryable || attempts >= this.maxAttempts;
+
+    await coreScanOutboxRepository.recordAttempt(entry.id, {
+      status: abandoned ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING,
+      statusCode: result.statusCode,
+      error: result.details || result.error,
+      nextAttemptAt: abandoned ? null : new Date(Date.now() + this.getBackoffDelay(attempts))
+    });
+
+    if (abandoned) {
+      logger.error('Core outbox entry abandoned', {
+        entryId: entry.id,
+        scanLogId: entry.scanLogId,
+        ticketId: entry.payload.ticketId,
+        attempts,
+        statusCode: result.statusCode
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Un échec justifie-t-il un nouvel essai ?
+   * Erreur réseau, circuit ouvert ou 5xx : oui ; refus 4xx du core : non
+   * @param {number|null} statusCode - Statut HTTP de la réponse du core
+   * @returns {boolean} true si l'entrée doit être réessayée
+   */
+  isRetryable(statusCode) {
+    if (!statusCode || statusCode >= 500) {
+      return true;
+    }
+
+    return RETRYABLE_CLIENT_ERRORS.includes(statusCode);
+  }
+
+  /**
+   * Délai avant le prochain essai (exponentiel, plafonné)
+   * @param {number} attempts - Nombre d'essais déjà effectués
+   * @returns {number} Délai en millisecondes
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.backoffDelay * Math.pow(2, attempts - 1), this.maxBackoffDelay);
+  }
+
+  /**
+   * État de la synchronisation : entrées par statut et retard de la plus ancienne
+   * @returns {Promise<Object>} État de l'outbox
+   */
+  async getStatus() {
+    try {
+      const { counts, oldestPendingAt } = await coreScanOutboxRepository.getStatusCounts();
+
+      return {
+        success: true,
+        data: {
+          ...counts,
+          oldestPendingAt,
+          lagMs: oldestPendingAt ? Date.now() - new Date(oldestPendingAt).getTime() : 0,
+          relayRunning: !!this.timer
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CORE_OUTBOX_UNAVAILABLE'
+      };
+    }
+  }
+
+  /**
+   * Liste les entrées de l'outbox
+   * @param {Object} filters - status, limit
+   * @returns {Promise<Object>} Entrées
+   */
+  async listEntries(filters = {}) {
+    try {
+      const entries = await coreScanOutboxRepository.listEntries(filters);
+
+      return {
+        success: true,
+        data: entries
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CORE_OUTBOX_UNAVAILABLE'
+      };
+    }
+  }
+
+  /**
+   * Remet en attente une entrée abandonnée
+   * @param {number} entryId - ID de l'entrée
+   * @returns {Promise<Object>} Entrée remise en attente
+   */
+  async retryEntry(entryId) {
+    try {
+      const entry = await coreScanOutboxRepository.requeueEntry(entryId);
+
+      if (!entry) {
+        return {
+          success: false,
+          error: 'Entrée abandonnée non trouvée',
+          code: 'CORE_OUTBOX_ENTRY_NOT_FOUND'
+        };
+      }
+
+      logger.info('Core outbox entry requeued', {
+        entryId,
+        scanLogId: entry.scanLogId
+      });
+
+      return {
+        success: true,
+        data: entry
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'CORE_OUTBOX_UNAVAILABLE'
+      };
+    }
+  }
+}
+
+const coreScanOutboxService = new CoreScanOutboxService();
+coreScanOutboxService.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = coreScanOutboxService;
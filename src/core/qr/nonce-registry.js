@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const MemoryIdempotencyStore = require('../idempotency/memory-idempotency.store');
+
+/**
+ * Registre des nonces des QR codes signés
+ * Chaque nonce (ou jti des tickets JWT) est associé à l'empreinte des données
+ * du ticket lors de sa première présentation. Un même nonce présenté avec des
+ * données différentes signale une copie forgée ou rejouée (QR_REPLAY_DETECTED) ;
+ * un nouveau scan du même ticket est laissé à la détection de réutilisation.
+ *
+ * Les nonces sont conservés dans un stockage d'idempotence (reserve/complete) :
+ * MemoryIdempotencyStore pour une instance, RedisIdempotencyStore pour partager
+ * le registre entre instances et le conserver après un redémarrage.
+ */
+class NonceRegistry {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.ttl - Durée de conservation d'un nonce (ms)
+   * @param {number} options.maxEntries - Nombre maximum de nonces conservés (stockage mémoire)
+   * @param {Object} options.store - Stockage des nonces (interface de MemoryIdempotencyStore)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 86400000;
+    this.store = options.store || new MemoryIdempotencyStore({
+      maxEntries: options.maxEntries || 100000
+    });
+  }
+
+  /**
+   * Empreinte des données identifiant le ticket porté par un QR code
+   * @param {Object} ticketData - Données décodées du QR code
+   * @returns {string} Empreinte SHA-256
+   */
+  fingerprint(ticketData) {
+    const fields = ['ticketId', 'eventId', 'ticketType', 'userId', 'issuedAt', 'expiresAt']
+      .map(field => (ticketData[field] === undefined || ticketData[field] === null ? '' : String(ticketData[field])));
+
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  /**
+   * Enregistre le nonce d'un QR code ou vérifie qu'il correspond au même ticket
+   * @param {string} nonce - Nonce du QR code
+   * @param {Object} ticketData - Données décodées du QR code
+   * @returns {Promise<Object>} { replayed: false } ou { replayed: true, firstSeen }
+   * @throws {Error} Si le stockage des nonces est indisponible
+   */
+  async check(nonce, ticketData) {
+    const fingerprint = this.fingerprint(ticketData);
+    const reservation = await this.store.reserve(nonce, fingerprint, this.ttl);
+
+    if (reservation.reserved) {
+      // Première présentation : ticket conservé pour signaler l'original en cas de copie
+      await this.store.complete(nonce, {
+        ticketId: ticketData.ticketId,
+        eventId: ticketData.eventId,
+        seenAt: new Date().toISOString()
+      }, this.ttl);
+
+      return { replayed: false };
+    }
+
+    if (reservation.record.fingerprint === fingerprint) {
+      return { replayed: false };
+    }
+
+    const firstSeen = reservation.record.response || {};
+    return {
+      replayed: true,
+      firstSeen: {
+        ticketId: firstSeen.ticketId || null,
+        eventId: firstSeen.eventId || null,
+        seenAt: firstSeen.seenAt || null
+      }
+    };
+  }
+
+  /**
+   * Ferme le stockage des nonces (connexion Redis)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (typeof this.store.close === 'function') {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Statistiques du registre
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      ttl: this.ttl,
+      store: this.store.getStats()
+    };
+  }
+}
+
+module.exports = NonceRegistry;
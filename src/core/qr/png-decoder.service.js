@@ -96,7 +96,8 @@ class PNGDecoderService {
           originalData: ticketData
         },
         algorithm: ticketData.algorithm || 'HS256',
-        version: ticketData.version || '1.0'
+        version: ticketData.version || '1.0',
+        kid: ticketData.kid
       };
 
       // Conserver ou générer la signature
@@ -1,8 +1,34 @@
 const crypto = require('crypto');
 const base64url = require('base64url');
 const pngDecoderService = require('./png-decoder.service');
+const SigningKeyring = require('./signing-keyring');
+const NonceRegistry = require('./nonce-registry');
+const RedisIdempotencyStore = require('../idempotency/redis-idempotency.store');
 const logger = require('../../utils/logger');
 
+/**
+ * Algorithmes à clé publique compacts (signatures de 64 octets, QR moins denses qu'en RS256)
+ * - ES256 : ECDSA P-256 / SHA-256, signature r||s (format JWS)
+ * - EdDSA : Ed25519
+ */
+const COMPACT_SIGNATURE_ALGORITHMS = {
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363', method: 'ECDSA-P256-SHA256' },
+  EdDSA: { digest: null, dsaEncoding: undefined, method: 'Ed25519' }
+};
+
+// Taille des signatures ES256 et Ed25519 (octets)
+const COMPACT_SIGNATURE_LENGTH = 64;
+
+// Secret HMAC de développement, jamais accepté pour les tickets JWT
+const DEFAULT_HMAC_SECRET = 'default-secret-change-in-production';
+
+// Segment d'un JWS compact (base64url sans padding)
+const JWS_SEGMENT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Version des QR codes au format ticketId dont la chaîne signée couvre aussi
+// admission, zones, kid et nonce (versions 1.x : chaîne historique de ticket-generator)
+const EXTENDED_SIGNATURE_VERSION = '2.0';
+
 /**
  * Service de décodage et validation cryptographique des QR codes
  * Responsabilité : DÉCODAGE et VALIDATION SÉCURISÉE uniquement
@@ -12,20 +38,57 @@ class QRDecoderService {
     // Clés partagées avec ticket-generator pour la validation
     this.hmacSecret = process.env.QR_HMAC_SECRET
       || process.env.TICKET_SIGNATURE_SECRET
-      || 'default-secret-change-in-production';
+      || DEFAULT_HMAC_SECRET;
     this.rsaPublicKey = this.loadRSAPublicKey();
+    this.ecPublicKey = this.loadPublicKey(process.env.QR_ES256_PUBLIC_KEY);
+    this.ed25519PublicKey = this.loadPublicKey(process.env.QR_EDDSA_PUBLIC_KEY);
+
+    // Trousseau des clés identifiées par kid (rotation des clés de ticket-generator)
+    // Les QR codes sans kid restent vérifiés avec les clés ci-dessus
+    this.keyring = new SigningKeyring({
+      file: process.env.QR_KEYRING_FILE,
+      directory: process.env.QR_KEYRING_DIR,
+      reloadInterval: process.env.QR_KEYRING_RELOAD_MS ? parseInt(process.env.QR_KEYRING_RELOAD_MS) : 30000
+    });
+    this.keyring.start();
     
     // Versions supportées des QR codes
-    this.supportedVersions = ['1.0', '1.1'];
+    this.supportedVersions = ['1.0', '1.1', EXTENDED_SIGNATURE_VERSION];
     
     // Algorithmes de signature supportés
-    this.supportedAlgorithms = ['HS256', 'RS256'];
+    this.supportedAlgorithms = ['HS256', 'RS256', 'ES256', 'EdDSA'];
     
     // Temps maximum de validité d'un QR code (en secondes)
     this.maxQRValidity = parseInt(process.env.QR_MAX_VALIDITY) || 86400; // 24h
     
     // Taille maximale du payload QR (en bytes)
     this.maxQRSize = parseInt(process.env.QR_MAX_SIZE) || 32768; // 32KB pour PNG Base64
+
+    // Claims des tickets JWT : tolérance d'horloge, émetteurs et audiences acceptés
+    // L'audience de l'événement (<préfixe><eventId>) est toujours acceptée
+    this.jwtClockSkew = process.env.QR_JWT_CLOCK_SKEW_SECONDS
+      ? parseInt(process.env.QR_JWT_CLOCK_SKEW_SECONDS)
+      : 60; // 1min
+    this.jwtIssuers = (process.env.QR_JWT_ISSUER || '').split(',').map(value => value.trim()).filter(Boolean);
+    this.jwtAudiences = (process.env.QR_JWT_AUDIENCE || '').split(',').map(value => value.trim()).filter(Boolean);
+    this.jwtEventAudiencePrefix = process.env.QR_JWT_EVENT_AUDIENCE_PREFIX || 'event:';
+    this.jwtRequireAudience = process.env.QR_JWT_REQUIRE_AUDIENCE === 'true';
+
+    // Nonces déjà présentés, conservés le temps maximum de validité d'un QR code
+    // memory : une instance ; redis : registre partagé entre instances et conservé au redémarrage
+    this.nonceBackend = process.env.QR_NONCE_BACKEND === 'redis' ? 'redis' : 'memory';
+    this.nonceRegistry = new NonceRegistry({
+      ttl: this.maxQRValidity * 1000,
+      maxEntries: parseInt(process.env.QR_NONCE_REGISTRY_MAX_ENTRIES) || 100000,
+      store: this.nonceBackend === 'redis'
+        ? new RedisIdempotencyStore({
+          prefix: process.env.QR_NONCE_PREFIX || 'scan-validation:nonce',
+          timeout: parseInt(process.env.QR_NONCE_REDIS_TIMEOUT) || 2000,
+          name: 'QR nonce'
+        })
+        : undefined
+    });
+    this.nonceFailClosed = process.env.QR_NONCE_FAIL_CLOSED !== 'false';
   }
 
   /**
@@ -56,12 +119,42 @@ class QRDecoderService {
     }
   }
 
+  /**
+   * Charge une clé publique PEM (sauts de ligne éventuellement échappés en \n)
+   * @param {string} pem - Clé publique PEM
+   * @returns {KeyObject|null} Clé publique ou null si non configurée ou invalide
+   */
+  loadPublicKey(pem) {
+    if (!pem) {
+      return null;
+    }
+
+    try {
+      return crypto.createPublicKey(pem.replace(/\\n/g, '\n'));
+    } catch (error) {
+      logger.error('Failed to load QR public key', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Vérifie la configuration des clés au démarrage
+   * En production, le secret HMAC de développement est refusé
+   * @throws {Error} Si QR_HMAC_SECRET (ou TICKET_SIGNATURE_SECRET) n'est pas configuré en production
+   */
+  assertSecureConfiguration() {
+    if (process.env.NODE_ENV === 'production' && this.hmacSecret === DEFAULT_HMAC_SECRET) {
+      throw new Error('QR_HMAC_SECRET doit être configuré en production');
+    }
+  }
+
   /**
    * Décode un QR code et valide son intégrité cryptographique
    * @param {string} qrCode - QR code sous forme de string (Base64, JSON, JWT-like)
+   * @param {Object} context - Contexte du scan (eventId : audience attendue des tickets JWT)
    * @returns {Promise<Object>} Résultat du décodage avec données validées
    */
-  async decodeAndValidateQR(qrCode) {
+  async decodeAndValidateQR(qrCode, context = {}) {
     try {
       logger.qr('Starting QR code decoding and validation', {
         qrCodeLength: qrCode?.length || 0,
@@ -126,12 +219,34 @@ class QRDecoderService {
           code: 'INVALID_CRYPTOGRAPHIC_SIGNATURE',
           fraudFlags: {
             type: 'FORGED_QR',
-            severity: 'HIGH',
+            severity: 'high',
             details: cryptoValidation.details
           }
         };
       }
 
+      // Claims des tickets JWT (vérifiés une fois la signature acceptée)
+      if (formatType === 'JWT') {
+        const claimsValidation = this.validateJWTClaims(decodedData.jwt.claims, context);
+        if (!claimsValidation.valid) {
+          return {
+            success: false,
+            error: claimsValidation.error,
+            code: claimsValidation.code,
+            details: claimsValidation.details
+          };
+        }
+      }
+
+      // Nonce couvert par la signature, relevé avant normalisation
+      const signedNonce = this.getSignedNonce(cryptoValidation.signedData || decodedData, formatType);
+
+      // Format ticketId signé avec la chaîne historique : admission et zones non signées ignorées
+      if (formatType !== 'JWT' && decodedData.ticketId && !cryptoValidation.signedData &&
+          !this.usesExtendedSignature(decodedData)) {
+        decodedData = this.withoutUnsignedClaims(decodedData);
+      }
+
       // Normaliser le format (support legacy ticket-generator)
       decodedData = this.normalizeQRCodeData(decodedData);
 
@@ -154,8 +269,10 @@ class QRDecoderService {
         };
       }
 
-      // Validation de l'expiration
-      const expirationValidation = this.validateQRExpiration(decodedData);
+      // Validation de l'expiration (tickets JWT : exp / iat vérifiés avec les claims)
+      const expirationValidation = formatType === 'JWT'
+        ? { valid: true }
+        : this.validateQRExpiration(decodedData);
       if (!expirationValidation.valid) {
         return {
           success: false,
@@ -164,6 +281,47 @@ class QRDecoderService {
         };
       }
 
+      // Nonce déjà présenté avec d'autres données de ticket : copie forgée ou rejouée
+      if (signedNonce) {
+        const nonceCheck = await this.checkNonce(String(signedNonce), decodedData);
+        if (nonceCheck.unavailable) {
+          return {
+            success: false,
+            error: nonceCheck.error,
+            code: nonceCheck.code
+          };
+        }
+
+        if (nonceCheck.replayed) {
+          logger.security('QR nonce replayed with different ticket data', {
+            ticketId: decodedData.ticketId,
+            eventId: decodedData.eventId,
+            firstTicketId: nonceCheck.firstSeen.ticketId,
+            firstEventId: nonceCheck.firstSeen.eventId
+          });
+
+          return {
+            success: false,
+            error: 'Nonce de QR code déjà utilisé pour un autre ticket',
+            code: 'QR_REPLAY_DETECTED',
+            // Signature valide : le ticket présenté est authentique
+            ticket: {
+              ticketId: decodedData.ticketId,
+              eventId: decodedData.eventId,
+              ticketType: decodedData.ticketType
+            },
+            fraudFlags: {
+              type: 'QR_REPLAY',
+              severity: 'high',
+              details: {
+                ticketId: decodedData.ticketId,
+                firstSeen: nonceCheck.firstSeen
+              }
+            }
+          };
+        }
+      }
+
       logger.qr('QR code decoded and validated successfully', {
         ticketId: decodedData.ticketId,
         eventId: decodedData.eventId,
@@ -181,6 +339,9 @@ class QRDecoderService {
           userId: decodedData.userId,
           issuedAt: decodedData.issuedAt,
           expiresAt: decodedData.expiresAt,
+          admission: decodedData.admission || null,
+          zones: decodedData.zones || null,
+          nonce: decodedData.nonce || decodedData.jti || null,
           checksum: decodedData.checksum,
           metadata: decodedData.metadata || {},
           formatType,
@@ -192,7 +353,8 @@ class QRDecoderService {
           algorithm: decodedData.algorithm,
           version: decodedData.version,
           validatedAt: new Date().toISOString(),
-          cryptographicMethod: cryptoValidation.method
+          cryptographicMethod: cryptoValidation.method,
+          keyId: cryptoValidation.keyId || null
         }
       };
 
@@ -278,19 +440,45 @@ class QRDecoderService {
   }
 
   /**
-   * Décode un QR code au format JWT
+   * Décode un QR code au format JWT (JWS compact)
+   * La signature est vérifiée par validateJWSSignature, les claims par validateJWTClaims
    * @param {string} qrCode - QR code JWT
    * @returns {Promise<Object>} Résultat du décodage
    */
   async decodeJWTFormat(qrCode) {
     try {
       const parts = qrCode.split('.');
+
+      if (!parts.every(part => JWS_SEGMENT_PATTERN.test(part))) {
+        return {
+          success: false,
+          error: 'Format JWT invalide',
+          code: 'INVALID_JWT_FORMAT'
+        };
+      }
       
       // Décoder le header
       const header = JSON.parse(base64url.decode(parts[0]));
       
       // Décoder le payload
       const payload = JSON.parse(base64url.decode(parts[1]));
+
+      if (!this.isPlainObject(header) || !this.isPlainObject(payload)) {
+        return {
+          success: false,
+          error: 'Format JWT invalide',
+          code: 'INVALID_JWT_FORMAT'
+        };
+      }
+
+      // Jamais de JWT non signé, quelle que soit la casse
+      if (typeof header.alg === 'string' && header.alg.toLowerCase() === 'none') {
+        return {
+          success: false,
+          error: 'JWT non signé refusé',
+          code: 'UNSIGNED_JWT'
+        };
+      }
       
       // Valider l'algorithme
       if (!this.supportedAlgorithms.includes(header.alg)) {
@@ -301,12 +489,30 @@ class QRDecoderService {
         };
       }
 
+      // Extensions critiques : aucune n'est comprise, le jeton doit être refusé
+      if (header.crit !== undefined) {
+        return {
+          success: false,
+          error: 'Extensions JWT critiques non supportées',
+          code: 'UNSUPPORTED_JWT_HEADER'
+        };
+      }
+
       // Combiner header et payload pour la validation
+      // exp / iat (secondes) alimentent expiresAt / issuedAt s'ils sont absents
       const dataToValidate = {
         ...payload,
+        ticketId: payload.ticketId || payload.sub,
+        issuedAt: payload.issuedAt || this.claimToISOString(payload.iat),
+        expiresAt: payload.expiresAt || this.claimToISOString(payload.exp),
         algorithm: header.alg,
         version: header.version || '1.0',
-        signature: parts[2]
+        kid: header.kid || payload.kid,
+        signature: parts[2],
+        jwt: {
+          signingInput: `${parts[0]}.${parts[1]}`,
+          claims: payload
+        }
       };
 
       return {
@@ -419,15 +625,25 @@ class QRDecoderService {
    */
   async validateCryptographicSignature(data, formatType) {
     try {
+      if (formatType === 'JWT') {
+        return this.validateJWSSignature(data);
+      }
+
       if (data?.metadata?.originalData?.signature) {
         const legacyResult = this.validateLegacyHMACSignature(data.metadata.originalData);
         if (legacyResult.valid) {
-          return legacyResult;
+          // Seules les données d'origine sont couvertes par la signature (nonce compris)
+          return { ...legacyResult, signedData: data.metadata.originalData };
         }
       }
 
       // Support legacy ticket-generator format
       if (data && data.id && !data.ticketId) {
+        if (COMPACT_SIGNATURE_ALGORITHMS[data.algorithm]) {
+          // Signature sur JSON.stringify des données sans "signature" (QRService.generateSecureQRCode)
+          const { signature, ...dataToSign } = data;
+          return this.validateCompactSignature(data, data.algorithm, JSON.stringify(dataToSign));
+        }
         return this.validateLegacyHMACSignature(data);
       }
 
@@ -437,6 +653,8 @@ class QRDecoderService {
         return await this.validateHMACSignature(data, formatType);
       } else if (algorithm === 'RS256') {
         return await this.validateRSASignature(data, formatType);
+      } else if (COMPACT_SIGNATURE_ALGORITHMS[algorithm]) {
+        return this.validateCompactSignature(data, algorithm, this.createSignatureString(data));
       } else {
         return {
           valid: false,
@@ -468,12 +686,21 @@ class QRDecoderService {
       };
     }
 
+    const verificationKey = this.resolveVerificationKey(data, 'HS256');
+    if (verificationKey.error) {
+      return {
+        valid: false,
+        error: verificationKey.error,
+        details: { reason: verificationKey.reason, kid: data.kid }
+      };
+    }
+
     // Créer la chaîne à signer
     const stringToSign = this.createSignatureString(data);
     
     // Calculer la signature attendue
     const expectedSignature = crypto
-      .createHmac('sha256', this.hmacSecret)
+      .createHmac('sha256', verificationKey.key)
       .update(stringToSign)
       .digest('hex');
 
@@ -492,7 +719,7 @@ class QRDecoderService {
     if (!isValid && formatType === 'PNG-Base64') {
       const { signature, ...dataToSign } = data;
       const jsonSignature = crypto
-        .createHmac('sha256', this.hmacSecret)
+        .createHmac('sha256', verificationKey.key)
         .update(JSON.stringify(dataToSign))
         .digest('hex');
 
@@ -510,6 +737,7 @@ class QRDecoderService {
       valid: isValid,
       error: isValid ? null : 'Signature HMAC invalide',
       method: 'HMAC-SHA256',
+      keyId: verificationKey.kid,
       details: isValid ? null : { 
         reason: 'signature_mismatch',
         expected: expectedSignature.substring(0, 16) + '...',
@@ -525,7 +753,16 @@ class QRDecoderService {
    * @returns {Object} Résultat de la validation
    */
   async validateRSASignature(data, formatType) {
-    if (!this.rsaPublicKey) {
+    const verificationKey = this.resolveVerificationKey(data, 'RS256');
+    if (verificationKey.error) {
+      return {
+        valid: false,
+        error: verificationKey.error,
+        details: { reason: verificationKey.reason, kid: data.kid }
+      };
+    }
+
+    if (!verificationKey.key) {
       return {
         valid: false,
         error: 'Clé RSA publique non configurée',
@@ -546,12 +783,13 @@ class QRDecoderService {
       const verify = crypto.createVerify('RSA-SHA256');
       verify.update(stringToSign);
       
-      const isValid = verify.verify(this.rsaPublicKey, data.signature, 'hex');
+      const isValid = verify.verify(verificationKey.key, data.signature, 'hex');
 
       return {
         valid: isValid,
         error: isValid ? null : 'Signature RSA invalide',
         method: 'RSA-SHA256',
+        keyId: verificationKey.kid,
         details: isValid ? null : { reason: 'signature_mismatch' }
       };
     } catch (error) {
@@ -563,6 +801,318 @@ class QRDecoderService {
     }
   }
 
+  /**
+   * Valide une signature ES256 ou EdDSA
+   * @param {Object} data - Données avec signature (base64url ou hex)
+   * @param {string} algorithm - ES256 ou EdDSA
+   * @param {string} signedContent - Contenu signé
+   * @returns {Object} Résultat de la validation
+   */
+  validateCompactSignature(data, algorithm, signedContent) {
+    const { digest, dsaEncoding, method } = COMPACT_SIGNATURE_ALGORITHMS[algorithm];
+
+    const verificationKey = this.resolveVerificationKey(data, algorithm);
+    if (verificationKey.error) {
+      return {
+        valid: false,
+        error: verificationKey.error,
+        details: { reason: verificationKey.reason, kid: data.kid }
+      };
+    }
+
+    if (!verificationKey.key) {
+      return {
+        valid: false,
+        error: `Clé publique ${algorithm} non configurée`,
+        details: { reason: 'public_key_not_configured', algorithm }
+      };
+    }
+
+    if (!data.signature) {
+      return {
+        valid: false,
+        error: `Signature ${algorithm} manquante`,
+        details: { reason: 'missing_signature' }
+      };
+    }
+
+    try {
+      const signature = this.decodeCompactSignature(data.signature);
+      const isValid = signature.length === COMPACT_SIGNATURE_LENGTH && crypto.verify(
+        digest,
+        Buffer.from(signedContent),
+        { key: verificationKey.key, dsaEncoding },
+        signature
+      );
+
+      return {
+        valid: isValid,
+        error: isValid ? null : `Signature ${algorithm} invalide`,
+        method,
+        keyId: verificationKey.kid,
+        details: isValid ? null : { reason: 'signature_mismatch' }
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        error: `Erreur lors de la validation ${algorithm}`,
+        details: { technical: error.message }
+      };
+    }
+  }
+
+  /**
+   * Valide la signature d'un JWS compact sur "<header>.<payload>"
+   * L'algorithme est celui de la clé (trousseau) ou de la clé par défaut de cet algorithme ;
+   * kid obligatoire si un trousseau est configuré, secret HMAC de développement refusé
+   * @param {Object} data - Données décodées par decodeJWTFormat
+   * @returns {Object} Résultat de la validation
+   */
+  validateJWSSignature(data) {
+    const algorithm = data.algorithm;
+    const hasKid = data.kid !== undefined && data.kid !== null && data.kid !== '';
+
+    // Avec un trousseau, l'algorithme d'un JWT est celui de sa clé : kid obligatoire
+    if (!hasKid && this.keyring.isConfigured()) {
+      return {
+        valid: false,
+        error: 'kid JWT requis',
+        details: { reason: 'missing_kid', algorithm }
+      };
+    }
+
+    const verificationKey = this.resolveVerificationKey(data, algorithm);
+    if (verificationKey.error) {
+      return {
+        valid: false,
+        error: verificationKey.error,
+        details: { reason: verificationKey.reason, kid: data.kid }
+      };
+    }
+
+    if (!verificationKey.key) {
+      return {
+        valid: false,
+        error: `Clé ${algorithm} non configurée`,
+        details: { reason: 'key_not_configured', algorithm }
+      };
+    }
+
+    // Secret de développement : n'importe qui pourrait signer un ticket JWT
+    if (verificationKey.key === DEFAULT_HMAC_SECRET) {
+      return {
+        valid: false,
+        error: 'Secret HMAC non configuré',
+        details: { reason: 'default_secret', algorithm }
+      };
+    }
+
+    try {
+      const signingInput = Buffer.from(data.jwt.signingInput);
+      const signature = Buffer.from(data.signature, 'base64url');
+      let isValid;
+      let method;
+
+      if (algorithm === 'HS256') {
+        const expected = crypto.createHmac('sha256', verificationKey.key).update(signingInput).digest();
+        isValid = signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+        method = 'JWS-HS256';
+      } else if (algorithm === 'RS256') {
+        isValid = crypto.verify('sha256', signingInput, verificationKey.key, signature);
+        method = 'JWS-RS256';
+      } else {
+        const { digest, dsaEncoding } = COMPACT_SIGNATURE_ALGORITHMS[algorithm];
+        isValid = signature.length === COMPACT_SIGNATURE_LENGTH &&
+          crypto.verify(digest, signingInput, { key: verificationKey.key, dsaEncoding }, signature);
+        method = `JWS-${algorithm}`;
+      }
+
+      return {
+        valid: isValid,
+        error: isValid ? null : `Signature JWT ${algorithm} invalide`,
+        method,
+        keyId: verificationKey.kid,
+        details: isValid ? null : { reason: 'signature_mismatch' }
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        error: 'Erreur lors de la validation de la signature JWT',
+        details: { technical: error.message }
+      };
+    }
+  }
+
+  /**
+   * Valide les claims d'un ticket JWT (exp, nbf, iat, iss, aud)
+   * Tolérance d'horloge : QR_JWT_CLOCK_SKEW_SECONDS
+   * @param {Object} claims - Payload du JWT
+   * @param {Object} context - Contexte du scan (eventId)
+   * @returns {Object} { valid } ou { valid: false, error, code, details }
+   */
+  validateJWTClaims(claims, context = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = this.jwtClockSkew;
+
+    for (const claim of ['exp', 'nbf', 'iat']) {
+      if (claims[claim] !== undefined && !Number.isFinite(claims[claim])) {
+        return {
+          valid: false,
+          error: `Claim JWT invalide: ${claim}`,
+          code: 'JWT_INVALID_CLAIM',
+          details: { claim }
+        };
+      }
+    }
+
+    if (claims.exp === undefined) {
+      return {
+        valid: false,
+        error: 'Claim JWT manquant: exp',
+        code: 'JWT_MISSING_CLAIM',
+        details: { claim: 'exp' }
+      };
+    }
+
+    if (now >= claims.exp + skew) {
+      return {
+        valid: false,
+        error: 'Ticket JWT expiré',
+        code: 'JWT_EXPIRED',
+        details: { exp: claims.exp }
+      };
+    }
+
+    if (claims.nbf !== undefined && now + skew < claims.nbf) {
+      return {
+        valid: false,
+        error: 'Ticket JWT pas encore valide',
+        code: 'JWT_NOT_YET_VALID',
+        details: { nbf: claims.nbf }
+      };
+    }
+
+    if (claims.iat !== undefined) {
+      if (claims.iat > now + skew) {
+        return {
+          valid: false,
+          error: 'Ticket JWT émis dans le futur',
+          code: 'JWT_ISSUED_IN_FUTURE',
+          details: { iat: claims.iat }
+        };
+      }
+
+      if (now - claims.iat > this.maxQRValidity + skew) {
+        return {
+          valid: false,
+          error: 'Ticket JWT trop ancien',
+          code: 'JWT_TOO_OLD',
+          details: { iat: claims.iat, maxAge: this.maxQRValidity }
+        };
+      }
+    }
+
+    if (this.jwtIssuers.length > 0 && !this.jwtIssuers.includes(claims.iss)) {
+      return {
+        valid: false,
+        error: `Émetteur JWT non autorisé: ${claims.iss || 'absent'}`,
+        code: 'JWT_INVALID_ISSUER',
+        details: { iss: claims.iss || null }
+      };
+    }
+
+    // L'audience de l'événement est celle du scan, jamais celle annoncée par le ticket
+    const audiences = claims.aud === undefined ? [] : [].concat(claims.aud).map(String);
+    const acceptedAudiences = context.eventId
+      ? [...this.jwtAudiences, `${this.jwtEventAudiencePrefix}${context.eventId}`]
+      : this.jwtAudiences;
+
+    if ((audiences.length > 0 || this.jwtRequireAudience) &&
+        !audiences.some(audience => acceptedAudiences.includes(audience))) {
+      if (!context.eventId) {
+        return {
+          valid: false,
+          error: 'Audience JWT invérifiable : événement du scan non fourni',
+          code: 'JWT_AUDIENCE_UNVERIFIABLE',
+          details: { aud: claims.aud || null, expected: acceptedAudiences }
+        };
+      }
+
+      return {
+        valid: false,
+        error: 'Audience JWT non autorisée',
+        code: 'JWT_INVALID_AUDIENCE',
+        details: { aud: claims.aud || null, expected: acceptedAudiences }
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Convertit un claim de date JWT (secondes) en date ISO
+   * @param {number} value - Claim (exp, iat...)
+   * @returns {string|undefined} Date ISO, ou undefined si absent ou invalide
+   */
+  claimToISOString(value) {
+    return Number.isFinite(value) ? new Date(value * 1000).toISOString() : undefined;
+  }
+
+  /**
+   * Vérifie qu'une valeur JSON est un objet (ni tableau, ni null)
+   * @param {*} value - Valeur
+   * @returns {boolean} true pour un objet
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Décode une signature compacte : hex (128 caractères) ou base64url (86 caractères)
+   * @param {string} signature - Signature encodée
+   * @returns {Buffer} Signature brute
+   */
+  decodeCompactSignature(signature) {
+    const value = String(signature);
+
+    if (value.length === COMPACT_SIGNATURE_LENGTH * 2 && /^[0-9a-f]+$/i.test(value)) {
+      return Buffer.from(value, 'hex');
+    }
+
+    return Buffer.from(value, 'base64url');
+  }
+
+  /**
+   * Clé de vérification d'un QR code
+   * Avec un kid : clé du trousseau (inconnue, révoquée ou d'un autre algorithme : refus) ;
+   * sans kid : clé unique de la configuration (QR codes émis avant la rotation)
+   * @param {Object} data - Données du QR code
+   * @param {string} algorithm - Algorithme de la signature
+   * @returns {Object} { kid, key } ou { error, reason }
+   */
+  resolveVerificationKey(data, algorithm) {
+    if (data.kid === undefined || data.kid === null || data.kid === '') {
+      const defaultKeys = {
+        HS256: this.hmacSecret,
+        RS256: this.rsaPublicKey,
+        ES256: this.ecPublicKey,
+        EdDSA: this.ed25519PublicKey
+      };
+
+      return {
+        kid: null,
+        key: defaultKeys[algorithm] || null
+      };
+    }
+
+    const resolved = this.keyring.resolve(data.kid, algorithm);
+    if (resolved.error) {
+      return resolved;
+    }
+
+    return { kid: String(data.kid), key: resolved.key };
+  }
+
   /**
    * Valide une signature HMAC pour le format legacy (ticket-generator)
    * Signature basée sur JSON.stringify des données sans "signature"
@@ -576,9 +1126,18 @@ class QRDecoderService {
       };
     }
 
+    const verificationKey = this.resolveVerificationKey(data, 'HS256');
+    if (verificationKey.error) {
+      return {
+        valid: false,
+        error: verificationKey.error,
+        details: { reason: verificationKey.reason, kid: data.kid }
+      };
+    }
+
     const { signature, ...dataToSign } = data;
     const expectedSignature = crypto
-      .createHmac('sha256', this.hmacSecret)
+      .createHmac('sha256', verificationKey.key)
       .update(JSON.stringify(dataToSign))
       .digest('hex');
 
@@ -596,6 +1155,7 @@ class QRDecoderService {
       valid: isValid,
       error: isValid ? null : 'Signature HMAC invalide',
       method: 'HMAC-SHA256',
+      keyId: verificationKey.kid,
       details: isValid ? null : {
         reason: 'signature_mismatch',
         expected: expectedSignature.substring(0, 16) + '...',
@@ -604,8 +1164,88 @@ class QRDecoderService {
     };
   }
 
+  /**
+   * Nonce du QR code s'il est couvert par la signature : jti / nonce des tickets JWT,
+   * nonce du format legacy (signé sur l'ensemble du JSON) et du format ticketId
+   * en version 2.0 (signé par createSignatureString s'il est présent)
+   * @param {Object} data - Données décodées (avant normalisation)
+   * @param {string} formatType - Type de format QR code
+   * @returns {string|null} Nonce signé ou null
+   */
+  getSignedNonce(data, formatType) {
+    if (formatType === 'JWT') {
+      return data.jti || data.nonce || null;
+    }
+
+    // Format ticketId en version 1.x : le nonce n'est pas dans la chaîne signée
+    if (data.ticketId && !this.usesExtendedSignature(data)) {
+      return null;
+    }
+
+    return data.nonce || null;
+  }
+
+  /**
+   * Indique si un QR code au format ticketId est signé avec la chaîne étendue
+   * @param {Object} data - Données décodées
+   * @returns {boolean} true pour la version 2.0
+   */
+  usesExtendedSignature(data) {
+    return String(data.version) === EXTENDED_SIGNATURE_VERSION;
+  }
+
+  /**
+   * Retire les claims qui ne sont pas couverts par la chaîne signée historique
+   * @param {Object} data - Données décodées (format ticketId, version 1.x)
+   * @returns {Object} Données sans admission ni zones
+   */
+  withoutUnsignedClaims(data) {
+    const { admission, zones, ...signedData } = data;
+
+    if (admission || zones) {
+      logger.security('Unsigned QR claims ignored', {
+        ticketId: data.ticketId,
+        version: data.version,
+        claims: [admission && 'admission', zones && 'zones'].filter(Boolean)
+      });
+    }
+
+    return signedData;
+  }
+
+  /**
+   * Vérifie le nonce d'un QR code dans le registre
+   * Registre indisponible (Redis) : scan refusé, sauf si QR_NONCE_FAIL_CLOSED=false (accepté sans vérification)
+   * @param {string} nonce - Nonce signé
+   * @param {Object} ticketData - Données normalisées du QR code
+   * @returns {Promise<Object>} Résultat du registre, ou { unavailable: true, error, code }
+   */
+  async checkNonce(nonce, ticketData) {
+    try {
+      return await this.nonceRegistry.check(nonce, ticketData);
+    } catch (error) {
+      logger.error('QR nonce registry unavailable', {
+        error: error.message,
+        ticketId: ticketData.ticketId,
+        failClosed: this.nonceFailClosed
+      });
+
+      if (this.nonceFailClosed) {
+        return {
+          unavailable: true,
+          error: 'Registre des nonces indisponible, scanner à nouveau',
+          code: 'NONCE_REGISTRY_UNAVAILABLE'
+        };
+      }
+
+      return { replayed: false, degraded: true };
+    }
+  }
+
   /**
    * Crée la chaîne de caractères utilisée pour la signature
+   * Versions 1.x : les 8 champs historiques, contrat partagé avec ticket-generator.
+   * Version 2.0 : admission, zones, kid et nonce y sont ajoutés lorsqu'ils sont présents.
    * @param {Object} data - Données du QR code (sans la signature)
    * @returns {string} Chaîne à signer
    */
@@ -625,6 +1265,32 @@ class QRDecoderService {
     ];
 
     const values = fields.map(field => dataToSign[field] || '');
+
+    if (!this.usesExtendedSignature(dataToSign)) {
+      return values.join('|');
+    }
+
+    // Politique d'admission (tickets multi-jours / par séance) : signée si présente,
+    // les QR codes sans ce champ gardent leur signature
+    if (dataToSign.admission) {
+      values.push(JSON.stringify(dataToSign.admission));
+    }
+
+    // Zones d'accès du ticket (VIP, backstage, presse) : signées si présentes
+    if (dataToSign.zones) {
+      values.push(JSON.stringify(dataToSign.zones));
+    }
+
+    // Identifiant de la clé de signature : signé si présent
+    if (dataToSign.kid) {
+      values.push(String(dataToSign.kid));
+    }
+
+    // Nonce (détection des QR codes rejoués) : signé si présent
+    if (dataToSign.nonce) {
+      values.push(String(dataToSign.nonce));
+    }
+
     return values.join('|');
   }
 
@@ -714,6 +1380,7 @@ class QRDecoderService {
         expiresAt,
         version: data.version || 'legacy',
         algorithm: data.algorithm || 'HS256',
+        nonce: data.nonce,
         signature: data.signature
       };
     }
@@ -807,7 +1474,11 @@ class QRDecoderService {
       maxQRValidity: this.maxQRValidity,
       maxQRSize: this.maxQRSize,
       hasRSAKey: !!this.rsaPublicKey,
-      hasHMACSecret: !!this.hmacSecret && this.hmacSecret !== 'default-hmac-secret-change-in-production'
+      hasES256Key: !!this.ecPublicKey,
+      hasEdDSAKey: !!this.ed25519PublicKey,
+      hasHMACSecret: !!this.hmacSecret && this.hmacSecret !== 'default-hmac-secret-change-in-production',
+      keyring: this.keyring.getStats(),
+      nonceRegistry: this.nonceRegistry.getStats()
     };
   }
 
@@ -834,7 +1505,11 @@ class QRDecoderService {
         supportedAlgorithms: this.supportedAlgorithms,
         maxQRValidity: this.maxQRValidity,
         maxQRSize: this.maxQRSize,
-        hasRSAKey: !!this.rsaPublicKey
+        hasRSAKey: !!this.rsaPublicKey,
+        hasES256Key: !!this.ecPublicKey,
+        hasEdDSAKey: !!this.ed25519PublicKey,
+        keyring: this.keyring.getStats(),
+        nonceRegistry: this.nonceRegistry.getStats()
       }
     };
   }
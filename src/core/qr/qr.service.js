@@ -2,6 +2,12 @@ const crypto = require('crypto');
 const qrcode = require('qrcode');
 const logger = require('../../utils/logger');
 
+// Algorithmes de signature compacts : signature de 64 octets en base64url
+const COMPACT_SIGNATURE_ALGORITHMS = {
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { digest: null, dsaEncoding: undefined }
+};
+
 /**
  * Service QR Code pour la génération et la lecture
  * Crée des QR codes sécurisés et les décode pour validation
@@ -9,6 +15,12 @@ const logger = require('../../utils/logger');
 class QRService {
   constructor() {
     this.secretKey = process.env.QR_CODE_SECRET_KEY || 'default-secret';
+    this.algorithm = process.env.QR_ALGORITHM || 'HS256';
+    this.keyId = process.env.QR_SIGNING_KEY_ID || null;
+    this.privateKeys = {
+      ES256: this.loadPrivateKey(process.env.QR_ES256_PRIVATE_KEY),
+      EdDSA: this.loadPrivateKey(process.env.QR_EDDSA_PRIVATE_KEY)
+    };
     this.defaultOptions = {
       width: 300,
       margin: 1,
@@ -19,14 +31,35 @@ class QRService {
     };
   }
 
+  /**
+   * Charge une clé privée PEM (sauts de ligne éventuellement échappés en \n)
+   * @param {string} pem - Clé privée PEM
+   * @returns {KeyObject|null} Clé privée ou null si non configurée ou invalide
+   */
+  loadPrivateKey(pem) {
+    if (!pem) {
+      return null;
+    }
+
+    try {
+      return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    } catch (error) {
+      logger.error('Failed to load QR signing key', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Génère un QR code sécurisé pour un ticket
    * @param {Object} ticketData - Données du ticket
-   * @param {Object} options - Options de génération
+   * @param {Object} options - Options de génération (algorithm : HS256, ES256 ou EdDSA ; kid)
    * @returns {Promise<Object>} QR code généré
    */
   async generateSecureQRCode(ticketData, options = {}) {
     try {
+      // algorithm et kid concernent la signature, pas le rendu du QR code
+      const { algorithm: requestedAlgorithm, kid: requestedKid, ...renderOptions } = options;
+      const algorithm = requestedAlgorithm || this.algorithm;
       const nonce = this.generateNonce();
       const now = new Date().toISOString();
       const expiresAt = new Date(Date.now() + (options.expiresIn || 3600) * 1000).toISOString();
@@ -42,16 +75,27 @@ class QRService {
       };
 
       // Ajouter la signature
-      qrData.signature = await this.generateSignature(qrData);
+      if (COMPACT_SIGNATURE_ALGORITHMS[algorithm]) {
+        qrData.algorithm = algorithm;
+        qrData.version = '1.0';
+        const kid = requestedKid || this.keyId;
+        if (kid) {
+          qrData.kid = kid;
+        }
+        qrData.signature = this.generateCompactSignature(qrData, algorithm);
+      } else {
+        qrData.signature = await this.generateSignature(qrData);
+      }
 
       // Générer le QR code
-      const qrOptions = { ...this.defaultOptions, ...options };
+      const qrOptions = { ...this.defaultOptions, ...renderOptions };
       const qrCodeBuffer = await qrcode.toBuffer(JSON.stringify(qrData), qrOptions);
 
       logger.qr('Secure QR code generated', {
         ticketId: ticketData.id,
         eventId: ticketData.eventId,
-        type: ticketData.type
+        type: ticketData.type,
+        algorithm
       });
 
       return {
@@ -278,6 +322,26 @@ class QRService {
     }
   }
 
+  /**
+   * Génère une signature ES256 ou EdDSA sur JSON.stringify des données
+   * (vérifiée par QRDecoderService.validateCompactSignature)
+   * @param {Object} data - Données à signer (sans signature)
+   * @param {string} algorithm - ES256 ou EdDSA
+   * @returns {string} Signature base64url (86 caractères)
+   */
+  generateCompactSignature(data, algorithm) {
+    const privateKey = this.privateKeys[algorithm];
+    if (!privateKey) {
+      throw new Error(`Clé privée ${algorithm} non configurée`);
+    }
+
+    const { digest, dsaEncoding } = COMPACT_SIGNATURE_ALGORITHMS[algorithm];
+
+    return crypto
+      .sign(digest, Buffer.from(JSON.stringify(data)), { key: privateKey, dsaEncoding })
+      .toString('base64url');
+  }
+
   /**
    * Crée la chaîne de signature
    * @param {Object} data - Données du ticket
@@ -457,7 +521,9 @@ class QRService {
     return {
       config: {
         defaultOptions: this.defaultOptions,
-        secretKeyConfigured: !!this.secretKey
+        secretKeyConfigured: !!this.secretKey,
+        algorithm: this.algorithm,
+        compactKeysConfigured: Object.keys(this.privateKeys).filter(algorithm => !!this.privateKeys[algorithm])
       },
       capabilities: [
         'generate-secure',
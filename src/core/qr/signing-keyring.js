@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Statuts d'une clé de signature
+ * - active  : clé de signature courante de ticket-generator
+ * - retired : n'est plus utilisée pour signer, vérifie encore les tickets émis
+ * - revoked : compromise, les tickets signés avec elle sont refusés
+ */
+const KEY_STATUSES = {
+  ACTIVE: 'active',
+  RETIRED: 'retired',
+  REVOKED: 'revoked'
+};
+
+// Algorithme par défaut selon le type de clé JWK
+const DEFAULT_ALGORITHMS = {
+  oct: 'HS256',
+  RSA: 'RS256',
+  EC: 'ES256',
+  OKP: 'EdDSA'
+};
+
+/**
+ * Trousseau des clés de vérification des QR codes, identifiées par kid
+ * Sources : fichier JSON de type JWKS (QR_KEYRING_FILE) et/ou répertoire de clés
+ * (QR_KEYRING_DIR : <kid>.pem (RSA, EC P-256 ou Ed25519), <kid>.secret, *.json ; suffixe .retired / .revoked
+ * avant l'extension pour le statut). Les sources sont relues dès qu'elles
+ * changent, sans redémarrage ; un rechargement en erreur conserve les clés en place.
+ */
+class SigningKeyring {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Fichier JSON { keys: [...] }
+   * @param {string} options.directory - Répertoire de clés
+   * @param {number} options.reloadInterval - Intervalle de détection des changements (ms, 0 : désactivé)
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.directory = options.directory || null;
+    this.reloadInterval = options.reloadInterval !== undefined ? options.reloadInterval : 30000;
+
+    // Clés par kid : { kid, algorithm, status, key, source }
+    this.keys = new Map();
+    this.fingerprint = null;
+    this.loadedAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Le trousseau a-t-il au moins une source configurée ?
+   * @returns {boolean} true si un fichier ou un répertoire est configuré
+   */
+  isConfigured() {
+    return !!(this.file || this.directory);
+  }
+
+  /**
+   * Charge les clés et démarre la détection des changements
+   */
+  start() {
+    if (!this.isConfigured()) {
+      return;
+    }
+
+    this.reload();
+
+    if (this.reloadInterval > 0 && !this.timer) {
+      this.timer = setInterval(() => this.reloadIfChanged(), this.reloadInterval);
+      if (typeof this.timer.unref === 'function') {
+        this.timer.unref();
+      }
+    }
+  }
+
+  /**
+   * Arrête la détection des changements
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Recharge les clés si une source a changé
+   * @returns {boolean} true si les clés ont été rechargées
+   */
+  reloadIfChanged() {
+    try {
+      if (this.computeFingerprint() === this.fingerprint) {
+        return false;
+      }
+    } catch (error) {
+      logger.error('Failed to check signing keyring sources', {
+        error: error.message
+      });
+      return false;
+    }
+
+    return this.reload();
+  }
+
+  /**
+   * Relit toutes les sources ; en cas d'erreur, les clés en place sont conservées
+   * @returns {boolean} true si les clés ont été rechargées
+   */
+  reload() {
+    try {
+      const fingerprint = this.computeFingerprint();
+      const keys = new Map();
+
+      if (this.file) {
+        this.addKeys(keys, this.parseKeySet(JSON.parse(fs.readFileSync(this.file, 'utf8')), this.file));
+      }
+
+      if (this.directory) {
+        for (const fileName of fs.readdirSync(this.directory).sort()) {
+          this.addKeys(keys, this.loadKeyFile(path.join(this.directory, fileName)));
+        }
+      }
+
+      this.keys = keys;
+      this.fingerprint = fingerprint;
+      this.loadedAt = new Date().toISOString();
+
+      logger.info('Signing keyring loaded', {
+        keys: Array.from(keys.values()).map(key => `${key.kid}:${key.algorithm}:${key.status}`)
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to load signing keyring, keeping previous keys', {
+        error: error.message,
+        keys: this.keys.size
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Empreinte des sources (dates de modification et tailles)
+   * @returns {string} Empreinte
+   */
+  computeFingerprint() {
+    const parts = [];
+
+    if (this.file) {
+      const stat = fs.statSync(this.file);
+      parts.push(`${this.file}:${stat.mtimeMs}:${stat.size}`);
+    }
+
+    if (this.directory) {
+      for (const fileName of fs.readdirSync(this.directory).sort()) {
+        const stat = fs.statSync(path.join(this.directory, fileName));
+        parts.push(`${fileName}:${stat.mtimeMs}:${stat.size}`);
+      }
+    }
+
+    return parts.join('|');
+  }
+
+  /**
+   * Ajoute des clés au trousseau en cours de construction (un kid en double est ignoré)
+   * @param {Map} keys - Trousseau en construction
+   * @param {Array} entries - Clés à ajouter
+   */
+  addKeys(keys, entries) {
+    for (const entry of entries) {
+      if (keys.has(entry.kid)) {
+        logger.warn('Duplicate signing key id ignored', {
+          kid: entry.kid,
+          source: entry.source
+        });
+        continue;
+      }
+
+      keys.set(entry.kid, entry);
+    }
+  }
+
+  /**
+   * Charge un fichier du répertoire de clés
+   * @param {string} filePath - Chemin du fichier
+   * @returns {Array} Clés du fichier (vide pour un fichier non reconnu)
+   */
+  loadKeyFile(filePath) {
+    const extension = path.extname(filePath);
+    const content = () => fs.readFileSync(filePath, 'utf8');
+
+    if (extension === '.json') {
+      return this.parseKeySet(JSON.parse(content()), filePath);
+    }
+
+    if (extension !== '.pem' && extension !== '.secret') {
+      return [];
+    }
+
+    // <kid>.pem, <kid>.retired.pem, <kid>.revoked.secret...
+    let kid = path.basename(filePath, extension);
+    let status = KEY_STATUSES.ACTIVE;
+    const statusSuffix = path.extname(kid).slice(1);
+    if (statusSuffix === KEY_STATUSES.RETIRED || statusSuffix === KEY_STATUSES.REVOKED) {
+      status = statusSuffix;
+      kid = path.basename(kid, `.${statusSuffix}`);
+    }
+
+    if (extension === '.secret') {
+      return [{ kid, algorithm: 'HS256', status, key: Buffer.from(content().trim(), 'utf8'), source: filePath }];
+    }
+
+    const key = crypto.createPublicKey(content());
+    return [{ kid, algorithm: this.getKeyAlgorithm(key), status, key, source: filePath }];
+  }
+
+  /**
+   * Convertit un document JSON (JWK ou { keys: [JWK] }) en clés
+   * Extension : "pem" à la place des paramètres JWK d'une clé publique
+   * @param {Object} document - Document JSON
+   * @param {string} source - Origine (journalisation)
+   * @returns {Array} Clés
+   */
+  parseKeySet(document, source) {
+    const jwks = Array.isArray(document.keys) ? document.keys : [document];
+
+    return jwks.map(jwk => {
+      if (!jwk.kid) {
+        throw new Error(`Clé sans kid dans ${source}`);
+      }
+
+      const status = jwk.status || KEY_STATUSES.ACTIVE;
+      if (!Object.values(KEY_STATUSES).includes(status)) {
+        throw new Error(`Statut de clé inconnu pour ${jwk.kid}: ${status}`);
+      }
+
+      let key;
+      if (jwk.kty === 'oct') {
+        key = Buffer.from(jwk.k, 'base64url');
+      } else if (jwk.pem) {
+        key = crypto.createPublicKey(jwk.pem);
+      } else {
+        // Seule la partie publique est conservée
+        key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      }
+
+      const algorithm = jwk.alg || DEFAULT_ALGORITHMS[jwk.kty] || this.getKeyAlgorithm(key);
+
+      return { kid: String(jwk.kid), algorithm, status, key, source };
+    });
+  }
+
+  /**
+   * Algorithme d'une clé publique selon son type
+   * @param {KeyObject} key - Clé publique
+   * @returns {string} RS256, ES256 ou EdDSA
+   */
+  getKeyAlgorithm(key) {
+    if (key.asymmetricKeyType === 'rsa') {
+      return 'RS256';
+    }
+
+    if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+      return 'ES256';
+    }
+
+    if (key.asymmetricKeyType === 'ed25519') {
+      return 'EdDSA';
+    }
+
+    throw new Error(`Type de clé non supporté: ${key.asymmetricKeyType}`);
+  }
+
+  /**
+   * Clé de vérification d'un kid pour un algorithme
+   * @param {string} kid - Identifiant de la clé
+   * @param {string} algorithm - Algorithme annoncé par le QR code
+   * @returns {Object} { key, status } ou { error, reason }
+   */
+  resolve(kid, algorithm) {
+    const entry = this.keys.get(String(kid));
+
+    if (!entry) {
+      return { error: `Clé de signature inconnue: ${kid}`, reason: 'unknown_kid' };
+    }
+
+    if (entry.status === KEY_STATUSES.REVOKED) {
+      return { error: `Clé de signature révoquée: ${kid}`, reason: 'key_revoked' };
+    }
+
+    // Une clé n'est valable que pour son algorithme (pas de confusion HS256 / clé publique)
+    if (entry.algorithm !== algorithm) {
+      return { error: `Algorithme ${algorithm} non autorisé pour la clé ${kid}`, reason: 'algorithm_mismatch' };
+    }
+
+    return { key: entry.key, status: entry.status };
+  }
+
+  /**
+   * Statistiques du trousseau (sans les clés)
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      configured: this.isConfigured(),
+      loadedAt: this.loadedAt,
+      keys: Array.from(this.keys.values()).map(entry => ({
+        kid: entry.kid,
+        algorithm: entry.algorithm,
+        status: entry.status
+      }))
+    };
+  }
+}
+
+SigningKeyring.KEY_STATUSES = KEY_STATUSES;
+
+module.exports = SigningKeyring;
@@ -0,0 +1,162 @@
+const Queue = require('bull');
+const logger = require('../../utils/logger');
+
+const QUEUE_NAME = 'scan-records';
+
+/**
+ * File d'enregistrement des scans durable (bull sur Redis)
+ * Même interface que MemoryScanRecordQueue. Un scan admis est conservé dans Redis
+ * jusqu'à son enregistrement : un redémarrage du processus ou une base
+ * indisponible ne le perd pas, il est rejoué avec un délai exponentiel.
+ */
+class BullScanRecordQueue {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.processor - Traitement d'un scan (lève une erreur pour un nouvel essai)
+   * @param {number} options.maxAttempts - Nombre d'essais avant abandon
+   * @param {number} options.backoffDelay - Délai du premier nouvel essai, doublé à chaque essai
+   * @param {number} options.concurrency - Jobs traités en parallèle par instance
+   * @param {Queue} options.queue - File bull existante (sinon créée depuis la configuration Redis)
+   */
+  constructor(options = {}) {
+    this.processor = options.processor;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffDelay = options.backoffDelay || 1000;
+    this.concurrency = options.concurrency || 5;
+    this.failedLimit = options.failedLimit || 1000;
+    this.queue = options.queue || this.createQueue();
+    this.started = false;
+
+    this.queue.on('error', error => {
+      logger.error('Scan record queue error', {
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Crée la file bull depuis la configuration Redis
+   * @returns {Queue} File des scans à enregistrer
+   */
+  createQueue() {
+    if (process.env.REDIS_URL) {
+      return new Queue(QUEUE_NAME, process.env.REDIS_URL);
+    }
+
+    return new Queue(QUEUE_NAME, {
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        password: process.env.REDIS_PASSWORD || undefined,
+        db: parseInt(process.env.REDIS_DB) || 0
+      }
+    });
+  }
+
+  /**
+   * Démarre le traitement des jobs de cette instance
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    this.queue.process(this.concurrency, job => this.processor(job.data));
+
+    this.queue.on('failed', (job, error) => {
+      const exhausted = job.attemptsMade >= (job.opts.attempts || 1);
+
+      logger.error(exhausted ? 'Scan record abandoned after last attempt' : 'Scan record failed, will retry', {
+        jobId: job.id,
+        validationId: job.data.validationId,
+        ticketId: job.data.ticketId,
+        attemptsMade: job.attemptsMade,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Met un scan en file d'enregistrement
+   * @param {Object} record - Scan à enregistrer
+   * @returns {Promise<Object>} Job créé
+   */
+  async enqueue(record) {
+    const job = await this.queue.add(record, {
+      attempts: this.maxAttempts,
+      backoff: { type: 'exponential', delay: this.backoffDelay },
+      removeOnComplete: true,
+      removeOnFail: this.failedLimit
+    });
+
+    return { id: String(job.id) };
+  }
+
+  /**
+   * Compteurs de la file et retard du plus ancien job en attente
+   * @returns {Promise<Object>} Métriques
+   */
+  async getMetrics() {
+    const [counts, oldest] = await Promise.all([
+      this.queue.getJobCounts(),
+      this.queue.getWaiting(0, 0)
+    ]);
+
+    const oldestWaitingAt = oldest.length > 0 && oldest[0] ? oldest[0].timestamp : null;
+
+    return {
+      backend: 'bull',
+      waiting: counts.waiting,
+      active: counts.active,
+      delayed: counts.delayed,
+      failed: counts.failed,
+      completed: counts.completed,
+      lagMs: oldestWaitingAt === null ? 0 : Date.now() - oldestWaitingAt
+    };
+  }
+
+  /**
+   * Jobs abandonnés après épuisement des essais, du plus récent au plus ancien
+   * @param {number} limit - Nombre maximal de jobs
+   * @returns {Promise<Array>} Jobs abandonnés
+   */
+  async getFailedJobs(limit = 50) {
+    const jobs = await this.queue.getFailed(0, limit - 1);
+
+    return jobs.filter(Boolean).map(job => ({
+      id: String(job.id),
+      data: job.data,
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason,
+      timestamp: job.timestamp,
+      finishedOn: job.finishedOn
+    }));
+  }
+
+  /**
+   * Remet un job abandonné en file
+   * @param {string} jobId - ID du job
+   * @returns {Promise<boolean>} true si le job a été remis en file
+   */
+  async retryFailedJob(jobId) {
+    const job = await this.queue.getJob(jobId);
+
+    if (!job || !(await job.isFailed())) {
+      return false;
+    }
+
+    await job.retry();
+    return true;
+  }
+
+  /**
+   * Ferme la file (les jobs en attente restent dans Redis)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.queue.close();
+  }
+}
+
+module.exports = BullScanRecordQueue;
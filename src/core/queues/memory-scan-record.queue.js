@@ -0,0 +1,192 @@
+/**
+ * File d'enregistrement des scans en mémoire (une seule instance, non durable)
+ * Réservée au développement (SCAN_RECORD_QUEUE_BACKEND=memory, refusée en production).
+ * Interface utilisée par ValidationService :
+ * - start()               : démarre le traitement des jobs
+ * - enqueue(record)       : met un scan admis en file d'enregistrement
+ * - getMetrics()          : compteurs de la file et retard du plus ancien job en attente
+ * - getFailedJobs(limit)  : jobs abandonnés après épuisement des essais
+ * - retryFailedJob(jobId) : remet un job abandonné en file
+ * - close()               : arrête le traitement
+ * NOTE : Les jobs en attente sont perdus à l'arrêt du processus ; utiliser le
+ * backend sync (défaut) ou bull (Redis) en production.
+ */
+class MemoryScanRecordQueue {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.processor - Traitement d'un scan (lève une erreur pour un nouvel essai)
+   * @param {number} options.maxAttempts - Nombre d'essais avant abandon
+   * @param {number} options.backoffDelay - Délai du premier nouvel essai, doublé à chaque essai
+   * @param {number} options.failedLimit - Nombre de jobs abandonnés conservés
+   */
+  constructor(options = {}) {
+    this.processor = options.processor;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffDelay = options.backoffDelay || 1000;
+    this.failedLimit = options.failedLimit || 1000;
+
+    this.sequence = 0;
+    // Jobs en attente, en cours ou programmés : id -> job
+    this.jobs = new Map();
+    // Jobs abandonnés, du plus récent au plus ancien
+    this.failed = [];
+    this.completedCount = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Démarre le traitement (les jobs sont traités dès leur mise en file)
+   */
+  start() {
+    this.closed = false;
+  }
+
+  /**
+   * Met un scan en file d'enregistrement
+   * @param {Object} record - Scan à enregistrer
+   * @returns {Promise<Object>} Job créé
+   */
+  async enqueue(record) {
+    const job = {
+      id: String(++this.sequence),
+      data: record,
+      attemptsMade: 0,
+      state: 'waiting',
+      timestamp: Date.now(),
+      failedReason: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.schedule(job, 0);
+
+    return { id: job.id };
+  }
+
+  /**
+   * Programme une tentative de traitement
+   * @param {Object} job - Job
+   * @param {number} delay - Délai avant la tentative (ms)
+   */
+  schedule(job, delay) {
+    const run = () => {
+      this.runJob(job);
+    };
+
+    if (delay > 0) {
+      job.state = 'delayed';
+      const timer = setTimeout(run, delay);
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+    } else {
+      setImmediate(run);
+    }
+  }
+
+  /**
+   * Exécute une tentative ; nouvel essai à délai exponentiel en cas d'échec
+   * @param {Object} job - Job
+   */
+  async runJob(job) {
+    if (this.closed) {
+      return;
+    }
+
+    job.state = 'active';
+    job.attemptsMade++;
+
+    try {
+      await this.processor(job.data);
+
+      this.jobs.delete(job.id);
+      this.completedCount++;
+    } catch (error) {
+      job.failedReason = error.message;
+
+      if (job.attemptsMade < this.maxAttempts) {
+        this.schedule(job, this.backoffDelay * Math.pow(2, job.attemptsMade - 1));
+        return;
+      }
+
+      this.jobs.delete(job.id);
+      job.state = 'failed';
+      job.finishedOn = Date.now();
+
+      this.failed.unshift(job);
+      if (this.failed.length > this.failedLimit) {
+        this.failed.pop();
+      }
+    }
+  }
+
+  /**
+   * Compteurs de la file
+   * @returns {Promise<Object>} Métriques
+   */
+  async getMetrics() {
+    const counts = { waiting: 0, active: 0, delayed: 0 };
+    let oldestWaitingAt = null;
+
+    for (const job of this.jobs.values()) {
+      counts[job.state]++;
+      if (job.state === 'waiting' && (oldestWaitingAt === null || job.timestamp < oldestWaitingAt)) {
+        oldestWaitingAt = job.timestamp;
+      }
+    }
+
+    return {
+      backend: 'memory',
+      ...counts,
+      failed: this.failed.length,
+      completed: this.completedCount,
+      lagMs: oldestWaitingAt === null ? 0 : Date.now() - oldestWaitingAt
+    };
+  }
+
+  /**
+   * Jobs abandonnés après épuisement des essais
+   * @param {number} limit - Nombre maximal de jobs
+   * @returns {Promise<Array>} Jobs abandonnés
+   */
+  async getFailedJobs(limit = 50) {
+    return this.failed.slice(0, limit).map(job => ({
+      id: job.id,
+      data: job.data,
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason,
+      timestamp: job.timestamp,
+      finishedOn: job.finishedOn
+    }));
+  }
+
+  /**
+   * Remet un job abandonné en file
+   * @param {string} jobId - ID du job
+   * @returns {Promise<boolean>} true si le job a été remis en file
+   */
+  async retryFailedJob(jobId) {
+    const index = this.failed.findIndex(job => job.id === String(jobId));
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.failed.splice(index, 1);
+    job.attemptsMade = 0;
+    job.state = 'waiting';
+    this.jobs.set(job.id, job);
+    this.schedule(job, 0);
+
+    return true;
+  }
+
+  /**
+   * Arrête le traitement
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+  }
+}
+
+module.exports = MemoryScanRecordQueue;
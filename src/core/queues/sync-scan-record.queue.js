@@ -0,0 +1,82 @@
+/**
+ * Enregistrement des scans sans file (backend par défaut)
+ * Même interface que MemoryScanRecordQueue : enqueue(record) enregistre le scan
+ * avant de rendre la main et lève une erreur en cas d'échec. Le scan admis est
+ * donc en base (log, outbox vers le core, présence) avant la réponse VALID ;
+ * aucun job n'est conservé, il n'y a rien à rejouer.
+ */
+class SyncScanRecordQueue {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.processor - Enregistrement d'un scan (lève une erreur en cas d'échec)
+   */
+  constructor(options = {}) {
+    this.processor = options.processor;
+    this.completedCount = 0;
+    this.failedCount = 0;
+  }
+
+  /**
+   * Rien à démarrer : les scans sont enregistrés à l'appel de enqueue
+   */
+  start() {}
+
+  /**
+   * Enregistre un scan immédiatement
+   * @param {Object} record - Scan à enregistrer
+   * @returns {Promise<Object>} Résultat de l'enregistrement
+   * @throws {Error} Si l'enregistrement échoue
+   */
+  async enqueue(record) {
+    try {
+      const result = await this.processor(record);
+      this.completedCount++;
+      return result;
+    } catch (error) {
+      this.failedCount++;
+      throw error;
+    }
+  }
+
+  /**
+   * Compteurs (aucun scan en attente)
+   * @returns {Promise<Object>} Métriques
+   */
+  async getMetrics() {
+    return {
+      backend: 'sync',
+      waiting: 0,
+      active: 0,
+      delayed: 0,
+      // Échecs refusés au terminal, non conservés
+      failed: 0,
+      rejected: this.failedCount,
+      completed: this.completedCount,
+      lagMs: 0
+    };
+  }
+
+  /**
+   * Aucun job abandonné : un échec est retourné au terminal de scan
+   * @returns {Promise<Array>} Liste vide
+   */
+  async getFailedJobs() {
+    return [];
+  }
+
+  /**
+   * Aucun job à remettre en file
+   * @returns {Promise<boolean>} false
+   */
+  async retryFailedJob() {
+    return false;
+  }
+
+  /**
+   * Rien à arrêter
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = SyncScanRecordQueue;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const logger = require('../../utils/logger');
+
+/**
+ * Connexion Redis des stockages partagés entre instances (verrous de scan, nonces des QR codes)
+ * Connexion ouverte à la première utilisation, chaque commande bornée par timeout :
+ * Redis injoignable, les appels échouent au lieu d'attendre la reconnexion.
+ */
+class RedisStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.client - Client Redis existant (sinon créé depuis la configuration)
+   * @param {string} options.url - URL Redis (prioritaire sur REDIS_HOST/REDIS_PORT)
+   * @param {string} options.prefix - Préfixe des clés
+   * @param {number} options.timeout - Délai maximal de connexion et de chaque commande (ms)
+   * @param {string} options.name - Nom du stockage (journaux et messages d'erreur)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix;
+    this.timeout = options.timeout || 2000;
+    this.name = options.name || 'Redis store';
+
+    // Sans file hors ligne : Redis injoignable, les commandes échouent au lieu d'attendre la reconnexion
+    this.client = options.client || createClient({
+      url: options.url || process.env.REDIS_URL || undefined,
+      socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        connectTimeout: this.timeout
+      },
+      password: process.env.REDIS_PASSWORD || undefined,
+      database: parseInt(process.env.REDIS_DB) || 0,
+      disableOfflineQueue: true
+    });
+
+    this.client.on('error', error => {
+      logger.error(`${this.name} Redis error`, {
+        error: error.message
+      });
+    });
+
+    this.connecting = null;
+  }
+
+  /**
+   * Ouvre la connexion Redis à la première utilisation
+   * La connexion initiale est réessayée en arrière-plan : l'attente est bornée par
+   * timeout, et une connexion en cours de rétablissement échoue immédiatement
+   * @returns {Promise<void>}
+   */
+  async ensureConnected() {
+    if (this.client.isReady) {
+      return;
+    }
+
+    if (this.client.isOpen && !this.connecting) {
+      throw new Error(`Redis en reconnexion (${this.name})`);
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.client.connect()
+        .then(() => {
+          logger.info(`${this.name} Redis connected`, { prefix: this.prefix });
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+      // Échec traité par l'appelant (withTimeout)
+      this.connecting.catch(() => {});
+    }
+
+    await this.withTimeout(this.connecting, 'connect');
+  }
+
+  /**
+   * Borne la durée d'une opération Redis
+   * @param {Promise} operation - Opération en cours
+   * @param {string} name - Nom de l'opération (message d'erreur)
+   * @returns {Promise<*>} Résultat de l'opération
+   */
+  withTimeout(operation, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Délai dépassé pour ${name} sur Redis (${this.timeout} ms)`));
+      }, this.timeout);
+    });
+
+    return Promise.race([operation, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Clé Redis (empreinte de la clé du stockage)
+   * @param {string} key - Clé
+   * @returns {string} Clé Redis
+   */
+  redisKey(key) {
+    return `${this.prefix}:${crypto.createHash('sha256').update(key).digest('hex')}`;
+  }
+
+  /**
+   * Ferme la connexion Redis
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client.isReady) {
+      await this.client.quit();
+    } else if (this.client.isOpen) {
+      // Connexion jamais établie ou perdue : arrêter les tentatives de reconnexion
+      this.client.destroy();
+    }
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,261 @@
+const ticketRevocationsRepository = require('../database/ticket-revocations.repository');
+const offlineService = require('../offline/offline.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Motifs de révocation d'un ticket
+ */
+const REVOCATION_REASONS = {
+  REFUNDED: 'refunded',
+  TRANSFERRED: 'transferred',
+  STOLEN: 'stolen',
+  CANCELLED: 'cancelled',
+  OTHER: 'other'
+};
+
+/**
+ * Identifiant révoqué : ID du ticket (tous ses QR codes) ou nonce d'un QR code
+ * (un QR code réémis après transfert garde le même ticket mais change de nonce)
+ */
+const REVOCATION_TYPES = {
+  TICKET: 'ticket',
+  NONCE: 'nonce'
+};
+
+/**
+ * Service des révocations de tickets
+ * Un QR code cryptographiquement valide peut ne plus devoir être admis
+ * (remboursé, transféré, déclaré volé) : event-planner-core et ticket-generator
+ * poussent les révocations, vérifiées à chaque validation (TICKET_REVOKED) et
+ * reportées dans les données offline et les bundles des terminaux.
+ */
+class TicketRevocationsService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.REVOCATIONS_CACHE_TTL) || 10000; // 10s
+    this.failClosed = process.env.REVOCATIONS_FAIL_CLOSED !== 'false';
+
+    // Révocations par événement : { byKey: Map('<type>:<clé>' -> révocation), loadedAt }
+    this.revocationsCache = new Map();
+  }
+
+  /**
+   * Vérifie qu'un ticket décodé n'est pas révoqué (par ID ou par nonce)
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @returns {Promise<Object>} { allowed } ou { allowed: false, error, code, revocation }
+   */
+  async checkTicket(ticketData) {
+    // Les révocations sont rattachées à un événement du core (ID numérique)
+    if (!ticketData || !/^\d+$/.test(String(ticketData.eventId))) {
+      return { allowed: true };
+    }
+
+    let revocations;
+    try {
+      revocations = await this.getRevocationsForEvent(ticketData.eventId);
+    } catch (error) {
+      logger.error('Ticket revocations unavailable', {
+        eventId: ticketData.eventId,
+        error: error.message,
+        failClosed: this.failClosed
+      });
+
+      if (this.failClosed) {
+        return {
+          allowed: false,
+          error: 'Liste de révocation indisponible',
+          code: 'REVOCATIONS_UNAVAILABLE'
+        };
+      }
+
+      return { allowed: true, degraded: true };
+    }
+
+    const revocation = revocations.get(`${REVOCATION_TYPES.TICKET}:${ticketData.ticketId}`) ||
+      (ticketData.nonce ? revocations.get(`${REVOCATION_TYPES.NONCE}:${ticketData.nonce}`) : null);
+
+    if (!revocation) {
+      return { allowed: true };
+    }
+
+    logger.security('Revoked ticket scanned', {
+      ticketId: ticketData.ticketId,
+      eventId: ticketData.eventId,
+      revocationType: revocation.type,
+      reason: revocation.reason
+    });
+
+    return {
+      allowed: false,
+      error: `Ticket révoqué (${revocation.reason})`,
+      code: 'TICKET_REVOKED',
+      revocation: {
+        type: revocation.type,
+        reason: revocation.reason,
+        revokedAt: revocation.revokedAt
+      }
+    };
+  }
+
+  /**
+   * Révocations d'un événement indexées par '<type>:<clé>' (avec cache)
+   * Chaque rechargement est reporté dans les données offline de cette instance.
+   * En cas d'erreur, les révocations en cache expirées sont réutilisées
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Map>} Révocations
+   */
+  async getRevocationsForEvent(eventId) {
+    const cacheKey = String(eventId);
+    const cached = this.revocationsCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.byKey;
+    }
+
+    try {
+      const revocations = await ticketRevocationsRepository.listByEvent(eventId);
+      const byKey = new Map(revocations.map(revocation => [`${revocation.type}:${revocation.key}`, revocation]));
+
+      this.revocationsCache.set(cacheKey, { byKey, loadedAt: Date.now() });
+      await offlineService.applyRevocations(revocations);
+
+      return byKey;
+    } catch (error) {
+      if (cached) {
+        logger.warn('Using stale ticket revocations cache', { eventId });
+        return cached.byKey;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Met à jour les révocations offline d'un événement avant l'export d'un bundle
+   * (révocations reçues par une autre instance) ; une erreur n'empêche pas l'export
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<void>}
+   */
+  async refreshOfflineRevocations(eventId) {
+    try {
+      await this.getRevocationsForEvent(eventId);
+    } catch (error) {
+      logger.error('Failed to refresh offline revocations', {
+        eventId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Invalide le cache des révocations d'un événement
+   * @param {string|number} eventId - ID de l'événement
+   */
+  invalidateCache(eventId) {
+    this.revocationsCache.delete(String(eventId));
+  }
+
+  /**
+   * Convertit une révocation reçue par l'API au format du repository
+   * @param {Object} revocation - eventId, ticketId ou nonce, reason, note, revokedAt
+   * @param {string} source - Service à l'origine de la révocation
+   * @returns {Object} Révocation normalisée
+   */
+  normalizeRevocation(revocation, source) {
+    return {
+      eventId: revocation.eventId,
+      type: revocation.ticketId !== undefined ? REVOCATION_TYPES.TICKET : REVOCATION_TYPES.NONCE,
+      key: String(revocation.ticketId !== undefined ? revocation.ticketId : revocation.nonce),
+      reason: revocation.reason,
+      note: revocation.note,
+      source: revocation.source || source,
+      revokedAt: revocation.revokedAt
+    };
+  }
+
+  /**
+   * Révoque un ticket ou un QR code
+   * @param {Object} revocation - eventId, ticketId ou nonce, reason, note, revokedAt, source
+   * @returns {Promise<Object>} Révocation enregistrée
+   */
+  async revoke(revocation) {
+    const result = await this.revokeMany([revocation]);
+
+    return result.success
+      ? { success: true, data: result.data.revocations[0] }
+      : result;
+  }
+
+  /**
+   * Révoque un lot de tickets / QR codes (appliqué entièrement ou pas du tout)
+   * @param {Array} revocations - Révocations (voir revoke)
+   * @param {string} source - Source par défaut des révocations
+   * @returns {Promise<Object>} Révocations enregistrées
+   */
+  async revokeMany(revocations, source = null) {
+    try {
+      // Un identifiant présent plusieurs fois dans le lot : la dernière occurrence l'emporte
+      const normalized = new Map();
+      for (const revocation of revocations) {
+        const entry = this.normalizeRevocation(revocation, source);
+        normalized.set(`${entry.eventId}:${entry.type}:${entry.key}`, entry);
+      }
+
+      const saved = await ticketRevocationsRepository.upsertRevocations(Array.from(normalized.values()));
+
+      const eventIds = new Set(saved.map(revocation => String(revocation.eventId)));
+      for (const eventId of eventIds) {
+        this.invalidateCache(eventId);
+      }
+
+      await offlineService.applyRevocations(saved);
+
+      logger.audit('Tickets revoked', {
+        count: saved.length,
+        eventIds: Array.from(eventIds),
+        source: source || (revocations[0] && revocations[0].source) || null
+      });
+
+      return {
+        success: true,
+        data: {
+          revocations: saved,
+          count: saved.length
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'REVOCATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Liste les révocations d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} filters - since, limit
+   * @returns {Promise<Object>} Révocations
+   */
+  async listRevocations(eventId, filters = {}) {
+    try {
+      const revocations = await ticketRevocationsRepository.listByEvent(eventId, filters);
+
+      return {
+        success: true,
+        data: revocations
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'REVOCATIONS_UNAVAILABLE'
+      };
+    }
+  }
+}
+
+const service = new TicketRevocationsService();
+service.REVOCATION_REASONS = REVOCATION_REASONS;
+service.REVOCATION_TYPES = REVOCATION_TYPES;
+
+module.exports = service;
@@ -0,0 +1,619 @@
+const Joi = require('joi');
+const validationRulesRepository = require('../database/validation-rules.repository');
+const logger = require('../../utils/logger');
+
+/**
+ * Types de règles supportés par le moteur
+ */
+const RULE_TYPES = {
+  ENTRY_TIME_WINDOW: 'ENTRY_TIME_WINDOW',
+  ALLOWED_TICKET_TYPES: 'ALLOWED_TICKET_TYPES',
+  MAX_REENTRIES: 'MAX_REENTRIES',
+  ALLOWED_DEVICES: 'ALLOWED_DEVICES'
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Refuse un fuseau horaire inconnu d'Intl.DateTimeFormat (il ferait échouer l'évaluation de la règle)
+ * @param {string} value - Fuseau IANA
+ * @param {Object} helpers - Helpers Joi
+ * @returns {string} Fuseau validé
+ */
+function validateTimezone(value, helpers) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message(`Fuseau horaire inconnu: ${value}`);
+  }
+}
+
+// Restriction optionnelle commune : la règle ne s'applique qu'à ces points de contrôle
+const locationsSchema = Joi.array().items(Joi.string().max(255)).min(1).optional();
+
+/**
+ * Schémas des paramètres par type de règle
+ */
+const PARAMETER_SCHEMAS = {
+  [RULE_TYPES.ENTRY_TIME_WINDOW]: Joi.object({
+    startsAt: Joi.date().iso().optional(),
+    endsAt: Joi.date().iso().optional(),
+    dailyStart: Joi.string().pattern(TIME_OF_DAY).optional(),
+    dailyEnd: Joi.string().pattern(TIME_OF_DAY).optional(),
+    timezone: Joi.string().max(64).custom(validateTimezone, 'IANA timezone').optional(),
+    locations: locationsSchema
+  })
+    .or('startsAt', 'endsAt', 'dailyStart')
+    .and('dailyStart', 'dailyEnd'),
+
+  [RULE_TYPES.ALLOWED_TICKET_TYPES]: Joi.object({
+    ticketTypes: Joi.array().items(Joi.string().max(100)).min(1).required(),
+    locations: locationsSchema
+  }),
+
+  [RULE_TYPES.MAX_REENTRIES]: Joi.object({
+    maxReentries: Joi.number().integer().min(0).required(),
+    // Limite propre à certains types de tickets (ex : { "VIP": 5, "day-pass": 0 })
+    ticketTypes: Joi.object().pattern(Joi.string().max(100), Joi.number().integer().min(0)).optional(),
+    locations: locationsSchema
+  }),
+
+  [RULE_TYPES.ALLOWED_DEVICES]: Joi.object({
+    deviceIds: Joi.array().items(Joi.string().max(255)).min(1).required(),
+    locations: locationsSchema
+  })
+};
+
+/**
+ * Service du moteur de règles de validation
+ * Évalue les règles d'admission configurées par événement (table validation_rules)
+ */
+class ValidationRulesService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.VALIDATION_RULES_CACHE_TTL) || 30000; // 30s
+    this.failClosed = process.env.VALIDATION_RULES_FAIL_CLOSED !== 'false';
+
+    // Cache des règles actives par événement
+    this.rulesCache = new Map();
+
+    this.evaluators = {
+      [RULE_TYPES.ENTRY_TIME_WINDOW]: this.evaluateEntryTimeWindow.bind(this),
+      [RULE_TYPES.ALLOWED_TICKET_TYPES]: this.evaluateAllowedTicketTypes.bind(this),
+      [RULE_TYPES.MAX_REENTRIES]: this.evaluateMaxReentries.bind(this),
+      [RULE_TYPES.ALLOWED_DEVICES]: this.evaluateAllowedDevices.bind(this)
+    };
+  }
+
+  /**
+   * Valide les paramètres d'une règle selon son type
+   * @param {string} ruleType - Type de règle
+   * @param {Object} parameters - Paramètres de la règle
+   * @returns {Object} Résultat de la validation
+   */
+  validateRuleParameters(ruleType, parameters) {
+    const schema = PARAMETER_SCHEMAS[ruleType];
+
+    if (!schema) {
+      return {
+        valid: false,
+        error: `Type de règle non supporté: ${ruleType}`,
+        code: 'UNSUPPORTED_RULE_TYPE'
+      };
+    }
+
+    const { error, value } = schema.validate(parameters || {}, { abortEarly: false });
+
+    if (error) {
+      return {
+        valid: false,
+        error: error.details.map(detail => detail.message).join(', '),
+        code: 'INVALID_RULE_PARAMETERS'
+      };
+    }
+
+    return { valid: true, parameters: value };
+  }
+
+  /**
+   * Évalue les règles actives d'un événement pour un scan
+   * @param {string|number} eventId - ID de l'événement
+   * @param {Object} context - Contexte d'évaluation (ticket, scanContext, getTicketStatus)
+   * @returns {Promise<Object>} Résultat de l'évaluation
+   */
+  async evaluateForEvent(eventId, context) {
+    // Les règles sont indexées par ID numérique d'événement
+    if (eventId === undefined || eventId === null || !/^\d+$/.test(String(eventId))) {
+      return { allowed: true, evaluatedRules: 0 };
+    }
+
+    let rules;
+    try {
+      rules = await this.getRulesForEvent(eventId);
+    } catch (error) {
+      logger.error('Validation rules unavailable', {
+        eventId,
+        error: error.message,
+        failClosed: this.failClosed
+      });
+
+      if (this.failClosed) {
+        return {
+          allowed: false,
+          error: 'Règles de validation indisponibles',
+          code: 'RULES_UNAVAILABLE'
+        };
+      }
+
+      return { allowed: true, evaluatedRules: 0, degraded: true };
+    }
+
+    return this.evaluateRules(rules, context);
+  }
+
+  /**
+   * Évalue une liste de règles, par priorité décroissante
+   * S'arrête à la première règle non satisfaite. Une règle dont l'évaluation échoue
+   * refuse le scan (RULE_EVALUATION_FAILED), ou est ignorée si VALIDATION_RULES_FAIL_CLOSED=false
+   * @param {Array} rules - Règles à évaluer
+   * @param {Object} context - Contexte d'évaluation
+   * @returns {Promise<Object>} Résultat de l'évaluation
+   */
+  async evaluateRules(rules, context = {}) {
+    const scanContext = context.scanContext || {};
+    const sortedRules = [...rules].sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) || (a.id || 0) - (b.id || 0)
+    );
+
+    let evaluatedRules = 0;
+    const evaluatedRuleTypes = [];
+    let degraded = false;
+
+    for (const rule of sortedRules) {
+      const evaluator = this.evaluators[rule.ruleType];
+
+      if (!evaluator) {
+        logger.warn('Unknown validation rule type ignored', {
+          ruleId: rule.id,
+          ruleType: rule.ruleType
+        });
+        continue;
+      }
+
+      const parameters = rule.parameters || {};
+
+      // Règle restreinte à certains points de contrôle
+      if (Array.isArray(parameters.locations) && !parameters.locations.includes(scanContext.location)) {
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await evaluator(parameters, context);
+      } catch (error) {
+        logger.error('Validation rule evaluation failed', {
+          ruleId: rule.id,
+          ruleType: rule.ruleType,
+          error: error.message,
+          failClosed: this.failClosed
+        });
+
+        if (!this.failClosed) {
+          degraded = true;
+          continue;
+        }
+
+        outcome = {
+          passed: false,
+          error: 'Règle de validation inévaluable',
+          code: 'RULE_EVALUATION_FAILED'
+        };
+      }
+
+      evaluatedRules++;
+      evaluatedRuleTypes.push(rule.ruleType);
+
+      if (!outcome.passed) {
+        logger.validation('Validation rule rejected scan', {
+          ruleId: rule.id,
+          ruleType: rule.ruleType,
+          code: outcome.code,
+          location: scanContext.location,
+          deviceId: scanContext.deviceId
+        });
+
+        return {
+          allowed: false,
+          error: outcome.error,
+          code: outcome.code,
+          evaluatedRules,
+          failedRule: {
+            id: rule.id,
+            ruleType: rule.ruleType,
+            priority: rule.priority || 0,
+            reason: outcome.error
+          }
+        };
+      }
+    }
+
+    return degraded
+      ? { allowed: true, evaluatedRules, evaluatedRuleTypes, degraded: true }
+      : { allowed: true, evaluatedRules, evaluatedRuleTypes };
+  }
+
+  /**
+   * Règle de fenêtre horaire d'entrée
+   * @param {Object} parameters - startsAt/endsAt absolus et/ou dailyStart/dailyEnd quotidiens
+   * @param {Object} context - Contexte d'évaluation
+   * @returns {Object} Résultat de la règle
+   */
+  evaluateEntryTimeWindow(parameters, context) {
+    const now = context.now ? new Date(context.now) : new Date();
+    const rejection = {
+      passed: false,
+      error: 'Scan en dehors de la fenêtre d\'entrée autorisée',
+      code: 'OUTSIDE_ENTRY_WINDOW'
+    };
+
+    if (parameters.startsAt && now < new Date(parameters.startsAt)) {
+      return rejection;
+    }
+
+    if (parameters.endsAt && now > new Date(parameters.endsAt)) {
+      return rejection;
+    }
+
+    if (parameters.dailyStart && parameters.dailyEnd) {
+      const current = this.getMinutesOfDay(now, parameters.timezone);
+      const start = this.parseTimeOfDay(parameters.dailyStart);
+      const end = this.parseTimeOfDay(parameters.dailyEnd);
+
+      // Une fenêtre dont la fin précède le début traverse minuit
+      const inWindow = start <= end
+        ? current >= start && current <= end
+        : current >= start || current <= end;
+
+      if (!inWindow) {
+        return rejection;
+      }
+    }
+
+    return { passed: true };
+  }
+
+  /**
+   * Règle des types de tickets autorisés
+   * @param {Object} parameters - ticketTypes autorisés
+   * @param {Object} context - Contexte d'évaluation
+   * @returns {Object} Résultat de la règle
+   */
+  evaluateAllowedTicketTypes(parameters, context) {
+    const ticketType = context.ticket && context.ticket.ticketType;
+
+    if (!parameters.ticketTypes.includes(ticketType)) {
+      return {
+        passed: false,
+        error: `Type de ticket non autorisé à ce point de contrôle: ${ticketType}`,
+        code: 'TICKET_TYPE_NOT_ALLOWED'
+      };
+    }
+
+    return { passed: true };
+  }
+
+  /**
+   * Règle du nombre maximal de ré-entrées
+   * Une première entrée plus maxReentries ré-entrées sont autorisées ;
+   * ticketTypes remplace la limite pour les types de tickets listés
+   * @param {Object} parameters - maxReentries, ticketTypes
+   * @param {Object} context - Contexte d'évaluation
+   * @returns {Promise<Object>} Résultat de la règle
+   */
+  async evaluateMaxReentries(parameters, context) {
+    const ticketStatus = typeof context.getTicketStatus === 'function'
+      ? await context.getTicketStatus()
+      : context.ticketStatus;
+    // Les admissions précédentes (hors sorties) si la présence est suivie
+    const previousEntries = ticketStatus
+      ? (ticketStatus.entryCount !== undefined ? ticketStatus.entryCount : ticketStatus.scanCount) || 0
+      : 0;
+    const maxReentries = this.getMaxReentries(parameters, context.ticket && context.ticket.ticketType);
+
+    if (previousEntries > maxReentries) {
+      return {
+        passed: false,
+        error: `Nombre maximal de ré-entrées atteint (${maxReentries})`,
+        code: 'MAX_REENTRIES_EXCEEDED'
+      };
+    }
+
+    return { passed: true };
+  }
+
+  /**
+   * Limite de ré-entrées applicable à un type de ticket
+   * @param {Object} parameters - maxReentries, ticketTypes
+   * @param {string} ticketType - Type du ticket
+   * @returns {number} Nombre maximal de ré-entrées
+   */
+  getMaxReentries(parameters, ticketType) {
+    if (parameters.ticketTypes && ticketType && parameters.ticketTypes[ticketType] !== undefined) {
+      return parameters.ticketTypes[ticketType];
+    }
+
+    return parameters.maxReentries;
+  }
+
+  /**
+   * Règle des appareils autorisés
+   * @param {Object} parameters - deviceIds autorisés
+   * @param {Object} context - Contexte d'évaluation
+   * @returns {Object} Résultat de la règle
+   */
+  evaluateAllowedDevices(parameters, context) {
+    const deviceId = context.scanContext && context.scanContext.deviceId;
+
+    if (!deviceId || !parameters.deviceIds.includes(deviceId)) {
+      return {
+        passed: false,
+        error: 'Appareil de scan non autorisé pour cet événement',
+        code: 'DEVICE_NOT_ALLOWED'
+      };
+    }
+
+    return { passed: true };
+  }
+
+  /**
+   * Convertit une heure HH:mm en minutes depuis minuit
+   * @param {string} value - Heure au format HH:mm
+   * @returns {number} Minutes depuis minuit
+   */
+  parseTimeOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Calcule les minutes écoulées depuis minuit dans un fuseau horaire
+   * @param {Date} date - Date de référence
+   * @param {string} timezone - Fuseau IANA (UTC par défaut)
+   * @returns {number} Minutes depuis minuit
+   */
+  getMinutesOfDay(date, timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const hours = parseInt(parts.find(part => part.type === 'hour').value);
+    const minutes = parseInt(parts.find(part => part.type === 'minute').value);
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Récupère les règles actives d'un événement (avec cache)
+   * En cas d'erreur, les règles en cache expirées sont réutilisées
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Règles actives
+   */
+  async getRulesForEvent(eventId) {
+    const cacheKey = String(eventId);
+    const cached = this.rulesCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.rules;
+    }
+
+    try {
+      const rules = await validationRulesRepository.getActiveRulesForEvent(eventId);
+      this.rulesCache.set(cacheKey, { rules, loadedAt: Date.now() });
+      return rules;
+    } catch (error) {
+      if (cached) {
+        logger.warn('Using stale validation rules cache', { eventId });
+        return cached.rules;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invalide le cache des règles d'un événement
+   * @param {string|number} eventId - ID de l'événement
+   */
+  invalidateCache(eventId) {
+    this.rulesCache.delete(String(eventId));
+  }
+
+  /**
+   * Liste les règles d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - Options (includeInactive)
+   * @returns {Promise<Object>} Règles de l'événement
+   */
+  async listRules(eventId, options = {}) {
+    try {
+      const rules = await validationRulesRepository.listRules(eventId, options);
+
+      return {
+        success: true,
+        data: rules
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RULES_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Récupère une règle
+   * @param {number} ruleId - ID de la règle
+   * @returns {Promise<Object>} Règle
+   */
+  async getRule(ruleId) {
+    try {
+      const rule = await validationRulesRepository.getRuleById(ruleId);
+
+      if (!rule) {
+        return {
+          success: false,
+          error: 'Règle de validation non trouvée',
+          code: 'RULE_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: rule
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RULES_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Crée une règle de validation
+   * @param {Object} ruleData - Données de la règle
+   * @returns {Promise<Object>} Règle créée
+   */
+  async createRule(ruleData) {
+    const validation = this.validateRuleParameters(ruleData.ruleType, ruleData.parameters);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.error,
+        code: validation.code
+      };
+    }
+
+    try {
+      const rule = await validationRulesRepository.createRule({
+        ...ruleData,
+        parameters: ruleData.parameters || {}
+      });
+
+      this.invalidateCache(rule.eventId);
+
+      logger.validation('Validation rule created', {
+        ruleId: rule.id,
+        eventId: rule.eventId,
+        ruleType: rule.ruleType
+      });
+
+      return {
+        success: true,
+        data: rule
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RULE_CREATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Met à jour une règle de validation
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} updates - Champs à mettre à jour
+   * @returns {Promise<Object>} Règle mise à jour
+   */
+  async updateRule(ruleId, updates) {
+    try {
+      const existing = await validationRulesRepository.getRuleById(ruleId);
+
+      if (!existing) {
+        return {
+          success: false,
+          error: 'Règle de validation non trouvée',
+          code: 'RULE_NOT_FOUND'
+        };
+      }
+
+      if (updates.parameters !== undefined) {
+        const validation = this.validateRuleParameters(existing.ruleType, updates.parameters);
+        if (!validation.valid) {
+          return {
+            success: false,
+            error: validation.error,
+            code: validation.code
+          };
+        }
+      }
+
+      const rule = await validationRulesRepository.updateRule(ruleId, updates);
+
+      if (!rule) {
+        return {
+          success: false,
+          error: 'Règle de validation non trouvée',
+          code: 'RULE_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(rule.eventId);
+
+      return {
+        success: true,
+        data: rule
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RULE_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Supprime une règle de validation
+   * @param {number} ruleId - ID de la règle
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object>} Résultat de la suppression
+   */
+  async deleteRule(ruleId, deleteData = {}) {
+    try {
+      const deleted = await validationRulesRepository.deleteRule(ruleId, deleteData);
+
+      if (!deleted) {
+        return {
+          success: false,
+          error: 'Règle de validation non trouvée',
+          code: 'RULE_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(deleted.eventId);
+
+      return {
+        success: true,
+        data: deleted
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RULE_DELETION_FAILED'
+      };
+    }
+  }
+}
+
+const validationRulesService = new ValidationRulesService();
+validationRulesService.RULE_TYPES = RULE_TYPES;
+
+module.exports = validationRulesService;
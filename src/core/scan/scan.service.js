@@ -1,8 +1,31 @@
 const crypto = require('crypto');
 const scanRepository = require('../database/scan.repository');
+const occupancyRepository = require('../database/occupancy.repository');
+const offlineService = require('../offline/offline.service');
+const checkpointsService = require('../checkpoints/checkpoints.service');
+const scanEventBus = require('../events/scan-event-bus');
 const logger = require('../../utils/logger');
 const notificationClient = require('../../../../shared/clients/notification-client');
 
+/**
+ * Sens de passage d'un scan
+ */
+const DIRECTIONS = {
+  ENTRY: 'entry',
+  EXIT: 'exit'
+};
+
+/**
+ * Présence du porteur d'un ticket
+ */
+const PRESENCE = {
+  INSIDE: 'inside',
+  OUTSIDE: 'outside'
+};
+
+// Résultats de scan correspondant à un passage accepté (modifient la présence)
+const ADMITTED_RESULTS = ['valid', 'reentry'];
+
 /**
  * Service de gestion des scans
  * Responsabilité : Gestion des sessions, logs, cache et détection de fraude
@@ -13,6 +36,7 @@ class ScanService {
     this.maxScansPerTicket = parseInt(process.env.MAX_SCANS_PER_TICKET) || 5;
     this.fraudDetectionEnabled = process.env.FRAUD_DETECTION_ENABLED === 'true';
     this.blockOnFraud = process.env.BLOCK_ON_FRAUD === 'true';
+    this.maxClockSkew = parseInt(process.env.OFFLINE_MAX_CLOCK_SKEW) || 5 * 60 * 1000; // 5 minutes
     
     // Cache en mémoire pour les vérifications rapides
     this.ticketCache = new Map();
@@ -60,6 +84,15 @@ class ScanService {
         uid: session.uid
       });
 
+      scanEventBus.publish(scanEventBus.EVENT_TYPES.SESSION_STARTED, {
+        sessionId: session.id,
+        eventId: session.event_id || null,
+        operatorId: sessionData.operatorId,
+        location: session.location,
+        deviceId: sessionData.deviceInfo?.deviceId || null,
+        startedAt: session.started_at
+      });
+
       return {
         success: true,
         session: {
@@ -85,26 +118,84 @@ class ScanService {
     }
   }
 
+  /**
+   * Vérifie qu'une session appartient à l'événement de l'opérateur
+   * @param {Object} session - Session (ScanRepository.getScanSessionById)
+   * @param {string|number|null} operatorEventId - Événement de l'opérateur (aucune restriction si absent)
+   * @returns {Object|null} Refus SESSION_EVENT_MISMATCH, ou null si la session est accessible
+   */
+  checkSessionEventScope(session, operatorEventId) {
+    if (!operatorEventId || String(session.eventId) === String(operatorEventId)) {
+      return null;
+    }
+
+    logger.security('Scan session accessed from another event', {
+      sessionId: session.id,
+      sessionEventId: session.eventId,
+      operatorEventId
+    });
+
+    return {
+      error: 'Session de scan d\'un autre événement',
+      code: 'SESSION_EVENT_MISMATCH'
+    };
+  }
+
   /**
    * Termine une session de scan
    * @param {number} sessionId - ID de la session
-   * @param {Object} endData - Données de fin
+   * @param {Object} endData - Données de fin (updatedBy, operatorEventId : événement de l'opérateur)
    * @returns {Promise<Object>} Session terminée
    */
   async endScanSession(sessionId, endData = {}) {
     try {
       logger.scan('Ending scan session', { sessionId });
 
+      const existingSession = await scanRepository.getScanSessionById(sessionId);
+
+      if (!existingSession) {
+        return {
+          success: false,
+          error: 'Session de scan non trouvée',
+          code: 'SESSION_NOT_FOUND'
+        };
+      }
+
+      const scopeRefusal = this.checkSessionEventScope(existingSession, endData.operatorEventId);
+      if (scopeRefusal) {
+        return { success: false, ...scopeRefusal };
+      }
+
+      if (existingSession.endedAt) {
+        return {
+          success: false,
+          error: 'Session de scan déjà terminée',
+          code: 'SESSION_ALREADY_ENDED'
+        };
+      }
+
       const session = await scanRepository.endScanSession(sessionId, {
         updatedBy: endData.updatedBy
       });
+      const counters = await scanRepository.getScanSessionCounters(sessionId);
 
       this.stats.activeSessions = Math.max(0, this.stats.activeSessions - 1);
 
       logger.scan('Scan session ended successfully', {
         sessionId,
         uid: session.uid,
-        duration: session.ended_at - session.started_at
+        duration: session.ended_at - session.started_at,
+        totalScans: counters.totalScans
+      });
+
+      scanEventBus.publish(scanEventBus.EVENT_TYPES.SESSION_ENDED, {
+        sessionId: session.id,
+        eventId: existingSession.eventId || null,
+        operatorId: existingSession.operatorId,
+        location: existingSession.location,
+        startedAt: session.started_at,
+        endedAt: session.ended_at,
+        counters
       });
 
       return {
@@ -113,7 +204,8 @@ class ScanService {
           id: session.id,
           uid: session.uid,
           startedAt: session.started_at,
-          endedAt: session.ended_at
+          endedAt: session.ended_at,
+          counters
         }
       };
     } catch (error) {
@@ -130,8 +222,103 @@ class ScanService {
     }
   }
 
+  /**
+   * Récupère une session de scan avec ses compteurs
+   * @param {number} sessionId - ID de la session
+   * @param {Object} options - operatorEventId : événement de l'opérateur
+   * @returns {Promise<Object>} Session et compteurs de scans
+   */
+  async getScanSession(sessionId, options = {}) {
+    try {
+      const session = await scanRepository.getScanSessionById(sessionId);
+
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session de scan non trouvée',
+          code: 'SESSION_NOT_FOUND'
+        };
+      }
+
+      const scopeRefusal = this.checkSessionEventScope(session, options.operatorEventId);
+      if (scopeRefusal) {
+        return { success: false, ...scopeRefusal };
+      }
+
+      const counters = await scanRepository.getScanSessionCounters(sessionId);
+
+      return {
+        success: true,
+        session: {
+          ...session,
+          active: !session.endedAt,
+          counters
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get scan session', {
+        error: error.message,
+        sessionId
+      });
+
+      return {
+        success: false,
+        error: 'Échec de la récupération de la session de scan',
+        code: 'SESSION_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Vérifie qu'une session de scan existe, est toujours ouverte et appartient à l'événement de l'opérateur
+   * @param {number} sessionId - ID de la session
+   * @param {Object} options - operatorEventId : événement de l'opérateur
+   * @returns {Promise<Object>} Résultat de la vérification
+   */
+  async checkSessionActive(sessionId, options = {}) {
+    try {
+      const session = await scanRepository.getScanSessionById(sessionId);
+
+      if (!session) {
+        return {
+          active: false,
+          error: 'Session de scan non trouvée',
+          code: 'SESSION_NOT_FOUND'
+        };
+      }
+
+      const scopeRefusal = this.checkSessionEventScope(session, options.operatorEventId);
+      if (scopeRefusal) {
+        return { active: false, ...scopeRefusal };
+      }
+
+      if (session.endedAt) {
+        return {
+          active: false,
+          error: 'Session de scan terminée',
+          code: 'SESSION_NOT_ACTIVE'
+        };
+      }
+
+      return { active: true, session };
+    } catch (error) {
+      logger.error('Failed to check scan session', {
+        error: error.message,
+        sessionId
+      });
+
+      return {
+        active: false,
+        error: 'Échec de la vérification de la session de scan',
+        code: 'SESSION_CHECK_FAILED'
+      };
+    }
+  }
+
   /**
    * Enregistre un scan complet avec toutes ses validations
+   * Avec scanData.withPresence, la présence du porteur est écrite dans la
+   * transaction du log (rien n'est écrit si l'une des écritures échoue)
    * @param {Object} scanData - Données complètes du scan
    * @returns {Promise<Object>} Résultat de l'enregistrement
    */
@@ -143,14 +330,16 @@ class ScanService {
         result: scanData.result
       });
 
-      this.stats.totalScans++;
-
       // Étape 1: Enregistrer le log de scan
       const normalizedResult = String(scanData.result || 'invalid').toLowerCase();
-      const allowedResults = new Set(['valid', 'invalid', 'already_used', 'expired', 'fraud_detected']);
+      const allowedResults = new Set(['valid', 'invalid', 'already_used', 'expired', 'fraud_detected', 'reentry']);
       const safeResult = allowedResults.has(normalizedResult) ? normalizedResult : 'invalid';
 
+      // Passage écrit avant la réponse : présence dans la même transaction que le log
+      const presenceUpdate = scanData.withPresence ? await this.buildPresenceUpdate(scanData) : null;
+
       const scanLog = await scanRepository.createScanLog({
+        uid: scanData.scanUid,
         sessionId: scanData.sessionId,
         scannedAt: scanData.timestamp,
         result: safeResult,
@@ -162,14 +351,48 @@ class ScanService {
           validationId: scanData.validationId,
           validationTime: scanData.validationTime,
           businessValidation: scanData.businessValidation,
-          eventId: scanData.eventId
+          eventId: scanData.eventId,
+          operatorId: scanData.scanContext?.operatorId || null,
+          offline: scanData.offline,
+          degraded: scanData.degraded,
+          zoneChange: scanData.zoneChange || null,
+          rawTicketId: scanData.rawTicketId || null
         },
         fraudFlags: scanData.fraudFlags,
-        createdBy: scanData.scanContext?.userId
+        createdBy: scanData.scanContext?.userId,
+        degraded: scanData.degraded,
+        direction: this.getScanDirection(scanData),
+        admissionKey: scanData.admissionKey,
+        checkpointId: scanData.scanContext?.checkpointId,
+        coreOutboxPayload: this.buildCoreSyncPayload(scanData),
+        ticketCache: presenceUpdate ? presenceUpdate.cacheData : null,
+        presenceGuard: presenceUpdate ? this.buildCapacityGuard(scanData) : null
       });
 
+      // Scan déjà enregistré (renvoi d'un appareil) : aucun effet supplémentaire
+      if (scanLog.duplicate) {
+        return {
+          success: true,
+          duplicate: true,
+          scanLog: {
+            id: scanLog.id,
+            uid: scanLog.uid,
+            scannedAt: scanLog.scanned_at,
+            result: scanLog.result
+          }
+        };
+      }
+
+      this.stats.totalScans++;
+
       // Étape 2: Mettre à jour le cache des tickets scannés
-      await this.updateTicketCache(scanData);
+      // (présence déjà écrite avant la réponse pour les validations en ligne ;
+      // scan refusé sans ticket décodé : aucun ticket à mettre à jour)
+      if (presenceUpdate) {
+        this.applyPresenceUpdate(presenceUpdate, scanLog.ticketCache);
+      } else if (!scanData.presenceRecorded && scanData.ticketId) {
+        await this.updateTicketCache(scanData);
+      }
 
       // Étape 3: Gérer la détection de fraude si nécessaire
       if (scanData.fraudFlags && this.fraudDetectionEnabled) {
@@ -189,7 +412,8 @@ class ScanService {
           id: scanLog.id,
           uid: scanLog.uid,
           scannedAt: scanLog.scanned_at,
-          result: scanLog.result
+          result: scanLog.result,
+          direction: scanLog.direction
         }
       };
     } catch (error) {
@@ -199,6 +423,15 @@ class ScanService {
         ticketId: scanData.ticketId
       });
 
+      if (error.code === 'CAPACITY_REACHED' || error.code === 'SCAN_LOCK_EXPIRED') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          occupancy: error.occupancy
+        };
+      }
+
       return {
         success: false,
         error: 'Échec de l\'enregistrement du scan',
@@ -208,54 +441,198 @@ class ScanService {
   }
 
   /**
-   * Met à jour le cache des tickets scannés
-   * @param {Object} scanData - Données du scan
-   * @returns {Promise<void>}
+   * Enregistre un lot de scans effectués hors ligne par un appareil
+   * Les scans sont traités dans l'ordre du lot ; l'uid généré par l'appareil rend
+   * le renvoi d'un lot idempotent. Les horodatages locaux sont corrigés du
+   * décalage d'horloge déclaré (heure serveur = heure appareil - clockOffsetMs).
+   * @param {Object} batch - Lot de l'appareil
+   * @param {Object} context - Contexte de l'upload (opérateur authentifié)
+   * @returns {Promise<Object>} Résultat par scan et résumé
    */
-  async updateTicketCache(scanData) {
-    try {
-      // Vérifier d'abord dans le cache mémoire
-      const cacheKey = scanData.ticketId.toString();
-      const cached = this.ticketCache.get(cacheKey);
+  async recordOfflineBatch(batch, context = {}) {
+    const uploadedAt = new Date();
+    const clockOffsetMs = batch.clockOffsetMs || 0;
+    const seenUids = new Set();
+    const results = [];
+    const summary = { total: batch.events.length, recorded: 0, duplicates: 0, rejected: 0, failed: 0 };
+
+    logger.offline('Processing offline scan batch', {
+      batchId: batch.batchId,
+      deviceId: batch.deviceId,
+      events: batch.events.length,
+      clockOffsetMs
+    });
+
+    for (const [index, event] of batch.events.entries()) {
+      const itemResult = { index, eventUid: event.eventUid };
+      results.push(itemResult);
+
+      if (seenUids.has(event.eventUid)) {
+        itemResult.status = 'duplicate';
+        summary.duplicates++;
+        continue;
+      }
+      seenUids.add(event.eventUid);
 
-      let scanCount = 1;
-      let scanLocations = [scanData.scanContext?.location].filter(Boolean);
+      const eventId = event.eventId || context.operatorEventId || null;
+      if (context.operatorEventId && eventId && String(eventId) !== String(context.operatorEventId)) {
+        Object.assign(itemResult, { status: 'rejected', code: 'OPERATOR_EVENT_MISMATCH' });
+        summary.rejected++;
+        continue;
+      }
 
-      if (cached) {
-        scanCount = cached.scanCount + 1;
-        scanLocations = [...new Set([...cached.scanLocations, ...scanLocations])];
+      const scannedAt = new Date(new Date(event.scannedAt).getTime() - clockOffsetMs);
+      if (scannedAt.getTime() > uploadedAt.getTime() + this.maxClockSkew) {
+        Object.assign(itemResult, { status: 'rejected', code: 'SCAN_TIMESTAMP_IN_FUTURE' });
+        summary.rejected++;
+        continue;
       }
 
-      // Mettre à jour le cache mémoire
-      this.ticketCache.set(cacheKey, {
-        ticketId: scanData.ticketId,
-        scanCount,
-        scanLocations,
-        lastScan: new Date(),
-        isBlocked: cached?.isBlocked || false
+      const recordResult = await this.recordScan({
+        scanUid: event.eventUid,
+        ticketId: event.ticketId,
+        eventId,
+        result: event.result,
+        direction: event.direction,
+        admissionKey: event.admissionKey,
+        timestamp: scannedAt.toISOString(),
+        sessionId: batch.sessionId || null,
+        qrMetadata: event.metadata || {},
+        scanContext: {
+          location: event.location,
+          checkpointId: event.checkpointId,
+          deviceId: batch.deviceId,
+          operatorId: context.operatorId || null
+        },
+        offline: {
+          batchId: batch.batchId || null,
+          deviceScannedAt: event.scannedAt,
+          clockOffsetMs,
+          uploadedAt: uploadedAt.toISOString()
+        }
       });
 
-      // Mettre à jour la base de données
-      const isBlocked = scanCount > this.maxScansPerTicket;
-      
-      await scanRepository.updateScannedTicketCache({
-        ticketId: scanData.ticketId,
-        firstScanAt: cached?.firstScan || scanData.timestamp,
-        lastScanAt: scanData.timestamp,
-        scanCount: 1, // La DB gère l'incrémentation
-        scanLocations,
-        isBlocked,
-        blockReason: isBlocked ? 'Trop de scans' : null
-      });
+      if (!recordResult.success) {
+        Object.assign(itemResult, { status: 'failed', code: recordResult.code });
+        summary.failed++;
+        continue;
+      }
 
-      if (isBlocked && !cached?.isBlocked) {
-        this.stats.blockedTickets++;
-        logger.warn('Ticket blocked due to excessive scans', {
-          ticketId: scanData.ticketId,
-          scanCount,
-          maxAllowed: this.maxScansPerTicket
+      itemResult.scanLogId = recordResult.scanLog.id;
+      itemResult.scannedAt = scannedAt.toISOString();
+
+      if (recordResult.duplicate) {
+        itemResult.status = 'duplicate';
+        summary.duplicates++;
+        continue;
+      }
+
+      itemResult.status = 'recorded';
+      summary.recorded++;
+
+      // Les premières admissions alimentent la réconciliation multi-appareils
+      if (String(event.result || 'valid').toLowerCase() === 'valid' &&
+          (event.direction || DIRECTIONS.ENTRY) === DIRECTIONS.ENTRY) {
+        await offlineService.queueDeviceScan({
+          scanId: event.eventUid,
+          ticketId: event.ticketId,
+          eventId,
+          deviceId: batch.deviceId,
+          operatorId: context.operatorId || null,
+          location: event.location,
+          scannedAt: itemResult.scannedAt
         });
       }
+    }
+
+    logger.offline('Offline scan batch processed', {
+      batchId: batch.batchId,
+      deviceId: batch.deviceId,
+      ...summary
+    });
+
+    return {
+      success: true,
+      batchId: batch.batchId || null,
+      deviceId: batch.deviceId,
+      clockOffsetMs,
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Sens de passage d'un scan (entrée par défaut)
+   * @param {Object} scanData - Données du scan
+   * @returns {string} entry | exit
+   */
+  getScanDirection(scanData) {
+    const direction = scanData.direction || scanData.scanContext?.direction;
+    return direction === DIRECTIONS.EXIT ? DIRECTIONS.EXIT : DIRECTIONS.ENTRY;
+  }
+
+  /**
+   * Données transmises à event-planner-core pour un scan admis (outbox)
+   * Les scans dégradés sont confirmés par la synchronisation offline, les
+   * sorties, ré-entrées et changements de zone ne concernent pas le service core
+   * @param {Object} scanData - Données du scan
+   * @returns {Object|null} Données à synchroniser, ou null si le core n'est pas concerné
+   */
+  buildCoreSyncPayload(scanData) {
+    if (process.env.NODE_ENV === 'development' || scanData.degraded || scanData.offline || scanData.zoneChange ||
+        scanData.result !== 'valid' || this.getScanDirection(scanData) === DIRECTIONS.EXIT) {
+      return null;
+    }
+
+    return {
+      validationId: scanData.validationId,
+      ticketId: scanData.ticketId,
+      eventId: scanData.eventId,
+      result: scanData.result,
+      admissionKey: scanData.admissionKey || null,
+      scannedAt: scanData.timestamp || new Date().toISOString(),
+      location: scanData.scanContext?.location || null,
+      deviceId: scanData.scanContext?.deviceId || null,
+      operatorId: scanData.scanContext?.operatorId || null,
+      checkpointId: scanData.scanContext?.checkpointId || null
+    };
+  }
+
+  /**
+   * Zone d'une entrée : fournie par la validation, sinon celle du point de contrôle du scan
+   * @param {Object} scanData - Données du scan
+   * @returns {Promise<string|null>} Zone ou null
+   */
+  async resolveEntryZone(scanData) {
+    if (scanData.zone !== undefined) {
+      return scanData.zone;
+    }
+
+    const checkpointId = scanData.scanContext?.checkpointId;
+    if (!checkpointId) {
+      return null;
+    }
+
+    try {
+      const checkpoint = await checkpointsService.getCheckpointForScan(checkpointId);
+      return checkpoint ? checkpoint.zone : null;
+    } catch (error) {
+      logger.warn('Checkpoint zone unavailable for scan', {
+        checkpointId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Met à jour le cache des tickets scannés (erreurs journalisées, non propagées)
+   * @param {Object} scanData - Données du scan
+   * @returns {Promise<void>}
+   */
+  async updateTicketCache(scanData) {
+    try {
+      await this.recordPresence(scanData);
     } catch (error) {
       logger.error('Failed to update ticket cache', {
         error: error.message,
@@ -265,7 +642,159 @@ class ScanService {
   }
 
   /**
-   * Gère la détection de fraude
+   * Enregistre un passage dans le cache des tickets scannés (base puis mémoire)
+   * Un passage accepté met à jour la présence du porteur (entrée / sortie).
+   * Appelé avant de répondre VALID : un second scan du ticket lit la présence à jour.
+   * @param {Object} scanData - Données du scan
+   * @returns {Promise<Object>} État du ticket après le passage
+   * @throws {Error} Si la base est indisponible, une jauge atteinte (code CAPACITY_REACHED)
+   * ou le verrou du scan repris (code SCAN_LOCK_EXPIRED)
+   */
+  async recordPresence(scanData) {
+    const update = await this.buildPresenceUpdate(scanData);
+    const capacityGuard = this.buildCapacityGuard(scanData);
+
+    // Base d'abord : le cache mémoire ne reflète que des passages enregistrés
+    const stored = capacityGuard
+      ? await scanRepository.updateScannedTicketCacheWithGuard(update.cacheData, capacityGuard)
+      : await scanRepository.updateScannedTicketCache(update.cacheData);
+
+    return this.applyPresenceUpdate(update, stored);
+  }
+
+  /**
+   * Réservation sous les jauges d'une entrée, exécutée dans la transaction de la présence
+   * @param {Object} scanData - Données du scan (capacityReservation : OccupancyService.checkCapacity)
+   * @returns {Function|null} Contrôle (client) => Promise, ou null sans jauge
+   */
+  buildCapacityGuard(scanData) {
+    const reservation = scanData.capacityReservation;
+    if (!reservation || !reservation.limits || reservation.limits.length === 0) {
+      return null;
+    }
+
+    return client => occupancyRepository.reserveCapacity(reservation, client);
+  }
+
+  /**
+   * Prépare la mise à jour du cache des tickets scannés pour un passage
+   * @param {Object} scanData - Données du scan
+   * @returns {Promise<Object>} { cacheData (ScanRepository), entry (cache mémoire), ... }
+   */
+  async buildPresenceUpdate(scanData) {
+    const cacheKey = scanData.ticketId.toString();
+    const cached = this.ticketCache.get(cacheKey);
+
+    let scanCount = 1;
+    let scanLocations = [scanData.scanContext?.location].filter(Boolean);
+
+    if (cached) {
+      scanCount = cached.scanCount + 1;
+      scanLocations = [...new Set([...cached.scanLocations, ...scanLocations])];
+    }
+
+    // Seuls les passages acceptés modifient la présence
+    const admitted = ADMITTED_RESULTS.includes(String(scanData.result || '').toLowerCase());
+    // Changement de zone à un point de contrôle intérieur : le porteur reste sur le site
+    const zoneChange = admitted && scanData.zoneChange ? scanData.zoneChange : null;
+    const isExit = admitted && !zoneChange && this.getScanDirection(scanData) === DIRECTIONS.EXIT;
+    const isEntry = admitted && !zoneChange && !isExit;
+
+    // Un nouveau créneau d'admission (jour, séance) repart de zéro
+    const admissionKey = scanData.admissionKey || null;
+    const sameSlot = !admitted || (cached?.admissionKey || null) === admissionKey;
+    const entryCount = (sameSlot ? cached?.entryCount || 0 : 0) + (isEntry ? 1 : 0);
+    const exitCount = (sameSlot ? cached?.exitCount || 0 : 0) + (isExit ? 1 : 0);
+    let presence = cached?.presence || PRESENCE.OUTSIDE;
+    if (admitted) {
+      presence = isExit ? PRESENCE.OUTSIDE : PRESENCE.INSIDE;
+    }
+
+    let zone = cached?.zone || null;
+    if (zoneChange) {
+      zone = zoneChange.to;
+    } else if (isEntry) {
+      zone = await this.resolveEntryZone(scanData);
+    } else if (isExit) {
+      zone = null;
+    }
+
+    // Les sorties et ré-entrées autorisées ne comptent pas comme des scans excessifs
+    const suspiciousScans = scanCount - exitCount - Math.max(entryCount - 1, 0);
+    const isBlocked = suspiciousScans > this.maxScansPerTicket;
+
+    const cacheData = {
+      ticketId: scanData.ticketId,
+      firstScanAt: cached?.firstScan || scanData.timestamp,
+      lastScanAt: scanData.timestamp,
+      scanCount: 1, // La DB gère l'incrémentation
+      scanLocations,
+      isBlocked,
+      blockReason: isBlocked ? 'Trop de scans' : null,
+      presence: admitted ? presence : null,
+      entryCount: isEntry ? 1 : 0,
+      exitCount: isExit ? 1 : 0,
+      admissionKey,
+      // Occupation en direct : événement et zone courante du porteur
+      eventId: /^\d+$/.test(String(scanData.eventId)) ? scanData.eventId : null,
+      zone: admitted ? zone : null,
+      // Jeton du verrou de scan : la base refuse un passage validé sous un verrou repris
+      fencingToken: admitted ? scanData.fencingToken || null : null
+    };
+
+    const entry = {
+      ticketId: scanData.ticketId,
+      scanCount,
+      scanLocations,
+      lastScan: new Date(),
+      isBlocked: cached?.isBlocked || false,
+      presence,
+      entryCount,
+      exitCount,
+      admissionKey: sameSlot ? cached?.admissionKey || null : admissionKey,
+      zone
+    };
+
+    return { cacheKey, cached, cacheData, entry, scanCount, isBlocked };
+  }
+
+  /**
+   * Reporte dans le cache mémoire un passage enregistré en base
+   * @param {Object} update - Mise à jour préparée (buildPresenceUpdate)
+   * @param {Object|null} stored - Ligne de scanned_tickets_cache retournée par la base
+   * @returns {Object} État du ticket après le passage
+   */
+  applyPresenceUpdate(update, stored) {
+    const { cacheKey, cached, entry, scanCount, isBlocked } = update;
+
+    // Les compteurs de la base font foi (cache mémoire absent ou expiré)
+    if (stored) {
+      Object.assign(entry, {
+        scanCount: stored.scan_count,
+        presence: stored.presence,
+        entryCount: stored.entry_count,
+        exitCount: stored.exit_count,
+        admissionKey: stored.admission_key,
+        zone: stored.zone
+      });
+    }
+    this.ticketCache.set(cacheKey, entry);
+
+    if (isBlocked && !cached?.isBlocked) {
+      this.stats.blockedTickets++;
+      logger.warn('Ticket blocked due to excessive scans', {
+        ticketId: entry.ticketId,
+        scanCount,
+        maxAllowed: this.maxScansPerTicket
+      });
+    }
+
+    return this.formatTicketStatus(entry, 'database');
+  }
+
+  /**
+   * Gère la détection de fraude : enregistre la tentative (fraud_attempts)
+   * La fraude est diffusée aux superviseurs par ValidationService.publishValidationOutcome
    * @param {number} scanLogId - ID du log de scan
    * @param {Object} fraudFlags - Indicateurs de fraude
    * @param {Object} scanData - Données du scan
@@ -275,32 +804,36 @@ class ScanService {
     try {
       this.stats.fraudAttempts++;
 
+      // Sévérité en minuscules, comme la colonne fraud_attempts.severity
+      const severity = String(fraudFlags.severity || 'medium').toLowerCase();
+
       const fraudAttempt = await scanRepository.createFraudAttempt({
         scanLogId,
         fraudType: fraudFlags.type,
-        severity: fraudFlags.severity || 'MEDIUM',
+        severity,
         details: {
           ...fraudFlags.details,
           ticketId: scanData.ticketId,
+          rawTicketId: scanData.rawTicketId || null,
           eventId: scanData.eventId,
           scanContext: scanData.scanContext
         },
         ipAddress: scanData.scanContext?.ipAddress,
         userAgent: scanData.scanContext?.userAgent,
-        blocked: this.blockOnFraud && fraudFlags.severity === 'HIGH',
+        blocked: this.blockOnFraud && severity === 'high',
         createdBy: scanData.scanContext?.userId
       });
 
       logger.warn('Fraud attempt detected and recorded', {
         fraudAttemptId: fraudAttempt.id,
         fraudType: fraudFlags.type,
-        severity: fraudFlags.severity,
+        severity,
         ticketId: scanData.ticketId,
         blocked: fraudAttempt.blocked
       });
 
-      // Bloquer le ticket si la fraude est sévère
-      if (this.blockOnFraud && fraudFlags.severity === 'HIGH') {
+      // Bloquer le ticket si la fraude est sévère (ticket décodé uniquement)
+      if (this.blockOnFraud && severity === 'high' && scanData.ticketId) {
         await this.blockTicket(scanData.ticketId, 'Fraude détectée');
       }
     } catch (error) {
@@ -351,23 +884,20 @@ class ScanService {
   }
 
   /**
-   * Vérifie si un ticket est bloqué
+   * Vérifie si un ticket est bloqué et si son porteur est à l'intérieur
    * @param {number} ticketId - ID du ticket
-   * @returns {Promise<Object>} État du ticket
+   * @param {Object} options - Options
+   * @param {boolean} options.fresh - Lire la base sans passer par le cache mémoire
+   * @returns {Promise<Object>} État du ticket (unavailable: true si la base est injoignable)
    */
-  async checkTicketStatus(ticketId) {
+  async checkTicketStatus(ticketId, options = {}) {
     try {
       // Vérifier d'abord dans le cache mémoire
       const cacheKey = ticketId.toString();
       const cached = this.ticketCache.get(cacheKey);
 
-      if (cached && (Date.now() - cached.lastScan.getTime() < this.cacheTimeout)) {
-        return {
-          isBlocked: cached.isBlocked,
-          scanCount: cached.scanCount,
-          blockReason: cached.blockReason,
-          source: 'memory_cache'
-        };
+      if (!options.fresh && cached && (Date.now() - cached.lastScan.getTime() < this.cacheTimeout)) {
+        return this.formatTicketStatus(cached, 'memory_cache');
       }
 
       // Vérifier dans la base de données
@@ -381,40 +911,61 @@ class ScanService {
           scanLocations: dbCache.scanLocations,
           lastScan: new Date(),
           isBlocked: dbCache.isBlocked,
-          blockReason: dbCache.blockReason
+          blockReason: dbCache.blockReason,
+          presence: dbCache.presence,
+          entryCount: dbCache.entryCount,
+          exitCount: dbCache.exitCount,
+          admissionKey: dbCache.admissionKey,
+          zone: dbCache.zone
         });
 
-        return {
-          isBlocked: dbCache.isBlocked,
-          scanCount: dbCache.scanCount,
-          blockReason: dbCache.blockReason,
-          source: 'database'
-        };
+        return this.formatTicketStatus(dbCache, 'database');
       }
 
       // Ticket jamais scanné
-      return {
-        isBlocked: false,
-        scanCount: 0,
-        blockReason: null,
-        source: 'not_found'
-      };
+      return this.formatTicketStatus({ isBlocked: false, scanCount: 0, blockReason: null }, 'not_found');
     } catch (error) {
       logger.error('Failed to check ticket status', {
         error: error.message,
         ticketId
       });
 
+      // Présence inconnue : l'appelant refuse le scan plutôt que de supposer le porteur dehors
       return {
-        isBlocked: false,
-        scanCount: 0,
-        blockReason: null,
-        source: 'error',
-        error: error.message
+        ...this.formatTicketStatus({ isBlocked: false, scanCount: 0, blockReason: null }, 'error'),
+        unavailable: true,
+        error: error.message,
+        code: 'PRESENCE_UNAVAILABLE'
       };
     }
   }
 
+  /**
+   * Formate l'état d'un ticket (blocage et présence du porteur)
+   * @param {Object} entry - Entrée du cache (mémoire ou base)
+   * @param {string} source - Origine de l'état
+   * @returns {Object} État du ticket
+   */
+  formatTicketStatus(entry, source) {
+    const entryCount = entry.entryCount || 0;
+    const presence = entry.presence || PRESENCE.OUTSIDE;
+
+    return {
+      isBlocked: entry.isBlocked,
+      scanCount: entry.scanCount,
+      blockReason: entry.blockReason,
+      presence,
+      isInside: presence === PRESENCE.INSIDE,
+      entryCount,
+      exitCount: entry.exitCount || 0,
+      reentryCount: Math.max(entryCount - 1, 0),
+      admissionKey: entry.admissionKey || null,
+      // Zone où se trouve le porteur (null : hors zone ou dehors)
+      zone: entry.zone || null,
+      source
+    };
+  }
+
   /**
    * Récupère l'historique des scans pour un ticket
    * @param {number} ticketId - ID du ticket
@@ -504,6 +1055,7 @@ class ScanService {
           uid: session.uid,
           startedAt: session.startedAt,
           operatorId: session.operatorId,
+          eventId: session.eventId,
           location: session.location,
           deviceInfo: session.deviceInfo
         }))
@@ -556,9 +1108,10 @@ class ScanService {
 
   /**
    * Démarre le nettoyage périodique du cache
+   * Le timer ne retient pas le processus (arrêt du serveur, fin des tests)
    */
   startCacheCleanup() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       const now = Date.now();
       let cleanedCount = 0;
 
@@ -576,6 +1129,10 @@ class ScanService {
         });
       }
     }, this.cacheTimeout);
+
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
   }
 
   /**
@@ -864,4 +1421,8 @@ class ScanService {
   }
 }
 
-module.exports = new ScanService();
+const service = new ScanService();
+service.DIRECTIONS = DIRECTIONS;
+service.PRESENCE = PRESENCE;
+
+module.exports = service;
@@ -1,8 +1,86 @@
 const crypto = require('crypto');
 const qrDecoderService = require('../qr/qr-decoder.service');
 const eventCoreClient = require('../clients/event-core.client');
+const mockEventCoreClient = require('../clients/mock-event-core.client');
+const offlineService = require('../offline/offline.service');
+const scanService = require('../scan/scan.service');
+const validationRulesService = require('../rules/validation-rules.service');
+const admissionPolicyService = require('../admission/admission-policy.service');
+const checkpointsService = require('../checkpoints/checkpoints.service');
+const occupancyService = require('../occupancy/occupancy.service');
+const ticketRevocationsService = require('../revocations/ticket-revocations.service');
+const scanEventBus = require('../events/scan-event-bus');
+const MemoryScanLockStore = require('../locks/memory-scan-lock.store');
+const RedisScanLockStore = require('../locks/redis-scan-lock.store');
+const MemoryScanRecordQueue = require('../queues/memory-scan-record.queue');
+const BullScanRecordQueue = require('../queues/bull-scan-record.queue');
+const SyncScanRecordQueue = require('../queues/sync-scan-record.queue');
 const logger = require('../../utils/logger');
 
+const VALIDATION_MODES = {
+  MOCK: 'mock',
+  CORE: 'core',
+  CORE_WITH_OFFLINE_FALLBACK: 'core-with-offline-fallback'
+};
+
+// Mode par défaut selon l'environnement (core pour les autres environnements)
+const DEFAULT_VALIDATION_MODES = {
+  production: VALIDATION_MODES.CORE_WITH_OFFLINE_FALLBACK,
+  development: VALIDATION_MODES.MOCK
+};
+
+// Codes du client core signifiant que le service est injoignable (et non un refus métier)
+const CORE_UNREACHABLE_CODES = ['CORE_SERVICE_UNAVAILABLE', 'CORE_COMMUNICATION_ERROR'];
+
+/**
+ * Détermine le mode de validation métier
+ * @returns {string} Mode de validation
+ */
+function resolveValidationMode() {
+  const environment = process.env.NODE_ENV || 'development';
+  const requested = process.env.VALIDATION_MODE;
+  let mode = requested || DEFAULT_VALIDATION_MODES[environment] || VALIDATION_MODES.CORE;
+
+  if (!Object.values(VALIDATION_MODES).includes(mode)) {
+    logger.error('Unknown VALIDATION_MODE, using core validation', { requested });
+    mode = VALIDATION_MODES.CORE;
+  }
+
+  // Le double de test ne doit jamais valider de vrais tickets
+  if (mode === VALIDATION_MODES.MOCK && environment === 'production') {
+    logger.error('VALIDATION_MODE=mock refused in production, using core validation with offline fallback');
+    mode = VALIDATION_MODES.CORE_WITH_OFFLINE_FALLBACK;
+  }
+
+  return mode;
+}
+
+// Backends d'enregistrement des scans admis
+const SCAN_RECORD_BACKENDS = ['sync', 'bull', 'memory'];
+
+/**
+ * Détermine le backend d'enregistrement des scans admis
+ * sync (défaut) : écrit avant la réponse ; bull : file Redis durable ;
+ * memory : file en mémoire, perdue à l'arrêt (développement uniquement)
+ * @returns {string} Backend
+ */
+function resolveScanRecordQueueBackend() {
+  const requested = process.env.SCAN_RECORD_QUEUE_BACKEND;
+  let backend = requested || 'sync';
+
+  if (!SCAN_RECORD_BACKENDS.includes(backend)) {
+    logger.error('Unknown SCAN_RECORD_QUEUE_BACKEND, recording scans synchronously', { requested });
+    backend = 'sync';
+  }
+
+  if (backend === 'memory' && process.env.NODE_ENV === 'production') {
+    logger.error('SCAN_RECORD_QUEUE_BACKEND=memory refused in production, recording scans synchronously');
+    backend = 'sync';
+  }
+
+  return backend;
+}
+
 /**
  * Service de validation des tickets
  * Orchestre le décodage QR, la validation cryptographique et la validation métier via event-planner-core
@@ -13,9 +91,36 @@ class ValidationService {
     this.maxConcurrentScans = parseInt(process.env.MAX_CONCURRENT_SCANS) || 100;
     this.scanTimeout = parseInt(process.env.SCAN_TIMEOUT) || 15000; // 15s
     this.enableFraudDetection = process.env.ENABLE_FRAUD_DETECTION === 'true';
+    // Ré-entrées autorisées sans règle MAX_REENTRIES pour l'événement (0 : aucune)
+    this.defaultMaxReentries = parseInt(process.env.DEFAULT_MAX_REENTRIES) || 0;
+    this.validationMode = resolveValidationMode();
+    // Début du mode dégradé (service core injoignable), null en fonctionnement normal
+    this.degradedSince = null;
     
     // Cache pour les validations en cours (prévention des scans concurrents)
     this.pendingScans = new Map();
+
+    // Verrou anti-réutilisation par ticket, partagé entre instances avec le backend Redis
+    this.scanLockBackend = process.env.SCAN_LOCK_BACKEND === 'redis' ? 'redis' : 'memory';
+    this.scanLockStore = this.scanLockBackend === 'redis'
+      ? new RedisScanLockStore()
+      : new MemoryScanLockStore();
+    this.scanLockFailOpen = process.env.SCAN_LOCK_FAIL_OPEN === 'true';
+
+    // Enregistrement des scans admis : synchrone par défaut, ou file bull (Redis)
+    this.scanRecordQueueBackend = resolveScanRecordQueueBackend();
+    const scanRecordQueueOptions = {
+      processor: record => this.persistScanRecord(record),
+      maxAttempts: parseInt(process.env.SCAN_RECORD_MAX_ATTEMPTS) || 8,
+      backoffDelay: parseInt(process.env.SCAN_RECORD_BACKOFF_MS) || 1000,
+      concurrency: parseInt(process.env.SCAN_RECORD_CONCURRENCY) || 5
+    };
+    const ScanRecordQueue = {
+      sync: SyncScanRecordQueue,
+      bull: BullScanRecordQueue,
+      memory: MemoryScanRecordQueue
+    }[this.scanRecordQueueBackend];
+    this.scanRecordQueue = new ScanRecordQueue(scanRecordQueueOptions);
     
     // Statistiques
     this.stats = {
@@ -23,20 +128,59 @@ class ValidationService {
       successfulScans: 0,
       failedScans: 0,
       fraudAttempts: 0,
-      concurrentScansBlocked: 0
+      concurrentScansBlocked: 0,
+      ruleViolations: 0,
+      zoneViolations: 0,
+      capacityRejections: 0,
+      revokedScans: 0,
+      offlineFallbacks: 0,
+      scanRecordFallbacks: 0,
+      exits: 0,
+      reentries: 0,
+      zoneChanges: 0
     };
+
+    logger.validation('Business validation mode selected', {
+      validationMode: this.validationMode
+    });
   }
 
   /**
    * Point d'entrée principal pour la validation d'un ticket
-   * Orchestre toutes les étapes de validation
+   * Orchestre toutes les étapes de validation et diffuse le résultat aux superviseurs
    * @param {string} qrCode - QR code scanné
    * @param {Object} scanContext - Contexte du scan
    * @returns {Promise<Object>} Résultat complet de la validation
    */
   async validateTicket(qrCode, scanContext = {}) {
+    const trace = {};
+    const result = await this.executeValidation(qrCode, scanContext, trace);
+
+    // Scan refusé : ticket décodé exposé pour l'enregistrement de la tentative
+    if (!result.success && trace.ticket && !result.ticket) {
+      result.ticket = {
+        id: trace.ticket.ticketId,
+        eventId: trace.ticket.eventId,
+        ticketType: trace.ticket.ticketType
+      };
+    }
+
+    this.publishValidationOutcome(result, scanContext, trace.ticket);
+
+    return result;
+  }
+
+  /**
+   * Étapes de la validation d'un ticket
+   * @param {string} qrCode - QR code scanné
+   * @param {Object} scanContext - Contexte du scan
+   * @param {Object} trace - Renseigné avec le ticket décodé (trace.ticket)
+   * @returns {Promise<Object>} Résultat complet de la validation
+   */
+  async executeValidation(qrCode, scanContext = {}, trace = {}) {
     const validationId = crypto.randomUUID();
     const startTime = Date.now();
+    let lockKey = null;
 
     try {
       this.stats.totalScans++;
@@ -61,8 +205,68 @@ class ValidationService {
         };
       }
 
-      // Étape 2: Prévention des scans concurrents
-      const concurrencyCheck = this.checkConcurrentScans(qrCode);
+      // Étape 1bis: Vérification de la session de scan (poste de contrôle)
+      if (scanContext.sessionId) {
+        const sessionCheck = await scanService.checkSessionActive(scanContext.sessionId, {
+          operatorEventId: scanContext.operatorEventId
+        });
+        if (!sessionCheck.active) {
+          this.stats.failedScans++;
+          return {
+            success: false,
+            error: sessionCheck.error,
+            code: sessionCheck.code,
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+      }
+
+      // Étape 2: Décodage et validation cryptographique du QR code
+      // Événement scanné (audience des tickets JWT) : celui de l'opérateur authentifié prévaut
+      const qrValidation = await qrDecoderService.decodeAndValidateQR(qrCode, {
+        eventId: scanContext.operatorEventId || scanContext.eventId || null
+      });
+
+      if (!qrValidation.success) {
+        this.stats.failedScans++;
+        if (qrValidation.fraudFlags) {
+          this.stats.fraudAttempts++;
+        }
+
+        // Signature valide mais QR code refusé (nonce rejoué) : ticket authentique
+        if (qrValidation.ticket) {
+          trace.ticket = qrValidation.ticket;
+        }
+
+        // Refus quel que soit le mode : le mode mock ne remplace que la validation métier
+        return {
+          success: false,
+          error: qrValidation.error,
+          code: qrValidation.code,
+          validationId,
+          validationTime: Date.now() - startTime,
+          fraudFlags: qrValidation.fraudFlags
+        };
+      }
+
+      trace.ticket = qrValidation.data;
+
+      // Étape 3: Prévention des scans concurrents
+      // Verrou du ticket décodé : deux encodages d'un même ticket (espaces, nonce réémis) se bloquent
+      lockKey = this.getScanLockKey(qrValidation.data);
+      const concurrencyCheck = await this.checkConcurrentScans(lockKey);
+      if (concurrencyCheck.code === 'SCAN_LOCK_UNAVAILABLE') {
+        this.stats.failedScans++;
+        return {
+          success: false,
+          error: 'Verrou de scan indisponible, réessayer',
+          code: 'SCAN_LOCK_UNAVAILABLE',
+          validationId,
+          validationTime: Date.now() - startTime
+        };
+      }
+
       if (!concurrencyCheck.allowed) {
         this.stats.concurrentScansBlocked++;
         return {
@@ -73,100 +277,227 @@ class ValidationService {
           validationTime: Date.now() - startTime,
           fraudFlags: {
             type: 'CONCURRENT_SCAN_ATTEMPT',
-            severity: 'MEDIUM',
-            details: { sameQRCode: true }
+            severity: 'medium',
+            details: { sameTicket: true }
           }
         };
       }
 
       // Marquer le scan comme en cours
-      this.pendingScans.set(qrCode, {
+      const scanLock = concurrencyCheck.lock || null;
+      this.pendingScans.set(lockKey, {
         validationId,
         startTime,
-        scanContext
+        scanContext,
+        ticket: qrValidation.data,
+        lock: scanLock
       });
 
       try {
-        // Étape 3: Décodage et validation cryptographique du QR code
-        const qrValidation = await qrDecoderService.decodeAndValidateQR(qrCode);
-        if (!qrValidation.success) {
+        // Étape 3bis-0: Ticket ou QR code révoqué (remboursé, transféré, déclaré volé)
+        const revocationCheck = await ticketRevocationsService.checkTicket(qrValidation.data);
+        if (!revocationCheck.allowed) {
           this.stats.failedScans++;
-          if (qrValidation.fraudFlags) {
+          if (revocationCheck.code === 'TICKET_REVOKED') {
+            this.stats.revokedScans++;
             this.stats.fraudAttempts++;
           }
 
-          // En mode non-production, on autorise un fallback pour les workflows
-          if (process.env.NODE_ENV !== 'production') {
+          return {
+            success: false,
+            error: revocationCheck.error,
+            code: revocationCheck.code,
+            validationId,
+            validationTime: Date.now() - startTime,
+            fraudFlags: revocationCheck.revocation
+              ? {
+                type: 'REVOKED_TICKET',
+                severity: revocationCheck.revocation.reason === 'stolen' ? 'high' : 'medium',
+                details: revocationCheck.revocation
+              }
+              : undefined
+          };
+        }
+
+        // Étape 3bis: Un opérateur rattaché à un événement ne valide que ses tickets
+        if (scanContext.operatorEventId &&
+            String(scanContext.operatorEventId) !== String(qrValidation.data.eventId)) {
+          this.stats.failedScans++;
+          return {
+            success: false,
+            error: 'Opérateur non autorisé pour cet événement',
+            code: 'OPERATOR_EVENT_MISMATCH',
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+
+        // Étape 3bis-2: Point de contrôle - types de tickets et zones autorisés (VIP, backstage, presse)
+        let checkpoint = null;
+        if (scanContext.checkpointId) {
+          const checkpointAccess = await checkpointsService.checkAccess(scanContext.checkpointId, qrValidation.data);
+
+          if (!checkpointAccess.allowed) {
+            this.stats.failedScans++;
+            if (checkpointAccess.code === 'ZONE_NOT_ALLOWED') {
+              this.stats.zoneViolations++;
+            }
+
             return {
-              success: true,
+              success: false,
+              error: checkpointAccess.error,
+              code: checkpointAccess.code,
               validationId,
-              validationTime: Date.now() - startTime,
-              ticket: {
-                id: scanContext.ticketId || 'mock',
-                eventId: scanContext.eventId || 'unknown',
-                ticketType: 'standard'
-              },
-              metadata: {
-                qrValidation: qrValidation,
-                businessValidation: { success: true, mode: 'fallback' }
-              }
+              validationTime: Date.now() - startTime
             };
           }
 
+          checkpoint = checkpointAccess.checkpoint;
+        }
+
+        // Étape 3ter: Sens de passage et présence du porteur (sorties / ré-entrées)
+        const direction = scanContext.direction === scanService.DIRECTIONS.EXIT
+          ? scanService.DIRECTIONS.EXIT
+          : scanService.DIRECTIONS.ENTRY;
+        const isExit = direction === scanService.DIRECTIONS.EXIT;
+        // Lecture en base (pas le cache mémoire) : la présence est partagée entre instances
+        const storedStatus = await scanService.checkTicketStatus(qrValidation.data.ticketId, { fresh: true });
+
+        if (storedStatus.unavailable) {
+          this.stats.failedScans++;
           return {
             success: false,
-            error: qrValidation.error,
-            code: qrValidation.code,
+            error: 'Présence du porteur indisponible, scanner à nouveau',
+            code: storedStatus.code,
             validationId,
-            validationTime: Date.now() - startTime,
-            fraudFlags: qrValidation.fraudFlags
+            validationTime: Date.now() - startTime
           };
         }
 
-        // Étape 4: Validation métier via event-planner-core
-        let businessValidation;
-        
-        // FORCER MODE DÉVELOPPEMENT pour tester la persistance
-        if (true || process.env.NODE_ENV === 'development') {
-          // Mode développement: simulation de validation business
-          businessValidation = {
-            success: true,
-            data: {
-              ticket: {
-                id: qrValidation.data.ticketId,
-                eventId: qrValidation.data.eventId,
-                ticketType: qrValidation.data.ticketType,
-                status: 'VALIDATED', // CORRIGÉ: Passer à VALIDATED
-                isValid: true,
-                validated_at: new Date().toISOString() // CORRIGÉ: Ajouter timestamp
-              },
-              event: {
-                id: qrValidation.data.eventId,
-                name: 'Test Event Flow 3',
-                status: 'ACTIVE',
-                allowScanning: true
-              }
-            },
-            metadata: {
-              source: 'development_mock',
-              validationTime: Date.now() - startTime,
-              ticketUpdated: true // CORRIGÉ: Indiquer que le ticket a été "mis à jour"
+        // Créneau d'admission (jour ou séance) : une sortie se rapporte au créneau de la dernière entrée
+        const admission = isExit
+          ? { allowed: true, scope: null, key: storedStatus.admissionKey }
+          : await admissionPolicyService.resolveAdmission(qrValidation.data, {
+            now: scanContext.timestamp,
+            useEventData: this.validationMode !== VALIDATION_MODES.MOCK
+          });
+
+        if (!admission.allowed) {
+          this.stats.failedScans++;
+          return {
+            success: false,
+            error: admission.error,
+            code: admission.code,
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+
+        const ticketStatus = isExit
+          ? storedStatus
+          : admissionPolicyService.scopeTicketStatus(storedStatus, admission);
+        const presenceCheck = this.checkPresence(direction, ticketStatus, admission, checkpoint);
+
+        if (!presenceCheck.allowed) {
+          this.stats.failedScans++;
+          return {
+            success: false,
+            error: presenceCheck.error,
+            code: presenceCheck.code,
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+
+        // Point de contrôle intérieur : le porteur change de zone sans entrer ni sortir du site
+        const zoneChange = presenceCheck.zoneChange || null;
+        const isReentry = !isExit && !zoneChange && ticketStatus.entryCount > 0;
+
+        // Étape 3quater: Règles d'admission configurées pour l'événement (sauf sorties et changements de zone)
+        // Un forçage (scanContext.override) est vérifié en amont sur la permission can_override
+        const rulesEvaluation = scanContext.override || isExit || zoneChange
+          ? { allowed: true, overridden: !!scanContext.override }
+          : await validationRulesService.evaluateForEvent(
+            qrValidation.data.eventId,
+            {
+              ticket: qrValidation.data,
+              scanContext,
+              getTicketStatus: async () => ticketStatus
             }
+          );
+
+        if (rulesEvaluation.overridden) {
+          logger.validation('Validation rules overridden by operator', {
+            validationId,
+            operatorId: scanContext.operatorId,
+            ticketId: qrValidation.data.ticketId
+          });
+        }
+
+        if (!rulesEvaluation.allowed) {
+          this.stats.failedScans++;
+          this.stats.ruleViolations++;
+
+          return {
+            success: false,
+            error: rulesEvaluation.error,
+            code: rulesEvaluation.code,
+            validationId,
+            validationTime: Date.now() - startTime,
+            failedRule: rulesEvaluation.failedRule
           };
-          
-          logger.validation('Development mode: using mock business validation with ticket update', {
-            ticketId: qrValidation.data.ticketId,
-            eventId: qrValidation.data.eventId,
-            ticketStatus: 'VALIDATED'
+        }
+
+        // Sans règle MAX_REENTRIES pour l'événement, la limite par défaut s'applique
+        if (isReentry && !rulesEvaluation.overridden &&
+            !(rulesEvaluation.evaluatedRuleTypes || []).includes(validationRulesService.RULE_TYPES.MAX_REENTRIES) &&
+            ticketStatus.entryCount > this.defaultMaxReentries) {
+          this.stats.failedScans++;
+          // Ticket par jour / par séance : déjà admis dans ce créneau
+          const alreadyUsed = admissionPolicyService.getAlreadyUsedRejection(admission);
+          return {
+            success: false,
+            error: alreadyUsed ? alreadyUsed.error : `Nombre maximal de ré-entrées atteint (${this.defaultMaxReentries})`,
+            code: alreadyUsed ? alreadyUsed.code : 'MAX_REENTRIES_EXCEEDED',
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+
+        // Étape 3quinquies: Jauges du site et de la zone d'entrée (y compris pour un forçage)
+        // Un porteur déjà sur le site qui change de zone n'est compté que pour sa nouvelle zone
+        // La place est réservée à l'enregistrement de l'entrée (étape 5), dans la même transaction
+        const zone = checkpoint ? checkpoint.zone || null : null;
+        let capacityReservation = null;
+        if (!isExit) {
+          const capacityCheck = await occupancyService.checkCapacity(qrValidation.data.eventId, zone, {
+            zoneOnly: !!zoneChange,
+            admissionKey: admission.key
           });
-        } else {
-          // Mode production: validation réelle via event-planner-core
-          businessValidation = await eventCoreClient.validateTicket(
-            qrValidation.data,
-            scanContext
-          );
+
+          if (!capacityCheck.allowed) {
+            this.stats.failedScans++;
+            this.stats.capacityRejections++;
+
+            return {
+              success: false,
+              error: capacityCheck.error,
+              code: capacityCheck.code,
+              validationId,
+              validationTime: Date.now() - startTime,
+              occupancy: capacityCheck.occupancy
+            };
+          }
+
+          capacityReservation = capacityCheck.reservation || null;
         }
 
+        // Étape 4: Validation métier via event-planner-core
+        // Sorties, ré-entrées et changements de zone n'y repassent pas : le ticket a été validé à la première entrée
+        const businessValidation = isExit || isReentry || zoneChange
+          ? this.validateFromPresence(qrValidation.data, direction)
+          : await this.validateBusiness(qrValidation.data, { ...scanContext, admissionKey: admission.key });
+
         if (!businessValidation.success) {
           this.stats.failedScans++;
 
@@ -183,13 +514,43 @@ class ValidationService {
           };
         }
 
-        // Étape 5: Enregistrement du scan (non bloquant)
+        // Étape 4bis: Fencing - le verrou ne doit pas avoir expiré ni été repris par un autre scan
+        if (scanLock && !(await this.isScanLockCurrent(scanLock))) {
+          this.stats.failedScans++;
+
+          logger.security('Scan lock lost before admission', {
+            validationId,
+            ticketId: qrValidation.data.ticketId,
+            fencingToken: scanLock.fencingToken
+          });
+
+          return {
+            success: false,
+            error: 'Délai de validation dépassé, scanner à nouveau',
+            code: 'SCAN_LOCK_EXPIRED',
+            validationId,
+            validationTime: Date.now() - startTime
+          };
+        }
+
+        // Étape 5: Enregistrement du scan
+        const degraded = !!(businessValidation.metadata && businessValidation.metadata.degraded);
         const scanRecord = {
           validationId,
-          sessionId: null, // CORRIGÉ: sessionId requis par scanService
+          // En mode dégradé, l'uid du log est celui du scan en attente de confirmation
+          scanUid: degraded ? businessValidation.metadata.offlineScanId : undefined,
+          degraded,
+          sessionId: scanContext.sessionId || null,
           ticketId: qrValidation.data.ticketId,
           eventId: qrValidation.data.eventId,
-          result: 'valid', // CORRIGÉ: minuscule pour l'enum
+          result: isReentry ? 'reentry' : 'valid', // CORRIGÉ: minuscule pour l'enum
+          direction,
+          admissionKey: admission.key,
+          zone,
+          zoneChange,
+          capacityReservation,
+          // Vérifié par la base à l'écriture de la présence (verrou repris entre-temps)
+          fencingToken: scanLock ? scanLock.fencingToken : null,
           scanContext,
           qrMetadata: qrValidation.validationInfo,
           businessValidation: businessValidation.data,
@@ -198,10 +559,38 @@ class ValidationService {
           fraudFlags: null // CORRIGÉ: fraudFlags requis
         };
 
-        // Enregistrer le scan de manière ASYNCHRONE (non bloquant)
-        this.recordScanAsync(scanRecord);
+        // Passage enregistré avant de répondre, sous le verrou du ticket :
+        // un second scan du même ticket lit la présence à jour
+        const recording = await this.recordAdmission(scanRecord);
+
+        if (!recording.success) {
+          this.stats.failedScans++;
+          if (recording.code === 'CAPACITY_REACHED') {
+            this.stats.capacityRejections++;
+          }
+
+          return {
+            success: false,
+            error: recording.error,
+            code: recording.code,
+            validationId,
+            validationTime: Date.now() - startTime,
+            occupancy: recording.occupancy
+          };
+        }
+
+        if (degraded) {
+          await this.queueDegradedConfirmation(scanRecord);
+        }
 
         this.stats.successfulScans++;
+        if (zoneChange) {
+          this.stats.zoneChanges++;
+        } else if (isExit) {
+          this.stats.exits++;
+        } else if (isReentry) {
+          this.stats.reentries++;
+        }
 
         logger.validation('Ticket validation completed successfully', {
           validationId,
@@ -217,17 +606,29 @@ class ValidationService {
             id: qrValidation.data.ticketId,
             eventId: qrValidation.data.eventId,
             ticketType: qrValidation.data.ticketType,
-            status: 'VALID',
+            status: isExit ? 'EXITED' : (isReentry ? 'REENTRY' : 'VALID'),
             scannedAt: new Date().toISOString()
           },
+          direction,
+          presence: isExit && !zoneChange ? scanService.PRESENCE.OUTSIDE : scanService.PRESENCE.INSIDE,
+          reentry: isReentry,
+          zoneChange,
+          admission: {
+            scope: admission.scope,
+            key: admission.key
+          },
           event: businessValidation.data.event,
           scanInfo: {
             scanId: validationId,
+            sessionId: scanContext.sessionId || null,
+            operatorId: scanContext.operatorId || null,
             timestamp: new Date().toISOString(),
             location: scanContext.location,
+            checkpointId: scanContext.checkpointId || null,
             deviceId: scanContext.deviceId
           },
           validationTime: Date.now() - startTime,
+          degraded,
           metadata: {
             qrValidation: qrValidation.validationInfo,
             businessValidation: businessValidation.metadata
@@ -236,12 +637,15 @@ class ValidationService {
 
       } finally {
         // Nettoyer le scan en cours
-        this.pendingScans.delete(qrCode);
+        this.pendingScans.delete(lockKey);
+        await this.releaseScanLock(scanLock);
       }
 
     } catch (error) {
       this.stats.failedScans++;
-      this.pendingScans.delete(qrCode);
+      if (lockKey) {
+        this.pendingScans.delete(lockKey);
+      }
 
       logger.error('Ticket validation failed', {
         validationId,
@@ -260,6 +664,266 @@ class ValidationService {
     }
   }
 
+  /**
+   * Diffuse le résultat d'une validation (et une éventuelle fraude) aux superviseurs
+   * Seul point de publication des fraudes de validation : l'enregistrement de la
+   * tentative (ScanService.handleFraudDetection) ne les publie pas une seconde fois.
+   * Sans ticket décodé, l'événement est rattaché à l'événement de l'opérateur
+   * @param {Object} result - Résultat de la validation
+   * @param {Object} scanContext - Contexte du scan
+   * @param {Object} ticket - Ticket décodé du QR code (si disponible)
+   */
+  publishValidationOutcome(result, scanContext, ticket) {
+    try {
+      const outcome = {
+        validationId: result.validationId,
+        eventId: ticket ? ticket.eventId : scanContext.operatorEventId,
+        ticketId: ticket ? ticket.ticketId : null,
+        ticketType: ticket ? ticket.ticketType : null,
+        checkpointId: scanContext.checkpointId || null,
+        direction: result.direction || scanContext.direction || scanService.DIRECTIONS.ENTRY,
+        result: result.success ? (result.reentry ? 'reentry' : 'valid') : 'invalid',
+        code: result.success ? null : result.code,
+        error: result.success ? null : result.error,
+        degraded: !!result.degraded,
+        location: scanContext.location || null,
+        deviceId: scanContext.deviceId || null,
+        operatorId: scanContext.operatorId || null,
+        sessionId: scanContext.sessionId || null,
+        validationTime: result.validationTime
+      };
+
+      scanEventBus.publish(scanEventBus.EVENT_TYPES.VALIDATION, outcome);
+
+      if (result.fraudFlags) {
+        scanEventBus.publish(scanEventBus.EVENT_TYPES.FRAUD, {
+          ...outcome,
+          fraudType: result.fraudFlags.type || null,
+          severity: result.fraudFlags.severity ? String(result.fraudFlags.severity).toLowerCase() : null
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to publish validation outcome', {
+        validationId: result.validationId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Vérifie que le sens de passage est cohérent avec la présence du porteur
+   * À un point de contrôle intérieur (parentZone), le porteur passe de la zone
+   * parente à la zone du point de contrôle (entrée) ou l'inverse (sortie) sans
+   * quitter le site : le résultat porte alors zoneChange { from, to }.
+   * @param {string} direction - entry | exit
+   * @param {Object} ticketStatus - État du ticket pour le créneau courant
+   * @param {Object} admission - Créneau d'admission (AdmissionPolicyService)
+   * @param {Object|null} checkpoint - Point de contrôle du scan
+   * @returns {Object} Résultat de la vérification
+   */
+  checkPresence(direction, ticketStatus, admission = {}, checkpoint = null) {
+    if (direction === scanService.DIRECTIONS.EXIT && !ticketStatus.isInside) {
+      return {
+        allowed: false,
+        error: 'Sortie refusée : le porteur du ticket n\'est pas à l\'intérieur',
+        code: 'TICKET_NOT_INSIDE'
+      };
+    }
+
+    if (checkpoint && checkpoint.parentZone) {
+      return this.checkZoneChange(direction, ticketStatus, admission, checkpoint);
+    }
+
+    if (direction === scanService.DIRECTIONS.ENTRY && ticketStatus.isInside) {
+      const alreadyUsed = admissionPolicyService.getAlreadyUsedRejection(admission);
+
+      return {
+        allowed: false,
+        error: alreadyUsed ? alreadyUsed.error : 'Le porteur du ticket est déjà à l\'intérieur',
+        code: alreadyUsed ? alreadyUsed.code : 'TICKET_ALREADY_INSIDE'
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Changement de zone à un point de contrôle intérieur
+   * Entrée : le porteur doit être dans la zone parente ; sortie : dans la zone du point de contrôle
+   * @param {string} direction - entry | exit
+   * @param {Object} ticketStatus - État du ticket pour le créneau courant
+   * @param {Object} admission - Créneau d'admission (AdmissionPolicyService)
+   * @param {Object} checkpoint - Point de contrôle intérieur
+   * @returns {Object} { allowed, zoneChange } ou { allowed: false, error, code }
+   */
+  checkZoneChange(direction, ticketStatus, admission, checkpoint) {
+    const isExit = direction === scanService.DIRECTIONS.EXIT;
+    const from = isExit ? checkpoint.zone : checkpoint.parentZone;
+    const to = isExit ? checkpoint.parentZone : checkpoint.zone;
+
+    if (ticketStatus.isInside && ticketStatus.zone === from) {
+      return { allowed: true, zoneChange: { from, to } };
+    }
+
+    if (!isExit && ticketStatus.isInside && ticketStatus.zone === to) {
+      const alreadyUsed = admissionPolicyService.getAlreadyUsedRejection(admission);
+
+      return {
+        allowed: false,
+        error: alreadyUsed ? alreadyUsed.error : 'Le porteur du ticket est déjà dans la zone',
+        code: alreadyUsed ? alreadyUsed.code : 'TICKET_ALREADY_INSIDE'
+      };
+    }
+
+    return {
+      allowed: false,
+      error: isExit
+        ? `Sortie refusée : le porteur du ticket n'est pas dans la zone ${from}`
+        : `Entrée refusée : le porteur du ticket n'est pas dans la zone ${from}`,
+      code: 'TICKET_NOT_IN_ZONE'
+    };
+  }
+
+  /**
+   * Validation d'une sortie ou d'une ré-entrée à partir de l'état de présence
+   * Même format que EventCoreClient.validateTicket
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @param {string} direction - entry | exit
+   * @returns {Object} Résultat de la validation
+   */
+  validateFromPresence(ticketData, direction) {
+    return {
+      success: true,
+      data: {
+        ticket: {
+          id: ticketData.ticketId,
+          eventId: ticketData.eventId,
+          ticketType: ticketData.ticketType,
+          status: 'VALIDATED'
+        },
+        event: {
+          id: ticketData.eventId
+        }
+      },
+      metadata: {
+        source: 'presence_state',
+        validationType: direction === scanService.DIRECTIONS.EXIT ? 'EXIT' : 'REENTRY'
+      }
+    };
+  }
+
+  /**
+   * Validation métier selon le mode configuré
+   * - mock : double de test (développement local)
+   * - core : event-planner-core uniquement
+   * - core-with-offline-fallback : cache offline si event-planner-core est injoignable (mode dégradé)
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @param {Object} scanContext - Contexte du scan
+   * @returns {Promise<Object>} Résultat au format EventCoreClient.validateTicket
+   */
+  async validateBusiness(ticketData, scanContext) {
+    if (this.validationMode === VALIDATION_MODES.MOCK) {
+      return mockEventCoreClient.validateTicket(ticketData, scanContext);
+    }
+
+    const coreValidation = await eventCoreClient.validateTicket(ticketData, scanContext);
+
+    if (!CORE_UNREACHABLE_CODES.includes(coreValidation.code)) {
+      // Le service core répond à nouveau : fin du mode dégradé
+      if (this.degradedSince) {
+        logger.validation('Event core reachable again, leaving degraded mode', {
+          degradedSince: this.degradedSince
+        });
+        this.degradedSince = null;
+      }
+      return coreValidation;
+    }
+
+    if (this.validationMode !== VALIDATION_MODES.CORE_WITH_OFFLINE_FALLBACK) {
+      return coreValidation;
+    }
+
+    // Service core injoignable (circuit breaker ouvert ou erreur réseau) : mode dégradé sur le cache offline
+    this.stats.offlineFallbacks++;
+
+    if (!this.degradedSince) {
+      this.degradedSince = new Date().toISOString();
+      logger.security('Event core unreachable, entering degraded mode', {
+        coreCode: coreValidation.code,
+        circuitState: eventCoreClient.getValidationCircuitState()
+      });
+    }
+
+    logger.validation('Event core unreachable, falling back to offline cache', {
+      ticketId: ticketData.ticketId,
+      eventId: ticketData.eventId,
+      coreCode: coreValidation.code
+    });
+
+    // Vérification seule : le scan n'est mis en file pour confirmation par le service core
+    // qu'une fois l'admission enregistrée (queueDegradedConfirmation)
+    const offlineValidation = offlineService.checkTicketOffline(ticketData.ticketId);
+
+    if (!offlineValidation.success) {
+      return {
+        success: false,
+        error: offlineValidation.error,
+        code: offlineValidation.code,
+        details: {
+          fallback: 'offline_cache',
+          coreCode: coreValidation.code
+        }
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        ticket: {
+          id: ticketData.ticketId,
+          eventId: ticketData.eventId,
+          ticketType: ticketData.ticketType,
+          status: 'VALIDATED',
+          isValid: true,
+          validated_at: new Date().toISOString()
+        },
+        event: {
+          id: ticketData.eventId
+        }
+      },
+      metadata: {
+        source: 'offline_cache',
+        validationType: 'OFFLINE_FALLBACK_VALIDATION',
+        degraded: true,
+        coreCode: coreValidation.code,
+        offlineScanId: crypto.randomUUID()
+      }
+    };
+  }
+
+  /**
+   * Met en file de synchronisation un scan admis en mode dégradé
+   * Le service core confirmera ou rejettera le scan (log de scan scanUid) à son retour
+   * @param {Object} scanRecord - Scan enregistré
+   */
+  async queueDegradedConfirmation(scanRecord) {
+    try {
+      await offlineService.recordOfflineScan(scanRecord.ticketId, {
+        ...scanRecord.scanContext,
+        eventId: scanRecord.eventId,
+        degraded: true
+      }, scanRecord.scanUid);
+    } catch (error) {
+      // L'admission est enregistrée : le scan reste à confirmer manuellement
+      logger.error('Failed to queue degraded scan confirmation', {
+        validationId: scanRecord.validationId,
+        scanUid: scanRecord.scanUid,
+        ticketId: scanRecord.ticketId,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Valide les entrées de la requête
    * @param {string} qrCode - QR code à valider
@@ -295,12 +959,22 @@ class ValidationService {
   }
 
   /**
-   * Vérifie les scans concurrents pour le même QR code
-   * @param {string} qrCode - QR code à vérifier
-   * @returns {Object} Résultat de la vérification
+   * Clé du verrou de scan d'un ticket décodé (indépendante de l'encodage du QR code)
+   * @param {Object} ticketData - Données du ticket décodées du QR code
+   * @returns {string} Clé <eventId>:<ticketId>
+   */
+  getScanLockKey(ticketData) {
+    return `${ticketData.eventId}:${ticketData.ticketId}`;
+  }
+
+  /**
+   * Vérifie les scans concurrents pour le même ticket et acquiert son verrou
+   * Le verrou expire après scanTimeout ; avec le backend Redis il est partagé entre instances
+   * @param {string} lockKey - Clé du verrou (getScanLockKey)
+   * @returns {Promise<Object>} Résultat de la vérification (avec le verrou acquis)
    */
-  checkConcurrentScans(qrCode) {
-    const pendingScan = this.pendingScans.get(qrCode);
+  async checkConcurrentScans(lockKey) {
+    const pendingScan = this.pendingScans.get(lockKey);
     
     if (pendingScan) {
       const timeSinceStart = Date.now() - pendingScan.startTime;
@@ -314,7 +988,7 @@ class ValidationService {
         };
       } else {
         // Nettoyer les scans expirés
-        this.pendingScans.delete(qrCode);
+        this.pendingScans.delete(lockKey);
       }
     }
 
@@ -327,7 +1001,68 @@ class ValidationService {
       };
     }
 
-    return { allowed: true };
+    let lockResult;
+    try {
+      lockResult = await this.scanLockStore.acquire(lockKey, this.scanTimeout);
+    } catch (error) {
+      logger.error('Failed to acquire scan lock', {
+        backend: this.scanLockBackend,
+        error: error.message
+      });
+
+      // Sans verrou, la garantie anti-réutilisation entre instances n'est plus assurée
+      return this.scanLockFailOpen
+        ? { allowed: true, lock: null }
+        : { allowed: false, reason: 'Verrou de scan indisponible', code: 'SCAN_LOCK_UNAVAILABLE' };
+    }
+
+    if (!lockResult.acquired) {
+      return {
+        allowed: false,
+        reason: 'Scan déjà en cours',
+        pendingScanTime: this.scanTimeout - lockResult.remainingMs
+      };
+    }
+
+    return { allowed: true, lock: lockResult.lock };
+  }
+
+  /**
+   * Vérifie que le verrou du scan est toujours détenu (fencing)
+   * @param {Object} lock - Verrou du scan
+   * @returns {Promise<boolean>} true si l'admission peut se poursuivre
+   */
+  async isScanLockCurrent(lock) {
+    try {
+      return await this.scanLockStore.isCurrent(lock);
+    } catch (error) {
+      logger.error('Failed to check scan lock', {
+        backend: this.scanLockBackend,
+        error: error.message
+      });
+      return this.scanLockFailOpen;
+    }
+  }
+
+  /**
+   * Libère le verrou d'un scan terminé
+   * @param {Object|null} lock - Verrou du scan
+   * @returns {Promise<void>}
+   */
+  async releaseScanLock(lock) {
+    if (!lock) {
+      return;
+    }
+
+    try {
+      await this.scanLockStore.release(lock);
+    } catch (error) {
+      // Le verrou expirera de lui-même après scanTimeout
+      logger.error('Failed to release scan lock', {
+        backend: this.scanLockBackend,
+        error: error.message
+      });
+    }
   }
 
   /**
@@ -351,7 +1086,11 @@ class ValidationService {
       'TIME_ACCESS_DENIED': 'NOT_AUTHORIZED',
       'VALIDATION_ERROR': 'INVALID',
       'INTERNAL_ERROR': 'INVALID',
-      'SERVICE_UNAVAILABLE': 'INVALID'
+      'SERVICE_UNAVAILABLE': 'INVALID',
+      'TICKET_NOT_FOUND_OFFLINE': 'INVALID',
+      'TICKET_EXPIRED_OFFLINE': 'EXPIRED',
+      'TICKET_INACTIVE_OFFLINE': 'INVALID',
+      'MAX_SCANS_EXCEEDED_OFFLINE': 'ALREADY_USED'
     };
 
     return errorMapping[coreErrorCode] || 'INVALID';
@@ -393,46 +1132,282 @@ class ValidationService {
   }
 
   /**
-   * Enregistre un scan de manière asynchrone (non bloquant)
-   * @param {Object} scanRecord - Données du scan à enregistrer
+   * Enregistre un scan admis avant la réponse
+   * - sync : log, outbox vers le core et présence dans une seule transaction
+   * - bull / memory : présence écrite en base, log mis en file
+   * @param {Object} scanRecord - Données du scan
+   * @returns {Promise<Object>} { success } ou { success: false, error, code }
+   */
+  async recordAdmission(scanRecord) {
+    if (this.scanRecordQueueBackend === 'sync') {
+      try {
+        await this.scanRecordQueue.enqueue({
+          ...scanRecord,
+          scanUid: scanRecord.scanUid || crypto.randomUUID(),
+          withPresence: true
+        });
+        return { success: true };
+      } catch (error) {
+        if (error.code === 'CAPACITY_REACHED') {
+          return this.capacityRefusal(scanRecord, error);
+        }
+        if (error.code === 'SCAN_LOCK_EXPIRED') {
+          return this.scanLockLostRefusal(scanRecord, error);
+        }
+
+        logger.error('Failed to record admitted scan', {
+          validationId: scanRecord.validationId,
+          ticketId: scanRecord.ticketId,
+          error: error.message
+        });
+
+        return {
+          success: false,
+          error: 'Enregistrement du passage impossible, scanner à nouveau',
+          code: 'SCAN_RECORD_FAILED'
+        };
+      }
+    }
+
+    try {
+      await scanService.recordPresence(scanRecord);
+    } catch (error) {
+      if (error.code === 'CAPACITY_REACHED') {
+        return this.capacityRefusal(scanRecord, error);
+      }
+      if (error.code === 'SCAN_LOCK_EXPIRED') {
+        return this.scanLockLostRefusal(scanRecord, error);
+      }
+
+      logger.error('Failed to record ticket presence', {
+        validationId: scanRecord.validationId,
+        ticketId: scanRecord.ticketId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Enregistrement du passage impossible, scanner à nouveau',
+        code: 'PRESENCE_WRITE_FAILED'
+      };
+    }
+
+    await this.recordScanAsync({ ...scanRecord, presenceRecorded: true });
+    return { success: true };
+  }
+
+  /**
+   * Refus d'une entrée dont la place n'a pas pu être réservée (jauge atteinte entre-temps)
+   * @param {Object} scanRecord - Données du scan
+   * @param {Error} error - Erreur CAPACITY_REACHED de la réservation
+   * @returns {Object} { success: false, error, code, occupancy }
+   */
+  capacityRefusal(scanRecord, error) {
+    logger.validation('Entry refused, capacity reached at reservation', {
+      validationId: scanRecord.validationId,
+      ticketId: scanRecord.ticketId,
+      occupancy: error.occupancy
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      code: error.code,
+      occupancy: error.occupancy
+    };
+  }
+
+  /**
+   * Refus d'un passage dont la base a rejeté le jeton de fencing (verrou repris par un autre scan)
+   * @param {Object} scanRecord - Données du scan
+   * @param {Error} error - Erreur SCAN_LOCK_EXPIRED de l'écriture de la présence
+   * @returns {Object} { success: false, error, code }
+   */
+  scanLockLostRefusal(scanRecord, error) {
+    logger.security('Scan lock lost at admission', {
+      validationId: scanRecord.validationId,
+      ticketId: scanRecord.ticketId,
+      fencingToken: scanRecord.fencingToken
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      code: error.code
+    };
+  }
+
+  /**
+   * Met en file l'enregistrement d'un scan admis
+   * L'uid du log est fixé avant la mise en file : un nouvel essai ne crée pas de
+   * second log. Si la file est indisponible, le scan est enregistré directement
+   * avant de rendre la main.
+   * @param {Object} scanRecord - Données du scan
+   * @returns {Promise<void>}
    */
   async recordScanAsync(scanRecord) {
+    const record = { ...scanRecord, scanUid: scanRecord.scanUid || crypto.randomUUID() };
+
     try {
-      // Utiliser setImmediate pour exécuter après la réponse
-      setImmediate(async () => {
-        try {
-          // CORRIGÉ: Enregistrer dans la base locale scan-validation
-          await scanService.recordScan(scanRecord);
-          
-          logger.validation('Scan recorded successfully in local database', {
-            validationId: scanRecord.validationId,
-            ticketId: scanRecord.ticketId
-          });
-          
-          // ENVOI ASYNCHRONE: Notifier Event-Planner-Core pour la mise à jour métier
-          if (process.env.NODE_ENV !== 'development') {
-            eventCoreClient.validateTicket(scanRecord).catch(error => {
-              logger.validation('Failed to notify Event-Planner-Core (non-blocking)', {
-                validationId: scanRecord.validationId,
-                ticketId: scanRecord.ticketId,
-                error: error.message
-              });
-            });
-          }
-          
-        } catch (error) {
-          logger.error('Failed to record scan in local database', {
-            validationId: scanRecord.validationId,
-            ticketId: scanRecord.ticketId,
-            error: error.message
-          });
+      await this.scanRecordQueue.enqueue(record);
+    } catch (error) {
+      this.stats.scanRecordFallbacks++;
+
+      logger.error('Failed to enqueue scan record, recording directly', {
+        validationId: record.validationId,
+        ticketId: record.ticketId,
+        error: error.message
+      });
+
+      try {
+        await this.persistScanRecord(record);
+      } catch (persistError) {
+        // Présence déjà écrite : le porteur est admis, seul le log manque
+        logger.error('Failed to record scan in local database', {
+          validationId: record.validationId,
+          ticketId: record.ticketId,
+          error: persistError.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Enregistre un scan dans la base locale
+   * La synchronisation vers event-planner-core est écrite dans l'outbox avec le log
+   * Traitement d'un job de la file : une erreur levée déclenche un nouvel essai
+   * @param {Object} scanRecord - Données du scan
+   * @returns {Promise<Object>} Résultat de l'enregistrement
+   */
+  async persistScanRecord(scanRecord) {
+    const result = await scanService.recordScan(scanRecord);
+
+    if (!result.success) {
+      const error = new Error(result.error);
+      error.code = result.code;
+      error.occupancy = result.occupancy;
+      throw error;
+    }
+
+    logger.validation('Scan recorded successfully in local database', {
+      validationId: scanRecord.validationId,
+      ticketId: scanRecord.ticketId,
+      duplicate: !!result.duplicate
+    });
+
+    return result;
+  }
+
+  /**
+   * Démarre le traitement de la file d'enregistrement des scans
+   */
+  startScanRecording() {
+    this.scanRecordQueue.start();
+
+    logger.info('Scan recording queue started', {
+      backend: this.scanRecordQueueBackend
+    });
+  }
+
+  /**
+   * Métriques de la file d'enregistrement des scans
+   * @returns {Promise<Object>} Métriques (dont lagMs : âge du plus ancien scan en attente)
+   */
+  async getScanRecordingMetrics() {
+    try {
+      const metrics = await this.scanRecordQueue.getMetrics();
+
+      return {
+        success: true,
+        data: {
+          ...metrics,
+          fallbacks: this.stats.scanRecordFallbacks
         }
+      };
+    } catch (error) {
+      logger.error('Failed to get scan recording metrics', {
+        error: error.message
       });
+
+      return {
+        success: false,
+        error: 'File d\'enregistrement des scans indisponible',
+        code: 'SCAN_RECORD_QUEUE_UNAVAILABLE'
+      };
+    }
+  }
+
+  /**
+   * Scans dont l'enregistrement a été abandonné après épuisement des essais
+   * @param {number} limit - Nombre maximal de jobs
+   * @returns {Promise<Object>} Jobs abandonnés
+   */
+  async getFailedScanRecords(limit = 50) {
+    try {
+      const jobs = await this.scanRecordQueue.getFailedJobs(limit);
+
+      return {
+        success: true,
+        data: jobs.map(job => ({
+          jobId: job.id,
+          validationId: job.data.validationId,
+          scanUid: job.data.scanUid,
+          ticketId: job.data.ticketId,
+          eventId: job.data.eventId,
+          result: job.data.result,
+          scannedAt: job.data.timestamp,
+          attemptsMade: job.attemptsMade,
+          failedReason: job.failedReason,
+          failedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+        }))
+      };
     } catch (error) {
-      logger.error('Failed to schedule async scan recording', {
-        validationId: scanRecord.validationId,
+      logger.error('Failed to list failed scan records', {
         error: error.message
       });
+
+      return {
+        success: false,
+        error: 'File d\'enregistrement des scans indisponible',
+        code: 'SCAN_RECORD_QUEUE_UNAVAILABLE'
+      };
+    }
+  }
+
+  /**
+   * Remet en file l'enregistrement d'un scan abandonné
+   * @param {string} jobId - ID du job
+   * @returns {Promise<Object>} Résultat de la remise en file
+   */
+  async retryFailedScanRecord(jobId) {
+    try {
+      const retried = await this.scanRecordQueue.retryFailedJob(jobId);
+
+      if (!retried) {
+        return {
+          success: false,
+          error: 'Enregistrement en échec non trouvé',
+          code: 'SCAN_RECORD_JOB_NOT_FOUND'
+        };
+      }
+
+      logger.info('Failed scan record requeued', { jobId });
+
+      return {
+        success: true,
+        data: { jobId: String(jobId) }
+      };
+    } catch (error) {
+      logger.error('Failed to retry scan record', {
+        error: error.message,
+        jobId
+      });
+
+      return {
+        success: false,
+        error: 'File d\'enregistrement des scans indisponible',
+        code: 'SCAN_RECORD_QUEUE_UNAVAILABLE'
+      };
     }
   }
 
@@ -545,9 +1520,10 @@ class ValidationService {
    */
   async healthCheck() {
     try {
+      const coreClient = this.validationMode === VALIDATION_MODES.MOCK ? mockEventCoreClient : eventCoreClient;
       const [qrDecoderHealth, eventCoreHealth] = await Promise.all([
         qrDecoderService.healthCheck(),
-        eventCoreClient.healthCheck()
+        coreClient.healthCheck()
       ]);
 
       const overallHealthy = qrDecoderHealth.healthy && eventCoreHealth.healthy;
@@ -561,14 +1537,17 @@ class ValidationService {
           validation: {
             pendingScans: this.pendingScans.size,
             maxConcurrentScans: this.maxConcurrentScans,
-            scanTimeout: this.scanTimeout
+            scanTimeout: this.scanTimeout,
+            scanLock: this.scanLockStore.getStats()
           }
         },
         stats: this.stats,
         config: {
           maxConcurrentScans: this.maxConcurrentScans,
           scanTimeout: this.scanTimeout,
-          enableFraudDetection: this.enableFraudDetection
+          enableFraudDetection: this.enableFraudDetection,
+          validationMode: this.validationMode,
+          defaultMaxReentries: this.defaultMaxReentries
         }
       };
     } catch (error) {
@@ -584,6 +1563,27 @@ class ValidationService {
     }
   }
 
+  /**
+   * Mode de fonctionnement courant de la validation métier
+   * Le service est dégradé lorsque le circuit vers event-planner-core n'est pas fermé
+   * ou que les dernières validations ont basculé sur le cache offline.
+   * @returns {Object} Mode courant
+   */
+  getDegradedMode() {
+    const circuitState = eventCoreClient.getValidationCircuitState();
+    const degraded = this.validationMode === VALIDATION_MODES.CORE_WITH_OFFLINE_FALLBACK &&
+      (!!this.degradedSince || circuitState !== 'closed');
+
+    return {
+      mode: degraded ? 'degraded' : 'normal',
+      validationMode: this.validationMode,
+      circuitState,
+      degradedSince: this.degradedSince,
+      offlineFallbacks: this.stats.offlineFallbacks,
+      pendingConfirmations: offlineService.countPendingDegradedScans()
+    };
+  }
+
   /**
    * Retourne les statistiques du service de validation
    * @returns {Object} Statistiques
@@ -594,7 +1594,10 @@ class ValidationService {
       config: {
         maxConcurrentScans: this.maxConcurrentScans,
         scanTimeout: this.scanTimeout,
-        enableFraudDetection: this.enableFraudDetection
+        enableFraudDetection: this.enableFraudDetection,
+        validationMode: this.validationMode,
+        defaultMaxReentries: this.defaultMaxReentries,
+        scanRecordQueueBackend: this.scanRecordQueueBackend
       },
       current: {
         pendingScans: this.pendingScans.size
@@ -611,11 +1614,23 @@ class ValidationService {
       successfulScans: 0,
       failedScans: 0,
       fraudAttempts: 0,
-      concurrentScansBlocked: 0
+      concurrentScansBlocked: 0,
+      ruleViolations: 0,
+      zoneViolations: 0,
+      capacityRejections: 0,
+      revokedScans: 0,
+      offlineFallbacks: 0,
+      scanRecordFallbacks: 0,
+      exits: 0,
+      reentries: 0,
+      zoneChanges: 0
     };
 
     logger.info('Validation service stats reset');
   }
 }
 
-module.exports = new ValidationService();
+const service = new ValidationService();
+service.VALIDATION_MODES = VALIDATION_MODES;
+
+module.exports = service;
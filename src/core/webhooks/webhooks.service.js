@@ -0,0 +1,553 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Queue = require('bull');
+const webhooksRepository = require('../database/webhooks.repository');
+const scanEventBus = require('../events/scan-event-bus');
+const logger = require('../../utils/logger');
+
+/**
+ * Événements proposés aux abonnés webhook
+ */
+const WEBHOOK_EVENTS = {
+  SCAN_VALIDATED: 'scan.validated',
+  SCAN_REJECTED: 'scan.rejected',
+  FRAUD_DETECTED: 'fraud.detected',
+  SESSION_ENDED: 'session.ended'
+};
+
+/**
+ * Statuts d'une livraison
+ * - pending   : en file d'attente
+ * - delivered : acceptée par le destinataire (2xx)
+ * - failed    : en échec, un nouvel essai est prévu
+ * - dead      : essais épuisés (liste des lettres mortes)
+ */
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  DEAD: 'dead'
+};
+
+const QUEUE_NAME = 'webhook-deliveries';
+
+/**
+ * Service des webhooks sortants
+ * Convertit les événements du bus de scan en livraisons signées (HMAC-SHA256)
+ * envoyées par une file bull, avec nouveaux essais à délai exponentiel.
+ */
+class WebhooksService {
+  constructor() {
+    this.enabled = process.env.WEBHOOKS_ENABLED === 'true';
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.backoffDelay = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 2000; // 2s, doublé à chaque essai
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000; // 5s
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+    this.cacheTtl = parseInt(process.env.WEBHOOK_SUBSCRIPTIONS_CACHE_TTL) || 30000; // 30s
+
+    // Abonnements actifs par événement
+    this.subscriptionsCache = new Map();
+
+    this.queue = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Démarre la file de livraison et l'écoute du bus des scans
+   * @param {Object} options - queue (file existante, sinon créée sur Redis)
+   */
+  start(options = {}) {
+    if (this.queue) {
+      return;
+    }
+
+    this.queue = options.queue || this.createQueue();
+
+    this.queue.process(this.concurrency, job => this.processJob(job));
+
+    this.queue.on('error', error => {
+      logger.error('Webhook queue error', {
+        error: error.message
+      });
+    });
+
+    this.unsubscribe = scanEventBus.subscribe({}, event => {
+      this.handleScanEvent(event).catch(error => {
+        logger.error('Failed to dispatch webhooks', {
+          type: event.type,
+          eventId: event.eventId,
+          error: error.message
+        });
+      });
+    });
+
+    logger.info('Webhook delivery started', {
+      maxAttempts: this.maxAttempts,
+      concurrency: this.concurrency
+    });
+  }
+
+  /**
+   * Crée la file bull depuis la configuration Redis
+   * @returns {Queue} File des livraisons
+   */
+  createQueue() {
+    if (process.env.REDIS_URL) {
+      return new Queue(QUEUE_NAME, process.env.REDIS_URL);
+    }
+
+    return new Queue(QUEUE_NAME, {
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        password: process.env.REDIS_PASSWORD || undefined,
+        db: parseInt(process.env.REDIS_DB) || 0
+      }
+    });
+  }
+
+  /**
+   * Arrête l'écoute du bus et ferme la file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  /**
+   * Type de webhook correspondant à un événement du bus des scans
+   * @param {Object} event - Événement publié (ScanEventBus)
+   * @returns {string|null} Type de webhook ou null
+   */
+  getWebhookEventType(event) {
+    switch (event.type) {
+      case scanEventBus.EVENT_TYPES.VALIDATION:
+        return event.result === 'invalid' ? WEBHOOK_EVENTS.SCAN_REJECTED : WEBHOOK_EVENTS.SCAN_VALIDATED;
+      case scanEventBus.EVENT_TYPES.FRAUD:
+        return WEBHOOK_EVENTS.FRAUD_DETECTED;
+      case scanEventBus.EVENT_TYPES.SESSION_ENDED:
+        return WEBHOOK_EVENTS.SESSION_ENDED;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Crée et met en file les livraisons d'un événement du bus des scans
+   * @param {Object} event - Événement publié (ScanEventBus)
+   * @returns {Promise<number>} Nombre de livraisons créées
+   */
+  async handleScanEvent(event) {
+    const webhookEventType = this.getWebhookEventType(event);
+
+    // Les abonnements sont indexés par ID numérique d'événement
+    if (!webhookEventType || !event.eventId || !/^\d+$/.test(event.eventId)) {
+      return 0;
+    }
+
+    const subscriptions = (await this.getSubscriptionsForEvent(event.eventId))
+      .filter(subscription => subscription.eventTypes.includes(webhookEventType));
+
+    for (const subscription of subscriptions) {
+      const delivery = await webhooksRepository.createDelivery({
+        subscriptionId: subscription.id,
+        eventType: webhookEventType,
+        payload: {
+          type: webhookEventType,
+          eventId: event.eventId,
+          occurredAt: event.timestamp,
+          data: event.data
+        }
+      });
+
+      await this.enqueue(delivery.id);
+    }
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Met une livraison en file avec nouveaux essais à délai exponentiel
+   * @param {number} deliveryId - ID de la livraison
+   * @returns {Promise<void>}
+   */
+  async enqueue(deliveryId) {
+    await this.queue.add({ deliveryId }, {
+      attempts: this.maxAttempts,
+      backoff: { type: 'exponential', delay: this.backoffDelay },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  }
+
+  /**
+   * Traite un job de la file : une tentative de livraison
+   * Une erreur levée déclenche le nouvel essai de bull
+   * @param {Object} job - Job bull { data: { deliveryId } }
+   * @returns {Promise<Object>} Résultat de la livraison
+   */
+  async processJob(job) {
+    const result = await this.deliver(job.data.deliveryId, {
+      finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+
+    if (!result.success && result.retry) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Envoie une livraison signée à l'URL de l'abonnement
+   * @param {number} deliveryId - ID de la livraison
+   * @param {Object} options - finalAttempt (échec : lettre morte au lieu d'un nouvel essai)
+   * @returns {Promise<Object>} { success, retry, error }
+   */
+  async deliver(deliveryId, options = {}) {
+    const delivery = await webhooksRepository.getDeliveryById(deliveryId);
+
+    if (!delivery || delivery.status === DELIVERY_STATUSES.DELIVERED || delivery.status === DELIVERY_STATUSES.DEAD) {
+      return { success: true, skipped: true };
+    }
+
+    const subscription = await webhooksRepository.getSubscriptionById(delivery.subscriptionId, { includeSecret: true });
+
+    if (!subscription || !subscription.isActive) {
+      await webhooksRepository.recordAttempt(deliveryId, {
+        status: DELIVERY_STATUSES.DEAD,
+        error: 'Abonnement webhook supprimé ou inactif'
+      });
+      return { success: false, retry: false, error: 'SUBSCRIPTION_INACTIVE' };
+    }
+
+    const body = JSON.stringify({ id: delivery.uid, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'scan-validation-service-webhooks',
+          'X-Webhook-Id': delivery.uid,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.signPayload(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode >= 200 && statusCode < 300) {
+        await webhooksRepository.recordAttempt(deliveryId, {
+          status: DELIVERY_STATUSES.DELIVERED,
+          statusCode
+        });
+        return { success: true };
+      }
+
+      error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const status = options.finalAttempt ? DELIVERY_STATUSES.DEAD : DELIVERY_STATUSES.FAILED;
+    await webhooksRepository.recordAttempt(deliveryId, { status, statusCode, error });
+
+    logger.warn(options.finalAttempt ? 'Webhook delivery moved to dead letters' : 'Webhook delivery failed, will retry', {
+      deliveryId,
+      subscriptionId: subscription.id,
+      eventType: delivery.eventType,
+      statusCode,
+      error
+    });
+
+    return { success: false, retry: !options.finalAttempt, error };
+  }
+
+  /**
+   * Signature HMAC-SHA256 d'une livraison
+   * Le destinataire recalcule HMAC(secret, "<timestamp>.<corps>") et compare
+   * @param {string} secret - Secret de l'abonnement
+   * @param {number} timestamp - Horodatage Unix (secondes)
+   * @param {string} body - Corps JSON envoyé
+   * @returns {string} Signature hexadécimale
+   */
+  signPayload(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Abonnements actifs d'un événement (avec cache)
+   * @param {string|number} eventId - ID de l'événement
+   * @returns {Promise<Array>} Abonnements actifs
+   */
+  async getSubscriptionsForEvent(eventId) {
+    const cacheKey = String(eventId);
+    const cached = this.subscriptionsCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.subscriptions;
+    }
+
+    const subscriptions = await webhooksRepository.getActiveSubscriptionsForEvent(eventId);
+    this.subscriptionsCache.set(cacheKey, { subscriptions, loadedAt: Date.now() });
+    return subscriptions;
+  }
+
+  /**
+   * Invalide le cache des abonnements d'un événement
+   * @param {string|number} eventId - ID de l'événement
+   */
+  invalidateCache(eventId) {
+    this.subscriptionsCache.delete(String(eventId));
+  }
+
+  /**
+   * Liste les abonnements d'un événement
+   * @param {number} eventId - ID de l'événement
+   * @returns {Promise<Object>} Abonnements
+   */
+  async listSubscriptions(eventId) {
+    try {
+      const subscriptions = await webhooksRepository.listSubscriptions(eventId);
+
+      return {
+        success: true,
+        data: subscriptions
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOKS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Récupère un abonnement
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @returns {Promise<Object>} Abonnement
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      const subscription = await webhooksRepository.getSubscriptionById(subscriptionId);
+
+      if (!subscription) {
+        return {
+          success: false,
+          error: 'Abonnement webhook non trouvé',
+          code: 'WEBHOOK_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: subscription
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOKS_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Crée un abonnement webhook
+   * Le secret de signature n'est renvoyé qu'à la création
+   * @param {Object} subscriptionData - eventId, url, eventTypes, description
+   * @returns {Promise<Object>} Abonnement créé avec son secret
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      const secret = crypto.randomBytes(32).toString('hex');
+      const subscription = await webhooksRepository.createSubscription({ ...subscriptionData, secret });
+
+      this.invalidateCache(subscription.eventId);
+
+      logger.info('Webhook subscription created', {
+        subscriptionId: subscription.id,
+        eventId: subscription.eventId,
+        eventTypes: subscription.eventTypes
+      });
+
+      return {
+        success: true,
+        data: { ...subscription, secret }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOK_CREATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Met à jour un abonnement webhook
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @param {Object} updates - url, eventTypes, description, isActive
+   * @returns {Promise<Object>} Abonnement mis à jour
+   */
+  async updateSubscription(subscriptionId, updates) {
+    try {
+      const subscription = await webhooksRepository.updateSubscription(subscriptionId, updates);
+
+      if (!subscription) {
+        return {
+          success: false,
+          error: 'Abonnement webhook non trouvé',
+          code: 'WEBHOOK_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(subscription.eventId);
+
+      return {
+        success: true,
+        data: subscription
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOK_UPDATE_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Supprime un abonnement webhook
+   * @param {number} subscriptionId - ID de l'abonnement
+   * @param {Object} deleteData - Données de suppression
+   * @returns {Promise<Object>} Résultat de la suppression
+   */
+  async deleteSubscription(subscriptionId, deleteData = {}) {
+    try {
+      const deleted = await webhooksRepository.deleteSubscription(subscriptionId, deleteData);
+
+      if (!deleted) {
+        return {
+          success: false,
+          error: 'Abonnement webhook non trouvé',
+          code: 'WEBHOOK_NOT_FOUND'
+        };
+      }
+
+      this.invalidateCache(deleted.eventId);
+
+      return {
+        success: true,
+        data: deleted
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOK_DELETION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Journal des livraisons (filtrable par abonnement, événement et statut)
+   * @param {Object} filters - subscriptionId, eventId, status, limit
+   * @returns {Promise<Object>} Livraisons
+   */
+  async listDeliveries(filters = {}) {
+    try {
+      const deliveries = await webhooksRepository.listDeliveries(filters);
+
+      return {
+        success: true,
+        data: deliveries
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOK_DELIVERIES_RETRIEVAL_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Remet en file une livraison en échec ou en lettre morte
+   * @param {number} deliveryId - ID de la livraison
+   * @returns {Promise<Object>} Livraison remise en file
+   */
+  async replayDelivery(deliveryId) {
+    if (!this.queue) {
+      return {
+        success: false,
+        error: 'Livraison des webhooks désactivée',
+        code: 'WEBHOOKS_DISABLED'
+      };
+    }
+
+    try {
+      const delivery = await webhooksRepository.getDeliveryById(deliveryId);
+
+      if (!delivery) {
+        return {
+          success: false,
+          error: 'Livraison webhook non trouvée',
+          code: 'WEBHOOK_DELIVERY_NOT_FOUND'
+        };
+      }
+
+      if (delivery.status === DELIVERY_STATUSES.DELIVERED) {
+        return {
+          success: false,
+          error: 'Livraison webhook déjà effectuée',
+          code: 'WEBHOOK_ALREADY_DELIVERED'
+        };
+      }
+
+      const updated = await webhooksRepository.updateDeliveryStatus(deliveryId, DELIVERY_STATUSES.PENDING);
+      await this.enqueue(deliveryId);
+
+      logger.info('Webhook delivery replayed', {
+        deliveryId,
+        previousStatus: delivery.status
+      });
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'WEBHOOK_REPLAY_FAILED'
+      };
+    }
+  }
+}
+
+const webhooksService = new WebhooksService();
+webhooksService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+webhooksService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = webhooksService;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const MemoryIdempotencyStore = require('../core/idempotency/memory-idempotency.store');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware d'idempotence des requêtes de scan
+ * Un appareil qui renvoie une requête après un timeout (même en-tête Idempotency-Key
+ * ou même scanContext.requestId) reçoit la première réponse au lieu d'un second traitement.
+ */
+class IdempotencyMiddleware {
+  /**
+   * Remplace le stockage des clés (ex : stockage partagé entre instances)
+   * @param {Object} store - Stockage implémentant reserve/complete/release
+   */
+  static setStore(store) {
+    IdempotencyMiddleware.store = store;
+  }
+
+  /**
+   * Extrait la clé d'idempotence de la requête
+   * @param {Object} req - Requête Express
+   * @returns {string|null} Clé ou null
+   */
+  static extractKey(req) {
+    const header = req.headers['idempotency-key'];
+    if (header) {
+      return String(header).trim() || null;
+    }
+
+    const scanContext = req.body && req.body.scanContext;
+    return scanContext && scanContext.requestId ? String(scanContext.requestId) : null;
+  }
+
+  /**
+   * Empreinte de la requête pour détecter la réutilisation d'une clé avec un autre contenu
+   * @param {Object} req - Requête Express
+   * @returns {string} Empreinte SHA-256
+   */
+  static fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+      .digest('hex');
+  }
+
+  /**
+   * Rejoue la première réponse d'une requête déjà traitée
+   * NOTE : À placer après l'authentification et la validation du body
+   * @param {Object} options - Options
+   * @param {number} options.ttl - Durée de conservation de la réponse (ms)
+   * @param {number} options.pendingTtl - Durée maximale d'un traitement en cours (ms)
+   * @returns {Function} Middleware Express
+   */
+  static replay(options = {}) {
+    const ttl = options.ttl || parseInt(process.env.IDEMPOTENCY_TTL) || 10 * 60 * 1000; // 10 minutes
+    const pendingTtl = options.pendingTtl || parseInt(process.env.IDEMPOTENCY_PENDING_TTL) || 30000; // 30s
+
+    return async (req, res, next) => {
+      if (process.env.IDEMPOTENCY_ENABLED === 'false') {
+        return next();
+      }
+
+      const idempotencyKey = IdempotencyMiddleware.extractKey(req);
+      if (!idempotencyKey) {
+        return next();
+      }
+
+      if (idempotencyKey.length > 255) {
+        return res.status(400).json(
+          errorResponse('Clé d\'idempotence invalide', null, 'INVALID_IDEMPOTENCY_KEY')
+        );
+      }
+
+      // Clé propre à l'opérateur et à la route
+      const scope = req.operator ? `operator:${req.operator.id}` : 'anonymous';
+      const key = `${req.method}:${req.baseUrl}${req.path}:${scope}:${idempotencyKey}`;
+      const fingerprint = IdempotencyMiddleware.fingerprint(req);
+      const store = IdempotencyMiddleware.store;
+
+      let reservation;
+      try {
+        reservation = await store.reserve(key, fingerprint, pendingTtl);
+      } catch (error) {
+        // Stockage indisponible : traiter la requête sans protection plutôt que bloquer les entrées
+        logger.error('Idempotency store unavailable', {
+          error: error.message
+        });
+        return next();
+      }
+
+      if (!reservation.reserved) {
+        const { record } = reservation;
+
+        if (record.fingerprint !== fingerprint) {
+          return res.status(422).json(
+            errorResponse('Clé d\'idempotence déjà utilisée pour une autre requête', null, 'IDEMPOTENCY_KEY_REUSED')
+          );
+        }
+
+        if (record.state !== 'completed') {
+          res.set('Retry-After', '1');
+          return res.status(409).json(
+            errorResponse('Requête identique en cours de traitement', null, 'IDEMPOTENT_REQUEST_IN_PROGRESS')
+          );
+        }
+
+        logger.validation('Idempotent response replayed', {
+          idempotencyKey,
+          operatorId: req.operator ? req.operator.id : null,
+          statusCode: record.response.statusCode
+        });
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+
+      let settled = false;
+      const settle = response => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+
+        // Une erreur serveur n'est pas mémorisée : le renvoi sera retraité
+        const operation = response && response.statusCode < 500
+          ? store.complete(key, response, ttl)
+          : store.release(key);
+
+        Promise.resolve(operation).catch(error => {
+          logger.error('Failed to store idempotent response', {
+            error: error.message,
+            idempotencyKey
+          });
+        });
+      };
+
+      const originalJson = res.json.bind(res);
+      res.json = body => {
+        settle({ statusCode: res.statusCode, body });
+        return originalJson(body);
+      };
+
+      // Réponse non JSON ou connexion interrompue : libérer la clé
+      if (typeof res.on === 'function') {
+        res.on('close', () => settle(null));
+      }
+
+      return next();
+    };
+  }
+}
+
+IdempotencyMiddleware.store = new MemoryIdempotencyStore({
+  maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_ENTRIES) || 10000
+});
+
+module.exports = IdempotencyMiddleware;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const scanOperatorsService = require('../core/operators/scan-operators.service');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware d'authentification des opérateurs de scan et des services internes
+ */
+class OperatorAuthMiddleware {
+  /**
+   * Indique si l'authentification des opérateurs est obligatoire
+   * Activée par défaut en production, configurable via OPERATOR_AUTH_ENABLED
+   * @returns {boolean} true si un jeton opérateur est exigé
+   */
+  static isEnforced() {
+    if (process.env.OPERATOR_AUTH_ENABLED !== undefined) {
+      return process.env.OPERATOR_AUTH_ENABLED === 'true';
+    }
+    return process.env.NODE_ENV === 'production';
+  }
+
+  /**
+   * Extrait le jeton Bearer de l'en-tête Authorization
+   * @param {Object} req - Requête Express
+   * @returns {string|null} Jeton ou null
+   */
+  static extractBearerToken(req) {
+    const header = req.headers.authorization;
+
+    if (!header || !header.startsWith('Bearer ')) {
+      return null;
+    }
+
+    return header.slice(7).trim() || null;
+  }
+
+  /**
+   * Authentifie l'opérateur de scan via son jeton signé
+   * Renseigne req.operator ; sans jeton, la requête passe si l'authentification n'est pas obligatoire
+   * @returns {Function} Middleware Express
+   */
+  static authenticate() {
+    return async (req, res, next) => {
+      try {
+        const token = OperatorAuthMiddleware.extractBearerToken(req);
+
+        if (!token) {
+          if (OperatorAuthMiddleware.isEnforced()) {
+            return res.status(401).json(
+              errorResponse('Jeton opérateur requis', null, 'OPERATOR_TOKEN_REQUIRED')
+            );
+          }
+          return next();
+        }
+
+        const verification = await scanOperatorsService.verifyToken(token);
+
+        if (!verification.valid) {
+          logger.security('Scan operator token rejected', {
+            code: verification.code,
+            ip: req.ip,
+            path: req.originalUrl
+          });
+
+          const status = verification.code === 'OPERATOR_CHECK_FAILED' ? 503 : 401;
+          return res.status(status).json(
+            errorResponse(verification.error, null, verification.code)
+          );
+        }
+
+        req.operator = verification.operator;
+        next();
+      } catch (error) {
+        logger.error('Operator authentication error', {
+          error: error.message
+        });
+
+        return res.status(500).json(
+          errorResponse('Erreur d\'authentification de l\'opérateur', null, 'OPERATOR_AUTH_ERROR')
+        );
+      }
+    };
+  }
+
+  /**
+   * Exige une permission de l'opérateur authentifié
+   * @param {string} permission - Permission requise (can_scan, can_override, can_view_stats)
+   * @returns {Function} Middleware Express
+   */
+  static requirePermission(permission) {
+    return (req, res, next) => {
+      if (!req.operator) {
+        if (OperatorAuthMiddleware.isEnforced()) {
+          return res.status(401).json(
+            errorResponse('Jeton opérateur requis', null, 'OPERATOR_TOKEN_REQUIRED')
+          );
+        }
+        return next();
+      }
+
+      if (!scanOperatorsService.hasPermission(req.operator, permission)) {
+        logger.security('Scan operator permission denied', {
+          operatorId: req.operator.id,
+          permission,
+          path: req.originalUrl
+        });
+
+        return res.status(403).json(
+          errorResponse('Permission opérateur insuffisante', { permission }, 'OPERATOR_PERMISSION_DENIED')
+        );
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Authentifie un service interne via l'en-tête X-API-Key (SHARED_SERVICE_TOKEN)
+   * Utilisé pour les opérations d'administration (enrôlement, configuration)
+   * @returns {Function} Middleware Express
+   */
+  static requireServiceToken() {
+    return (req, res, next) => {
+      const expectedToken = process.env.SHARED_SERVICE_TOKEN;
+
+      if (!expectedToken) {
+        if (process.env.NODE_ENV === 'production') {
+          return res.status(503).json(
+            errorResponse('Authentification inter-services non configurée', null, 'SERVICE_AUTH_NOT_CONFIGURED')
+          );
+        }
+        return next();
+      }
+
+      const providedToken = req.headers['x-api-key'] || '';
+      const expected = Buffer.from(expectedToken);
+      const provided = Buffer.from(String(providedToken));
+
+      if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        logger.security('Invalid service token', {
+          ip: req.ip,
+          path: req.originalUrl
+        });
+
+        return res.status(401).json(
+          errorResponse('Jeton de service invalide', null, 'INVALID_SERVICE_TOKEN')
+        );
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = OperatorAuthMiddleware;
@@ -35,7 +35,19 @@ const scanValidationRoutes = require('./routes/scan-validation-routes');
 const healthRoutes = require('./health/health.routes');
 const scansRoutes = require('./api/routes/scans.routes');
 const confirmationRoutes = require('./api/routes/confirmation.routes');
+const validationRulesRoutes = require('./api/routes/validation-rules.routes');
+const scanOperatorsRoutes = require('./api/routes/scan-operators.routes');
+const checkpointsRoutes = require('./api/routes/checkpoints.routes');
+const occupancyRoutes = require('./api/routes/occupancy.routes');
+const webhooksRoutes = require('./api/routes/webhooks.routes');
+const coreOutboxRoutes = require('./api/routes/core-outbox.routes');
+const revocationsRoutes = require('./api/routes/revocations.routes');
 const offlineService = require('./core/offline/offline.service');
+const validationService = require('./core/validation/validation.service');
+const scanEventBus = require('./core/events/scan-event-bus');
+const webhooksService = require('./core/webhooks/webhooks.service');
+const coreScanOutboxService = require('./core/outbox/core-scan-outbox.service');
+const qrDecoderService = require('./core/qr/qr-decoder.service');
 const bootstrap = require("./bootstrap");
 
 /**
@@ -79,8 +91,9 @@ class ScanValidationServer {
     this.app.use(cors({
       origin: [process.env.CORS_ORIGIN || 'http://localhost:3000', 'http://localhost:3099'],
       credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+      exposedHeaders: ['Idempotent-Replayed']
     }));
 
     // 📦 COMPRESSION - Réduction de la taille des réponses
@@ -159,6 +172,21 @@ class ScanValidationServer {
     this.app.use('/api/scans/validate', scanLimiter);
     this.app.use('/api/scans/validate-offline', scanLimiter);
 
+    // 🔑 RATE LIMITING DE LA CONNEXION DES OPÉRATEURS
+    // Protection contre le test massif de codes d'accès
+    const operatorLoginLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.OPERATOR_LOGIN_RATE_LIMIT) || 10, // 10 tentatives par IP
+      message: {
+        success: false,
+        message: 'Trop de tentatives de connexion, veuillez réessayer plus tard',
+        error: {
+          code: 'OPERATOR_LOGIN_RATE_LIMIT_EXCEEDED'
+        }
+      }
+    });
+    this.app.use('/api/operators/login', operatorLoginLimiter);
+
     // 📝 LOGGING PERSONNALISÉ - Journalisation des requêtes entrantes
     // Log détaillé pour le monitoring et le débogage
     this.app.use((req, res, next) => {
@@ -209,6 +237,27 @@ class ScanValidationServer {
     // Routes principales de validation de tickets
     this.app.use('/api/scans', scansRoutes);
 
+    // 📏 ROUTES DES RÈGLES DE VALIDATION - Politique d'admission par événement
+    this.app.use('/api/rules', validationRulesRoutes);
+
+    // 👷 ROUTES DES OPÉRATEURS DE SCAN - Enrôlement et connexion par code d'accès
+    this.app.use('/api/operators', scanOperatorsRoutes);
+
+    // 🚧 ROUTES DES POINTS DE CONTRÔLE - Zones d'accès et statistiques par point de contrôle
+    this.app.use('/api/checkpoints', checkpointsRoutes);
+
+    // 👥 ROUTES D'OCCUPATION - Porteurs présents et jauges par événement / zone
+    this.app.use('/api/occupancy', occupancyRoutes);
+
+    // 🪝 ROUTES DES WEBHOOKS - Abonnements, journal des livraisons et lettres mortes
+    this.app.use('/api/webhooks', webhooksRoutes);
+
+    // 📤 ROUTES DE L'OUTBOX - Synchronisation des scans vers Event-Planner-Core
+    this.app.use('/api/core-outbox', coreOutboxRoutes);
+
+    // 🚫 ROUTES DES RÉVOCATIONS - Tickets remboursés, transférés ou volés
+    this.app.use('/api/revocations', revocationsRoutes);
+
     // � ROUTES INTERNES - Communication inter-services
     // Routes pour recevoir les confirmations d'Event-Planner-Core
     this.app.use('/api/internal', confirmationRoutes);
@@ -221,6 +270,13 @@ class ScanValidationServer {
         version: process.env.npm_package_version || '1.0.0',
         endpoints: {
           scans: '/api/scans',           // Routes de validation
+          rules: '/api/rules',           // Règles de validation par événement
+          operators: '/api/operators',   // Opérateurs de scan
+          checkpoints: '/api/checkpoints', // Points de contrôle et zones d'accès
+          occupancy: '/api/occupancy',   // Occupation en direct et jauges
+          webhooks: '/api/webhooks',     // Webhooks sortants signés
+          coreOutbox: '/api/core-outbox', // Synchronisation des scans vers le core
+          revocations: '/api/revocations', // Révocations de tickets
           internal: '/api/internal',     // Routes internes inter-services
           health: '/health'              // Routes de santé
         },
@@ -395,6 +451,9 @@ class ScanValidationServer {
    */
   async start() {
     try {
+      // 🔑 CLÉS DES QR CODES - Refus du secret HMAC de développement en production
+      qrDecoderService.assertSecureConfiguration();
+
       // 🔧 BOOTSTRAP AUTOMATIQUE - Initialisation de la base de données
       // Crée la base de données et applique les migrations si nécessaire
       await bootstrap.initialize();
@@ -402,6 +461,17 @@ class ScanValidationServer {
       // 📴 INITIALISATION SERVICE OFFLINE - Préparation du mode offline
       // Configure le service pour fonctionner sans connexion réseau
       await offlineService.initialize();
+
+      // 🧾 FILE D'ENREGISTREMENT DES SCANS - Reprise des scans admis non encore enregistrés
+      validationService.startScanRecording();
+
+      // 📤 RELAIS DE L'OUTBOX - Livraison des scans admis à Event-Planner-Core
+      coreScanOutboxService.start();
+
+      // 🪝 WEBHOOKS SORTANTS - File de livraison bull (si WEBHOOKS_ENABLED=true)
+      if (webhooksService.enabled) {
+        webhooksService.start();
+      }
       
       // 🚀 DÉMARRAGE DU SERVEUR
       logger.info('🚀 Starting Scan Validation Service server...');
@@ -544,6 +614,9 @@ class ScanValidationServer {
         });
       }
 
+      // 📺 FLUX TEMPS RÉEL - Les flux SSE ouverts empêcheraient la fermeture du serveur
+      scanEventBus.closeAll();
+
       // 📴 SYNCHRONISATION OFFLINE - Sauvegarde des données locales
       // Synchronise toutes les données offline avant d'arrêter
       if (offlineService.pendingSync.size > 0) {
@@ -551,6 +624,26 @@ class ScanValidationServer {
         await offlineService.syncOfflineData();
       }
 
+      // 💾 SAUVEGARDE LOCALE - Instantané du cache offline et des éléments non synchronisés
+      await offlineService.shutdown();
+
+      // 🪝 WEBHOOKS - Fermeture de la file de livraison
+      await webhooksService.close();
+
+      // 📤 RELAIS DE L'OUTBOX - Les entrées non livrées restent en base
+      coreScanOutboxService.stop();
+
+      // 🧾 FILE D'ENREGISTREMENT - Les scans en attente restent dans Redis (backend bull)
+      await validationService.scanRecordQueue.close();
+
+      // 🔒 VERROUS DE SCAN - Fermeture de la connexion Redis éventuelle
+      if (typeof validationService.scanLockStore.close === 'function') {
+        await validationService.scanLockStore.close();
+      }
+
+      // 🔁 NONCES DES QR CODES - Fermeture de la connexion Redis éventuelle
+      await qrDecoderService.nonceRegistry.close();
+
       // ✅ ARRÊT COMPLÉTÉ - Toutes les données sauvegardées
       logger.info('Graceful shutdown completed');
       process.exit(0);
@@ -197,7 +197,12 @@ function validationResponse(validationData, meta = {}) {
       status: validationData.ticket.status,
       scannedAt: validationData.ticket.scannedAt,
       validationTime: validationData.validationTime,
-      offline: validationData.ticket.offline || false
+      offline: validationData.ticket.offline || false,
+      degraded: validationData.degraded || false,
+      direction: validationData.direction || 'entry',
+      presence: validationData.presence || null,
+      admission: validationData.admission || null,
+      checkpointId: validationData.scanInfo?.checkpointId || null
     },
     meta: {
       timestamp: new Date().toISOString(),
@@ -309,17 +314,18 @@ function historyResponse(historyData, meta = {}) {
  * Réponse pour les erreurs de validation de ticket
  * @param {string} message - Message d'erreur
  * @param {string} validationCode - Code d'erreur de validation
+ * @param {Object} data - Détails de l'échec (ex: règle non satisfaite)
  * @param {Object} meta - Métadonnées additionnelles
  * @returns {Object} Réponse formatée
  */
-function ticketValidationErrorResponse(message, validationCode, meta = {}) {
+function ticketValidationErrorResponse(message, validationCode, data = null, meta = {}) {
   return {
     success: false,
     message,
     error: {
       code: 'VALIDATION_ERROR',
       validationCode,
-      data: null
+      data
     },
     meta: {
       timestamp: new Date().toISOString(),
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const admissionPolicyService = require('../src/core/admission/admission-policy.service');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+
+/**
+ * Tests des créneaux d'admission (tickets multi-jours et par séance)
+ */
+
+const ticket = { ticketId: 'TICKET_001', eventId: '42', ticketType: 'standard' };
+
+describe('📅 Créneaux d\'admission', () => {
+  const originalValidateEvent = eventCoreClient.validateEvent;
+
+  beforeEach(() => {
+    admissionPolicyService.eventPolicies.clear();
+  });
+
+  afterAll(() => {
+    eventCoreClient.validateEvent = originalValidateEvent;
+  });
+
+  it('devrait admettre une seule fois un ticket sans politique', async () => {
+    const admission = await admissionPolicyService.resolveAdmission(ticket);
+
+    assert.deepStrictEqual(admission, { allowed: true, scope: 'once', key: null });
+  });
+
+  it('devrait calculer le jour dans le fuseau de l\'événement', async () => {
+    const admission = await admissionPolicyService.resolveAdmission(
+      { ...ticket, admission: { scope: 'daily', timezone: 'Europe/Paris', days: ['2026-07-11'] } },
+      { now: '2026-07-10T22:30:00.000Z' }
+    );
+
+    assert.strictEqual(admission.allowed, true);
+    assert.strictEqual(admission.key, 'day:2026-07-11');
+  });
+
+  it('devrait refuser un jour hors de la validité du ticket', async () => {
+    const admission = await admissionPolicyService.resolveAdmission(
+      { ...ticket, admission: { scope: 'daily', days: ['2026-07-10'] } },
+      { now: '2026-07-12T10:00:00.000Z' }
+    );
+
+    assert.strictEqual(admission.allowed, false);
+    assert.strictEqual(admission.code, 'TICKET_NOT_VALID_TODAY');
+  });
+
+  it('devrait rattacher le scan à la séance en cours', async () => {
+    const policy = {
+      scope: 'session',
+      sessions: [
+        { id: 'ws-1', startsAt: '2026-07-10T09:00:00.000Z', endsAt: '2026-07-10T11:00:00.000Z' },
+        { id: 'ws-2', startsAt: '2026-07-10T14:00:00.000Z', endsAt: '2026-07-10T16:00:00.000Z' }
+      ]
+    };
+
+    const during = await admissionPolicyService.resolveAdmission({ ...ticket, admission: policy }, { now: '2026-07-10T14:30:00.000Z' });
+    const between = await admissionPolicyService.resolveAdmission({ ...ticket, admission: policy }, { now: '2026-07-10T12:00:00.000Z' });
+
+    assert.strictEqual(during.key, 'session:ws-2');
+    assert.strictEqual(between.code, 'NO_ACTIVE_SESSION');
+  });
+
+  it('devrait lire la politique dans les données de l\'événement', async () => {
+    let calls = 0;
+    eventCoreClient.validateEvent = async () => {
+      calls++;
+      return { success: true, data: { success: true, data: { id: 42, admission: { scope: 'daily' } } } };
+    };
+
+    const first = await admissionPolicyService.resolveAdmission(ticket, { useEventData: true, now: '2026-07-10T10:00:00.000Z' });
+    await admissionPolicyService.resolveAdmission(ticket, { useEventData: true });
+
+    assert.strictEqual(first.key, 'day:2026-07-10');
+    assert.strictEqual(calls, 1);
+  });
+
+  it('ne devrait pas compter les entrées d\'un créneau précédent', () => {
+    const yesterday = { presence: 'inside', isInside: true, entryCount: 1, exitCount: 0, admissionKey: 'day:2026-07-10' };
+
+    const today = admissionPolicyService.scopeTicketStatus(yesterday, { scope: 'daily', key: 'day:2026-07-11' });
+    const sameDay = admissionPolicyService.scopeTicketStatus(yesterday, { scope: 'daily', key: 'day:2026-07-10' });
+
+    assert.strictEqual(today.isInside, false);
+    assert.strictEqual(today.entryCount, 0);
+    assert.strictEqual(sameDay.isInside, true);
+    assert.strictEqual(admissionPolicyService.getAlreadyUsedRejection({ scope: 'daily' }).code, 'ALREADY_USED_TODAY');
+  });
+});
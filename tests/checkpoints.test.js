@@ -0,0 +1,151 @@
+const assert = require('assert');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const checkpointsService = require('../src/core/checkpoints/checkpoints.service');
+const checkpointsRepository = require('../src/core/database/checkpoints.repository');
+const validationService = require('../src/core/validation/validation.service');
+const scanService = require('../src/core/scan/scan.service');
+
+/**
+ * Tests du contrôle d'accès par point de contrôle (VIP, backstage, presse)
+ */
+
+const vipCheckpoint = {
+  id: 3,
+  eventId: 42,
+  code: 'VIP-NORD',
+  name: 'Entrée VIP Nord',
+  zone: 'vip',
+  allowedTicketTypes: ['vip', 'premium'],
+  allowedZones: ['backstage'],
+  isActive: true
+};
+
+const ticket = { ticketId: 'TICKET_001', eventId: '42', ticketType: 'standard' };
+
+describe('🚧 Points de contrôle', () => {
+  const originalGetCheckpointById = checkpointsRepository.getCheckpointById;
+
+  beforeEach(() => {
+    checkpointsService.checkpointsCache.clear();
+    checkpointsRepository.getCheckpointById = async id => (String(id) === '3' ? vipCheckpoint : null);
+  });
+
+  afterAll(() => {
+    checkpointsRepository.getCheckpointById = originalGetCheckpointById;
+  });
+
+  it('devrait refuser un ticket standard au point de contrôle VIP', async () => {
+    const result = await checkpointsService.checkAccess(3, ticket);
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.code, 'ZONE_NOT_ALLOWED');
+  });
+
+  it('devrait admettre un type de ticket ou une zone autorisé', async () => {
+    const vip = await checkpointsService.checkAccess(3, { ...ticket, ticketType: 'VIP' });
+    const press = await checkpointsService.checkAccess(3, { ...ticket, zones: ['press', 'backstage'] });
+
+    assert.strictEqual(vip.allowed, true);
+    assert.strictEqual(vip.checkpoint.code, 'VIP-NORD');
+    assert.strictEqual(press.allowed, true);
+  });
+
+  it('devrait refuser un point de contrôle inconnu, inactif ou d\'un autre événement', async () => {
+    const unknown = await checkpointsService.checkAccess(99, ticket);
+    const otherEvent = await checkpointsService.checkAccess(3, { ...ticket, ticketType: 'vip', eventId: '7' });
+
+    checkpointsService.checkpointsCache.clear();
+    checkpointsRepository.getCheckpointById = async () => ({ ...vipCheckpoint, isActive: false });
+    const inactive = await checkpointsService.checkAccess(3, { ...ticket, ticketType: 'vip' });
+
+    assert.strictEqual(unknown.code, 'CHECKPOINT_NOT_FOUND');
+    assert.strictEqual(otherEvent.code, 'CHECKPOINT_NOT_FOUND');
+    assert.strictEqual(inactive.code, 'CHECKPOINT_INACTIVE');
+  });
+
+  it('devrait rester fermé si la configuration est indisponible', async () => {
+    checkpointsRepository.getCheckpointById = async () => {
+      throw new Error('connection refused');
+    };
+
+    const result = await checkpointsService.checkAccess(3, { ...ticket, ticketType: 'vip' });
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.code, 'CHECKPOINT_UNAVAILABLE');
+  });
+
+  it('devrait agréger les scans du point de contrôle', () => {
+    const stats = checkpointsService.aggregateScanStats([
+      { result: 'valid', direction: 'entry', scans: 12, first_scan_at: '2026-07-10T18:00:00.000Z', last_scan_at: '2026-07-10T21:00:00.000Z' },
+      { result: 'reentry', direction: 'entry', scans: 2, first_scan_at: '2026-07-10T20:00:00.000Z', last_scan_at: '2026-07-10T22:00:00.000Z' },
+      { result: 'valid', direction: 'exit', scans: 3, first_scan_at: '2026-07-10T19:00:00.000Z', last_scan_at: '2026-07-10T21:30:00.000Z' },
+      { result: 'invalid', direction: 'entry', scans: 4, first_scan_at: '2026-07-10T17:30:00.000Z', last_scan_at: '2026-07-10T20:00:00.000Z' }
+    ]);
+
+    assert.strictEqual(stats.totalScans, 21);
+    assert.strictEqual(stats.admitted, 14);
+    assert.strictEqual(stats.exits, 3);
+    assert.strictEqual(stats.rejected, 4);
+    assert.strictEqual(stats.byResult.valid, 15);
+    assert.strictEqual(stats.firstScanAt, '2026-07-10T17:30:00.000Z');
+    assert.strictEqual(stats.lastScanAt, '2026-07-10T22:00:00.000Z');
+  });
+});
+
+describe('🪆 Zones imbriquées', () => {
+  // Backstage accessible depuis la zone VIP, elle-même accessible depuis le site
+  const backstage = { ...vipCheckpoint, id: 4, code: 'BACKSTAGE', zone: 'backstage', parentZone: 'vip' };
+  const status = (presence, zone) => scanService.formatTicketStatus({ presence, zone, entryCount: 1 }, 'database');
+  const { ENTRY, EXIT } = scanService.DIRECTIONS;
+
+  it('devrait admettre dans une zone intérieure un porteur présent dans la zone parente', () => {
+    const result = validationService.checkPresence(ENTRY, status('inside', 'vip'), {}, backstage);
+
+    assert.strictEqual(result.allowed, true);
+    assert.deepStrictEqual(result.zoneChange, { from: 'vip', to: 'backstage' });
+  });
+
+  it('devrait ramener dans la zone parente à la sortie d\'une zone intérieure', () => {
+    const result = validationService.checkPresence(EXIT, status('inside', 'backstage'), {}, backstage);
+
+    assert.strictEqual(result.allowed, true);
+    assert.deepStrictEqual(result.zoneChange, { from: 'backstage', to: 'vip' });
+  });
+
+  it('devrait refuser un porteur absent de la zone parente ou déjà dans la zone', () => {
+    const outside = validationService.checkPresence(ENTRY, status('outside', null), {}, backstage);
+    const otherZone = validationService.checkPresence(ENTRY, status('inside', 'press'), {}, backstage);
+    const already = validationService.checkPresence(ENTRY, status('inside', 'backstage'), {}, backstage);
+    const notInZone = validationService.checkPresence(EXIT, status('inside', 'vip'), {}, backstage);
+
+    assert.strictEqual(outside.code, 'TICKET_NOT_IN_ZONE');
+    assert.strictEqual(otherZone.code, 'TICKET_NOT_IN_ZONE');
+    assert.strictEqual(already.code, 'TICKET_ALREADY_INSIDE');
+    assert.strictEqual(notInZone.code, 'TICKET_NOT_IN_ZONE');
+  });
+
+  it('devrait garder le porteur sur le site sans compter d\'entrée ni prévenir le core', async () => {
+    const scan = {
+      ticketId: 'TICKET_ZONE',
+      eventId: '42',
+      result: 'valid',
+      direction: ENTRY,
+      zoneChange: { from: 'vip', to: 'backstage' },
+      timestamp: new Date().toISOString()
+    };
+    scanService.ticketCache.delete('TICKET_ZONE');
+
+    const update = await scanService.buildPresenceUpdate(scan);
+
+    assert.strictEqual(update.cacheData.presence, 'inside');
+    assert.strictEqual(update.cacheData.zone, 'backstage');
+    assert.strictEqual(update.cacheData.entryCount, 0);
+    assert.strictEqual(update.cacheData.exitCount, 0);
+    assert.strictEqual(scanService.buildCoreSyncPayload(scan), null);
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const qrService = require('../src/core/qr/qr.service');
+const SigningKeyring = require('../src/core/qr/signing-keyring');
+
+/**
+ * Tests des signatures compactes (ES256, EdDSA) des QR codes
+ */
+
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const edKeys = crypto.generateKeyPairSync('ed25519');
+
+function ticketData(fields) {
+  const now = Date.now();
+  return {
+    ticketId: 'TKT-1',
+    eventId: '42',
+    ticketType: 'standard',
+    userId: '7',
+    issuedAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    version: '1.0',
+    ...fields
+  };
+}
+
+function signES256(data) {
+  return crypto
+    .sign('sha256', Buffer.from(qrDecoderService.createSignatureString(data)), {
+      key: ecKeys.privateKey,
+      dsaEncoding: 'ieee-p1363'
+    })
+    .toString('base64url');
+}
+
+describe('✍️ Signatures compactes ES256 et EdDSA', () => {
+  const originals = {
+    ecPublicKey: qrDecoderService.ecPublicKey,
+    keyring: qrDecoderService.keyring,
+    privateKeys: qrService.privateKeys
+  };
+
+  afterEach(() => {
+    qrDecoderService.ecPublicKey = originals.ecPublicKey;
+    qrDecoderService.keyring = originals.keyring;
+    qrService.privateKeys = originals.privateKeys;
+  });
+
+  it('devrait vérifier un ticket ES256 avec la clé publique configurée', async () => {
+    qrDecoderService.ecPublicKey = ecKeys.publicKey;
+    const data = ticketData({ algorithm: 'ES256' });
+    data.signature = signES256(data);
+
+    const result = await qrDecoderService.decodeAndValidateQR(JSON.stringify(data));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.validationInfo.cryptographicMethod, 'ECDSA-P256-SHA256');
+    assert.strictEqual(data.signature.length, 86);
+  });
+
+  it('devrait refuser un ticket ES256 modifié ou sans clé configurée', async () => {
+    const data = ticketData({ algorithm: 'ES256' });
+    data.signature = signES256(data);
+    const forged = JSON.stringify({ ...data, ticketType: 'vip' });
+
+    qrDecoderService.ecPublicKey = null;
+    const withoutKey = await qrDecoderService.decodeAndValidateQR(JSON.stringify(data));
+    qrDecoderService.ecPublicKey = ecKeys.publicKey;
+    const tampered = await qrDecoderService.decodeAndValidateQR(forged);
+
+    assert.strictEqual(withoutKey.fraudFlags.details.reason, 'public_key_not_configured');
+    assert.strictEqual(tampered.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+    assert.strictEqual(tampered.fraudFlags.details.reason, 'signature_mismatch');
+  });
+
+  it('devrait vérifier un ticket EdDSA avec la clé Ed25519 du trousseau', async () => {
+    const keyring = new SigningKeyring({ reloadInterval: 0 });
+    keyring.keys = new Map(keyring.parseKeySet({
+      keys: [{ kid: 'ed-2026', ...edKeys.publicKey.export({ format: 'jwk' }) }]
+    }, 'test').map(entry => [entry.kid, entry]));
+    qrDecoderService.keyring = keyring;
+
+    const data = ticketData({ algorithm: 'EdDSA', kid: 'ed-2026' });
+    data.signature = crypto
+      .sign(null, Buffer.from(qrDecoderService.createSignatureString(data)), edKeys.privateKey)
+      .toString('hex');
+
+    const result = await qrDecoderService.decodeAndValidateQR(JSON.stringify(data));
+
+    assert.strictEqual(keyring.getStats().keys[0].algorithm, 'EdDSA');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.validationInfo.keyId, 'ed-2026');
+  });
+
+  it('devrait valider un QR code EdDSA généré par QRService', async () => {
+    qrService.privateKeys = { ...originals.privateKeys, EdDSA: edKeys.privateKey };
+    const keyring = new SigningKeyring({ reloadInterval: 0 });
+    keyring.keys = new Map([['gate-ed', { kid: 'gate-ed', algorithm: 'EdDSA', status: 'active', key: edKeys.publicKey }]]);
+    qrDecoderService.keyring = keyring;
+
+    const generated = await qrService.generateSecureQRCode(
+      { id: 'TKT-9', eventId: '42', type: 'vip' },
+      { algorithm: 'EdDSA', kid: 'gate-ed' }
+    );
+    const result = await qrDecoderService.decodeAndValidateQR(JSON.stringify(generated.qrCode.data));
+
+    assert.strictEqual(generated.success, true);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.validationInfo.cryptographicMethod, 'Ed25519');
+    assert.strictEqual(result.data.ticketId, 'TKT-9');
+    assert.strictEqual(generated.qrCode.options.algorithm, undefined);
+    assert.strictEqual(generated.qrCode.options.kid, undefined);
+  });
+});
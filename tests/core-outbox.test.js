@@ -0,0 +1,83 @@
+const assert = require('assert');
+const coreScanOutboxService = require('../src/core/outbox/core-scan-outbox.service');
+const coreScanOutboxRepository = require('../src/core/database/core-scan-outbox.repository');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+
+/**
+ * Tests du relais de l'outbox vers event-planner-core
+ */
+
+function outboxEntry(attempts = 0) {
+  return {
+    id: 7,
+    scanLogId: 311,
+    idempotencyKey: '4a3c1f4e-0f7b-4d7e-9a55-2c8d9a1b6e01',
+    payload: { ticketId: 'T1', eventId: 42, result: 'valid' },
+    status: 'processing',
+    attempts
+  };
+}
+
+describe('📤 Outbox de synchronisation vers le core', () => {
+  const originals = {
+    recordScan: eventCoreClient.recordScan,
+    claimDueEntries: coreScanOutboxRepository.claimDueEntries,
+    recordAttempt: coreScanOutboxRepository.recordAttempt
+  };
+  let attempts;
+
+  beforeEach(() => {
+    attempts = [];
+    coreScanOutboxRepository.recordAttempt = async (id, attempt) => attempts.push({ id, ...attempt });
+  });
+
+  afterAll(() => {
+    eventCoreClient.recordScan = originals.recordScan;
+    coreScanOutboxRepository.claimDueEntries = originals.claimDueEntries;
+    coreScanOutboxRepository.recordAttempt = originals.recordAttempt;
+  });
+
+  it('devrait livrer les entrées dues avec la clé d\'idempotence du scan', async () => {
+    const sent = [];
+    coreScanOutboxRepository.claimDueEntries = async () => [outboxEntry()];
+    eventCoreClient.recordScan = async (payload, options) => {
+      sent.push({ payload, options });
+      return { success: true };
+    };
+
+    const result = await coreScanOutboxService.relayBatch();
+
+    assert.deepStrictEqual(result, { claimed: 1, delivered: 1 });
+    assert.strictEqual(sent[0].options.idempotencyKey, outboxEntry().idempotencyKey);
+    assert.strictEqual(attempts[0].status, 'delivered');
+  });
+
+  it('devrait reprogrammer avec un délai exponentiel si le core est injoignable', async () => {
+    eventCoreClient.recordScan = async () => ({ success: false, error: 'Breaker is open', statusCode: null });
+
+    const before = Date.now();
+    await coreScanOutboxService.deliverEntry(outboxEntry(3));
+
+    const expectedDelay = coreScanOutboxService.backoffDelay * 8;
+    assert.strictEqual(attempts[0].status, 'pending');
+    assert.ok(attempts[0].nextAttemptAt.getTime() >= before + expectedDelay);
+  });
+
+  it('devrait abandonner une entrée refusée par le core', async () => {
+    eventCoreClient.recordScan = async () => ({ success: false, error: 'Ticket inconnu', statusCode: 404 });
+
+    await coreScanOutboxService.deliverEntry(outboxEntry());
+
+    assert.strictEqual(attempts[0].status, 'failed');
+    assert.strictEqual(attempts[0].statusCode, 404);
+    assert.strictEqual(attempts[0].nextAttemptAt, null);
+  });
+
+  it('devrait abandonner une entrée après le dernier essai', async () => {
+    eventCoreClient.recordScan = async () => ({ success: false, error: 'HTTP 503', statusCode: 503 });
+
+    await coreScanOutboxService.deliverEntry(outboxEntry(coreScanOutboxService.maxAttempts - 1));
+
+    assert.strictEqual(attempts[0].status, 'failed');
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const offlineService = require('../src/core/offline/offline.service');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+const scanRepository = require('../src/core/database/scan.repository');
+
+/**
+ * Tests de la confirmation différée des scans validés en mode dégradé
+ */
+
+function degradedScan(scanId, ticketId) {
+  offlineService.pendingSync.set(`validate:${scanId}`, {
+    action: 'validate',
+    data: {
+      ticketId,
+      eventId: '42',
+      scanInfo: { scanId, deviceId: 'scanner_A', timestamp: '2099-01-01T18:00:00.000Z', offline: true },
+      validationCount: 1,
+      degraded: true
+    },
+    timestamp: '2099-01-01T18:00:00.000Z'
+  });
+}
+
+describe('🟠 Mode dégradé', () => {
+  const originalValidateTicket = eventCoreClient.validateTicket;
+  const originalUpdateCoreConfirmation = scanRepository.updateCoreConfirmation;
+  let confirmations;
+
+  beforeEach(() => {
+    offlineService.pendingSync.clear();
+    offlineService.admissions.clear();
+    offlineService.syncInProgress = false;
+    confirmations = [];
+
+    scanRepository.updateCoreConfirmation = async (uid, confirmation) => {
+      confirmations.push({ uid, confirmation });
+      return { uid, core_confirmation: confirmation };
+    };
+  });
+
+  afterAll(() => {
+    eventCoreClient.validateTicket = originalValidateTicket;
+    scanRepository.updateCoreConfirmation = originalUpdateCoreConfirmation;
+  });
+
+  it('devrait confirmer le scan auprès du service core à la synchronisation', async () => {
+    eventCoreClient.validateTicket = async () => ({ success: true, data: {} });
+    degradedScan('scan-1', '101');
+
+    assert.strictEqual(offlineService.countPendingDegradedScans(), 1);
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.synced, 1);
+    assert.deepStrictEqual(confirmations, [{ uid: 'scan-1', confirmation: 'confirmed' }]);
+    assert.strictEqual(offlineService.countPendingDegradedScans(), 0);
+  });
+
+  it('devrait garder le scan en file tant que le service core est injoignable', async () => {
+    eventCoreClient.validateTicket = async () => ({ success: false, code: 'CORE_SERVICE_UNAVAILABLE' });
+    degradedScan('scan-2', '102');
+
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.failed, 1);
+    assert.strictEqual(confirmations.length, 0);
+    assert.strictEqual(offlineService.countPendingDegradedScans(), 1);
+  });
+
+  it('devrait tracer un refus du service core', async () => {
+    eventCoreClient.validateTicket = async () => ({ success: false, code: 'TICKET_ALREADY_USED' });
+    degradedScan('scan-3', '103');
+
+    await offlineService.syncOfflineData();
+
+    assert.deepStrictEqual(confirmations, [{ uid: 'scan-3', confirmation: 'rejected' }]);
+    assert.strictEqual(offlineService.pendingSync.size, 0);
+  });
+});
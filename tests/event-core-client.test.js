@@ -0,0 +1,71 @@
+const assert = require('assert');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+const mockEventCoreClient = require('../src/core/clients/mock-event-core.client');
+
+/**
+ * Tests de la validation métier via event-planner-core
+ * Le client HTTP est remplacé pour simuler les réponses du service core
+ */
+
+const ticketData = { ticketId: 'TCK_001', eventId: 'EVT_001', ticketType: 'standard' };
+const scanContext = { location: 'Entrée A', deviceId: 'scanner_001', operatorId: 12 };
+
+function httpError(status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+}
+
+describe('🎫 Validation métier event-planner-core', () => {
+  const originalPost = eventCoreClient.httpClient.post;
+
+  afterEach(() => {
+    eventCoreClient.httpClient.post = originalPost;
+  });
+
+  it('devrait accepter un ticket validé par le service core', async () => {
+    eventCoreClient.httpClient.post = async () => ({
+      data: { success: true, data: { ticket: { id: 'TCK_001', status: 'VALIDATED' } } },
+      config: { headers: { 'X-Request-ID': 'req-1' } }
+    });
+
+    const result = await eventCoreClient.validateTicket(ticketData, scanContext);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.metadata.source, 'event_core');
+  });
+
+  it('devrait remonter le code métier d\'un refus HTTP 4xx', async () => {
+    eventCoreClient.httpClient.post = async () => {
+      throw httpError(409, { success: false, error: { code: 'TICKET_ALREADY_USED', message: 'Ticket déjà utilisé' } });
+    };
+
+    const failuresBefore = eventCoreClient.validateTicketBreaker.stats.failures;
+    const result = await eventCoreClient.validateTicket(ticketData, scanContext);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'TICKET_ALREADY_USED');
+    assert.strictEqual(result.error, 'Ticket déjà utilisé');
+    // Un refus métier ne doit pas compter comme une panne du service
+    assert.strictEqual(eventCoreClient.validateTicketBreaker.stats.failures, failuresBefore);
+  });
+
+  it('devrait traiter success:false en 2xx comme un refus', async () => {
+    eventCoreClient.httpClient.post = async () => ({
+      data: { success: false, code: 'TICKET_CANCELLED', error: 'Ticket annulé' },
+      config: { headers: {} }
+    });
+
+    const result = await eventCoreClient.validateTicket(ticketData, scanContext);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'TICKET_CANCELLED');
+  });
+
+  it('devrait signaler le double de test comme source mock', async () => {
+    const result = await mockEventCoreClient.validateTicket(ticketData, scanContext);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.metadata.source, 'mock');
+  });
+});
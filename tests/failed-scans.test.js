@@ -0,0 +1,183 @@
+const assert = require('assert');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const scansController = require('../src/api/controllers/scans.controller');
+const scanService = require('../src/core/scan/scan.service');
+const scanRepository = require('../src/core/database/scan.repository');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const ticketRevocationsService = require('../src/core/revocations/ticket-revocations.service');
+const scanEventBus = require('../src/core/events/scan-event-bus');
+
+/**
+ * Tests de l'enregistrement des scans refusés (tentatives de fraude)
+ */
+
+const ticket = {
+  ticketId: '1001',
+  eventId: '42',
+  ticketType: 'standard',
+  version: '1.0'
+};
+
+function mockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function scan() {
+  const res = mockResponse();
+  await scansController.validateTicket({
+    body: { qrCode: 'QR-1001', scanContext: { deviceId: 'gate-1', location: 'Entrée A' } },
+    headers: {}
+  }, res);
+  return res;
+}
+
+describe('🚨 Scans refusés et tentatives de fraude', () => {
+  const originals = {
+    decodeAndValidateQR: qrDecoderService.decodeAndValidateQR,
+    checkTicket: ticketRevocationsService.checkTicket,
+    createScanLog: scanRepository.createScanLog,
+    createFraudAttempt: scanRepository.createFraudAttempt,
+    updateScannedTicketCache: scanRepository.updateScannedTicketCache,
+    fraudDetectionEnabled: scanService.fraudDetectionEnabled,
+    blockOnFraud: scanService.blockOnFraud
+  };
+  let scanLogs;
+  let fraudAttempts;
+  let fraudEvents;
+
+  beforeEach(() => {
+    scanLogs = [];
+    fraudAttempts = [];
+    fraudEvents = [];
+
+    scanService.fraudDetectionEnabled = true;
+    scanService.blockOnFraud = false;
+    scanRepository.createScanLog = async data => {
+      scanLogs.push(data);
+      return { id: scanLogs.length, uid: `log-${scanLogs.length}`, scanned_at: new Date(), result: data.result };
+    };
+    scanRepository.createFraudAttempt = async data => {
+      fraudAttempts.push(data);
+      return { id: fraudAttempts.length, blocked: false };
+    };
+    scanRepository.updateScannedTicketCache = async () => null;
+
+    scanEventBus.closeAll();
+    scanEventBus.subscribe({ eventId: 42 }, event => {
+      if (event.type === scanEventBus.EVENT_TYPES.FRAUD) {
+        fraudEvents.push(event);
+      }
+    });
+  });
+
+  afterEach(() => {
+    qrDecoderService.decodeAndValidateQR = originals.decodeAndValidateQR;
+    ticketRevocationsService.checkTicket = originals.checkTicket;
+    scanRepository.createScanLog = originals.createScanLog;
+    scanRepository.createFraudAttempt = originals.createFraudAttempt;
+    scanRepository.updateScannedTicketCache = originals.updateScannedTicketCache;
+    scanService.fraudDetectionEnabled = originals.fraudDetectionEnabled;
+    scanService.blockOnFraud = originals.blockOnFraud;
+    scanEventBus.closeAll();
+  });
+
+  it('devrait enregistrer un QR code rejoué avec le ticket décodé', async () => {
+    qrDecoderService.decodeAndValidateQR = async () => ({
+      success: false,
+      error: 'Nonce de QR code déjà utilisé pour un autre ticket',
+      code: 'QR_REPLAY_DETECTED',
+      ticket: { ticketId: ticket.ticketId, eventId: ticket.eventId, ticketType: ticket.ticketType },
+      fraudFlags: { type: 'QR_REPLAY', severity: 'high', details: { ticketId: ticket.ticketId } }
+    });
+
+    const res = await scan();
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.error.validationCode, 'QR_REPLAY_DETECTED');
+    assert.strictEqual(scanLogs.length, 1);
+    assert.strictEqual(scanLogs[0].ticketId, '1001');
+    assert.strictEqual(scanLogs[0].validationDetails.eventId, '42');
+    assert.strictEqual(scanLogs[0].fraudFlags.type, 'QR_REPLAY');
+    assert.strictEqual(fraudAttempts.length, 1);
+    assert.strictEqual(fraudAttempts[0].fraudType, 'QR_REPLAY');
+    assert.strictEqual(fraudAttempts[0].severity, 'high');
+    // Une seule publication de la fraude aux superviseurs
+    assert.strictEqual(fraudEvents.length, 1);
+    assert.strictEqual(fraudEvents[0].data.ticketId, '1001');
+  });
+
+  it('devrait enregistrer un identifiant de ticket non numérique dans les détails', async () => {
+    qrDecoderService.decodeAndValidateQR = async () => ({
+      success: false,
+      error: 'Nonce de QR code déjà utilisé pour un autre ticket',
+      code: 'QR_REPLAY_DETECTED',
+      ticket: { ticketId: 'TKT-1001', eventId: ticket.eventId, ticketType: ticket.ticketType },
+      fraudFlags: { type: 'QR_REPLAY', severity: 'high', details: { ticketId: 'TKT-1001' } }
+    });
+
+    await scan();
+
+    // scan_logs.ticket_id est un BIGINT : identifiant brut dans validation_details
+    assert.strictEqual(scanLogs.length, 1);
+    assert.strictEqual(scanLogs[0].ticketId, null);
+    assert.strictEqual(scanLogs[0].validationDetails.rawTicketId, 'TKT-1001');
+    assert.strictEqual(fraudAttempts.length, 1);
+    assert.strictEqual(fraudAttempts[0].details.rawTicketId, 'TKT-1001');
+    assert.strictEqual(fraudEvents.length, 1);
+  });
+
+  it('devrait enregistrer un ticket révoqué dans les tentatives de fraude', async () => {
+    qrDecoderService.decodeAndValidateQR = async () => ({
+      success: true,
+      data: ticket,
+      validationInfo: { formatType: 'JSON' }
+    });
+    ticketRevocationsService.checkTicket = async () => ({
+      allowed: false,
+      error: 'Ticket révoqué (stolen)',
+      code: 'TICKET_REVOKED',
+      revocation: { type: 'ticket', reason: 'stolen' }
+    });
+
+    const res = await scan();
+
+    assert.strictEqual(res.body.error.validationCode, 'TICKET_REVOKED');
+    assert.strictEqual(scanLogs[0].ticketId, '1001');
+    assert.strictEqual(fraudAttempts.length, 1);
+    assert.strictEqual(fraudAttempts[0].fraudType, 'REVOKED_TICKET');
+    assert.strictEqual(fraudEvents.length, 1);
+  });
+
+  it('devrait enregistrer un QR code illisible sans ticket', async () => {
+    qrDecoderService.decodeAndValidateQR = async () => ({
+      success: false,
+      error: 'Signature HMAC invalide',
+      code: 'INVALID_CRYPTOGRAPHIC_SIGNATURE',
+      fraudFlags: { type: 'FORGED_QR', severity: 'high', details: {} }
+    });
+
+    await scan();
+
+    assert.strictEqual(scanLogs.length, 1);
+    assert.strictEqual(scanLogs[0].ticketId, null);
+    assert.strictEqual(fraudAttempts[0].fraudType, 'FORGED_QR');
+    // Sans ticket décodé, la fraude est rattachée à l'événement de l'opérateur (aucun ici)
+    assert.strictEqual(fraudEvents.length, 0);
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const IdempotencyMiddleware = require('../src/middleware/idempotency.middleware');
+const MemoryIdempotencyStore = require('../src/core/idempotency/memory-idempotency.store');
+
+/**
+ * Tests de l'idempotence des requêtes de validation
+ */
+
+function mockRequest(body, headers = {}) {
+  return {
+    method: 'POST',
+    baseUrl: '/api/scans',
+    path: '/validate',
+    originalUrl: '/api/scans/validate',
+    headers,
+    body,
+    operator: { id: 12 }
+  };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Exécute le middleware puis, si la requête est traitée, le contrôleur simulé
+ */
+async function handle(req, controller) {
+  const res = mockResponse();
+  let handled = false;
+
+  await IdempotencyMiddleware.replay({ ttl: 60000, pendingTtl: 5000 })(req, res, () => {
+    handled = true;
+  });
+
+  if (handled) {
+    await controller(req, res);
+  }
+
+  // Laisser l'enregistrement de la réponse se terminer
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+}
+
+describe('🔁 Idempotence des validations', () => {
+  let validations;
+
+  const admit = async (req, res) => {
+    validations++;
+    res.status(200).json({ success: true, data: { admission: validations } });
+  };
+
+  beforeEach(() => {
+    validations = 0;
+    IdempotencyMiddleware.setStore(new MemoryIdempotencyStore());
+  });
+
+  it('devrait rejouer la première réponse lors d\'un renvoi', async () => {
+    const body = { qrCode: 'QR_DATA', scanContext: { deviceId: 'scanner_001' } };
+
+    const first = await handle(mockRequest(body, { 'idempotency-key': 'req-1' }), admit);
+    const retry = await handle(mockRequest(body, { 'idempotency-key': 'req-1' }), admit);
+
+    assert.strictEqual(validations, 1);
+    assert.strictEqual(retry.handled, false);
+    assert.deepStrictEqual(retry.res.body, first.res.body);
+    assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('devrait accepter scanContext.requestId comme clé', async () => {
+    const body = { qrCode: 'QR_DATA', scanContext: { requestId: 'req-2' } };
+
+    await handle(mockRequest(body), admit);
+    await handle(mockRequest(body), admit);
+
+    assert.strictEqual(validations, 1);
+  });
+
+  it('devrait refuser une clé réutilisée pour une autre requête', async () => {
+    await handle(mockRequest({ qrCode: 'QR_A' }, { 'idempotency-key': 'req-3' }), admit);
+    const reused = await handle(mockRequest({ qrCode: 'QR_B' }, { 'idempotency-key': 'req-3' }), admit);
+
+    assert.strictEqual(reused.res.statusCode, 422);
+    assert.strictEqual(reused.res.body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('devrait signaler un renvoi pendant le premier traitement', async () => {
+    const body = { qrCode: 'QR_DATA' };
+    await IdempotencyMiddleware.replay()(mockRequest(body, { 'idempotency-key': 'req-4' }), mockResponse(), () => {});
+
+    const concurrent = await handle(mockRequest(body, { 'idempotency-key': 'req-4' }), admit);
+
+    assert.strictEqual(concurrent.res.statusCode, 409);
+    assert.strictEqual(concurrent.res.body.error.code, 'IDEMPOTENT_REQUEST_IN_PROGRESS');
+  });
+
+  it('devrait retraiter un renvoi après une erreur serveur', async () => {
+    const body = { qrCode: 'QR_DATA' };
+    const failing = async (req, res) => {
+      validations++;
+      res.status(500).json({ success: false });
+    };
+
+    await handle(mockRequest(body, { 'idempotency-key': 'req-5' }), failing);
+    const retry = await handle(mockRequest(body, { 'idempotency-key': 'req-5' }), admit);
+
+    assert.strictEqual(retry.handled, true);
+    assert.strictEqual(validations, 2);
+  });
+});
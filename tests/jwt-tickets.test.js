@@ -0,0 +1,178 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const SigningKeyring = require('../src/core/qr/signing-keyring');
+
+/**
+ * Tests de la vérification des tickets JWT (JWS compact et claims)
+ */
+
+const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function hs256Token(claims, header = {}, secret = qrDecoderService.hmacSecret) {
+  const signingInput = `${segment({ alg: 'HS256', typ: 'JWT', ...header })}.${segment(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function ticketClaims(claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    sub: 'TKT-1',
+    eventId: '42',
+    ticketType: 'standard',
+    iat: now - 60,
+    exp: now + 3600,
+    aud: 'event:42',
+    ...claims
+  };
+}
+
+function keyringWith(entries) {
+  const keyring = new SigningKeyring({ reloadInterval: 0 });
+  keyring.keys = new Map(entries.map(entry => [entry.kid, { status: 'active', ...entry }]));
+  return keyring;
+}
+
+describe('🎫 Tickets JWT', () => {
+  const originals = {
+    keyring: qrDecoderService.keyring,
+    jwtIssuers: qrDecoderService.jwtIssuers,
+    hmacSecret: qrDecoderService.hmacSecret
+  };
+
+  beforeEach(() => {
+    qrDecoderService.hmacSecret = 'jwt-tickets-test-secret';
+  });
+
+  afterEach(() => {
+    qrDecoderService.keyring = originals.keyring;
+    qrDecoderService.jwtIssuers = originals.jwtIssuers;
+    qrDecoderService.hmacSecret = originals.hmacSecret;
+  });
+
+  it('devrait accepter un JWS HS256 valide pour l\'événement scanné', async () => {
+    const claims = ticketClaims();
+    const result = await qrDecoderService.decodeAndValidateQR(hs256Token(claims), { eventId: '42' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.ticketId, 'TKT-1');
+    assert.strictEqual(result.data.expiresAt, new Date(claims.exp * 1000).toISOString());
+    assert.strictEqual(result.validationInfo.cryptographicMethod, 'JWS-HS256');
+  });
+
+  it('devrait refuser les jetons non signés ou d\'un algorithme non supporté', async () => {
+    const unsigned = `${segment({ alg: 'none' })}.${segment(ticketClaims())}.c2ln`;
+    const hs512 = hs256Token(ticketClaims(), { alg: 'HS512' });
+    const tampered = hs256Token(ticketClaims()).replace(/\.[^.]+\./, `.${segment(ticketClaims({ ticketType: 'vip' }))}.`);
+
+    assert.strictEqual((await qrDecoderService.decodeAndValidateQR(unsigned)).code, 'UNSIGNED_JWT');
+    assert.strictEqual((await qrDecoderService.decodeAndValidateQR(hs512)).code, 'UNSUPPORTED_JWT_ALGORITHM');
+    assert.strictEqual((await qrDecoderService.decodeAndValidateQR(tampered)).code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+  });
+
+  it('devrait lier l\'algorithme à la clé du kid', async () => {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    qrDecoderService.keyring = keyringWith([{ kid: 'rsa-1', algorithm: 'RS256', key: publicKey }]);
+
+    // Clé publique RSA utilisée comme secret HMAC : confusion d'algorithme
+    const result = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims(), { kid: 'rsa-1' }, publicPem)
+    );
+
+    assert.strictEqual(result.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+    assert.strictEqual(result.fraudFlags.details.reason, 'algorithm_mismatch');
+  });
+
+  it('devrait vérifier exp, nbf et iat avec la tolérance d\'horloge', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = qrDecoderService.jwtClockSkew;
+    const decode = claims => qrDecoderService.decodeAndValidateQR(hs256Token(ticketClaims(claims)), { eventId: '42' });
+
+    assert.strictEqual((await decode({ exp: now - skew + 5 })).success, true);
+    assert.strictEqual((await decode({ exp: now - skew - 5 })).code, 'JWT_EXPIRED');
+    assert.strictEqual((await decode({ exp: undefined })).code, 'JWT_MISSING_CLAIM');
+    assert.strictEqual((await decode({ nbf: now + skew + 60 })).code, 'JWT_NOT_YET_VALID');
+    assert.strictEqual((await decode({ iat: now + skew + 60 })).code, 'JWT_ISSUED_IN_FUTURE');
+    assert.strictEqual((await decode({ exp: String(now + 60) })).code, 'JWT_INVALID_CLAIM');
+  });
+
+  it('devrait vérifier l\'émetteur et l\'audience de l\'événement', async () => {
+    qrDecoderService.jwtIssuers = ['ticket-generator'];
+
+    const trusted = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims({ iss: 'ticket-generator' })), { eventId: '42' }
+    );
+    const foreignIssuer = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims({ iss: 'unknown-issuer' })), { eventId: '42' }
+    );
+    const otherEvent = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims({ iss: 'ticket-generator' })), { eventId: '43' }
+    );
+
+    assert.strictEqual(trusted.success, true);
+    assert.strictEqual(foreignIssuer.code, 'JWT_INVALID_ISSUER');
+    assert.strictEqual(otherEvent.code, 'JWT_INVALID_AUDIENCE');
+  });
+
+  it('devrait vérifier un JWS EdDSA signé par une clé du trousseau', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    qrDecoderService.keyring = keyringWith([{ kid: 'ed-1', algorithm: 'EdDSA', key: publicKey }]);
+
+    const signingInput = `${segment({ alg: 'EdDSA', kid: 'ed-1' })}.${segment(ticketClaims())}`;
+    const token = `${signingInput}.${crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url')}`;
+
+    const result = await qrDecoderService.decodeAndValidateQR(token, { eventId: '42' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.validationInfo.keyId, 'ed-1');
+  });
+
+  it('devrait exiger l\'événement du scan pour vérifier l\'audience', async () => {
+    // L'eventId du ticket ne sert jamais d'audience attendue
+    const result = await qrDecoderService.decodeAndValidateQR(hs256Token(ticketClaims()));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'JWT_AUDIENCE_UNVERIFIABLE');
+  });
+
+  it('devrait refuser un JWT sans kid lorsqu\'un trousseau est configuré', async () => {
+    const keyring = keyringWith([{ kid: 'hs-1', algorithm: 'HS256', key: 'keyring-secret' }]);
+    keyring.file = 'keyring.json';
+    qrDecoderService.keyring = keyring;
+
+    const withoutKid = await qrDecoderService.decodeAndValidateQR(hs256Token(ticketClaims()), { eventId: '42' });
+    const withKid = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims(), { kid: 'hs-1' }, 'keyring-secret'), { eventId: '42' }
+    );
+
+    assert.strictEqual(withoutKid.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+    assert.strictEqual(withoutKid.fraudFlags.details.reason, 'missing_kid');
+    assert.strictEqual(withKid.success, true);
+  });
+
+  it('devrait refuser les JWT signés avec le secret de développement', async () => {
+    qrDecoderService.hmacSecret = originals.hmacSecret;
+    const result = await qrDecoderService.decodeAndValidateQR(
+      hs256Token(ticketClaims(), {}, 'default-secret-change-in-production'), { eventId: '42' }
+    );
+
+    assert.strictEqual(result.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+    assert.strictEqual(result.fraudFlags.details.reason, 'default_secret');
+  });
+
+  it('devrait refuser de démarrer en production sans secret HMAC', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    qrDecoderService.hmacSecret = 'default-secret-change-in-production';
+    process.env.NODE_ENV = 'production';
+
+    try {
+      assert.throws(() => qrDecoderService.assertSecureConfiguration(), /QR_HMAC_SECRET/);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+
+    assert.doesNotThrow(() => qrDecoderService.assertSecureConfiguration());
+  });
+});
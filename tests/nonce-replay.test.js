@@ -0,0 +1,266 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const NonceRegistry = require('../src/core/qr/nonce-registry');
+const MemoryIdempotencyStore = require('../src/core/idempotency/memory-idempotency.store');
+const RedisIdempotencyStore = require('../src/core/idempotency/redis-idempotency.store');
+
+/**
+ * Tests de la détection des nonces de QR codes rejoués
+ * Le registre partagé est testé contre une instance Redis locale si NONCE_TEST_REDIS_URL est défini
+ * (ex : NONCE_TEST_REDIS_URL=redis://localhost:6379/15)
+ */
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function legacyQR(fields) {
+  const now = Date.now();
+  const data = {
+    id: 'TKT-1',
+    eventId: '42',
+    type: 'standard',
+    nonce: 'a1b2c3d4',
+    createdAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    version: '1.0',
+    algorithm: 'HS256',
+    ...fields
+  };
+  data.signature = crypto
+    .createHmac('sha256', qrDecoderService.hmacSecret)
+    .update(JSON.stringify(data))
+    .digest('hex');
+  return JSON.stringify(data);
+}
+
+function ticketIdQR(fields, options = {}) {
+  const now = Date.now();
+  const data = {
+    ticketId: 'TKT-3',
+    eventId: '42',
+    ticketType: 'standard',
+    issuedAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    // Version 2.0 : nonce couvert par la chaîne signée
+    version: '2.0',
+    algorithm: 'HS256',
+    nonce: 'c9d0e1f2',
+    ...fields
+  };
+  // signedNonce : nonce présent lors de la signature (null : nonce ajouté après coup)
+  const { nonce, ...withoutNonce } = data;
+  const signed = options.signedNonce === null ? withoutNonce : { ...withoutNonce, nonce: options.signedNonce || nonce };
+  data.signature = crypto
+    .createHmac('sha256', qrDecoderService.hmacSecret)
+    .update(qrDecoderService.createSignatureString(signed))
+    .digest('hex');
+  return JSON.stringify(data);
+}
+
+// QR code 1.x de ticket-generator : HMAC des 8 champs historiques joints par '|'
+function historicTicketIdQR(fields) {
+  const now = Date.now();
+  const data = {
+    ticketId: 'TKT-6',
+    eventId: '42',
+    ticketType: 'standard',
+    issuedAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    version: '1.0',
+    algorithm: 'HS256',
+    nonce: 'd3e4f5a6',
+    zones: ['backstage'],
+    ...fields
+  };
+  const signatureString = ['ticketId', 'eventId', 'ticketType', 'userId', 'issuedAt', 'expiresAt', 'version', 'algorithm']
+    .map(field => data[field] || '')
+    .join('|');
+  data.signature = crypto
+    .createHmac('sha256', qrDecoderService.hmacSecret)
+    .update(signatureString)
+    .digest('hex');
+  return JSON.stringify(data);
+}
+
+function jwtQR(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment({
+    sub: 'TKT-1',
+    eventId: '42',
+    ticketType: 'standard',
+    iat: now - 60,
+    exp: now + 3600,
+    jti: 'e5f6a7b8',
+    ...claims
+  })}`;
+  const signature = crypto.createHmac('sha256', qrDecoderService.hmacSecret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+describe('🔁 Détection des QR codes rejoués', () => {
+  const originals = {
+    hmacSecret: qrDecoderService.hmacSecret,
+    nonceRegistry: qrDecoderService.nonceRegistry,
+    nonceFailClosed: qrDecoderService.nonceFailClosed
+  };
+
+  beforeAll(() => {
+    // Secret configuré : les tickets JWT signés avec le secret de développement sont refusés
+    qrDecoderService.hmacSecret = 'nonce-replay-test-secret';
+  });
+
+  afterAll(() => {
+    qrDecoderService.hmacSecret = originals.hmacSecret;
+  });
+
+  beforeEach(() => {
+    qrDecoderService.nonceRegistry = new NonceRegistry({ ttl: 60000 });
+  });
+
+  afterEach(() => {
+    qrDecoderService.nonceRegistry = originals.nonceRegistry;
+    qrDecoderService.nonceFailClosed = originals.nonceFailClosed;
+  });
+
+  it('devrait accepter un nouveau scan du même QR code', async () => {
+    const qrCode = legacyQR();
+
+    const first = await qrDecoderService.decodeAndValidateQR(qrCode);
+    const second = await qrDecoderService.decodeAndValidateQR(qrCode);
+
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(second.success, true);
+    assert.strictEqual(second.data.nonce, 'a1b2c3d4');
+  });
+
+  it('devrait signaler un nonce réutilisé avec d\'autres données de ticket', async () => {
+    await qrDecoderService.decodeAndValidateQR(legacyQR());
+    await qrDecoderService.decodeAndValidateQR(jwtQR());
+
+    const legacyCopy = await qrDecoderService.decodeAndValidateQR(legacyQR({ id: 'TKT-2' }));
+    const jwtCopy = await qrDecoderService.decodeAndValidateQR(jwtQR({ ticketType: 'vip' }));
+
+    assert.strictEqual(legacyCopy.code, 'QR_REPLAY_DETECTED');
+    assert.strictEqual(legacyCopy.fraudFlags.type, 'QR_REPLAY');
+    assert.strictEqual(legacyCopy.fraudFlags.details.firstSeen.ticketId, 'TKT-1');
+    assert.strictEqual(jwtCopy.code, 'QR_REPLAY_DETECTED');
+  });
+
+  it('devrait signer et vérifier le nonce du format ticketId', async () => {
+    const first = await qrDecoderService.decodeAndValidateQR(ticketIdQR());
+    const replayed = await qrDecoderService.decodeAndValidateQR(ticketIdQR({ ticketId: 'TKT-4' }));
+    // Nonce recopié sur un ticket signé sans nonce : signature invalide
+    const copied = await qrDecoderService.decodeAndValidateQR(ticketIdQR({ ticketId: 'TKT-5' }, { signedNonce: null }));
+
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(replayed.code, 'QR_REPLAY_DETECTED');
+    assert.strictEqual(replayed.fraudFlags.details.firstSeen.ticketId, 'TKT-3');
+    assert.strictEqual(copied.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+  });
+
+  it('devrait accepter les QR codes 1.x signés avec la chaîne historique', async () => {
+    const first = await qrDecoderService.decodeAndValidateQR(historicTicketIdQR());
+    // Nonce hors de la chaîne signée : non vérifié dans le registre
+    const sameNonce = await qrDecoderService.decodeAndValidateQR(historicTicketIdQR({ ticketId: 'TKT-7' }));
+    // La version est signée : un QR code 2.0 ne peut pas être présenté en 1.0
+    const downgraded = JSON.parse(ticketIdQR({ ticketId: 'TKT-8', nonce: 'e7f8a9b0' }));
+    downgraded.version = '1.0';
+    const downgradedResult = await qrDecoderService.decodeAndValidateQR(JSON.stringify(downgraded));
+
+    assert.strictEqual(first.success, true);
+    // Zones non signées : ignorées
+    assert.strictEqual(first.data.zones, null);
+    assert.strictEqual(sameNonce.success, true);
+    assert.strictEqual(downgradedResult.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+  });
+
+  it('devrait partager les nonces entre instances via le stockage', async () => {
+    const store = new MemoryIdempotencyStore();
+    const first = new NonceRegistry({ ttl: 60000, store });
+    const second = new NonceRegistry({ ttl: 60000, store });
+    const ticket = ticketId => ({ ticketId, eventId: '42' });
+
+    assert.strictEqual((await first.check('n1', ticket('TKT-1'))).replayed, false);
+    assert.strictEqual((await second.check('n1', ticket('TKT-1'))).replayed, false);
+
+    const replayed = await second.check('n1', ticket('TKT-9'));
+    assert.strictEqual(replayed.replayed, true);
+    assert.strictEqual(replayed.firstSeen.ticketId, 'TKT-1');
+  });
+
+  it('devrait borner le registre et oublier les nonces expirés', async () => {
+    const registry = new NonceRegistry({ ttl: 50, maxEntries: 2 });
+    const ticket = ticketId => ({ ticketId, eventId: '42' });
+
+    await registry.check('n1', ticket('TKT-1'));
+    await registry.check('n2', ticket('TKT-2'));
+    await registry.check('n3', ticket('TKT-3'));
+
+    assert.strictEqual(registry.getStats().store.entries, 2);
+    assert.strictEqual((await registry.check('n1', ticket('TKT-9'))).replayed, false);
+    assert.strictEqual((await registry.check('n3', ticket('TKT-9'))).replayed, true);
+
+    await wait(80);
+    assert.strictEqual((await registry.check('n3', ticket('TKT-9'))).replayed, false);
+  });
+
+  describe('🔌 Redis injoignable', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new RedisIdempotencyStore({ url: 'redis://127.0.0.1:1', timeout: 200 });
+      qrDecoderService.nonceRegistry = new NonceRegistry({ ttl: 60000, store });
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    it('devrait accepter le scan sans vérification du nonce si QR_NONCE_FAIL_CLOSED=false', async () => {
+      qrDecoderService.nonceFailClosed = false;
+
+      const result = await qrDecoderService.decodeAndValidateQR(legacyQR());
+
+      assert.strictEqual(result.success, true);
+    });
+
+    it('devrait refuser le scan par défaut si le registre est indisponible', async () => {
+      qrDecoderService.nonceFailClosed = true;
+
+      const startedAt = Date.now();
+      const result = await qrDecoderService.decodeAndValidateQR(legacyQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'NONCE_REGISTRY_UNAVAILABLE');
+      assert.ok(Date.now() - startedAt < 1000);
+    });
+  });
+
+  const describeRedis = process.env.NONCE_TEST_REDIS_URL ? describe : describe.skip;
+
+  describeRedis('🟥 Backend Redis', () => {
+    const stores = [];
+
+    afterAll(async () => {
+      await Promise.all(stores.map(store => store.close()));
+    });
+
+    it('devrait détecter un nonce rejoué sur une autre instance', async () => {
+      const prefix = `nonce-test:${Date.now()}:${Math.random()}`;
+      stores.push(
+        new RedisIdempotencyStore({ url: process.env.NONCE_TEST_REDIS_URL, prefix }),
+        new RedisIdempotencyStore({ url: process.env.NONCE_TEST_REDIS_URL, prefix })
+      );
+      const first = new NonceRegistry({ ttl: 60000, store: stores[0] });
+      const second = new NonceRegistry({ ttl: 60000, store: stores[1] });
+
+      await first.check('n1', { ticketId: 'TKT-1', eventId: '42' });
+      const replayed = await second.check('n1', { ticketId: 'TKT-9', eventId: '42' });
+
+      assert.strictEqual(replayed.replayed, true);
+      assert.strictEqual(replayed.firstSeen.ticketId, 'TKT-1');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const assert = require('assert');
+const occupancyService = require('../src/core/occupancy/occupancy.service');
+const occupancyRepository = require('../src/core/database/occupancy.repository');
+
+/**
+ * Tests de l'occupation en direct et des jauges
+ */
+
+describe('👥 Occupation en direct', () => {
+  const originals = {
+    listCapacities: occupancyRepository.listCapacities,
+    countInside: occupancyRepository.countInside,
+    getInsideByZone: occupancyRepository.getInsideByZone
+  };
+  let inside;
+
+  beforeEach(() => {
+    occupancyService.capacitiesCache.clear();
+    inside = { all: 0, vip: 0 };
+
+    occupancyRepository.listCapacities = async () => [
+      { zone: null, capacity: 500 },
+      { zone: 'vip', capacity: 50 }
+    ];
+    occupancyRepository.countInside = async (eventId, zone) => (zone ? inside[zone] || 0 : inside.all);
+  });
+
+  afterAll(() => {
+    Object.assign(occupancyRepository, originals);
+  });
+
+  it('devrait accepter une entrée sous les jauges', async () => {
+    inside = { all: 120, vip: 49 };
+
+    const result = await occupancyService.checkCapacity('42', 'vip');
+
+    assert.strictEqual(result.allowed, true);
+  });
+
+  it('devrait refuser une entrée dans une zone pleine', async () => {
+    inside = { all: 120, vip: 50 };
+
+    const vip = await occupancyService.checkCapacity('42', 'vip');
+    const general = await occupancyService.checkCapacity('42', null);
+
+    assert.strictEqual(vip.allowed, false);
+    assert.strictEqual(vip.code, 'CAPACITY_REACHED');
+    assert.deepStrictEqual(vip.occupancy, { zone: 'vip', capacity: 50, inside: 50 });
+    assert.strictEqual(general.allowed, true);
+  });
+
+  it('devrait appliquer la jauge du site à toutes les zones', async () => {
+    inside = { all: 500, vip: 10 };
+
+    const result = await occupancyService.checkCapacity('42', 'vip');
+
+    assert.strictEqual(result.code, 'CAPACITY_REACHED');
+    assert.strictEqual(result.occupancy.zone, null);
+  });
+
+  it('devrait n\'appliquer que la jauge de la zone à un porteur déjà sur le site', async () => {
+    inside = { all: 500, vip: 10 };
+
+    const result = await occupancyService.checkCapacity('42', 'vip', { zoneOnly: true });
+
+    assert.strictEqual(result.allowed, true);
+  });
+
+  it('ne devrait pas bloquer les entrées si la base est indisponible', async () => {
+    occupancyRepository.listCapacities = async () => {
+      throw new Error('connection refused');
+    };
+
+    const result = await occupancyService.checkCapacity('42', 'vip');
+
+    assert.strictEqual(result.allowed, true);
+    assert.strictEqual(result.degraded, true);
+  });
+
+  it('devrait refuser les entrées si la base est indisponible avec OCCUPANCY_FAIL_CLOSED', async () => {
+    occupancyRepository.listCapacities = async () => {
+      throw new Error('connection refused');
+    };
+    occupancyService.failClosed = true;
+
+    const result = await occupancyService.checkCapacity('42', 'vip');
+    occupancyService.failClosed = false;
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.code, 'OCCUPANCY_UNAVAILABLE');
+  });
+
+  it('devrait compter les présents du créneau d\'admission et préparer la réservation', async () => {
+    const counted = [];
+    occupancyRepository.countInside = async (eventId, zone, options) => {
+      counted.push(options.admissionKey);
+      return 10;
+    };
+
+    const result = await occupancyService.checkCapacity('42', 'vip', { admissionKey: 'day:2026-07-11' });
+
+    assert.strictEqual(result.allowed, true);
+    assert.deepStrictEqual(counted, ['day:2026-07-11', 'day:2026-07-11']);
+    assert.deepStrictEqual(result.reservation, {
+      eventId: '42',
+      admissionKey: 'day:2026-07-11',
+      limits: [{ zone: null, capacity: 500 }, { zone: 'vip', capacity: 50 }]
+    });
+  });
+
+  it('devrait réserver la place sous verrou dans la transaction de l\'entrée', async () => {
+    const queries = [];
+    const client = {
+      query: async (sql, values) => {
+        queries.push({ sql, values });
+        return { rows: [] };
+      }
+    };
+    const reservation = { eventId: '42', admissionKey: null, limits: [{ zone: null, capacity: 500 }, { zone: 'vip', capacity: 50 }] };
+
+    inside = { all: 499, vip: 49 };
+    await occupancyRepository.reserveCapacity(reservation, client);
+
+    // Entrée simultanée comptée avant la nôtre : la zone est pleine
+    inside = { all: 500, vip: 50 };
+    await assert.rejects(
+      occupancyRepository.reserveCapacity(reservation, client),
+      error => error.code === 'CAPACITY_REACHED' && error.occupancy.capacity === 500
+    );
+
+    assert.ok(queries[0].sql.includes('pg_advisory_xact_lock'));
+    assert.deepStrictEqual(queries[0].values, ['occupancy:42']);
+  });
+
+  it('devrait détailler l\'occupation par zone', async () => {
+    occupancyRepository.getInsideByZone = async () => [
+      { zone: null, inside: 80 },
+      { zone: 'vip', inside: 50 },
+      { zone: 'press', inside: 4 }
+    ];
+
+    const result = await occupancyService.getOccupancy('42');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.inside, 134);
+    assert.strictEqual(result.data.available, 366);
+    assert.deepStrictEqual(result.data.zones, [
+      { zone: 'press', inside: 4, capacity: null, available: null, full: false },
+      { zone: 'vip', inside: 50, capacity: 50, available: 0, full: true }
+    ]);
+  });
+});
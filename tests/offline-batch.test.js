@@ -0,0 +1,107 @@
+const assert = require('assert');
+const scanRepository = require('../src/core/database/scan.repository');
+const offlineService = require('../src/core/offline/offline.service');
+
+/**
+ * Tests de l'upload des scans offline des appareils
+ */
+
+describe('📤 Upload des scans offline', () => {
+  const originalQuery = scanRepository.pool.query;
+
+  afterAll(() => {
+    scanRepository.pool.query = originalQuery;
+  });
+
+  describe('🗄️ Logs de scan idempotents', () => {
+    let queries;
+
+    beforeEach(() => {
+      queries = [];
+    });
+
+    it('devrait insérer le log avec l\'uid généré par l\'appareil', async () => {
+      scanRepository.pool.query = async (query, values) => {
+        queries.push({ query, values });
+        return { rows: [{ id: 7, uid: values[10], scanned_at: values[1], result: 'valid', ticket_id: 101 }] };
+      };
+
+      const scanLog = await scanRepository.createScanLog({
+        uid: '4f7c1b52-8d7e-4a43-9b0f-0c5a3e9d1a11',
+        scannedAt: '2099-01-01T18:00:00.000Z',
+        result: 'valid',
+        ticketId: 101
+      });
+
+      assert.strictEqual(scanLog.uid, '4f7c1b52-8d7e-4a43-9b0f-0c5a3e9d1a11');
+      assert.strictEqual(scanLog.duplicate, undefined);
+      assert.ok(queries[0].query.includes('ON CONFLICT (uid) DO NOTHING'));
+    });
+
+    it('devrait renvoyer le log existant lors d\'un renvoi', async () => {
+      scanRepository.pool.query = async (query, values) => {
+        queries.push({ query, values });
+        return query.includes('INSERT')
+          ? { rows: [] }
+          : { rows: [{ id: 7, uid: values[0], scanned_at: '2099-01-01T18:00:00.000Z', result: 'valid', ticket_id: 101 }] };
+      };
+
+      const scanLog = await scanRepository.createScanLog({
+        uid: '4f7c1b52-8d7e-4a43-9b0f-0c5a3e9d1a11',
+        result: 'valid',
+        ticketId: 101
+      });
+
+      assert.strictEqual(scanLog.duplicate, true);
+      assert.strictEqual(scanLog.id, 7);
+      assert.strictEqual(queries.length, 2);
+    });
+  });
+
+  describe('🔀 Réconciliation des scans remontés', () => {
+    beforeEach(() => {
+      offlineService.pendingSync.clear();
+      offlineService.admissions.clear();
+    });
+
+    it('devrait mettre en file une admission une seule fois', async () => {
+      const scan = {
+        scanId: '4f7c1b52-8d7e-4a43-9b0f-0c5a3e9d1a11',
+        ticketId: 101,
+        eventId: 42,
+        deviceId: 'scanner_A',
+        scannedAt: '2099-01-01T18:00:00.000Z'
+      };
+
+      await offlineService.queueDeviceScan(scan);
+      await offlineService.queueDeviceScan(scan);
+
+      const syncItem = offlineService.pendingSync.get(`validate:${scan.scanId}`);
+      assert.strictEqual(offlineService.pendingSync.size, 1);
+      assert.strictEqual(syncItem.data.ticketId, '101');
+      assert.strictEqual(syncItem.data.scanInfo.deviceId, 'scanner_A');
+    });
+
+    it('devrait confronter les scans remontés aux admissions des autres appareils', async () => {
+      await offlineService.queueDeviceScan({
+        scanId: 'upload-a',
+        ticketId: 101,
+        deviceId: 'scanner_A',
+        scannedAt: '2099-01-01T18:00:00.000Z'
+      });
+      await offlineService.queueDeviceScan({
+        scanId: 'upload-b',
+        ticketId: 101,
+        deviceId: 'scanner_B',
+        scannedAt: '2099-01-01T18:02:00.000Z'
+      });
+
+      const reconciliation = await offlineService.reconcileValidations(
+        Array.from(offlineService.pendingSync.entries())
+      );
+
+      assert.strictEqual(reconciliation.conflicts.length, 1);
+      assert.strictEqual(reconciliation.conflicts[0].scan.scanId, 'upload-b');
+    });
+  });
+});
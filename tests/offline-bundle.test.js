@@ -0,0 +1,87 @@
+const assert = require('assert');
+
+process.env.OFFLINE_BUNDLE_HMAC_SECRET = 'test-bundle-secret';
+
+const offlineService = require('../src/core/offline/offline.service');
+const offlineBundleService = require('../src/core/offline/offline-bundle.service');
+
+/**
+ * Tests des bundles offline signés pour les terminaux de contrôle
+ */
+
+const job = { eventId: '42', manifestVersion: 'v1' };
+
+function decode(bundleResult) {
+  const verification = offlineBundleService.verifyBundle(bundleResult.bundle);
+  assert.strictEqual(verification.valid, true);
+  return verification.payload;
+}
+
+describe('📲 Bundles offline signés', () => {
+  beforeEach(() => {
+    offlineService.offlineData.clear();
+    offlineService.tombstones.clear();
+    offlineService.manifests.clear();
+    offlineService.changeVersion = 0;
+
+    offlineService.storeManifestTicket({ id: 101, ticketType: 'vip', status: 'ACTIVE', validFrom: '2099-01-01T18:00:00.000Z' }, job, '2099-01-02T00:00:00.000Z');
+    offlineService.storeManifestTicket({ id: 102, ticketType: 'standard', status: 'CANCELLED' }, job, '2099-01-02T00:00:00.000Z');
+    offlineService.storeManifestTicket({ id: 201, status: 'ACTIVE' }, { eventId: '7', manifestVersion: 'v1' }, null);
+  });
+
+  it('devrait exporter tous les tickets de l\'événement avec une empreinte recalculable', () => {
+    const payload = decode(offlineBundleService.buildBundle(42));
+
+    assert.strictEqual(payload.type, 'full');
+    assert.strictEqual(payload.tickets.length, 2);
+    assert.strictEqual(payload.bundleVersion, offlineService.changeVersion);
+
+    const vip = payload.tickets.find(ticket =>
+      ticket.h === offlineBundleService.hashTicketId('101', payload.idHash.salt));
+    assert.strictEqual(vip.s, 'active');
+    assert.strictEqual(vip.t, 'vip');
+    assert.strictEqual(vip.nb, '2099-01-01T18:00:00.000Z');
+    assert.strictEqual(vip.na, '2099-01-02T00:00:00.000Z');
+    assert.ok(!JSON.stringify(payload).includes('"101"'));
+  });
+
+  it('devrait limiter un bundle incrémental aux changements et suppressions', async () => {
+    const full = decode(offlineBundleService.buildBundle(42, { hashIds: false }));
+
+    // Ticket inchangé : pas de nouvelle version
+    offlineService.storeManifestTicket({ id: 101, ticketType: 'vip', status: 'ACTIVE', validFrom: '2099-01-01T18:00:00.000Z' }, job, '2099-01-02T00:00:00.000Z');
+    offlineService.storeManifestTicket({ id: 102, ticketType: 'standard', status: 'ACTIVE' }, job, '2099-01-02T00:00:00.000Z');
+    await offlineService.removeTicketEntry('101', 'removed_from_manifest');
+
+    const delta = decode(offlineBundleService.buildBundle(42, {
+      sinceVersion: full.bundleVersion,
+      hashIds: false
+    }));
+
+    assert.strictEqual(delta.type, 'delta');
+    assert.deepStrictEqual(delta.tickets.map(ticket => [ticket.id, ticket.s]), [['102', 'active']]);
+    assert.deepStrictEqual(delta.removed.map(ticket => ticket.id), ['101']);
+  });
+
+  it('devrait renvoyer un bundle complet pour une version inconnue', () => {
+    const payload = decode(offlineBundleService.buildBundle(42, { sinceVersion: 9999 }));
+
+    assert.strictEqual(payload.type, 'full');
+    assert.strictEqual(payload.tickets.length, 2);
+  });
+
+  it('devrait détecter un bundle altéré', () => {
+    const { bundle } = offlineBundleService.buildBundle(42, { hashIds: false });
+    const payload = JSON.parse(Buffer.from(bundle.payload, 'base64url').toString('utf8'));
+    payload.tickets[0].s = 'active';
+    payload.tickets[1].s = 'active';
+
+    const verification = offlineBundleService.verifyBundle({
+      ...bundle,
+      payload: Buffer.from(JSON.stringify(payload)).toString('base64url')
+    });
+
+    assert.strictEqual(verification.valid, false);
+    assert.strictEqual(verification.code, 'OFFLINE_BUNDLE_SIGNATURE_INVALID');
+  });
+});
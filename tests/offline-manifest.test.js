@@ -0,0 +1,116 @@
+const assert = require('assert');
+const offlineService = require('../src/core/offline/offline.service');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+
+/**
+ * Tests du préchargement du manifeste des tickets pour le mode offline
+ */
+
+const manifestPages = {
+  1: {
+    tickets: [
+      { id: 101, ticketType: 'vip', status: 'ACTIVE' },
+      { id: 102, ticketType: 'standard', status: 'ACTIVE' }
+    ],
+    manifestVersion: 'v42',
+    eventEndsAt: '2099-01-01T00:00:00.000Z',
+    page: 1,
+    totalItems: 3,
+    totalPages: 2,
+    hasMore: true
+  },
+  2: {
+    tickets: [
+      { id: 103, ticketType: 'standard', status: 'CANCELLED' }
+    ],
+    manifestVersion: 'v42',
+    eventEndsAt: '2099-01-01T00:00:00.000Z',
+    page: 2,
+    totalItems: 3,
+    totalPages: 2,
+    hasMore: false
+  }
+};
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 50; i++) {
+    const job = offlineService.getPreloadJob(jobId);
+    if (job.status !== 'running') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Job de préchargement non terminé');
+}
+
+describe('📦 Préchargement du manifeste offline', () => {
+  const originalGetManifest = eventCoreClient.getEventTicketManifest;
+  let requestedPages;
+
+  beforeEach(() => {
+    offlineService.offlineData.clear();
+    offlineService.preloadJobs.clear();
+    offlineService.manifests.clear();
+    requestedPages = [];
+
+    eventCoreClient.getEventTicketManifest = async (eventId, options) => {
+      requestedPages.push(options);
+      return { success: true, data: manifestPages[options.page] };
+    };
+  });
+
+  afterAll(() => {
+    eventCoreClient.getEventTicketManifest = originalGetManifest;
+  });
+
+  it('devrait charger toutes les pages et rapporter la version du manifeste', async () => {
+    const { job } = offlineService.startManifestPreload(42);
+    const finished = await waitForJob(job.jobId);
+
+    assert.strictEqual(finished.status, 'completed');
+    assert.strictEqual(finished.manifestVersion, 'v42');
+    assert.strictEqual(finished.ticketsStored, 3);
+    assert.strictEqual(finished.pagesFetched, 2);
+    assert.strictEqual(finished.progress, 100);
+    assert.strictEqual(requestedPages[1].manifestVersion, 'v42');
+    assert.strictEqual(offlineService.getManifestInfo('42').ticketCount, 3);
+  });
+
+  it('devrait permettre la validation offline des tickets préchargés', async () => {
+    const { job } = offlineService.startManifestPreload(42);
+    await waitForJob(job.jobId);
+
+    const valid = await offlineService.validateTicketOffline(101, { location: 'Entrée A' });
+    const cancelled = await offlineService.validateTicketOffline('103', { location: 'Entrée A' });
+
+    assert.strictEqual(valid.success, true);
+    assert.strictEqual(valid.ticket.ticketType, 'vip');
+    assert.strictEqual(cancelled.success, false);
+    assert.strictEqual(cancelled.code, 'TICKET_INACTIVE_OFFLINE');
+  });
+
+  it('devrait conserver les compteurs de scan lors d\'un nouveau préchargement', async () => {
+    const first = offlineService.startManifestPreload(42);
+    await waitForJob(first.job.jobId);
+    await offlineService.validateTicketOffline('102', {});
+
+    const second = offlineService.startManifestPreload(42);
+    await waitForJob(second.job.jobId);
+
+    assert.strictEqual(offlineService.offlineData.get('102').validationCount, 1);
+  });
+
+  it('devrait échouer si le service core est indisponible', async () => {
+    eventCoreClient.getEventTicketManifest = async () => ({
+      success: false,
+      error: 'Service core indisponible',
+      code: 'CORE_SERVICE_UNAVAILABLE'
+    });
+
+    const { job } = offlineService.startManifestPreload(42);
+    const finished = await waitForJob(job.jobId);
+
+    assert.strictEqual(finished.status, 'failed');
+    assert.strictEqual(finished.code, 'CORE_SERVICE_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OfflineStore = require('../src/core/offline/offline-store');
+
+/**
+ * Tests du stockage local durable du mode offline
+ */
+
+describe('💾 Stockage offline durable', () => {
+  let directory;
+  let storePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-store-'));
+    storePath = path.join(directory, 'offline.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('devrait restaurer les écritures journalisées après un redémarrage', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.set('offlineData', 'TICKET_1', { status: 'active' });
+    await store.set('pendingSync', 'TICKET_1', { action: 'validate' });
+    await store.delete('pendingSync', 'TICKET_1');
+    await store.close();
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.close();
+
+    assert.deepStrictEqual(collections.get('offlineData').get('TICKET_1'), { status: 'active' });
+    assert.strictEqual(collections.get('pendingSync').has('TICKET_1'), false);
+    assert.strictEqual(stats.replayedEntries, 3);
+  });
+
+  it('devrait compacter le journal dans un instantané', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.set('offlineData', 'TICKET_1', { status: 'active' });
+    await store.snapshot({ offlineData: new Map([['TICKET_1', { status: 'active' }]]) });
+    await store.set('offlineData', 'TICKET_2', { status: 'active' });
+    await store.close();
+
+    const journal = fs.readFileSync(`${storePath}.journal`, 'utf8').trim().split('\n');
+    assert.strictEqual(journal.length, 1);
+    assert.strictEqual(fs.readFileSync(`${storePath}.journal.prev`, 'utf8').trim().split('\n').length, 1);
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.close();
+
+    assert.strictEqual(collections.get('offlineData').size, 2);
+    assert.strictEqual(stats.snapshotEntries, 1);
+    assert.strictEqual(stats.replayedEntries, 1);
+  });
+
+  it('devrait ignorer une ligne de journal tronquée ou altérée', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.set('offlineData', 'TICKET_1', { status: 'active' });
+    await store.close();
+
+    // Arrêt brutal au milieu d'une écriture
+    fs.appendFileSync(`${storePath}.journal`, '{"seq":2,"op":"set","collection":"offlineData","key":"TICKET_2"');
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.set('offlineData', 'TICKET_3', { status: 'active' });
+    await reopened.close();
+
+    assert.strictEqual(stats.corruptedEntries, 1);
+    assert.strictEqual(collections.get('offlineData').has('TICKET_2'), false);
+
+    const again = new OfflineStore({ path: storePath });
+    const restored = await again.open();
+    await again.close();
+
+    assert.strictEqual(restored.collections.get('offlineData').has('TICKET_3'), true);
+  });
+
+  it('devrait revenir à l\'instantané précédent si le courant est corrompu', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.snapshot({ offlineData: new Map([['TICKET_1', { status: 'active' }]]) });
+    await store.snapshot({ offlineData: new Map([['TICKET_1', { status: 'used' }]]) });
+    await store.close();
+
+    const content = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    content.collections.offlineData[0][1].status = 'tampered';
+    fs.writeFileSync(storePath, JSON.stringify(content));
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.close();
+
+    assert.strictEqual(stats.snapshotSource, 'offline.db.bak');
+    assert.deepStrictEqual(collections.get('offlineData').get('TICKET_1'), { status: 'active' });
+  });
+
+  it('devrait rejouer depuis l\'instantané précédent les opérations du journal compacté', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.set('offlineData', 'TICKET_1', { status: 'active' });
+    await store.snapshot({ offlineData: new Map([['TICKET_1', { status: 'active' }]]) });
+    await store.set('offlineData', 'TICKET_2', { status: 'active' });
+    await store.set('pendingSync', 'TICKET_2', { action: 'validate' });
+    await store.snapshot({
+      offlineData: new Map([['TICKET_1', { status: 'active' }], ['TICKET_2', { status: 'active' }]]),
+      pendingSync: new Map([['TICKET_2', { action: 'validate' }]])
+    });
+    await store.set('offlineData', 'TICKET_3', { status: 'active' });
+    await store.close();
+
+    fs.writeFileSync(storePath, '{"version":1,"seq":');
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.close();
+
+    assert.strictEqual(stats.snapshotSource, 'offline.db.bak');
+    assert.strictEqual(stats.lostEntries, 0);
+    assert.deepStrictEqual(Array.from(collections.get('offlineData').keys()), ['TICKET_1', 'TICKET_2', 'TICKET_3']);
+    assert.strictEqual(collections.get('pendingSync').has('TICKET_2'), true);
+  });
+
+  it('devrait signaler les opérations perdues entre l\'instantané et le journal', async () => {
+    const store = new OfflineStore({ path: storePath });
+    await store.open();
+    await store.snapshot({ offlineData: new Map() });
+    await store.set('offlineData', 'TICKET_1', { status: 'active' });
+    await store.snapshot({ offlineData: new Map([['TICKET_1', { status: 'active' }]]) });
+    await store.set('offlineData', 'TICKET_2', { status: 'active' });
+    await store.close();
+
+    fs.writeFileSync(storePath, 'corrompu');
+    fs.rmSync(`${storePath}.journal.prev`);
+
+    const reopened = new OfflineStore({ path: storePath });
+    const { collections, stats } = await reopened.open();
+    await reopened.close();
+
+    assert.strictEqual(stats.lostEntries, 1);
+    assert.strictEqual(collections.get('offlineData').has('TICKET_2'), true);
+  });
+});
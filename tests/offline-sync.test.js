@@ -0,0 +1,97 @@
+const assert = require('assert');
+const offlineService = require('../src/core/offline/offline.service');
+const scanRepository = require('../src/core/database/scan.repository');
+
+/**
+ * Tests de la réconciliation des scans offline multi-appareils
+ */
+
+function pendingScan(scanId, ticketId, deviceId, timestamp) {
+  offlineService.pendingSync.set(`validate:${scanId}`, {
+    action: 'validate',
+    data: {
+      ticketId,
+      eventId: '42',
+      scanInfo: { scanId, deviceId, timestamp, location: `Porte ${deviceId}`, offline: true },
+      validationCount: 1
+    },
+    timestamp
+  });
+}
+
+describe('🔀 Réconciliation des scans offline', () => {
+  const originalCreateFraudAttempt = scanRepository.createFraudAttempt;
+  let fraudAttempts;
+
+  beforeEach(() => {
+    offlineService.pendingSync.clear();
+    offlineService.admissions.clear();
+    offlineService.syncInProgress = false;
+    fraudAttempts = [];
+
+    scanRepository.createFraudAttempt = async fraudData => {
+      fraudAttempts.push(fraudData);
+      return { id: fraudAttempts.length, fraudType: fraudData.fraudType };
+    };
+  });
+
+  afterAll(() => {
+    scanRepository.createFraudAttempt = originalCreateFraudAttempt;
+  });
+
+  it('devrait signaler une double admission sur deux appareils', async () => {
+    pendingScan('scan-b', '101', 'scanner_B', '2099-01-01T18:05:00.000Z');
+    pendingScan('scan-a', '101', 'scanner_A', '2099-01-01T18:00:00.000Z');
+    pendingScan('scan-c', '102', 'scanner_B', '2099-01-01T18:06:00.000Z');
+
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.synced, 3);
+    assert.strictEqual(result.conflicts.total, 1);
+    assert.strictEqual(fraudAttempts.length, 1);
+    assert.strictEqual(fraudAttempts[0].fraudType, 'OFFLINE_DOUBLE_ENTRY');
+    assert.strictEqual(fraudAttempts[0].details.firstAdmission.deviceId, 'scanner_A');
+
+    const deviceB = result.conflicts.devices.find(device => device.deviceId === 'scanner_B');
+    const deviceA = result.conflicts.devices.find(device => device.deviceId === 'scanner_A');
+    assert.strictEqual(deviceB.scans, 2);
+    assert.deepStrictEqual(deviceB.conflicts.map(conflict => conflict.scanId), ['scan-b']);
+    assert.strictEqual(deviceA.conflicts.length, 0);
+  });
+
+  it('ne devrait pas signaler les rescans d\'un même appareil', async () => {
+    pendingScan('scan-a', '101', 'scanner_A', '2099-01-01T18:00:00.000Z');
+    pendingScan('scan-a2', '101', 'scanner_A', '2099-01-01T18:01:00.000Z');
+
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.conflicts.total, 0);
+    assert.strictEqual(fraudAttempts.length, 0);
+  });
+
+  it('devrait détecter une admission plus ancienne synchronisée plus tard', async () => {
+    pendingScan('scan-b', '101', 'scanner_B', '2099-01-01T18:05:00.000Z');
+    await offlineService.syncOfflineData();
+
+    pendingScan('scan-a', '101', 'scanner_A', '2099-01-01T18:00:00.000Z');
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.conflicts.total, 1);
+    assert.strictEqual(fraudAttempts[0].details.scan.scanId, 'scan-b');
+    assert.strictEqual(offlineService.admissions.get('101').first.scanId, 'scan-a');
+  });
+
+  it('devrait conserver le scan en attente si la fraude ne peut être enregistrée', async () => {
+    scanRepository.createFraudAttempt = async () => {
+      throw new Error('Base indisponible');
+    };
+
+    pendingScan('scan-a', '101', 'scanner_A', '2099-01-01T18:00:00.000Z');
+    pendingScan('scan-b', '101', 'scanner_B', '2099-01-01T18:05:00.000Z');
+
+    const result = await offlineService.syncOfflineData();
+
+    assert.strictEqual(result.failed, 1);
+    assert.ok(offlineService.pendingSync.has('validate:scan-b'));
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const MemoryScanLockStore = require('../src/core/locks/memory-scan-lock.store');
+const RedisScanLockStore = require('../src/core/locks/redis-scan-lock.store');
+
+/**
+ * Tests des verrous anti-réutilisation des QR codes
+ * Le backend Redis est testé contre une instance locale si SCAN_LOCK_TEST_REDIS_URL est défini
+ * (ex : SCAN_LOCK_TEST_REDIS_URL=redis://localhost:6379/15)
+ */
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Comportement commun aux backends de verrous
+ * @param {Function} createStores - Crée deux stockages simulant deux instances
+ */
+function describeLockBehaviour(createStores) {
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    [first, second] = await createStores();
+  });
+
+  it('devrait refuser un second verrou sur le même QR code', async () => {
+    const acquired = await first.acquire('QR_A', 1000);
+    const concurrent = await second.acquire('QR_A', 1000);
+
+    assert.strictEqual(acquired.acquired, true);
+    assert.strictEqual(concurrent.acquired, false);
+    assert.ok(concurrent.remainingMs > 0);
+  });
+
+  it('devrait libérer le verrou uniquement pour son détenteur', async () => {
+    const { lock } = await first.acquire('QR_B', 1000);
+
+    assert.strictEqual(await second.release({ ...lock, token: 'autre' }), false);
+    assert.strictEqual(await first.release(lock), true);
+    assert.strictEqual((await second.acquire('QR_B', 1000)).acquired, true);
+  });
+
+  it('devrait invalider un verrou expiré repris par un autre scan', async () => {
+    const { lock: expired } = await first.acquire('QR_C', 50);
+    await wait(80);
+
+    const { lock: current } = await second.acquire('QR_C', 1000);
+
+    assert.ok(current.fencingToken > expired.fencingToken);
+    assert.strictEqual(await first.isCurrent(expired), false);
+    assert.strictEqual(await second.isCurrent(current), true);
+
+    // L'ancien détenteur ne peut pas libérer le verrou repris
+    assert.strictEqual(await first.release(expired), false);
+    assert.strictEqual(await second.isCurrent(current), true);
+  });
+}
+
+describe('🔒 Verrous de scan', () => {
+  describe('💻 Backend mémoire', () => {
+    describeLockBehaviour(async () => {
+      const store = new MemoryScanLockStore();
+      return [store, store];
+    });
+
+    it('devrait garder des jetons de fencing croissants après un redémarrage', async () => {
+      const { lock: beforeRestart } = await new MemoryScanLockStore().acquire('QR_E', 1000);
+      await wait(5);
+      const { lock: afterRestart } = await new MemoryScanLockStore().acquire('QR_E', 1000);
+
+      assert.ok(afterRestart.fencingToken > beforeRestart.fencingToken);
+    });
+  });
+
+  describe('🔌 Redis injoignable', () => {
+    let store;
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    it('devrait échouer dans le délai imparti au lieu d\'attendre Redis', async () => {
+      store = new RedisScanLockStore({ url: 'redis://127.0.0.1:1', timeout: 200 });
+
+      const startedAt = Date.now();
+      await assert.rejects(store.acquire('QR_D', 1000));
+      // Reconnexion en arrière-plan : l'appel suivant échoue aussi sans attendre
+      await assert.rejects(store.acquire('QR_D', 1000));
+
+      assert.ok(Date.now() - startedAt < 1000);
+    });
+  });
+
+  const describeRedis = process.env.SCAN_LOCK_TEST_REDIS_URL ? describe : describe.skip;
+
+  describeRedis('🟥 Backend Redis', () => {
+    const stores = [];
+
+    afterAll(async () => {
+      await Promise.all(stores.map(store => store.close()));
+    });
+
+    describeLockBehaviour(async () => {
+      const prefix = `scan-lock-test:${Date.now()}:${Math.random()}`;
+      const pair = [
+        new RedisScanLockStore({ url: process.env.SCAN_LOCK_TEST_REDIS_URL, prefix }),
+        new RedisScanLockStore({ url: process.env.SCAN_LOCK_TEST_REDIS_URL, prefix })
+      ];
+      stores.push(...pair);
+      return pair;
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+
+process.env.OPERATOR_JWT_SECRET = 'test-operator-secret';
+
+const scanOperatorsService = require('../src/core/operators/scan-operators.service');
+const scanOperatorsRepository = require('../src/core/database/scan-operators.repository');
+const OperatorAuthMiddleware = require('../src/middleware/operator-auth.middleware');
+
+/**
+ * Tests de l'authentification des opérateurs de scan
+ */
+
+const activeOperator = {
+  id: 12,
+  userId: 34,
+  eventId: 42,
+  permissions: { can_scan: true, can_view_stats: true },
+  isActive: true
+};
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('👷 Opérateurs de scan', () => {
+  const originalRepository = { ...scanOperatorsRepository };
+
+  beforeEach(() => {
+    scanOperatorsService.operatorStatusCache.clear();
+    scanOperatorsRepository.getOperatorByAccessCodeHash = async hash =>
+      (hash === scanOperatorsService.hashAccessCode('ABCD2345') ? activeOperator : null);
+    scanOperatorsRepository.getOperatorById = async () => activeOperator;
+    scanOperatorsRepository.recordLogin = async () => {};
+  });
+
+  afterAll(() => {
+    Object.assign(scanOperatorsRepository, originalRepository);
+  });
+
+  describe('🔑 Codes d\'accès', () => {
+    it('devrait générer un code d\'accès de la longueur configurée', () => {
+      const code = scanOperatorsService.generateAccessCode();
+
+      assert.strictEqual(code.length, scanOperatorsService.accessCodeLength);
+      assert.ok(/^[A-Z2-9]+$/.test(code));
+    });
+
+    it('devrait produire une empreinte insensible à la casse sans stocker le code', () => {
+      const hash = scanOperatorsService.hashAccessCode('abcd2345');
+
+      assert.strictEqual(hash, scanOperatorsService.hashAccessCode('ABCD2345'));
+      assert.ok(!hash.includes('ABCD2345'));
+    });
+
+    it('devrait compléter les permissions avec les valeurs par défaut', () => {
+      const permissions = scanOperatorsService.normalizePermissions({ can_override: true, admin: true });
+
+      assert.deepStrictEqual(permissions, {
+        can_scan: true,
+        can_override: true,
+        can_view_stats: false
+      });
+    });
+  });
+
+  describe('🎫 Connexion et jetons', () => {
+    it('devrait émettre un jeton vérifiable pour un code valide', async () => {
+      const login = await scanOperatorsService.login('abcd2345', { deviceId: 'scanner_001' });
+
+      assert.strictEqual(login.success, true);
+
+      const verification = await scanOperatorsService.verifyToken(login.token);
+
+      assert.strictEqual(verification.valid, true);
+      assert.strictEqual(verification.operator.id, 12);
+      assert.strictEqual(verification.operator.eventId, 42);
+      assert.strictEqual(verification.operator.deviceId, 'scanner_001');
+    });
+
+    it('devrait refuser un code d\'accès inconnu', async () => {
+      const login = await scanOperatorsService.login('WRONG999');
+
+      assert.strictEqual(login.success, false);
+      assert.strictEqual(login.code, 'INVALID_ACCESS_CODE');
+    });
+
+    it('devrait refuser une connexion pour un autre événement', async () => {
+      const login = await scanOperatorsService.login('ABCD2345', { eventId: 7 });
+
+      assert.strictEqual(login.success, false);
+      assert.strictEqual(login.code, 'OPERATOR_EVENT_MISMATCH');
+    });
+
+    it('devrait signaler un jeton expiré', async () => {
+      const token = jwt.sign({}, 'test-operator-secret', {
+        subject: '12',
+        audience: 'scan-operator',
+        expiresIn: -10
+      });
+
+      const verification = await scanOperatorsService.verifyToken(token);
+
+      assert.strictEqual(verification.valid, false);
+      assert.strictEqual(verification.code, 'OPERATOR_TOKEN_EXPIRED');
+    });
+
+    it('devrait refuser le jeton d\'un opérateur désactivé', async () => {
+      const login = await scanOperatorsService.login('ABCD2345');
+      scanOperatorsRepository.getOperatorById = async () => ({ ...activeOperator, isActive: false });
+
+      const verification = await scanOperatorsService.verifyToken(login.token);
+
+      assert.strictEqual(verification.valid, false);
+      assert.strictEqual(verification.code, 'OPERATOR_INACTIVE');
+    });
+  });
+
+  describe('🛡️ Middleware', () => {
+    const originalFlag = process.env.OPERATOR_AUTH_ENABLED;
+
+    afterEach(() => {
+      if (originalFlag === undefined) {
+        delete process.env.OPERATOR_AUTH_ENABLED;
+      } else {
+        process.env.OPERATOR_AUTH_ENABLED = originalFlag;
+      }
+    });
+
+    it('devrait exiger un jeton lorsque l\'authentification est activée', async () => {
+      process.env.OPERATOR_AUTH_ENABLED = 'true';
+      const res = mockResponse();
+      let nextCalled = false;
+
+      await OperatorAuthMiddleware.authenticate()({ headers: {} }, res, () => { nextCalled = true; });
+
+      assert.strictEqual(nextCalled, false);
+      assert.strictEqual(res.statusCode, 401);
+      assert.strictEqual(res.body.error.code, 'OPERATOR_TOKEN_REQUIRED');
+    });
+
+    it('devrait renseigner req.operator avec un jeton valide', async () => {
+      const login = await scanOperatorsService.login('ABCD2345');
+      const req = { headers: { authorization: `Bearer ${login.token}` } };
+      let nextCalled = false;
+
+      await OperatorAuthMiddleware.authenticate()(req, mockResponse(), () => { nextCalled = true; });
+
+      assert.strictEqual(nextCalled, true);
+      assert.strictEqual(req.operator.id, 12);
+    });
+
+    it('devrait refuser une permission non accordée', () => {
+      const res = mockResponse();
+      let nextCalled = false;
+
+      OperatorAuthMiddleware.requirePermission('can_override')(
+        { operator: { id: 12, permissions: { can_scan: true } }, originalUrl: '/api/scans/validate' },
+        res,
+        () => { nextCalled = true; }
+      );
+
+      assert.strictEqual(nextCalled, false);
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(res.body.error.code, 'OPERATOR_PERMISSION_DENIED');
+    });
+  });
+});
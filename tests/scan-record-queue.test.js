@@ -0,0 +1,161 @@
+const assert = require('assert');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const MemoryScanRecordQueue = require('../src/core/queues/memory-scan-record.queue');
+const SyncScanRecordQueue = require('../src/core/queues/sync-scan-record.queue');
+const validationService = require('../src/core/validation/validation.service');
+const scanService = require('../src/core/scan/scan.service');
+
+/**
+ * Tests de la file d'enregistrement des scans admis
+ */
+
+function waitFor(condition, timeout = 1000) {
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) {
+        return resolve();
+      }
+      if (Date.now() - startedAt > timeout) {
+        return reject(new Error('Condition non atteinte'));
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+describe('🧾 File d\'enregistrement des scans', () => {
+  const originals = {
+    recordScan: scanService.recordScan,
+    recordPresence: scanService.recordPresence,
+    scanRecordQueue: validationService.scanRecordQueue,
+    scanRecordQueueBackend: validationService.scanRecordQueueBackend
+  };
+
+  afterEach(() => {
+    scanService.recordScan = originals.recordScan;
+    scanService.recordPresence = originals.recordPresence;
+    validationService.scanRecordQueue = originals.scanRecordQueue;
+    validationService.scanRecordQueueBackend = originals.scanRecordQueueBackend;
+  });
+
+  it('devrait enregistrer le scan et la présence avant de répondre par défaut', async () => {
+    const recorded = [];
+    scanService.recordScan = async record => {
+      recorded.push(record);
+      return { success: true };
+    };
+
+    assert.strictEqual(validationService.scanRecordQueueBackend, 'sync');
+    assert.ok(validationService.scanRecordQueue instanceof SyncScanRecordQueue);
+
+    const result = await validationService.recordAdmission({ validationId: 'val-0', ticketId: 'T0', result: 'valid' });
+
+    // Écrit avant de rendre la main, dans la transaction du log
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(recorded.length, 1);
+    assert.strictEqual(recorded[0].withPresence, true);
+    assert.ok(recorded[0].scanUid);
+  });
+
+  it('devrait refuser le scan si l\'enregistrement synchrone échoue', async () => {
+    scanService.recordScan = async () => ({ success: false, error: 'Échec de l\'enregistrement du scan' });
+
+    const result = await validationService.recordAdmission({ validationId: 'val-00', ticketId: 'T00', result: 'valid' });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'SCAN_RECORD_FAILED');
+  });
+
+  it('devrait réessayer un enregistrement en échec avec le même uid', async () => {
+    const attempts = [];
+    scanService.recordScan = async record => {
+      attempts.push(record.scanUid);
+      return attempts.length < 3
+        ? { success: false, error: 'Échec de l\'enregistrement du scan' }
+        : { success: true };
+    };
+    validationService.scanRecordQueue = new MemoryScanRecordQueue({
+      processor: record => validationService.persistScanRecord(record),
+      maxAttempts: 5,
+      backoffDelay: 1
+    });
+
+    await validationService.recordScanAsync({ validationId: 'val-1', ticketId: 'T1', degraded: true, result: 'valid' });
+    await waitFor(() => attempts.length === 3);
+
+    const metrics = await validationService.scanRecordQueue.getMetrics();
+    assert.ok(attempts[0]);
+    assert.ok(attempts.every(uid => uid === attempts[0]));
+    assert.strictEqual(metrics.completed, 1);
+    assert.strictEqual(metrics.failed, 0);
+  });
+
+  it('devrait conserver le scan abandonné et permettre de le rejouer', async () => {
+    let available = false;
+    const processed = [];
+    const queue = new MemoryScanRecordQueue({
+      processor: async record => {
+        if (!available) {
+          throw new Error('connect ECONNREFUSED');
+        }
+        processed.push(record.ticketId);
+      },
+      maxAttempts: 2,
+      backoffDelay: 1
+    });
+
+    await queue.enqueue({ validationId: 'val-2', ticketId: 'T2' });
+    await waitFor(() => queue.failed.length === 1);
+
+    const [failed] = await queue.getFailedJobs();
+    assert.strictEqual(failed.attemptsMade, 2);
+    assert.strictEqual(failed.failedReason, 'connect ECONNREFUSED');
+
+    available = true;
+    assert.strictEqual(await queue.retryFailedJob(failed.id), true);
+    await waitFor(() => processed.length === 1);
+
+    assert.deepStrictEqual(processed, ['T2']);
+    assert.strictEqual((await queue.getMetrics()).failed, 0);
+  });
+
+  it('devrait mesurer le retard du plus ancien scan en attente', async () => {
+    const queue = new MemoryScanRecordQueue({ processor: async () => {} });
+    queue.jobs.set('1', { id: '1', state: 'waiting', timestamp: Date.now() - 4000 });
+    queue.jobs.set('2', { id: '2', state: 'delayed', timestamp: Date.now() - 9000 });
+
+    const metrics = await queue.getMetrics();
+
+    assert.strictEqual(metrics.waiting, 1);
+    assert.strictEqual(metrics.delayed, 1);
+    assert.ok(metrics.lagMs >= 4000 && metrics.lagMs < 9000);
+  });
+
+  it('devrait enregistrer directement si la file est indisponible', async () => {
+    const recorded = [];
+    scanService.recordScan = async record => {
+      recorded.push(record.ticketId);
+      return { success: true };
+    };
+    validationService.scanRecordQueue = {
+      enqueue: async () => {
+        throw new Error('Redis connection lost');
+      }
+    };
+    const fallbacks = validationService.stats.scanRecordFallbacks;
+
+    await validationService.recordScanAsync({ validationId: 'val-3', ticketId: 'T3', degraded: true, result: 'valid' });
+
+    // Enregistré avant de rendre la main (pas de setImmediate)
+    assert.deepStrictEqual(recorded, ['T3']);
+    assert.strictEqual(validationService.stats.scanRecordFallbacks, fallbacks + 1);
+  });
+});
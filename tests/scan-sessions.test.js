@@ -0,0 +1,250 @@
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const scansRoutes = require('../src/api/routes/scans.routes');
+const scanOperatorsService = require('../src/core/operators/scan-operators.service');
+const scanRepository = require('../src/core/database/scan.repository');
+const scanEventBus = require('../src/core/events/scan-event-bus');
+
+/**
+ * Tests des routes de sessions de scan (postes de contrôle)
+ * Un opérateur rattaché à un événement ne gère que les sessions de cet événement
+ */
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/scans', scansRoutes);
+  return app;
+}
+
+/**
+ * Table scan_sessions simulée
+ */
+function createFakeSessions() {
+  const sessions = new Map();
+
+  return {
+    sessions,
+    async createScanSession(data) {
+      const session = {
+        id: sessions.size + 1,
+        uid: `session-${sessions.size + 1}`,
+        operatorId: data.operatorId || null,
+        eventId: data.eventId || null,
+        location: data.location,
+        deviceInfo: data.deviceInfo,
+        startedAt: new Date(),
+        endedAt: null
+      };
+      sessions.set(session.id, session);
+
+      return {
+        id: session.id,
+        uid: session.uid,
+        started_at: session.startedAt,
+        device_info: session.deviceInfo,
+        location: session.location,
+        event_id: session.eventId
+      };
+    },
+    async getScanSessionById(sessionId) {
+      const session = sessions.get(Number(sessionId));
+      return session ? { ...session } : null;
+    },
+    async endScanSession(sessionId) {
+      const session = sessions.get(Number(sessionId));
+      session.endedAt = new Date();
+      return { id: session.id, uid: session.uid, started_at: session.startedAt, ended_at: session.endedAt };
+    },
+    async getScanSessionCounters() {
+      return { totalScans: 0, uniqueTickets: 0, validScans: 0, invalidScans: 0 };
+    },
+    async getActiveScanSessions(filters = {}) {
+      return [...sessions.values()].filter(session =>
+        !session.endedAt && (!filters.eventId || String(session.eventId) === String(filters.eventId))
+      );
+    }
+  };
+}
+
+describe('🧑‍✈️ Routes des sessions de scan', () => {
+  const originals = {
+    verifyToken: scanOperatorsService.verifyToken,
+    createScanSession: scanRepository.createScanSession,
+    getScanSessionById: scanRepository.getScanSessionById,
+    endScanSession: scanRepository.endScanSession,
+    getScanSessionCounters: scanRepository.getScanSessionCounters,
+    getActiveScanSessions: scanRepository.getActiveScanSessions,
+    createScanLog: scanRepository.createScanLog
+  };
+  const app = createApp();
+  let db;
+  let scanLogs;
+
+  // Jeton opérateur "operator-event-<eventId>" : opérateur rattaché à cet événement
+  const operatorToken = eventId => `operator-event-${eventId}`;
+
+  const startSession = (eventId, body = {}) => request(app)
+    .post('/api/scans/sessions')
+    .set('Authorization', `Bearer ${operatorToken(eventId)}`)
+    .send({ location: 'Entrée A', deviceInfo: { deviceId: 'gate-1' }, ...body });
+
+  beforeEach(() => {
+    db = createFakeSessions();
+    scanLogs = [];
+
+    scanOperatorsService.verifyToken = async token => ({
+      valid: true,
+      operator: {
+        id: 7,
+        eventId: Number(token.replace('operator-event-', '')),
+        permissions: { can_scan: true, can_view_stats: true }
+      }
+    });
+    scanRepository.createScanSession = db.createScanSession;
+    scanRepository.getScanSessionById = db.getScanSessionById;
+    scanRepository.endScanSession = db.endScanSession;
+    scanRepository.getScanSessionCounters = db.getScanSessionCounters;
+    scanRepository.getActiveScanSessions = db.getActiveScanSessions;
+    scanRepository.createScanLog = async data => {
+      scanLogs.push(data);
+      return { id: scanLogs.length, uid: `log-${scanLogs.length}`, scanned_at: new Date(), result: data.result };
+    };
+  });
+
+  afterEach(() => {
+    scanOperatorsService.verifyToken = originals.verifyToken;
+    scanRepository.createScanSession = originals.createScanSession;
+    scanRepository.getScanSessionById = originals.getScanSessionById;
+    scanRepository.endScanSession = originals.endScanSession;
+    scanRepository.getScanSessionCounters = originals.getScanSessionCounters;
+    scanRepository.getActiveScanSessions = originals.getActiveScanSessions;
+    scanRepository.createScanLog = originals.createScanLog;
+    scanEventBus.closeAll();
+  });
+
+  it('devrait ouvrir une session pour l\'événement de l\'opérateur', async () => {
+    const response = await startSession(42);
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.data.eventId, 42);
+    assert.strictEqual(db.sessions.get(1).operatorId, 7);
+  });
+
+  it('devrait refuser d\'ouvrir une session pour un autre événement', async () => {
+    const response = await startSession(42, { eventId: 43 });
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.error.code, 'OPERATOR_EVENT_MISMATCH');
+    assert.strictEqual(db.sessions.size, 0);
+  });
+
+  it('devrait lire une session de l\'événement de l\'opérateur', async () => {
+    await startSession(42);
+
+    const response = await request(app)
+      .get('/api/scans/sessions/1')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.active, true);
+  });
+
+  it('devrait refuser la lecture d\'une session d\'un autre événement', async () => {
+    await startSession(42);
+
+    const response = await request(app)
+      .get('/api/scans/sessions/1')
+      .set('Authorization', `Bearer ${operatorToken(43)}`);
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.error.code, 'SESSION_EVENT_MISMATCH');
+  });
+
+  it('devrait refuser de terminer une session d\'un autre événement', async () => {
+    await startSession(42);
+
+    const response = await request(app)
+      .patch('/api/scans/sessions/1/end')
+      .set('Authorization', `Bearer ${operatorToken(43)}`);
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.error.code, 'SESSION_EVENT_MISMATCH');
+    assert.strictEqual(db.sessions.get(1).endedAt, null);
+  });
+
+  it('devrait terminer une session une seule fois', async () => {
+    await startSession(42);
+
+    const ended = await request(app)
+      .patch('/api/scans/sessions/1/end')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+    const again = await request(app)
+      .patch('/api/scans/sessions/1/end')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+    const missing = await request(app)
+      .patch('/api/scans/sessions/99/end')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+
+    assert.strictEqual(ended.status, 200);
+    assert.ok(ended.body.data.endedAt);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.error.code, 'SESSION_ALREADY_ENDED');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('devrait limiter les sessions actives à l\'événement de l\'opérateur', async () => {
+    await startSession(42);
+    await startSession(43);
+
+    const own = await request(app)
+      .get('/api/scans/sessions/active')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+    const other = await request(app)
+      .get('/api/scans/sessions/active?eventId=43')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.body.data.count, 1);
+    assert.strictEqual(own.body.data.sessions[0].eventId, 42);
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(other.body.error.code, 'OPERATOR_EVENT_MISMATCH');
+  });
+
+  it('devrait refuser un scan rattaché à une session terminée', async () => {
+    await startSession(42);
+    await request(app)
+      .patch('/api/scans/sessions/1/end')
+      .set('Authorization', `Bearer ${operatorToken(42)}`);
+
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .set('Authorization', `Bearer ${operatorToken(42)}`)
+      .send({ qrCode: 'QR-1001', scanContext: { deviceId: 'gate-1', sessionId: 1 } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.validationCode, 'SESSION_NOT_ACTIVE');
+    // Tentative tracée sans ticket décodé
+    assert.strictEqual(scanLogs.length, 1);
+    assert.strictEqual(scanLogs[0].ticketId, null);
+  });
+
+  it('devrait refuser un scan rattaché à la session d\'un autre événement', async () => {
+    await startSession(42);
+
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .set('Authorization', `Bearer ${operatorToken(43)}`)
+      .send({ qrCode: 'QR-1001', scanContext: { deviceId: 'gate-1', sessionId: 1 } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.validationCode, 'SESSION_EVENT_MISMATCH');
+  });
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const scanEventBus = require('../src/core/events/scan-event-bus');
+const scanStreamController = require('../src/api/controllers/scan-stream.controller');
+
+/**
+ * Tests du flux temps réel des scans (Server-Sent Events)
+ */
+
+function mockStreamRequest(eventId, query = {}, headers = {}) {
+  return {
+    params: { eventId },
+    query,
+    headers,
+    operator: { id: 12, eventId: null }
+  };
+}
+
+function mockStreamResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: null,
+    headers: {},
+    frames: [],
+    ended: false,
+    writeHead(code, headers) {
+      this.statusCode = code;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.frames.push(chunk);
+    },
+    end() {
+      this.ended = true;
+      this.emit('close');
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  });
+  return res;
+}
+
+function dataFrames(res) {
+  return res.frames
+    .filter(frame => frame.startsWith('id: '))
+    .map(frame => JSON.parse(frame.split('data: ')[1]));
+}
+
+describe('📺 Flux temps réel des scans', () => {
+  beforeEach(() => {
+    scanEventBus.closeAll();
+    scanEventBus.recentEvents = [];
+  });
+
+  afterAll(() => {
+    scanEventBus.closeAll();
+  });
+
+  it('devrait filtrer par événement, point de contrôle et résultat', () => {
+    const received = [];
+    scanEventBus.subscribe({ eventId: 42, checkpointIds: ['3'], results: ['invalid'] }, event => received.push(event));
+
+    scanEventBus.publish('validation', { eventId: '42', checkpointId: 3, result: 'invalid', ticketId: 'A' });
+    scanEventBus.publish('validation', { eventId: '42', checkpointId: 3, result: 'valid', ticketId: 'B' });
+    scanEventBus.publish('validation', { eventId: '42', checkpointId: 4, result: 'invalid', ticketId: 'C' });
+    scanEventBus.publish('validation', { eventId: '7', checkpointId: 3, result: 'invalid', ticketId: 'D' });
+    scanEventBus.publish('session.started', { eventId: '42', sessionId: 5 });
+
+    assert.deepStrictEqual(received.map(event => event.data.ticketId || event.type), ['A', 'session.started']);
+  });
+
+  it('ne devrait pas interrompre la publication si un abonné échoue', () => {
+    const received = [];
+    scanEventBus.subscribe({ eventId: 42 }, () => {
+      throw new Error('socket closed');
+    });
+    scanEventBus.subscribe({ eventId: 42 }, event => received.push(event));
+
+    scanEventBus.publish('fraud', { eventId: 42, result: 'invalid' });
+
+    assert.strictEqual(received.length, 1);
+  });
+
+  it('devrait diffuser les scans de l\'événement au format SSE', async () => {
+    const res = mockStreamResponse();
+    await scanStreamController.streamEventScans(mockStreamRequest('42', { types: 'validation' }), res);
+
+    scanEventBus.publish('validation', { eventId: 42, result: 'valid', ticketId: 'A' });
+    scanEventBus.publish('session.ended', { eventId: 42, sessionId: 5 });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+    assert.deepStrictEqual(dataFrames(res).map(event => event.data.ticketId), ['A']);
+
+    res.emit('close');
+    assert.strictEqual(scanEventBus.getSubscriberCount(), 0);
+  });
+
+  it('devrait rejouer les événements manqués après une reconnexion', async () => {
+    const first = scanEventBus.publish('validation', { eventId: 42, result: 'valid', ticketId: 'A' });
+    scanEventBus.publish('validation', { eventId: 42, result: 'invalid', ticketId: 'B' });
+
+    const res = mockStreamResponse();
+    await scanStreamController.streamEventScans(
+      mockStreamRequest('42', {}, { 'last-event-id': String(first.id) }),
+      res
+    );
+
+    assert.deepStrictEqual(dataFrames(res).map(event => event.data.ticketId), ['B']);
+
+    scanEventBus.closeAll();
+    assert.strictEqual(res.ended, true);
+  });
+
+  it('devrait refuser un opérateur d\'un autre événement', async () => {
+    const res = mockStreamResponse();
+    const req = mockStreamRequest('42');
+    req.operator.eventId = 7;
+
+    await scanStreamController.streamEventScans(req, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.error.code, 'OPERATOR_EVENT_MISMATCH');
+  });
+});
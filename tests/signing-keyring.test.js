@@ -0,0 +1,122 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const SigningKeyring = require('../src/core/qr/signing-keyring');
+
+/**
+ * Tests de la rotation des clés de signature des QR codes
+ */
+
+const OLD_SECRET = 'ticket-generator-secret-2025';
+const NEW_SECRET = 'ticket-generator-secret-2026';
+
+function octKey(kid, secret, status) {
+  return { kty: 'oct', kid, alg: 'HS256', k: Buffer.from(secret).toString('base64url'), status };
+}
+
+function writeKeySet(file, keys) {
+  fs.writeFileSync(file, JSON.stringify({ keys }));
+  // Date de modification distincte même si l'écriture tombe dans la même milliseconde
+  const mtime = new Date(Date.now() + Math.floor(Math.random() * 100000));
+  fs.utimesSync(file, mtime, mtime);
+}
+
+function signedQR(fields, sign) {
+  const now = Date.now();
+  const data = {
+    ticketId: 'TKT-1',
+    eventId: '42',
+    ticketType: 'standard',
+    userId: '7',
+    issuedAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    version: '1.0',
+    algorithm: 'HS256',
+    ...fields
+  };
+  data.signature = sign(qrDecoderService.createSignatureString(data));
+  return JSON.stringify(data);
+}
+
+const hmac = secret => stringToSign => crypto.createHmac('sha256', secret).update(stringToSign).digest('hex');
+
+describe('🔑 Rotation des clés de signature', () => {
+  const originalKeyring = qrDecoderService.keyring;
+  let directory;
+  let keySetFile;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+    keySetFile = path.join(directory, 'keys.json');
+    writeKeySet(keySetFile, [
+      octKey('tg-2026', NEW_SECRET, 'active'),
+      octKey('tg-2025', OLD_SECRET, 'retired')
+    ]);
+
+    qrDecoderService.keyring = new SigningKeyring({ file: keySetFile, reloadInterval: 0 });
+    qrDecoderService.keyring.start();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    qrDecoderService.keyring = originalKeyring;
+  });
+
+  it('devrait vérifier un ticket signé avec une clé retirée', async () => {
+    const result = await qrDecoderService.decodeAndValidateQR(signedQR({ kid: 'tg-2025' }, hmac(OLD_SECRET)));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.validationInfo.keyId, 'tg-2025');
+  });
+
+  it('devrait refuser un kid inconnu ou une clé d\'un autre kid', async () => {
+    const unknown = await qrDecoderService.decodeAndValidateQR(signedQR({ kid: 'tg-2024' }, hmac(OLD_SECRET)));
+    const swapped = await qrDecoderService.decodeAndValidateQR(signedQR({ kid: 'tg-2026' }, hmac(OLD_SECRET)));
+
+    assert.strictEqual(unknown.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+    assert.strictEqual(unknown.fraudFlags.details.reason, 'unknown_kid');
+    assert.strictEqual(swapped.fraudFlags.details.reason, 'signature_mismatch');
+  });
+
+  it('devrait prendre en compte une nouvelle clé sans redémarrage', async () => {
+    const qrCode = signedQR({ kid: 'tg-2027' }, hmac('ticket-generator-secret-2027'));
+    assert.strictEqual((await qrDecoderService.decodeAndValidateQR(qrCode)).success, false);
+
+    writeKeySet(keySetFile, [
+      octKey('tg-2027', 'ticket-generator-secret-2027', 'active'),
+      octKey('tg-2026', NEW_SECRET, 'retired')
+    ]);
+
+    assert.strictEqual(qrDecoderService.keyring.reloadIfChanged(), true);
+    assert.strictEqual((await qrDecoderService.decodeAndValidateQR(qrCode)).success, true);
+  });
+
+  it('devrait conserver les clés en place si le fichier est invalide', () => {
+    fs.writeFileSync(keySetFile, '{ "keys": [');
+    fs.utimesSync(keySetFile, new Date(Date.now() + 200000), new Date(Date.now() + 200000));
+
+    assert.strictEqual(qrDecoderService.keyring.reloadIfChanged(), false);
+    assert.strictEqual(qrDecoderService.keyring.getStats().keys.length, 2);
+  });
+
+  it('devrait vérifier une signature RSA avec la clé du répertoire et refuser un autre algorithme', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(path.join(directory, 'rsa-2026.pem'), publicKey.export({ type: 'spki', format: 'pem' }));
+    qrDecoderService.keyring = new SigningKeyring({ directory, reloadInterval: 0 });
+    qrDecoderService.keyring.start();
+
+    const rsaSign = stringToSign => crypto.createSign('RSA-SHA256').update(stringToSign).sign(privateKey, 'hex');
+    const rsa = await qrDecoderService.decodeAndValidateQR(signedQR({ kid: 'rsa-2026', algorithm: 'RS256' }, rsaSign));
+    const confused = await qrDecoderService.decodeAndValidateQR(signedQR({ kid: 'rsa-2026' }, hmac(NEW_SECRET)));
+
+    assert.strictEqual(rsa.success, true);
+    assert.strictEqual(rsa.validationInfo.keyId, 'rsa-2026');
+    assert.strictEqual(confused.fraudFlags.details.reason, 'algorithm_mismatch');
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const ticketRevocationsService = require('../src/core/revocations/ticket-revocations.service');
+const ticketRevocationsRepository = require('../src/core/database/ticket-revocations.repository');
+const offlineService = require('../src/core/offline/offline.service');
+const offlineBundleService = require('../src/core/offline/offline-bundle.service');
+
+/**
+ * Tests des révocations de tickets
+ */
+
+function revocationRow(fields) {
+  return {
+    id: 1,
+    eventId: 42,
+    type: 'ticket',
+    key: 'TKT-1',
+    reason: 'refunded',
+    revokedAt: new Date('2026-10-01T10:00:00Z'),
+    updatedAt: new Date('2026-10-01T10:00:00Z'),
+    ...fields
+  };
+}
+
+describe('🚫 Révocations de tickets', () => {
+  const originals = {
+    listByEvent: ticketRevocationsRepository.listByEvent,
+    upsertRevocations: ticketRevocationsRepository.upsertRevocations,
+    failClosed: ticketRevocationsService.failClosed
+  };
+
+  beforeEach(() => {
+    ticketRevocationsService.revocationsCache.clear();
+    offlineService.offlineData = new Map();
+    offlineService.revocations = new Map();
+    offlineService.changeVersion = 0;
+  });
+
+  afterAll(() => {
+    ticketRevocationsRepository.listByEvent = originals.listByEvent;
+    ticketRevocationsRepository.upsertRevocations = originals.upsertRevocations;
+    ticketRevocationsService.failClosed = originals.failClosed;
+  });
+
+  it('devrait refuser un ticket révoqué par ID ou par nonce', async () => {
+    let loads = 0;
+    ticketRevocationsRepository.listByEvent = async () => {
+      loads++;
+      return [
+        revocationRow(),
+        revocationRow({ id: 2, type: 'nonce', key: 'a1b2c3', reason: 'stolen' })
+      ];
+    };
+
+    const byId = await ticketRevocationsService.checkTicket({ ticketId: 'TKT-1', eventId: '42' });
+    const byNonce = await ticketRevocationsService.checkTicket({ ticketId: 'TKT-2', eventId: '42', nonce: 'a1b2c3' });
+    const reissued = await ticketRevocationsService.checkTicket({ ticketId: 'TKT-2', eventId: '42', nonce: 'd4e5f6' });
+
+    assert.strictEqual(byId.code, 'TICKET_REVOKED');
+    assert.strictEqual(byId.revocation.reason, 'refunded');
+    assert.strictEqual(byNonce.code, 'TICKET_REVOKED');
+    assert.strictEqual(byNonce.revocation.type, 'nonce');
+    assert.strictEqual(reissued.allowed, true);
+    assert.strictEqual(loads, 1);
+  });
+
+  it('devrait laisser passer ou refuser selon REVOCATIONS_FAIL_CLOSED si la liste est indisponible', async () => {
+    ticketRevocationsRepository.listByEvent = async () => {
+      throw new Error('Échec de la récupération des révocations');
+    };
+
+    ticketRevocationsService.failClosed = false;
+    const failOpen = await ticketRevocationsService.checkTicket({ ticketId: 'TKT-1', eventId: '42' });
+    ticketRevocationsService.failClosed = true;
+    const failClosed = await ticketRevocationsService.checkTicket({ ticketId: 'TKT-1', eventId: '42' });
+
+    assert.deepStrictEqual(failOpen, { allowed: true, degraded: true });
+    assert.strictEqual(failClosed.code, 'REVOCATIONS_UNAVAILABLE');
+  });
+
+  it('devrait enregistrer un lot et révoquer le ticket dans les données offline', async () => {
+    let recorded;
+    ticketRevocationsRepository.upsertRevocations = async revocations => {
+      recorded = revocations;
+      return revocations.map((revocation, index) => revocationRow({ id: index + 1, ...revocation }));
+    };
+    await offlineService.storeTicketData({ id: 'TKT-1', eventId: 42, expiresAt: new Date(Date.now() + 3600000).toISOString() });
+    ticketRevocationsService.revocationsCache.set('42', { byKey: new Map(), loadedAt: Date.now() });
+
+    const result = await ticketRevocationsService.revokeMany([
+      { eventId: 42, ticketId: 'TKT-1', reason: 'refunded' },
+      { eventId: 42, ticketId: 'TKT-1', reason: 'transferred' },
+      { eventId: 42, nonce: 'a1b2c3', reason: 'stolen' }
+    ], 'event-planner-core');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(recorded.length, 2);
+    assert.strictEqual(recorded[0].reason, 'transferred');
+    assert.strictEqual(recorded[1].source, 'event-planner-core');
+    assert.strictEqual(ticketRevocationsService.revocationsCache.has('42'), false);
+    assert.strictEqual(offlineService.offlineData.get('TKT-1').status, 'revoked');
+    assert.strictEqual((await offlineService.validateTicketOffline('TKT-1')).code, 'TICKET_REVOKED');
+  });
+
+  it('devrait inclure les révocations dans les bundles offline', async () => {
+    await offlineService.storeTicketData({ id: 'TKT-1', eventId: 42, expiresAt: new Date(Date.now() + 3600000).toISOString() });
+    await offlineService.applyRevocations([revocationRow({ key: 'TKT-9' })]);
+    const sinceVersion = offlineService.changeVersion;
+    await offlineService.applyRevocations([revocationRow({ id: 2, type: 'nonce', key: 'a1b2c3', reason: 'stolen' })]);
+
+    const full = offlineBundleService.verifyBundle(offlineBundleService.buildBundle(42, { hashIds: false }).bundle).payload;
+    const delta = offlineBundleService.verifyBundle(offlineBundleService.buildBundle(42, { sinceVersion }).bundle).payload;
+    const salt = offlineBundleService.getIdSalt('42');
+
+    assert.deepStrictEqual(full.revoked.map(entry => entry.id || entry.n), ['TKT-9', 'a1b2c3']);
+    assert.deepStrictEqual(delta.revoked, [
+      { nh: offlineBundleService.hashTicketId('a1b2c3', salt), r: 'stolen', v: sinceVersion + 1 }
+    ]);
+  });
+});
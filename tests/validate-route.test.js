@@ -0,0 +1,199 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const scansRoutes = require('../src/api/routes/scans.routes');
+const validationService = require('../src/core/validation/validation.service');
+const scanService = require('../src/core/scan/scan.service');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const NonceRegistry = require('../src/core/qr/nonce-registry');
+const MemoryScanLockStore = require('../src/core/locks/memory-scan-lock.store');
+const scanOperatorsService = require('../src/core/operators/scan-operators.service');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+const offlineService = require('../src/core/offline/offline.service');
+const admissionPolicyService = require('../src/core/admission/admission-policy.service');
+const ticketRevocationsService = require('../src/core/revocations/ticket-revocations.service');
+const validationRulesService = require('../src/core/rules/validation-rules.service');
+const occupancyService = require('../src/core/occupancy/occupancy.service');
+const scanRepository = require('../src/core/database/scan.repository');
+const occupancyRepository = require('../src/core/database/occupancy.repository');
+const ticketRevocationsRepository = require('../src/core/database/ticket-revocations.repository');
+const validationRulesRepository = require('../src/core/database/validation-rules.repository');
+
+/**
+ * Tests de POST /api/scans/validate à travers la route (validation Joi, authentification opérateur)
+ * Les tickets JWT sont vérifiés contre l'événement scanné : celui de l'opérateur ou scanContext.eventId
+ */
+
+const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function jwtTicket(claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment({
+    sub: '1001',
+    eventId: '42',
+    ticketType: 'standard',
+    iat: now - 60,
+    exp: now + 3600,
+    aud: 'event:42',
+    ...claims
+  })}`;
+  const signature = crypto.createHmac('sha256', qrDecoderService.hmacSecret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/scans', scansRoutes);
+  return app;
+}
+
+describe('🌐 Route de validation des tickets', () => {
+  const originals = {
+    hmacSecret: qrDecoderService.hmacSecret,
+    nonceRegistry: qrDecoderService.nonceRegistry,
+    scanLockStore: validationService.scanLockStore,
+    validationMode: validationService.validationMode,
+    verifyToken: scanOperatorsService.verifyToken,
+    validateTicket: eventCoreClient.validateTicket,
+    validateEvent: eventCoreClient.validateEvent,
+    applyRevocations: offlineService.applyRevocations,
+    createScanLog: scanRepository.createScanLog,
+    getTicketCache: scanRepository.getTicketCache,
+    listCapacities: occupancyRepository.listCapacities,
+    listByEvent: ticketRevocationsRepository.listByEvent,
+    getActiveRulesForEvent: validationRulesRepository.getActiveRulesForEvent
+  };
+  const app = createApp();
+  let scanLogs;
+
+  const operatorToken = eventId => `operator-event-${eventId}`;
+
+  beforeEach(() => {
+    scanLogs = [];
+
+    qrDecoderService.hmacSecret = 'validate-route-test-secret';
+    qrDecoderService.nonceRegistry = new NonceRegistry({ ttl: 60000 });
+    validationService.scanLockStore = new MemoryScanLockStore();
+    validationService.validationMode = 'core';
+
+    // Jeton opérateur "operator-event-<eventId>" : opérateur rattaché à cet événement
+    scanOperatorsService.verifyToken = async token => ({
+      valid: true,
+      operator: {
+        id: 7,
+        eventId: Number(token.replace('operator-event-', '')),
+        permissions: { can_scan: true }
+      }
+    });
+    eventCoreClient.validateTicket = async ticketData => ({
+      success: true,
+      data: {
+        ticket: { id: ticketData.ticketId, status: 'VALIDATED' },
+        event: { id: ticketData.eventId }
+      }
+    });
+    eventCoreClient.validateEvent = async () => ({ success: true, data: {} });
+    offlineService.applyRevocations = async () => {};
+    scanRepository.getTicketCache = async () => null;
+    scanRepository.createScanLog = async data => {
+      scanLogs.push(data);
+      return {
+        id: scanLogs.length,
+        uid: data.uid,
+        scanned_at: data.scannedAt,
+        result: data.result,
+        direction: data.direction,
+        ticketCache: null
+      };
+    };
+    occupancyRepository.listCapacities = async () => [];
+    ticketRevocationsRepository.listByEvent = async () => [];
+    validationRulesRepository.getActiveRulesForEvent = async () => [];
+
+    scanService.ticketCache.clear();
+    admissionPolicyService.eventPolicies.clear();
+    ticketRevocationsService.revocationsCache.clear();
+    validationRulesService.rulesCache.clear();
+    occupancyService.capacitiesCache.clear();
+  });
+
+  afterEach(() => {
+    qrDecoderService.hmacSecret = originals.hmacSecret;
+    qrDecoderService.nonceRegistry = originals.nonceRegistry;
+    validationService.scanLockStore = originals.scanLockStore;
+    validationService.validationMode = originals.validationMode;
+    scanOperatorsService.verifyToken = originals.verifyToken;
+    eventCoreClient.validateTicket = originals.validateTicket;
+    eventCoreClient.validateEvent = originals.validateEvent;
+    offlineService.applyRevocations = originals.applyRevocations;
+    scanRepository.createScanLog = originals.createScanLog;
+    scanRepository.getTicketCache = originals.getTicketCache;
+    occupancyRepository.listCapacities = originals.listCapacities;
+    ticketRevocationsRepository.listByEvent = originals.listByEvent;
+    validationRulesRepository.getActiveRulesForEvent = originals.getActiveRulesForEvent;
+
+    scanService.ticketCache.clear();
+    admissionPolicyService.eventPolicies.clear();
+    ticketRevocationsService.revocationsCache.clear();
+    validationRulesService.rulesCache.clear();
+    occupancyService.capacitiesCache.clear();
+  });
+
+  it('devrait accepter un ticket JWT de l\'événement de l\'opérateur', async () => {
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .set('Authorization', `Bearer ${operatorToken(42)}`)
+      .send({ qrCode: jwtTicket(), scanContext: { deviceId: 'gate-1' } });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.success, true);
+    assert.strictEqual(response.body.data.ticketId, '1001');
+    assert.strictEqual(scanLogs.length, 1);
+  });
+
+  it('devrait refuser un ticket JWT d\'un autre événement que celui de l\'opérateur', async () => {
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .set('Authorization', `Bearer ${operatorToken(43)}`)
+      // L'événement de l'opérateur prévaut sur celui déclaré par le terminal
+      .send({ qrCode: jwtTicket(), scanContext: { deviceId: 'gate-1', eventId: 42 } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.validationCode, 'JWT_INVALID_AUDIENCE');
+  });
+
+  it('devrait vérifier l\'audience avec scanContext.eventId sans opérateur rattaché', async () => {
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .send({ qrCode: jwtTicket(), scanContext: { deviceId: 'gate-1', eventId: 42 } });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.eventId, '42');
+  });
+
+  it('devrait refuser un ticket JWT sans événement scanné', async () => {
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .send({ qrCode: jwtTicket(), scanContext: { deviceId: 'gate-1' } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.validationCode, 'JWT_AUDIENCE_UNVERIFIABLE');
+  });
+
+  it('devrait rejeter un eventId invalide dans le contexte du scan', async () => {
+    const response = await request(app)
+      .post('/api/scans/validate')
+      .send({ qrCode: jwtTicket(), scanContext: { eventId: 'not-an-event' } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(scanLogs.length, 0);
+  });
+});
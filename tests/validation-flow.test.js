@@ -0,0 +1,617 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+// Client de notification partagé (hors de ce dépôt) requis par ScanService
+jest.mock('../../shared/clients/notification-client', () => ({
+  sendEmail: async () => ({ success: true })
+}), { virtual: true });
+
+const validationService = require('../src/core/validation/validation.service');
+const scanService = require('../src/core/scan/scan.service');
+const qrDecoderService = require('../src/core/qr/qr-decoder.service');
+const NonceRegistry = require('../src/core/qr/nonce-registry');
+const MemoryScanLockStore = require('../src/core/locks/memory-scan-lock.store');
+const eventCoreClient = require('../src/core/clients/event-core.client');
+const offlineService = require('../src/core/offline/offline.service');
+const admissionPolicyService = require('../src/core/admission/admission-policy.service');
+const ticketRevocationsService = require('../src/core/revocations/ticket-revocations.service');
+const validationRulesService = require('../src/core/rules/validation-rules.service');
+const checkpointsService = require('../src/core/checkpoints/checkpoints.service');
+const occupancyService = require('../src/core/occupancy/occupancy.service');
+const scanRepository = require('../src/core/database/scan.repository');
+const occupancyRepository = require('../src/core/database/occupancy.repository');
+const ticketRevocationsRepository = require('../src/core/database/ticket-revocations.repository');
+const validationRulesRepository = require('../src/core/database/validation-rules.repository');
+const checkpointsRepository = require('../src/core/database/checkpoints.repository');
+
+/**
+ * Tests de bout en bout de ValidationService.validateTicket
+ * QR codes signés réels ; seuls les repositories et le service core sont simulés.
+ * La base simulée reproduit l'upsert de scanned_tickets_cache et sérialise les
+ * écritures des scans comme le verrou transactionnel de l'événement.
+ */
+
+function signedQR(fields = {}) {
+  const now = Date.now();
+  const data = {
+    ticketId: '1001',
+    eventId: '42',
+    ticketType: 'standard',
+    issuedAt: new Date(now - 60000).toISOString(),
+    expiresAt: new Date(now + 3600000).toISOString(),
+    // Version 2.0 : nonce couvert par la signature (détection des QR codes rejoués)
+    version: '2.0',
+    algorithm: 'HS256',
+    nonce: `n-${fields.ticketId || '1001'}`,
+    ...fields
+  };
+  data.signature = crypto
+    .createHmac('sha256', qrDecoderService.hmacSecret)
+    .update(qrDecoderService.createSignatureString(data))
+    .digest('hex');
+  return JSON.stringify(data);
+}
+
+/**
+ * Base simulée : lignes de scanned_tickets_cache par ticket
+ */
+function createFakeDatabase() {
+  const rows = new Map();
+  const scanLogs = [];
+  let transactions = Promise.resolve();
+
+  // Même sémantique que ScanRepository.updateScannedTicketCache (ON CONFLICT DO UPDATE)
+  function upsert(cacheData) {
+    const key = String(cacheData.ticketId);
+    const admitted = cacheData.presence !== null && cacheData.presence !== undefined;
+    const existing = rows.get(key);
+
+    // Fencing : jeton plus ancien que celui du dernier passage enregistré
+    if (existing && cacheData.fencingToken && existing.fencing_token &&
+        existing.fencing_token > cacheData.fencingToken) {
+      const error = new Error('Délai de validation dépassé, scanner à nouveau');
+      error.code = 'SCAN_LOCK_EXPIRED';
+      throw error;
+    }
+
+    if (!existing) {
+      const row = {
+        ticket_id: key,
+        scan_count: cacheData.scanCount,
+        scan_locations: cacheData.scanLocations,
+        is_blocked: cacheData.isBlocked,
+        block_reason: cacheData.blockReason,
+        presence: cacheData.presence || 'outside',
+        entry_count: cacheData.entryCount,
+        exit_count: cacheData.exitCount,
+        admission_key: cacheData.admissionKey,
+        event_id: cacheData.eventId,
+        zone: cacheData.zone,
+        fencing_token: cacheData.fencingToken || null
+      };
+      rows.set(key, row);
+      return { ...row };
+    }
+
+    const newSlot = admitted && existing.admission_key !== cacheData.admissionKey;
+    Object.assign(existing, {
+      scan_count: existing.scan_count + cacheData.scanCount,
+      scan_locations: cacheData.scanLocations,
+      is_blocked: cacheData.isBlocked,
+      block_reason: cacheData.blockReason,
+      presence: admitted ? cacheData.presence : existing.presence,
+      entry_count: newSlot ? cacheData.entryCount : existing.entry_count + cacheData.entryCount,
+      exit_count: newSlot ? cacheData.exitCount : existing.exit_count + cacheData.exitCount,
+      admission_key: admitted ? cacheData.admissionKey : existing.admission_key,
+      event_id: cacheData.eventId || existing.event_id,
+      zone: admitted ? cacheData.zone : existing.zone,
+      fencing_token: cacheData.fencingToken || existing.fencing_token
+    });
+    return { ...existing };
+  }
+
+  // Même transaction que ScanRepository.createScanLog : contrôle des jauges, log et présence
+  async function createScanLog(data) {
+    const run = transactions.then(async () => {
+      if (data.presenceGuard) {
+        await data.presenceGuard({ query: async () => ({ rows: [] }) });
+      }
+
+      const ticketCache = data.ticketCache ? upsert(data.ticketCache) : null;
+      scanLogs.push(data);
+
+      return {
+        id: scanLogs.length,
+        uid: data.uid,
+        scanned_at: data.scannedAt,
+        result: data.result,
+        direction: data.direction,
+        ticketCache
+      };
+    });
+
+    transactions = run.catch(() => {});
+    return run;
+  }
+
+  function getTicketCache(ticketId) {
+    const row = rows.get(String(ticketId));
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ticketId: row.ticket_id,
+      scanCount: row.scan_count,
+      scanLocations: row.scan_locations,
+      isBlocked: row.is_blocked,
+      blockReason: row.block_reason,
+      presence: row.presence,
+      entryCount: row.entry_count,
+      exitCount: row.exit_count,
+      admissionKey: row.admission_key,
+      zone: row.zone
+    };
+  }
+
+  function countInside(eventId, zone = null, options = {}) {
+    return [...rows.values()].filter(row =>
+      String(row.event_id) === String(eventId) &&
+      row.presence === 'inside' &&
+      (!zone || row.zone === zone) &&
+      (options.admissionKey === undefined || (row.admission_key || null) === options.admissionKey)
+    ).length;
+  }
+
+  return { rows, scanLogs, upsert, createScanLog, getTicketCache, countInside };
+}
+
+function offlineEntry(ticketId) {
+  return {
+    ticketId,
+    ticketData: { id: ticketId, eventId: '42', type: 'standard' },
+    storedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + 86400000).toISOString(),
+    validationCount: 0,
+    status: 'active'
+  };
+}
+
+function pendingDegradedScans() {
+  return [...offlineService.pendingSync.values()]
+    .filter(syncItem => syncItem.action === 'validate' && syncItem.data.degraded)
+    .map(syncItem => syncItem.data);
+}
+
+describe('🎫 Validation de bout en bout (ValidationService.validateTicket)', () => {
+  const originals = {
+    hmacSecret: qrDecoderService.hmacSecret,
+    nonceRegistry: qrDecoderService.nonceRegistry,
+    scanLockStore: validationService.scanLockStore,
+    validationMode: validationService.validationMode,
+    degradedSince: validationService.degradedSince,
+    validateTicket: eventCoreClient.validateTicket,
+    validateEvent: eventCoreClient.validateEvent,
+    applyRevocations: offlineService.applyRevocations,
+    createScanLog: scanRepository.createScanLog,
+    getTicketCache: scanRepository.getTicketCache,
+    updateScannedTicketCache: scanRepository.updateScannedTicketCache,
+    countInside: occupancyRepository.countInside,
+    listCapacities: occupancyRepository.listCapacities,
+    listByEvent: ticketRevocationsRepository.listByEvent,
+    getActiveRulesForEvent: validationRulesRepository.getActiveRulesForEvent,
+    getCheckpointById: checkpointsRepository.getCheckpointById
+  };
+  let db;
+  let capacities;
+  let revocations;
+  let checkpoints;
+
+  const scan = (qrCode, scanContext = {}) => validationService.validateTicket(qrCode, {
+    deviceId: 'gate-1',
+    location: 'Entrée A',
+    ...scanContext
+  });
+
+  beforeEach(() => {
+    db = createFakeDatabase();
+    capacities = [];
+    revocations = [];
+    checkpoints = new Map();
+
+    qrDecoderService.hmacSecret = 'validation-flow-test-secret';
+    qrDecoderService.nonceRegistry = new NonceRegistry({ ttl: 60000 });
+    validationService.scanLockStore = new MemoryScanLockStore();
+    validationService.pendingScans.clear();
+    validationService.validationMode = 'core';
+    validationService.degradedSince = null;
+
+    eventCoreClient.validateTicket = async ticketData => ({
+      success: true,
+      data: {
+        ticket: { id: ticketData.ticketId, status: 'VALIDATED' },
+        event: { id: ticketData.eventId }
+      }
+    });
+    eventCoreClient.validateEvent = async () => ({ success: true, data: {} });
+    offlineService.applyRevocations = async () => {};
+
+    scanRepository.createScanLog = db.createScanLog;
+    scanRepository.getTicketCache = async ticketId => db.getTicketCache(ticketId);
+    scanRepository.updateScannedTicketCache = async cacheData => db.upsert(cacheData);
+    occupancyRepository.countInside = async (eventId, zone, options) => db.countInside(eventId, zone, options);
+    occupancyRepository.listCapacities = async () => capacities;
+    ticketRevocationsRepository.listByEvent = async () => revocations;
+    validationRulesRepository.getActiveRulesForEvent = async () => [];
+    checkpointsRepository.getCheckpointById = async checkpointId => checkpoints.get(String(checkpointId)) || null;
+
+    scanService.ticketCache.clear();
+    admissionPolicyService.eventPolicies.clear();
+    offlineService.offlineData.clear();
+    offlineService.pendingSync.clear();
+    ticketRevocationsService.revocationsCache.clear();
+    validationRulesService.rulesCache.clear();
+    checkpointsService.checkpointsCache.clear();
+    occupancyService.capacitiesCache.clear();
+  });
+
+  afterEach(() => {
+    qrDecoderService.hmacSecret = originals.hmacSecret;
+    qrDecoderService.nonceRegistry = originals.nonceRegistry;
+    validationService.scanLockStore = originals.scanLockStore;
+    validationService.validationMode = originals.validationMode;
+    validationService.degradedSince = originals.degradedSince;
+    eventCoreClient.validateTicket = originals.validateTicket;
+    eventCoreClient.validateEvent = originals.validateEvent;
+    offlineService.applyRevocations = originals.applyRevocations;
+    scanRepository.createScanLog = originals.createScanLog;
+    scanRepository.getTicketCache = originals.getTicketCache;
+    scanRepository.updateScannedTicketCache = originals.updateScannedTicketCache;
+    occupancyRepository.countInside = originals.countInside;
+    occupancyRepository.listCapacities = originals.listCapacities;
+    ticketRevocationsRepository.listByEvent = originals.listByEvent;
+    validationRulesRepository.getActiveRulesForEvent = originals.getActiveRulesForEvent;
+    checkpointsRepository.getCheckpointById = originals.getCheckpointById;
+
+    scanService.ticketCache.clear();
+    admissionPolicyService.eventPolicies.clear();
+    offlineService.offlineData.clear();
+    offlineService.pendingSync.clear();
+    ticketRevocationsService.revocationsCache.clear();
+    validationRulesService.rulesCache.clear();
+    checkpointsService.checkpointsCache.clear();
+    occupancyService.capacitiesCache.clear();
+  });
+
+  describe('Présence du porteur', () => {
+    it('devrait admettre une première entrée et enregistrer la présence', async () => {
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.ticket.status, 'VALID');
+      assert.strictEqual(result.presence, 'inside');
+      assert.strictEqual(db.scanLogs.length, 1);
+      assert.strictEqual(db.rows.get('1001').presence, 'inside');
+      assert.strictEqual(db.rows.get('1001').entry_count, 1);
+    });
+
+    it('devrait refuser une seconde entrée sans sortie', async () => {
+      const qrCode = signedQR();
+
+      const first = await scan(qrCode);
+      // Autre instance : pas de cache mémoire, la présence est relue en base
+      scanService.ticketCache.clear();
+      const second = await scan(qrCode);
+
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(second.success, false);
+      assert.strictEqual(second.code, 'TICKET_ALREADY_INSIDE');
+      assert.strictEqual(db.scanLogs.length, 1);
+      assert.strictEqual(db.rows.get('1001').entry_count, 1);
+    });
+
+    it('devrait admettre un seul de deux scans simultanés du même ticket', async () => {
+      const qrCode = signedQR();
+
+      const results = await Promise.all([scan(qrCode), scan(qrCode)]);
+      const admitted = results.filter(result => result.success);
+      const refused = results.filter(result => !result.success);
+
+      assert.strictEqual(admitted.length, 1);
+      assert.strictEqual(refused.length, 1);
+      assert.ok(['CONCURRENT_SCAN_DETECTED', 'TICKET_ALREADY_INSIDE'].includes(refused[0].code));
+      assert.strictEqual(db.scanLogs.length, 1);
+      assert.strictEqual(db.rows.get('1001').entry_count, 1);
+    });
+
+    it('devrait refuser en base un passage validé sous un verrou repris', async () => {
+      const qrCode = signedQR();
+      let takeover = null;
+
+      // Le scan lent a vérifié son verrou juste avant de le perdre
+      validationService.scanLockStore.isCurrent = async () => true;
+      eventCoreClient.validateTicket = async ticketData => {
+        if (!takeover) {
+          // Verrou expiré pendant la validation métier : un second scan le reprend et entre
+          validationService.scanLockStore.locks.clear();
+          validationService.pendingScans.clear();
+          takeover = scan(qrCode, { deviceId: 'gate-2' });
+          await takeover;
+        }
+        return {
+          success: true,
+          data: {
+            ticket: { id: ticketData.ticketId, status: 'VALIDATED' },
+            event: { id: ticketData.eventId }
+          }
+        };
+      };
+
+      const slow = await scan(qrCode);
+      const fast = await takeover;
+
+      assert.strictEqual(fast.success, true);
+      assert.strictEqual(slow.success, false);
+      assert.strictEqual(slow.code, 'SCAN_LOCK_EXPIRED');
+      assert.strictEqual(db.scanLogs.length, 1);
+      assert.strictEqual(db.scanLogs[0].deviceId, 'gate-2');
+      assert.strictEqual(db.rows.get('1001').entry_count, 1);
+    });
+
+    it('devrait refuser une sortie sans entrée', async () => {
+      const result = await scan(signedQR(), { direction: 'exit' });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'TICKET_NOT_INSIDE');
+      assert.strictEqual(db.scanLogs.length, 0);
+    });
+
+    it('devrait enchaîner entrée, sortie puis refuser la ré-entrée sans règle', async () => {
+      const qrCode = signedQR();
+
+      const entry = await scan(qrCode);
+      const exit = await scan(qrCode, { direction: 'exit' });
+      const reentry = await scan(qrCode);
+
+      assert.strictEqual(entry.success, true);
+      assert.strictEqual(exit.success, true);
+      assert.strictEqual(exit.presence, 'outside');
+      assert.strictEqual(reentry.success, false);
+      assert.strictEqual(reentry.code, 'MAX_REENTRIES_EXCEEDED');
+      assert.strictEqual(db.rows.get('1001').presence, 'outside');
+    });
+
+    it('devrait admettre une ré-entrée autorisée sans repasser par le service core', async () => {
+      const qrCode = signedQR();
+      const previousMaxReentries = validationService.defaultMaxReentries;
+      validationService.defaultMaxReentries = 1;
+
+      try {
+        await scan(qrCode);
+        await scan(qrCode, { direction: 'exit' });
+
+        let coreCalls = 0;
+        eventCoreClient.validateTicket = async () => {
+          coreCalls++;
+          return { success: false, error: 'Ticket déjà utilisé', code: 'TICKET_ALREADY_USED' };
+        };
+
+        const reentry = await scan(qrCode);
+
+        assert.strictEqual(reentry.success, true);
+        assert.strictEqual(reentry.reentry, true);
+        assert.strictEqual(reentry.ticket.status, 'REENTRY');
+        assert.strictEqual(coreCalls, 0);
+        assert.strictEqual(db.rows.get('1001').entry_count, 2);
+        assert.strictEqual(db.rows.get('1001').exit_count, 1);
+      } finally {
+        validationService.defaultMaxReentries = previousMaxReentries;
+      }
+    });
+
+    it('devrait refuser le scan si la présence ne peut pas être lue en base', async () => {
+      scanRepository.getTicketCache = async () => {
+        throw new Error('connection terminated');
+      };
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'PRESENCE_UNAVAILABLE');
+      assert.strictEqual(db.scanLogs.length, 0);
+    });
+
+    it('devrait refuser l\'entrée si le passage ne peut pas être enregistré', async () => {
+      scanRepository.createScanLog = async () => {
+        throw new Error('connection terminated');
+      };
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'SCAN_RECORD_FAILED');
+      assert.strictEqual(db.rows.size, 0);
+    });
+  });
+
+  describe('Points de contrôle et jauges', () => {
+    beforeEach(() => {
+      checkpoints.set('1', { id: 1, eventId: 42, name: 'Entrée', code: 'MAIN', zone: 'main', parentZone: null, isActive: true });
+      checkpoints.set('2', { id: 2, eventId: 42, name: 'Espace VIP', code: 'VIP', zone: 'vip', parentZone: 'main', isActive: true, allowedTicketTypes: ['vip'] });
+    });
+
+    it('devrait passer d\'une zone à une zone intérieure sans nouvelle entrée', async () => {
+      const qrCode = signedQR({ ticketType: 'vip' });
+
+      await scan(qrCode, { checkpointId: 1 });
+      const result = await scan(qrCode, { checkpointId: 2 });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.zoneChange, { from: 'main', to: 'vip' });
+      assert.strictEqual(db.rows.get('1001').zone, 'vip');
+      assert.strictEqual(db.rows.get('1001').entry_count, 1);
+    });
+
+    it('devrait refuser un ticket non autorisé au point de contrôle', async () => {
+      const qrCode = signedQR();
+
+      await scan(qrCode, { checkpointId: 1 });
+      const result = await scan(qrCode, { checkpointId: 2 });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'ZONE_NOT_ALLOWED');
+    });
+
+    it('devrait refuser une entrée lorsque la jauge est atteinte', async () => {
+      capacities = [{ zone: null, capacity: 1 }];
+
+      const first = await scan(signedQR({ ticketId: '1001' }));
+      const second = await scan(signedQR({ ticketId: '1002' }));
+
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(second.success, false);
+      assert.strictEqual(second.code, 'CAPACITY_REACHED');
+      assert.strictEqual(second.occupancy.inside, 1);
+    });
+
+    it('devrait réserver la dernière place pour une seule de deux entrées simultanées', async () => {
+      capacities = [{ zone: null, capacity: 1 }];
+
+      const results = await Promise.all([
+        scan(signedQR({ ticketId: '1001' })),
+        scan(signedQR({ ticketId: '1002' }))
+      ]);
+
+      assert.strictEqual(results.filter(result => result.success).length, 1);
+      assert.strictEqual(results.filter(result => result.code === 'CAPACITY_REACHED').length, 1);
+      assert.strictEqual(db.countInside(42), 1);
+    });
+  });
+
+  describe('Tickets refusés', () => {
+    it('devrait refuser un ticket révoqué avec ses indicateurs de fraude', async () => {
+      revocations = [{ type: 'ticket', key: '1001', reason: 'stolen', revokedAt: new Date().toISOString() }];
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'TICKET_REVOKED');
+      assert.strictEqual(result.fraudFlags.type, 'REVOKED_TICKET');
+      assert.strictEqual(result.ticket.id, '1001');
+      assert.strictEqual(db.scanLogs.length, 0);
+    });
+
+    it('devrait refuser un nonce rejoué pour un autre ticket', async () => {
+      const first = await scan(signedQR({ ticketId: '1001', nonce: 'shared-nonce' }));
+      const copy = await scan(signedQR({ ticketId: '1002', nonce: 'shared-nonce' }));
+
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(copy.success, false);
+      assert.strictEqual(copy.code, 'QR_REPLAY_DETECTED');
+      assert.strictEqual(copy.ticket.id, '1002');
+      assert.strictEqual(db.rows.has('1002'), false);
+    });
+
+    it('devrait refuser un ticket refusé par le service core', async () => {
+      eventCoreClient.validateTicket = async () => ({
+        success: false,
+        error: 'Ticket expiré',
+        code: 'TICKET_EXPIRED'
+      });
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'EXPIRED');
+      assert.strictEqual(db.rows.size, 0);
+    });
+
+    it('devrait refuser un QR code falsifié en mode mock', async () => {
+      validationService.validationMode = 'mock';
+      const forged = JSON.parse(signedQR());
+      forged.ticketType = 'vip';
+
+      const result = await scan(JSON.stringify(forged));
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'INVALID_CRYPTOGRAPHIC_SIGNATURE');
+      assert.strictEqual(db.scanLogs.length, 0);
+    });
+  });
+
+  describe('Mode dégradé', () => {
+    it('devrait admettre sur le cache offline si le service core est injoignable', async () => {
+      validationService.validationMode = 'core-with-offline-fallback';
+      eventCoreClient.validateTicket = async () => ({
+        success: false,
+        error: 'Service core indisponible',
+        code: 'CORE_SERVICE_UNAVAILABLE'
+      });
+      offlineService.offlineData.set('1001', offlineEntry('1001'));
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.degraded, true);
+      assert.strictEqual(validationService.getDegradedMode().mode, 'degraded');
+      assert.strictEqual(db.scanLogs[0].degraded, true);
+      assert.strictEqual(db.rows.get('1001').presence, 'inside');
+
+      // Confirmation en file pour le log de scan enregistré
+      const queued = pendingDegradedScans();
+      assert.strictEqual(queued.length, 1);
+      assert.strictEqual(queued[0].scanInfo.scanId, db.scanLogs[0].uid);
+      assert.strictEqual(queued[0].eventId, '42');
+      assert.strictEqual(offlineService.offlineData.get('1001').validationCount, 1);
+    });
+
+    it('ne devrait rien mettre en file si l\'admission dégradée est refusée', async () => {
+      validationService.validationMode = 'core-with-offline-fallback';
+      eventCoreClient.validateTicket = async () => ({
+        success: false,
+        error: 'Service core indisponible',
+        code: 'CORE_SERVICE_UNAVAILABLE'
+      });
+      offlineService.offlineData.set('1001', offlineEntry('1001'));
+      // Verrou repris par un autre scan avant l'enregistrement
+      validationService.scanLockStore.isCurrent = async () => false;
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'SCAN_LOCK_EXPIRED');
+      assert.strictEqual(db.scanLogs.length, 0);
+      assert.strictEqual(pendingDegradedScans().length, 0);
+      assert.strictEqual(offlineService.offlineData.get('1001').validationCount, 0);
+    });
+
+    it('devrait refuser un ticket absent du cache offline en mode dégradé', async () => {
+      validationService.validationMode = 'core-with-offline-fallback';
+      eventCoreClient.validateTicket = async () => ({
+        success: false,
+        error: 'Service core indisponible',
+        code: 'CORE_SERVICE_UNAVAILABLE'
+      });
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.code, 'INVALID');
+      assert.strictEqual(db.rows.size, 0);
+      assert.strictEqual(pendingDegradedScans().length, 0);
+    });
+
+    it('devrait refuser si le service core est injoignable sans repli offline', async () => {
+      eventCoreClient.validateTicket = async () => ({
+        success: false,
+        error: 'Service core indisponible',
+        code: 'CORE_SERVICE_UNAVAILABLE'
+      });
+
+      const result = await scan(signedQR());
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(db.rows.size, 0);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const assert = require('assert');
+const validationRulesService = require('../src/core/rules/validation-rules.service');
+const validationRulesRepository = require('../src/core/database/validation-rules.repository');
+
+/**
+ * Tests du moteur de règles de validation par événement
+ */
+
+const baseContext = {
+  ticket: {
+    ticketId: 'TICKET_001',
+    eventId: '42',
+    ticketType: 'standard'
+  },
+  scanContext: {
+    location: 'Entrée Principale',
+    deviceId: 'scanner_001'
+  }
+};
+
+describe('📏 Moteur de règles de validation', () => {
+
+  beforeEach(() => {
+    validationRulesService.rulesCache.clear();
+  });
+
+  describe('✅ Évaluation des règles', () => {
+    it('devrait accepter un scan sans règle configurée', async () => {
+      const result = await validationRulesService.evaluateRules([], baseContext);
+
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.evaluatedRules, 0);
+    });
+
+    it('devrait refuser un type de ticket non autorisé et rapporter la règle', async () => {
+      const rules = [{
+        id: 7,
+        ruleType: 'ALLOWED_TICKET_TYPES',
+        priority: 10,
+        parameters: { ticketTypes: ['vip'] }
+      }];
+
+      const result = await validationRulesService.evaluateRules(rules, baseContext);
+
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.code, 'TICKET_TYPE_NOT_ALLOWED');
+      assert.strictEqual(result.failedRule.id, 7);
+      assert.strictEqual(result.failedRule.ruleType, 'ALLOWED_TICKET_TYPES');
+    });
+
+    it('devrait ignorer une règle restreinte à un autre point de contrôle', async () => {
+      const rules = [{
+        id: 1,
+        ruleType: 'ALLOWED_TICKET_TYPES',
+        parameters: { ticketTypes: ['vip'], locations: ['Entrée VIP'] }
+      }];
+
+      const result = await validationRulesService.evaluateRules(rules, baseContext);
+
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.evaluatedRules, 0);
+    });
+
+    it('devrait évaluer les règles par priorité décroissante', async () => {
+      const rules = [
+        { id: 1, ruleType: 'ALLOWED_TICKET_TYPES', priority: 1, parameters: { ticketTypes: ['vip'] } },
+        { id: 2, ruleType: 'ALLOWED_DEVICES', priority: 5, parameters: { deviceIds: ['scanner_999'] } }
+      ];
+
+      const result = await validationRulesService.evaluateRules(rules, baseContext);
+
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.code, 'DEVICE_NOT_ALLOWED');
+      assert.strictEqual(result.failedRule.id, 2);
+    });
+
+    it('devrait refuser un scan hors de la fenêtre horaire', async () => {
+      const rules = [{
+        id: 3,
+        ruleType: 'ENTRY_TIME_WINDOW',
+        parameters: { startsAt: '2026-06-01T18:00:00.000Z', endsAt: '2026-06-01T23:00:00.000Z' }
+      }];
+
+      const early = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        now: '2026-06-01T17:59:00.000Z'
+      });
+      const onTime = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        now: '2026-06-01T19:00:00.000Z'
+      });
+
+      assert.strictEqual(early.allowed, false);
+      assert.strictEqual(early.code, 'OUTSIDE_ENTRY_WINDOW');
+      assert.strictEqual(onTime.allowed, true);
+    });
+
+    it('devrait gérer une fenêtre quotidienne traversant minuit', async () => {
+      const rules = [{
+        id: 4,
+        ruleType: 'ENTRY_TIME_WINDOW',
+        parameters: { dailyStart: '22:00', dailyEnd: '02:00', timezone: 'UTC' }
+      }];
+
+      const night = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        now: '2026-06-02T01:30:00.000Z'
+      });
+      const afternoon = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        now: '2026-06-02T15:00:00.000Z'
+      });
+
+      assert.strictEqual(night.allowed, true);
+      assert.strictEqual(afternoon.allowed, false);
+    });
+
+    it('devrait refuser le scan si une règle ne peut pas être évaluée', async () => {
+      const originalFailClosed = validationRulesService.failClosed;
+      // Fuseau enregistré avant sa validation à la création
+      const rules = [
+        { id: 10, ruleType: 'ENTRY_TIME_WINDOW', priority: 2, parameters: { dailyStart: '08:00', dailyEnd: '20:00', timezone: 'Mars/Olympus' } },
+        { id: 11, ruleType: 'ALLOWED_DEVICES', priority: 1, parameters: { deviceIds: ['scanner_999'] } }
+      ];
+
+      try {
+        validationRulesService.failClosed = true;
+        const failClosed = await validationRulesService.evaluateRules(rules, baseContext);
+
+        validationRulesService.failClosed = false;
+        const failOpen = await validationRulesService.evaluateRules(rules, baseContext);
+
+        assert.strictEqual(failClosed.allowed, false);
+        assert.strictEqual(failClosed.code, 'RULE_EVALUATION_FAILED');
+        assert.strictEqual(failClosed.failedRule.id, 10);
+        // Seule la règle inévaluable est ignorée : les autres s'appliquent
+        assert.strictEqual(failOpen.allowed, false);
+        assert.strictEqual(failOpen.code, 'DEVICE_NOT_ALLOWED');
+      } finally {
+        validationRulesService.failClosed = originalFailClosed;
+      }
+    });
+
+    it('devrait limiter le nombre de ré-entrées', async () => {
+      const rules = [{ id: 5, ruleType: 'MAX_REENTRIES', parameters: { maxReentries: 1 } }];
+
+      const secondEntry = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        getTicketStatus: async () => ({ scanCount: 1 })
+      });
+      const thirdEntry = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        getTicketStatus: async () => ({ scanCount: 2 })
+      });
+
+      assert.strictEqual(secondEntry.allowed, true);
+      assert.strictEqual(thirdEntry.allowed, false);
+      assert.strictEqual(thirdEntry.code, 'MAX_REENTRIES_EXCEEDED');
+    });
+
+    it('devrait compter les entrées et non les sorties pour les ré-entrées', async () => {
+      const rules = [{ id: 6, ruleType: 'MAX_REENTRIES', parameters: { maxReentries: 1 } }];
+
+      // Entrée, sortie : une ré-entrée reste possible malgré deux scans
+      const result = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        getTicketStatus: async () => ({ scanCount: 2, entryCount: 1, exitCount: 1 })
+      });
+
+      assert.strictEqual(result.allowed, true);
+    });
+
+    it('devrait appliquer la limite de ré-entrées du type de ticket', async () => {
+      const rules = [{
+        id: 7,
+        ruleType: 'MAX_REENTRIES',
+        parameters: { maxReentries: 0, ticketTypes: { VIP: 3 } }
+      }];
+      const ticketStatus = { entryCount: 2, exitCount: 2 };
+
+      const vip = await validationRulesService.evaluateRules(rules, {
+        ...baseContext,
+        ticket: { ...baseContext.ticket, ticketType: 'VIP' },
+        ticketStatus
+      });
+      const standard = await validationRulesService.evaluateRules(rules, { ...baseContext, ticketStatus });
+
+      assert.strictEqual(vip.allowed, true);
+      assert.strictEqual(standard.allowed, false);
+      assert.strictEqual(standard.code, 'MAX_REENTRIES_EXCEEDED');
+    });
+  });
+
+  describe('🧾 Paramètres des règles', () => {
+    it('devrait rejeter un type de règle inconnu', () => {
+      const result = validationRulesService.validateRuleParameters('UNKNOWN', {});
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.code, 'UNSUPPORTED_RULE_TYPE');
+    });
+
+    it('devrait rejeter un fuseau horaire inconnu', () => {
+      const unknown = validationRulesService.validateRuleParameters('ENTRY_TIME_WINDOW', {
+        dailyStart: '08:00',
+        dailyEnd: '20:00',
+        timezone: 'Mars/Olympus'
+      });
+      const known = validationRulesService.validateRuleParameters('ENTRY_TIME_WINDOW', {
+        dailyStart: '08:00',
+        dailyEnd: '20:00',
+        timezone: 'Europe/Paris'
+      });
+
+      assert.strictEqual(unknown.valid, false);
+      assert.strictEqual(unknown.code, 'INVALID_RULE_PARAMETERS');
+      assert.ok(unknown.error.includes('Mars/Olympus'));
+      assert.strictEqual(known.valid, true);
+    });
+
+    it('devrait rejeter un fuseau horaire inconnu à la mise à jour', async () => {
+      const originals = {
+        getRuleById: validationRulesRepository.getRuleById,
+        updateRule: validationRulesRepository.updateRule
+      };
+      let updated = false;
+      validationRulesRepository.getRuleById = async () => ({ id: 3, eventId: 42, ruleType: 'ENTRY_TIME_WINDOW' });
+      validationRulesRepository.updateRule = async () => {
+        updated = true;
+      };
+
+      try {
+        const result = await validationRulesService.updateRule(3, {
+          parameters: { dailyStart: '08:00', dailyEnd: '20:00', timezone: 'Europe/Nowhere' }
+        });
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.code, 'INVALID_RULE_PARAMETERS');
+        assert.strictEqual(updated, false);
+      } finally {
+        validationRulesRepository.getRuleById = originals.getRuleById;
+        validationRulesRepository.updateRule = originals.updateRule;
+      }
+    });
+
+    it('devrait rejeter des paramètres incomplets', () => {
+      const result = validationRulesService.validateRuleParameters('ENTRY_TIME_WINDOW', {
+        dailyStart: '08:00'
+      });
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.code, 'INVALID_RULE_PARAMETERS');
+    });
+  });
+
+  describe('🗄️ Chargement des règles', () => {
+    it('devrait ignorer les événements sans identifiant numérique', async () => {
+      const result = await validationRulesService.evaluateForEvent('EVENT_ABC', baseContext);
+
+      assert.strictEqual(result.allowed, true);
+    });
+
+    it('devrait réutiliser le cache si la base est indisponible', async () => {
+      const original = validationRulesRepository.getActiveRulesForEvent;
+      validationRulesService.rulesCache.set('42', {
+        rules: [{ id: 9, ruleType: 'ALLOWED_DEVICES', parameters: { deviceIds: ['scanner_999'] } }],
+        loadedAt: 0
+      });
+      validationRulesRepository.getActiveRulesForEvent = async () => {
+        throw new Error('connection refused');
+      };
+
+      try {
+        const result = await validationRulesService.evaluateForEvent('42', baseContext);
+
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.code, 'DEVICE_NOT_ALLOWED');
+      } finally {
+        validationRulesRepository.getActiveRulesForEvent = original;
+      }
+    });
+  });
+});
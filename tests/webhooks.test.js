@@ -0,0 +1,113 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const webhooksService = require('../src/core/webhooks/webhooks.service');
+const webhooksRepository = require('../src/core/database/webhooks.repository');
+
+/**
+ * Tests des webhooks sortants signés
+ */
+
+describe('🪝 Webhooks sortants', () => {
+  const originals = {
+    post: axios.post,
+    getActiveSubscriptionsForEvent: webhooksRepository.getActiveSubscriptionsForEvent,
+    getSubscriptionById: webhooksRepository.getSubscriptionById,
+    createDelivery: webhooksRepository.createDelivery,
+    getDeliveryById: webhooksRepository.getDeliveryById,
+    recordAttempt: webhooksRepository.recordAttempt
+  };
+  const subscription = {
+    id: 3,
+    eventId: 42,
+    url: 'https://hooks.example.com/scans',
+    secret: 'whsec_test',
+    eventTypes: ['scan.rejected', 'fraud.detected'],
+    isActive: true
+  };
+  let attempts;
+  let queued;
+
+  beforeEach(() => {
+    webhooksService.subscriptionsCache.clear();
+    attempts = [];
+    queued = [];
+
+    webhooksService.queue = {
+      add: async (data, options) => queued.push({ data, options })
+    };
+    webhooksRepository.getActiveSubscriptionsForEvent = async () => [subscription];
+    webhooksRepository.getSubscriptionById = async () => subscription;
+    webhooksRepository.createDelivery = async delivery => ({ id: 100 + queued.length, ...delivery });
+    webhooksRepository.getDeliveryById = async id => ({
+      id,
+      uid: 'dlv-1',
+      subscriptionId: 3,
+      eventType: 'scan.rejected',
+      payload: { type: 'scan.rejected', eventId: '42', data: { ticketId: 'A' } },
+      status: 'pending'
+    });
+    webhooksRepository.recordAttempt = async (id, attempt) => attempts.push({ id, ...attempt });
+  });
+
+  afterAll(() => {
+    webhooksService.queue = null;
+    axios.post = originals.post;
+    delete originals.post;
+    Object.assign(webhooksRepository, originals);
+  });
+
+  it('devrait créer une livraison par abonné intéressé par l\'événement', async () => {
+    await webhooksService.handleScanEvent({ type: 'validation', eventId: '42', result: 'invalid', data: {} });
+    await webhooksService.handleScanEvent({ type: 'validation', eventId: '42', result: 'valid', data: {} });
+    await webhooksService.handleScanEvent({ type: 'session.started', eventId: '42', data: {} });
+
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].options.attempts, webhooksService.maxAttempts);
+    assert.strictEqual(queued[0].options.backoff.type, 'exponential');
+  });
+
+  it('devrait signer le corps avec le secret de l\'abonnement', async () => {
+    let sent;
+    axios.post = async (url, body, options) => {
+      sent = { url, body, headers: options.headers };
+      return { status: 204 };
+    };
+
+    const result = await webhooksService.deliver(100);
+
+    const expected = crypto
+      .createHmac('sha256', subscription.secret)
+      .update(`${sent.headers['X-Webhook-Timestamp']}.${sent.body}`)
+      .digest('hex');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(sent.headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.strictEqual(JSON.parse(sent.body).id, 'dlv-1');
+    assert.strictEqual(attempts[0].status, 'delivered');
+  });
+
+  it('devrait demander un nouvel essai sur une réponse en erreur', async () => {
+    axios.post = async () => ({ status: 503 });
+
+    await assert.rejects(
+      webhooksService.processJob({ data: { deliveryId: 100 }, attemptsMade: 0, opts: { attempts: 6 } }),
+      /HTTP 503/
+    );
+
+    assert.strictEqual(attempts[0].status, 'failed');
+    assert.strictEqual(attempts[0].statusCode, 503);
+  });
+
+  it('devrait placer la livraison en lettre morte au dernier essai', async () => {
+    axios.post = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    const result = await webhooksService.processJob({ data: { deliveryId: 100 }, attemptsMade: 5, opts: { attempts: 6 } });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(attempts[0].status, 'dead');
+    assert.strictEqual(attempts[0].error, 'connect ECONNREFUSED');
+  });
+});